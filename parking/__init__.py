@@ -0,0 +1,3 @@
+"""
+Parking domain package: the stateful models behind the Flask API in app.py.
+"""
@@ -0,0 +1,187 @@
+"""
+User accounts, roles and API tokens.
+
+Each role grants the permissions its job needs:
+
+- driver: reserve street slots and record parking (`reserve`)
+- officer: a driver's permissions plus checking and flagging slots on patrol (`enforce`)
+- admin: everything, including lots, slots and tariffs (`manage`)
+
+Finding parking stays open to everyone. Browsers sign in with the Flask
+session cookie. Other clients exchange credentials for a bearer token, and
+only the token's hash is stored.
+"""
+
+import hashlib
+import os
+import re
+import secrets
+import sqlite3
+import threading
+import time
+
+from werkzeug.security import check_password_hash, generate_password_hash
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at REAL NOT NULL
+);
+CREATE TABLE IF NOT EXISTS api_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at REAL NOT NULL,
+    expires_at REAL NOT NULL
+);
+"""
+
+ROLES = ('driver', 'officer', 'admin')
+
+ROLE_PERMISSIONS = {
+    'driver': ('reserve',),
+    'officer': ('reserve', 'enforce'),
+    'admin': ('reserve', 'enforce', 'manage'),
+}
+
+TOKEN_TTL_SECONDS = 30 * 24 * 3600
+MIN_PASSWORD_LENGTH = 8
+USERNAME_PATTERN = re.compile(r'^[A-Za-z0-9][A-Za-z0-9_.-]{2,31}$')
+
+
+class AuthError(Exception):
+    """Raised for failed sign-ins, missing permissions and invalid accounts; carries an HTTP status"""
+
+    def __init__(self, message, status=401):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+def default_accounts_path():
+    """PARKING_ACCOUNTS_DB, or instance/parking_accounts.db next to the app"""
+    root = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+    return os.environ.get('PARKING_ACCOUNTS_DB') or os.path.join(root, 'instance', 'parking_accounts.db')
+
+
+def permissions_for(role):
+    return ROLE_PERMISSIONS.get(role, ())
+
+
+def _token_hash(token):
+    return hashlib.sha256(token.encode('utf-8')).hexdigest()
+
+
+class AccountStore:
+    """SQLite-backed users and their bearer tokens"""
+
+    def __init__(self, path=None):
+        self.path = path or default_accounts_path()
+        if self.path != ':memory:':
+            os.makedirs(os.path.dirname(self.path) or '.', exist_ok=True)
+        self._lock = threading.Lock()
+        self._db = sqlite3.connect(self.path, check_same_thread=False)
+        self._db.execute('PRAGMA foreign_keys = ON')
+        self._db.executescript(SCHEMA)
+
+    def ensure_admin(self, username, password):
+        """Create the bootstrap admin named in the environment unless it already exists"""
+        if not username or not password:
+            return None
+        existing = self._user_row('username = ?', (username,))
+        if existing:
+            return self._user(existing)
+        user = self.create_user(username, password, 'admin')
+        print(f"🔑 Created admin account {user['username']}")
+        return user
+
+    # --- Users ---
+    def create_user(self, username, password, role='driver'):
+        username = (username or '').strip() if isinstance(username, str) else ''
+        if not USERNAME_PATTERN.match(username):
+            raise AuthError('Username must be 3-32 letters, digits, dots, dashes or underscores', 400)
+        if not isinstance(password, str) or len(password) < MIN_PASSWORD_LENGTH:
+            raise AuthError(f'Password must be at least {MIN_PASSWORD_LENGTH} characters', 400)
+        if role not in ROLES:
+            raise AuthError(f"Role must be one of: {', '.join(ROLES)}", 400)
+
+        try:
+            with self._lock, self._db:
+                cursor = self._db.execute(
+                    'INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)',
+                    (username, generate_password_hash(password), role, time.time()),
+                )
+        except sqlite3.IntegrityError:
+            raise AuthError(f'Username {username} is taken', 409)
+        return self.get_user(cursor.lastrowid)
+
+    def authenticate(self, username, password):
+        if not isinstance(username, str) or not isinstance(password, str):
+            raise AuthError('Username and password must be strings', 400)
+        row = self._user_row('username = ?', (username.strip(),), with_hash=True)
+        if row is None or not check_password_hash(row[-1], password):
+            raise AuthError('Invalid username or password', 401)
+        return self._user(row[:-1])
+
+    def get_user(self, user_id):
+        row = self._user_row('id = ?', (user_id,))
+        return self._user(row) if row else None
+
+    def users(self):
+        with self._lock:
+            rows = self._db.execute('SELECT id, username, role, created_at FROM users ORDER BY username').fetchall()
+        return [self._user(row) for row in rows]
+
+    def set_role(self, user_id, role):
+        if role not in ROLES:
+            raise AuthError(f"Role must be one of: {', '.join(ROLES)}", 400)
+        user = self.get_user(user_id)
+        if user is None:
+            raise AuthError('User not found', 404)
+        if user['role'] == 'admin' and role != 'admin' and self.admin_count() == 1:
+            raise AuthError('The last admin account cannot change role', 409)
+        with self._lock, self._db:
+            self._db.execute('UPDATE users SET role = ? WHERE id = ?', (role, user_id))
+        return self.get_user(user_id)
+
+    def admin_count(self):
+        with self._lock:
+            return self._db.execute("SELECT COUNT(*) FROM users WHERE role = 'admin'").fetchone()[0]
+
+    def _user_row(self, where, params, with_hash=False):
+        columns = 'id, username, role, created_at' + (', password_hash' if with_hash else '')
+        with self._lock:
+            return self._db.execute(f'SELECT {columns} FROM users WHERE {where}', params).fetchone()
+
+    @staticmethod
+    def _user(row):
+        user_id, username, role, created_at = row
+        return {'id': user_id, 'username': username, 'role': role,
+                'permissions': list(permissions_for(role)), 'created_at': created_at}
+
+    # --- Tokens ---
+    def issue_token(self, user_id, now=None):
+        """A new bearer token for the user; it is only ever returned here"""
+        now = now if now is not None else time.time()
+        token = secrets.token_urlsafe(32)
+        with self._lock, self._db:
+            self._db.execute('DELETE FROM api_tokens WHERE expires_at <= ?', (now,))
+            self._db.execute(
+                'INSERT INTO api_tokens (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+                (_token_hash(token), user_id, now, now + TOKEN_TTL_SECONDS),
+            )
+        return token
+
+    def user_for_token(self, token, now=None):
+        now = now if now is not None else time.time()
+        with self._lock:
+            row = self._db.execute(
+                'SELECT user_id FROM api_tokens WHERE token_hash = ? AND expires_at > ?', (_token_hash(token), now)
+            ).fetchone()
+        return self.get_user(row[0]) if row else None
+
+    def revoke_token(self, token):
+        with self._lock, self._db:
+            self._db.execute('DELETE FROM api_tokens WHERE token_hash = ?', (_token_hash(token),))
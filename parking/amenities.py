@@ -0,0 +1,227 @@
+"""
+What a parking space suits: vehicle class, accessibility, EV charging, cover
+and height limit.
+
+Every street slot carries its own `amenities`. A lot carries them for the
+lot as a whole, with counts of its accessible and EV-charging spaces; lot
+occupancy is not tracked per space, so a lot matches a filter when it has
+such spaces at all.
+
+`SpaceFilter` reads the same query parameters on every endpoint that lists
+parking (/api/street-parking, /api/parking-status, /api/map-data,
+/api/recommendations, /api/route-to-parking):
+
+    vehicle=bike|car|van    only spaces that vehicle fits
+    accessible=1            disabled-accessible spaces
+    ev=1                    EV charging; connector=ccs2 and min_power_kw=22 narrow it
+    covered=1               under a roof
+    vehicle_height_m=2.3    leaves out spaces with a lower height limit
+
+static/js/space_filters.js mirrors the matching for the map pages.
+"""
+
+VEHICLE_CLASSES = ('bike', 'car', 'van')
+# Bays a vehicle fits: cars also fit van bays; bikes have bays of their own
+FITS = {'bike': ('bike',), 'car': ('car', 'van'), 'van': ('van',)}
+EV_CONNECTORS = ('type2', 'ccs2', 'chademo', 'bharat_ac001', 'bharat_dc001')
+MAX_EV_POWER_KW = 350
+MIN_HEIGHT_LIMIT_M = 1.5
+MAX_HEIGHT_LIMIT_M = 6.0
+
+DEFAULT_SLOT_AMENITIES = {
+    'vehicle_class': 'car',
+    'accessible': False,
+    'ev_connector': None,
+    'ev_power_kw': None,
+    'covered': False,
+    'max_height_m': None,
+}
+
+DEFAULT_LOT_AMENITIES = {
+    'vehicle_classes': ['car'],
+    'accessible_spaces': 0,
+    'ev_spaces': 0,
+    'ev_connector': None,
+    'ev_power_kw': None,
+    'covered': False,
+    'max_height_m': None,
+}
+
+TRUE_VALUES = ('1', 'true', 'yes', 'on')
+FALSE_VALUES = ('', '0', 'false', 'no', 'off')
+
+
+class AmenityError(Exception):
+    """Raised for invalid amenities or filter parameters; carries an HTTP status"""
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+# --- Validation ---
+def slot_amenities(body, current=None):
+    """A street slot's amenities from the fields given, over `current` or the defaults"""
+    merged = {**DEFAULT_SLOT_AMENITIES, **(current or {}), **_known(body, DEFAULT_SLOT_AMENITIES)}
+    amenities = {
+        'vehicle_class': _choice(merged['vehicle_class'], 'vehicle_class', VEHICLE_CLASSES),
+        'accessible': _flag(merged['accessible'], 'accessible'),
+        'covered': _flag(merged['covered'], 'covered'),
+        'max_height_m': _height(merged['max_height_m']),
+    }
+    amenities.update(_charger(merged))
+    return amenities
+
+
+def lot_amenities(body, capacity, current=None):
+    """A lot's amenities from the fields given; space counts cannot exceed its capacity"""
+    merged = {**DEFAULT_LOT_AMENITIES, **(current or {}), **_known(body, DEFAULT_LOT_AMENITIES)}
+    classes = merged['vehicle_classes']
+    if not isinstance(classes, list) or not classes:
+        raise AmenityError(f"vehicle_classes must be a non-empty list of: {', '.join(VEHICLE_CLASSES)}")
+    amenities = {
+        'vehicle_classes': [vehicle for vehicle in VEHICLE_CLASSES
+                            if vehicle in {_choice(item, 'vehicle_classes', VEHICLE_CLASSES) for item in classes}],
+        'accessible_spaces': _count(merged['accessible_spaces'], 'accessible_spaces', capacity),
+        'ev_spaces': _count(merged['ev_spaces'], 'ev_spaces', capacity),
+        'covered': _flag(merged['covered'], 'covered'),
+        'max_height_m': _height(merged['max_height_m']),
+    }
+    amenities.update(_charger(merged))
+    if bool(amenities['ev_spaces']) != bool(amenities['ev_connector']):
+        raise AmenityError('ev_spaces and ev_connector go together: a lot with chargers needs both')
+    return amenities
+
+
+def _known(body, defaults):
+    if body is None:
+        return {}
+    if not isinstance(body, dict):
+        raise AmenityError('amenities must be an object')
+    return {key: value for key, value in body.items() if key in defaults}
+
+
+def _charger(merged):
+    connector = merged['ev_connector'] or None
+    if connector is None:
+        return {'ev_connector': None, 'ev_power_kw': None}
+    return {
+        'ev_connector': _choice(connector, 'ev_connector', EV_CONNECTORS),
+        'ev_power_kw': _number(merged['ev_power_kw'], 'ev_power_kw', 1, MAX_EV_POWER_KW),
+    }
+
+
+def _choice(value, field, choices):
+    if value not in choices:
+        raise AmenityError(f"{field} must be one of: {', '.join(choices)}")
+    return value
+
+
+def _flag(value, field):
+    if not isinstance(value, bool):
+        raise AmenityError(f'{field} must be true or false')
+    return value
+
+
+def _number(value, field, minimum, maximum):
+    if isinstance(value, bool) or not isinstance(value, (int, float)) or not minimum <= value <= maximum:
+        raise AmenityError(f'{field} must be a number from {minimum} to {maximum}')
+    return value
+
+
+def _count(value, field, capacity):
+    if isinstance(value, bool) or not isinstance(value, int) or not 0 <= value <= capacity:
+        raise AmenityError(f'{field} must be a whole number from 0 to the capacity ({capacity})')
+    return value
+
+
+def _height(value):
+    return None if value is None else _number(value, 'max_height_m', MIN_HEIGHT_LIMIT_M, MAX_HEIGHT_LIMIT_M)
+
+
+# --- Filtering ---
+class SpaceFilter:
+    """Which spaces a driver can use, from request query parameters"""
+
+    def __init__(self, vehicle=None, accessible=False, ev=False, connector=None, min_power_kw=None,
+                 covered=False, vehicle_height_m=None):
+        self.vehicle = vehicle
+        self.accessible = accessible
+        self.connector = connector
+        self.min_power_kw = min_power_kw
+        self.ev = ev or connector is not None or min_power_kw is not None
+        self.covered = covered
+        self.vehicle_height_m = vehicle_height_m
+
+    @classmethod
+    def from_args(cls, args):
+        """From a query string mapping; raises AmenityError for values it cannot read"""
+        vehicle = args.get('vehicle') or None
+        connector = args.get('connector') or None
+        return cls(
+            vehicle=_choice(vehicle, 'vehicle', VEHICLE_CLASSES) if vehicle else None,
+            accessible=_query_flag(args, 'accessible'),
+            ev=_query_flag(args, 'ev'),
+            connector=_choice(connector, 'connector', EV_CONNECTORS) if connector else None,
+            min_power_kw=_query_number(args, 'min_power_kw', 1, MAX_EV_POWER_KW),
+            covered=_query_flag(args, 'covered'),
+            vehicle_height_m=_query_number(args, 'vehicle_height_m', 0.5, MAX_HEIGHT_LIMIT_M),
+        )
+
+    @property
+    def active(self):
+        return bool(self.vehicle or self.accessible or self.ev or self.covered or self.vehicle_height_m)
+
+    def matches_slot(self, amenities):
+        if self.vehicle and amenities['vehicle_class'] not in FITS[self.vehicle]:
+            return False
+        if self.accessible and not amenities['accessible']:
+            return False
+        if self.ev and not self._charger_fits(amenities):
+            return False
+        return self._shelter_fits(amenities)
+
+    def matches_lot(self, amenities):
+        if self.vehicle and not set(amenities['vehicle_classes']) & set(FITS[self.vehicle]):
+            return False
+        if self.accessible and not amenities['accessible_spaces']:
+            return False
+        if self.ev and not (amenities['ev_spaces'] and self._charger_fits(amenities)):
+            return False
+        return self._shelter_fits(amenities)
+
+    def _charger_fits(self, amenities):
+        if not amenities['ev_connector']:
+            return False
+        if self.connector and amenities['ev_connector'] != self.connector:
+            return False
+        return not self.min_power_kw or amenities['ev_power_kw'] >= self.min_power_kw
+
+    def _shelter_fits(self, amenities):
+        if self.covered and not amenities['covered']:
+            return False
+        limit = amenities['max_height_m']
+        return not (self.vehicle_height_m and limit is not None and self.vehicle_height_m > limit)
+
+
+def _query_flag(args, field):
+    value = str(args.get(field, '')).strip().lower()
+    if value in TRUE_VALUES:
+        return True
+    if value in FALSE_VALUES:
+        return False
+    raise AmenityError(f'{field} must be 1 or 0')
+
+
+def _query_number(args, field, minimum, maximum):
+    value = args.get(field)
+    if value in (None, ''):
+        return None
+    try:
+        number = float(value)
+    except ValueError:
+        raise AmenityError(f'{field} must be a number')
+    if not minimum <= number <= maximum:
+        raise AmenityError(f'{field} must be from {minimum} to {maximum}')
+    return number
@@ -0,0 +1,369 @@
+"""
+Enforcement officers' patrol beats, flags and violations on street slots.
+
+An officer patrols a beat: the street slots of one tariff zone, optionally
+one street, ordered into a walking route from where the officer stands. A
+taken slot whose open parking session has run past its paid time is an
+overstay. Only sessions of signed-in drivers are known here; signed-out
+drivers keep theirs in the browser.
+
+On patrol an officer checks a slot against what the system believes (free,
+occupied or held by a reservation) and flags it when the two disagree or
+something on the ground needs attention. A flag stays on the slot until an
+officer or admin clears it.
+
+A violation is a ticket against a vehicle: slot, plate, an optional photo and
+a note. Officers log violations offline and sync them later, so each carries
+the time it was observed and a client id that makes sending it twice harmless.
+
+Flags and violations live in their own SQLite database, so they survive a
+restart and every worker sees the same ones.
+"""
+
+import base64
+import binascii
+import os
+import re
+import sqlite3
+import threading
+import time
+
+from .recommendations import WALK_METRES_PER_MINUTE, walking_distance_m
+
+# Labelled in the driver's language by the app, from the enforcement.reason.* messages
+FLAG_REASONS = ('wrong_status', 'blocked', 'signage', 'sensor_fault', 'other')
+
+MAX_NOTE_LENGTH = 500
+
+# A beat is at most this many slots, the ones nearest the officer
+MAX_BEAT_SLOTS = 40
+
+# Paid time runs out a little before anyone is ticketed
+OVERSTAY_GRACE_SECONDS = 5 * 60
+
+# Indian registrations once spaces and hyphens are dropped, e.g. OD02AB1234 or 22BH1234AA
+PLATE_PATTERN = re.compile(r'^[A-Z0-9]{4,11}$')
+PHOTO_TYPES = ('image/jpeg', 'image/png', 'image/webp')
+MAX_PHOTO_BYTES = 1_500_000
+MAX_CLIENT_ID_LENGTH = 64
+
+# A violation queued offline must reach the server within this long; clocks may run a little fast
+MAX_QUEUED_SECONDS = 7 * 24 * 3600
+MAX_CLOCK_SKEW_SECONDS = 5 * 60
+
+DEFAULT_VIOLATION_LIMIT = 50
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS slot_flags (
+    slot_id TEXT PRIMARY KEY,
+    slot_name TEXT NOT NULL,
+    street TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    note TEXT NOT NULL,
+    flagged_by TEXT,
+    flagged_at REAL NOT NULL,
+    recorded_available INTEGER NOT NULL,
+    recorded_reserved INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS violations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_id TEXT UNIQUE,
+    slot_id TEXT NOT NULL,
+    slot_name TEXT NOT NULL,
+    street TEXT NOT NULL,
+    zone TEXT NOT NULL,
+    plate TEXT NOT NULL,
+    note TEXT NOT NULL,
+    photo BLOB,
+    photo_type TEXT,
+    officer TEXT,
+    observed_at REAL NOT NULL,
+    logged_at REAL NOT NULL
+);
+CREATE INDEX IF NOT EXISTS violations_observed ON violations (observed_at);
+"""
+
+FLAG_COLUMNS = ('slot_id, slot_name, street, reason, note, flagged_by, flagged_at, '
+                'recorded_available, recorded_reserved')
+VIOLATION_COLUMNS = ('id, client_id, slot_id, slot_name, street, zone, plate, note, photo_type, officer, '
+                     'observed_at, logged_at')
+
+
+class EnforcementError(Exception):
+    """Raised for invalid flags or unknown slots; carries an HTTP status"""
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+def default_violations_path():
+    """PARKING_VIOLATIONS_DB, or instance/parking_violations.db next to the app"""
+    root = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+    return os.environ.get('PARKING_VIOLATIONS_DB') or os.path.join(root, 'instance', 'parking_violations.db')
+
+
+def overstay_seconds(session, now):
+    """How long a session has run past its paid time (after the grace period), or None.
+    Sessions without a paid end are pay as you go and never overstay."""
+    if session is None or session['paid_until'] is None:
+        return None
+    over = now - session['paid_until']
+    return round(over) if over > OVERSTAY_GRACE_SECONDS else None
+
+
+def walking_route(slots, start):
+    """`slots` in the order to walk them from `start` (lat, lng), with the leg to each in metres.
+
+    Nearest neighbour gives a first route; 2-opt then reverses stretches of it
+    while that shortens the walk, which undoes the route crossing itself.
+    """
+    points = [start] + [(slot['lat'], slot['lng']) for slot in slots]
+    order = [0]
+    remaining = set(range(1, len(points)))
+    while remaining:
+        here = points[order[-1]]
+        nearest = min(remaining, key=lambda i: walking_distance_m(*here, *points[i]))
+        order.append(nearest)
+        remaining.remove(nearest)
+
+    def leg(a, b):
+        return walking_distance_m(*points[a], *points[b])
+
+    # The route starts at the officer and may end anywhere, so the last stop has no leg after it
+    improved = True
+    while improved:
+        improved = False
+        for i in range(1, len(order) - 1):
+            for k in range(i + 1, len(order)):
+                before = leg(order[i - 1], order[i]) + (leg(order[k], order[k + 1]) if k + 1 < len(order) else 0)
+                after = leg(order[i - 1], order[k]) + (leg(order[i], order[k + 1]) if k + 1 < len(order) else 0)
+                if after < before - 1e-6:
+                    order[i:k + 1] = reversed(order[i:k + 1])
+                    improved = True
+
+    legs = [leg(a, b) for a, b in zip(order, order[1:])]
+    return [slots[i - 1] for i in order[1:]], legs
+
+
+def patrol_beat(street_slots, sessions, flags, start, region=None, zone=None, street=None, now=None):
+    """The open slots of a beat in walking order from `start`, with overstays and flags.
+
+    The beat is a tariff zone, by default the zone of the slot nearest `start`,
+    narrowed to one street when `street` is given.
+    """
+    now = now if now is not None else time.time()
+    nearest = street_slots.nearest(*start, limit=len(street_slots.slots), region=region)
+    if zone is None:
+        if not nearest:
+            raise EnforcementError('There are no street slots in this region', 404)
+        zone = nearest[0]['zone']
+    beat = [slot for slot in nearest
+            if slot['zone'] == zone and (street is None or slot['street'] == street) and not slot['closed']]
+    if not beat:
+        raise EnforcementError(f"No open street slots in the {zone} zone{f' on {street}' if street else ''}", 404)
+
+    route, legs = walking_route(beat[:MAX_BEAT_SLOTS], start)
+    stops = []
+    for stop, (slot, leg) in enumerate(zip(route, legs), start=1):
+        # A free slot has no car to ticket, whatever session is still open on it
+        session = None if slot['available'] else sessions.get(slot['id'])
+        stops.append({
+            **slot,
+            'stop': stop,
+            'walk_m': round(leg),
+            'session': session,
+            'overstay_seconds': overstay_seconds(session, now),
+            'flag': flags.get(slot['id']),
+        })
+    route_m = sum(legs)
+    return {
+        'zone': zone,
+        'street': street,
+        'start': {'lat': start[0], 'lng': start[1]},
+        'slots': stops,
+        'route_m': round(route_m),
+        'walking_minutes': max(1, round(route_m / WALK_METRES_PER_MINUTE)),
+        'overstays': sum(1 for stop in stops if stop['overstay_seconds'] is not None),
+    }
+
+
+class SlotFlags:
+    """Open flags by slot id, one per slot"""
+
+    def __init__(self, street_slots, path=None):
+        self.street_slots = street_slots
+        self.path = path or default_violations_path()
+        if self.path != ':memory:':
+            os.makedirs(os.path.dirname(self.path) or '.', exist_ok=True)
+        self._lock = threading.Lock()
+        self._db = sqlite3.connect(self.path, check_same_thread=False)
+        self._db.executescript(SCHEMA)
+
+    def flag(self, slot_id, reason, note='', officer=None, now=None):
+        now = now if now is not None else time.time()
+        slot = self.street_slots.get(slot_id)
+        if slot is None:
+            raise EnforcementError(f'Unknown parking slot: {slot_id}', 404)
+        if reason not in FLAG_REASONS:
+            raise EnforcementError(f"Reason must be one of: {', '.join(FLAG_REASONS)}")
+        note = note.strip() if isinstance(note, str) else ''
+        if len(note) > MAX_NOTE_LENGTH:
+            raise EnforcementError(f'Note must be at most {MAX_NOTE_LENGTH} characters')
+
+        # What the system showed when the officer looked is recorded with the flag
+        with self._lock, self._db:
+            self._db.execute(
+                f'INSERT OR REPLACE INTO slot_flags ({FLAG_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                (slot_id, slot['name'], slot['street'], reason, note, officer, now,
+                 int(slot['available']), int(slot['reserved'])),
+            )
+        print(f"🚩 Slot {slot_id} flagged: {reason}")
+        return self.get(slot_id)
+
+    def clear(self, slot_id):
+        flag = self.get(slot_id)
+        if flag is None:
+            raise EnforcementError(f'Slot {slot_id} has no open flag', 404)
+        self.forget(slot_id)
+        return flag
+
+    def get(self, slot_id):
+        flags = self._select('WHERE slot_id = ?', (slot_id,))
+        return flags[0] if flags else None
+
+    def all(self):
+        return self._select('ORDER BY flagged_at DESC')
+
+    def forget(self, slot_id):
+        """Drop a flag on a slot that no longer exists"""
+        with self._lock, self._db:
+            self._db.execute('DELETE FROM slot_flags WHERE slot_id = ?', (slot_id,))
+
+    def _select(self, clause, params=()):
+        with self._lock:
+            rows = self._db.execute(f'SELECT {FLAG_COLUMNS} FROM slot_flags {clause}', params).fetchall()
+        return [self._flag(row) for row in rows]
+
+    @staticmethod
+    def _flag(row):
+        slot_id, slot_name, street, reason, note, flagged_by, flagged_at, recorded_available, recorded_reserved = row
+        return {'slot_id': slot_id, 'slot_name': slot_name, 'street': street, 'reason': reason,
+                'note': note, 'flagged_by': flagged_by,
+                'flagged_at': flagged_at, 'recorded_available': bool(recorded_available),
+                'recorded_reserved': bool(recorded_reserved)}
+
+
+class ViolationLog:
+    """SQLite-backed violations logged by officers, photos included"""
+
+    def __init__(self, street_slots, path=None):
+        self.street_slots = street_slots
+        self.path = path or default_violations_path()
+        if self.path != ':memory:':
+            os.makedirs(os.path.dirname(self.path) or '.', exist_ok=True)
+        self._lock = threading.Lock()
+        self._db = sqlite3.connect(self.path, check_same_thread=False)
+        self._db.executescript(SCHEMA)
+
+    def log(self, body, officer=None, now=None):
+        """Record a violation; returns (violation, created). Sending the same
+        client_id again returns the violation already recorded."""
+        now = now if now is not None else time.time()
+        client_id = _client_id(body.get('client_id'))
+        if client_id is not None:
+            existing = self._select('WHERE client_id = ?', (client_id,))
+            if existing:
+                return existing[0], False
+
+        slot_id = body.get('slot_id')
+        slot = self.street_slots.get(slot_id) if isinstance(slot_id, str) else None
+        if slot is None:
+            raise EnforcementError(f'Unknown parking slot: {slot_id}', 404)
+        plate = _plate(body.get('plate'))
+        note = body.get('note')
+        note = note.strip() if isinstance(note, str) else ''
+        if len(note) > MAX_NOTE_LENGTH:
+            raise EnforcementError(f'Note must be at most {MAX_NOTE_LENGTH} characters')
+        photo, photo_type = _photo(body.get('photo'))
+        observed_at = _observed_at(body.get('observed_at'), now)
+
+        with self._lock, self._db:
+            cursor = self._db.execute(
+                'INSERT INTO violations (client_id, slot_id, slot_name, street, zone, plate, note, photo, photo_type, '
+                'officer, observed_at, logged_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                (client_id, slot_id, slot['name'], slot['street'], slot['zone'], plate, note,
+                 photo, photo_type, officer, observed_at, now),
+            )
+        print(f"🎫 Violation logged at {slot_id} against {plate}")
+        return self._select('WHERE id = ?', (cursor.lastrowid,))[0], True
+
+    def recent(self, limit=DEFAULT_VIOLATION_LIMIT):
+        """The latest violations by the time they were observed, without photo data"""
+        return self._select('ORDER BY observed_at DESC LIMIT ?', (limit,))
+
+    def photo(self, violation_id):
+        """(bytes, content type) of a violation's photo"""
+        with self._lock:
+            row = self._db.execute('SELECT photo, photo_type FROM violations WHERE id = ?',
+                                   (violation_id,)).fetchone()
+        if row is None or row[0] is None:
+            raise EnforcementError('This violation has no photo', 404)
+        return bytes(row[0]), row[1]
+
+    def _select(self, clause, params):
+        with self._lock:
+            rows = self._db.execute(f'SELECT {VIOLATION_COLUMNS} FROM violations {clause}', params).fetchall()
+        return [self._violation(row) for row in rows]
+
+    @staticmethod
+    def _violation(row):
+        (violation_id, client_id, slot_id, slot_name, street, zone, plate, note, photo_type, officer,
+         observed_at, logged_at) = row
+        return {'id': violation_id, 'client_id': client_id, 'slot_id': slot_id, 'slot_name': slot_name,
+                'street': street, 'zone': zone, 'plate': plate, 'note': note, 'has_photo': photo_type is not None,
+                'officer': officer, 'observed_at': observed_at, 'logged_at': logged_at}
+
+
+def _client_id(value):
+    if value is None:
+        return None
+    if not isinstance(value, str) or not value.strip() or len(value) > MAX_CLIENT_ID_LENGTH:
+        raise EnforcementError(f'client_id must be a string of at most {MAX_CLIENT_ID_LENGTH} characters')
+    return value.strip()
+
+
+def _plate(value):
+    plate = re.sub(r'[\s-]', '', value).upper() if isinstance(value, str) else ''
+    if not PLATE_PATTERN.match(plate):
+        raise EnforcementError('Plate number must be 4 to 11 letters and digits, e.g. OD02AB1234')
+    return plate
+
+
+def _photo(value):
+    """(bytes, content type) of a base64 data URL, or (None, None) without a photo"""
+    if value in (None, ''):
+        return None, None
+    match = re.match(r'^data:([\w/+.-]+);base64,(.*)$', value, re.DOTALL) if isinstance(value, str) else None
+    if match is None or match.group(1) not in PHOTO_TYPES:
+        raise EnforcementError(f"photo must be a base64 data URL of type {', '.join(PHOTO_TYPES)}")
+    try:
+        photo = base64.b64decode(match.group(2), validate=True)
+    except (binascii.Error, ValueError) as error:
+        raise EnforcementError('photo is not valid base64') from error
+    if len(photo) > MAX_PHOTO_BYTES:
+        raise EnforcementError(f'photo must be at most {MAX_PHOTO_BYTES // 1000} kB')
+    return photo, match.group(1)
+
+
+def _observed_at(value, now):
+    if value is None:
+        return now
+    if isinstance(value, bool) or not isinstance(value, (int, float)):
+        raise EnforcementError('observed_at must be a Unix time in seconds')
+    if value > now + MAX_CLOCK_SKEW_SECONDS:
+        raise EnforcementError('observed_at is in the future')
+    if value < now - MAX_QUEUED_SECONDS:
+        raise EnforcementError(f'Violations must be sent within {MAX_QUEUED_SECONDS // 86400} days of being observed', 422)
+    return float(value)
@@ -0,0 +1,169 @@
+"""
+Occupancy forecasting learnt from the recorded history.
+
+Each series (a lot or a street) keeps an hour-of-week seasonal baseline,
+updated by exponential smoothing as samples arrive, together with the
+smoothed spread of the samples around it. A separate smoothed deviation
+captures how far today is running above or below the usual pattern; it
+fades with the forecast horizon, so near-term forecasts follow the current
+state and later ones fall back to the seasonal baseline.
+
+Until a bin has seen data, the demand profile stands in for it with a wide
+prior spread, and the forecast reports how many samples it rests on. Hours
+of the week are counted on the clock of the region the lot or street is in.
+"""
+
+import math
+import threading
+import time
+
+from .regions import local_time
+
+HOURS_PER_WEEK = 168
+
+# Weight of each new sample in its hour-of-week bin; samples arrive every five
+# minutes, so a bin sees about twelve a week and this remembers a few weeks
+SEASONAL_ALPHA = 0.03
+
+# Weight of the newest residual in the running deviation from the baseline
+DEVIATION_ALPHA = 0.3
+
+# How quickly today's deviation stops informing the forecast (seconds)
+DEVIATION_RELAXATION_SECONDS = 90 * 60
+
+# Spread assumed for bins without data, and how many samples it is worth
+PRIOR_STD = 0.18
+PRIOR_WEIGHT = 6
+
+# Two-sided 80% band
+BAND_LEVEL = 0.8
+BAND_Z = 1.2816
+
+
+def hour_of_week(timestamp, region=None):
+    """Hour of the week in `region`, 0 = Monday 00:00"""
+    t = local_time(timestamp, region)
+    return t.weekday() * 24 + t.hour
+
+
+class _Series:
+    def __init__(self):
+        self.baseline = [None] * HOURS_PER_WEEK
+        self.variance = [0.0] * HOURS_PER_WEEK
+        self.counts = [0] * HOURS_PER_WEEK
+        self.deviation = 0.0
+        self.deviation_variance = PRIOR_STD ** 2
+        self.last_seen = None
+        self.last_value = None
+
+
+class OccupancyForecaster:
+    """Seasonal hour-of-week baselines with an exponentially smoothed deviation"""
+
+    def __init__(self):
+        # Series kind -> prior(name, timestamp), the expected occupancy where history is missing
+        self._priors = {}
+        # Series kind -> region_of(name), whose clock the series' hours of the week follow
+        self._regions = {}
+        self._series = {}
+        self._lock = threading.Lock()
+
+    def set_prior(self, kind, prior, region_of=None):
+        """Register the fallback expectation for series keyed (kind, name), and where they are"""
+        self._priors[kind] = prior
+        if region_of is not None:
+            self._regions[kind] = region_of
+
+    def observe(self, key, timestamp, value):
+        """Learn from one occupancy sample (0..1) of a series"""
+        with self._lock:
+            series = self._series.setdefault(key, _Series())
+            if series.last_seen is not None and timestamp <= series.last_seen:
+                return
+            bin_index = self._hour_of_week(key, timestamp)
+            baseline = self._baseline(key, series, bin_index, timestamp)
+            residual = value - baseline
+
+            series.baseline[bin_index] = baseline + SEASONAL_ALPHA * residual
+            series.variance[bin_index] = (1 - SEASONAL_ALPHA) * (
+                series.variance[bin_index] + SEASONAL_ALPHA * residual ** 2)
+            series.counts[bin_index] += 1
+
+            decay = self._decay(timestamp - series.last_seen) if series.last_seen is not None else 0.0
+            previous = series.deviation * decay
+            series.deviation = previous + DEVIATION_ALPHA * (residual - previous)
+            series.deviation_variance = (1 - DEVIATION_ALPHA) * (
+                series.deviation_variance + DEVIATION_ALPHA * (residual - previous) ** 2)
+            series.last_seen = timestamp
+            series.last_value = value
+
+    def forecast(self, key, hours_ahead, now=None, current=None):
+        """Mean and 80% band for each horizon (hours) ahead of `now`.
+
+        `current` is the occupancy right now, if known; it anchors the
+        deviation instead of the last recorded sample.
+        """
+        now = now if now is not None else time.time()
+        with self._lock:
+            series = self._series.get(key) or _Series()
+            deviation = series.deviation
+            if current is not None:
+                deviation = current - self._baseline(key, series, self._hour_of_week(key, now), now)
+                since_sample = 0
+            elif series.last_seen is not None:
+                # The deviation has been fading since the last sample too
+                since_sample = max(now - series.last_seen, 0)
+            else:
+                since_sample = None
+            points = []
+            for hours in hours_ahead:
+                timestamp = now + hours * 3600
+                bin_index = self._hour_of_week(key, timestamp)
+                baseline = self._baseline(key, series, bin_index, timestamp)
+                if since_sample is None:
+                    decay = 0.0
+                else:
+                    decay = self._decay(since_sample + hours * 3600)
+                mean = baseline + deviation * decay
+
+                count = series.counts[bin_index]
+                seasonal_variance = (count * series.variance[bin_index] + PRIOR_WEIGHT * PRIOR_STD ** 2) / (
+                    count + PRIOR_WEIGHT)
+                # Uncertainty about the deviation grows as it fades out of the forecast
+                variance = seasonal_variance * (1 - decay ** 2) + series.deviation_variance * decay ** 2
+                spread = BAND_Z * math.sqrt(variance)
+                points.append({
+                    'hours_ahead': hours,
+                    'timestamp': timestamp,
+                    'occupancy': round(_clamp(mean), 3),
+                    'lower': round(_clamp(mean - spread), 3),
+                    'upper': round(_clamp(mean + spread), 3),
+                    'samples': count,
+                })
+            return points
+
+    def sample_count(self, key):
+        with self._lock:
+            series = self._series.get(key)
+            return sum(series.counts) if series else 0
+
+    def _hour_of_week(self, key, timestamp):
+        kind, name = key
+        region_of = self._regions.get(kind)
+        return hour_of_week(timestamp, region_of(name) if region_of else None)
+
+    def _baseline(self, key, series, bin_index, timestamp):
+        if series.counts[bin_index]:
+            return series.baseline[bin_index]
+        kind, name = key
+        if kind in self._priors:
+            return self._priors[kind](name, timestamp)
+        return series.last_value if series.last_value is not None else 0.5
+
+    @staticmethod
+    def _decay(seconds):
+        return math.exp(-max(seconds, 0) / DEVIATION_RELAXATION_SECONDS)
+
+
+def _clamp(value):
+    return min(max(value, 0.0), 1.0)
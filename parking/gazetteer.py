@@ -0,0 +1,140 @@
+"""
+Gazetteer of Bhubaneswar and Odisha places with fuzzy, typo-tolerant search.
+
+Every result comes from the bundled place list (or from coordinates the user
+typed); an unknown name yields no result rather than a guessed position.
+"""
+
+import difflib
+import json
+import re
+
+# Results scoring below this are not returned at all
+MIN_SCORE = 0.6
+
+# A top result at or above this, or clearly ahead of the runner-up, is safe to use without asking
+CONFIDENT_SCORE = 0.8
+CONFIDENT_MARGIN = 0.1
+
+# Typed "lat, lng" pairs are only accepted inside Odisha
+ODISHA_BOUNDS = {'southwest': (17.78, 81.37), 'northeast': (22.73, 87.55)}
+
+COORDINATES_PATTERN = re.compile(r'^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$')
+
+
+def normalize(text):
+    """Lowercase, drop punctuation and collapse whitespace"""
+    return ' '.join(re.sub(r'[^\w\s]', ' ', (text or '').lower()).split())
+
+
+def match_score(query, candidate):
+    """How well a normalized query matches a normalized place name, 0..1"""
+    if query == candidate:
+        return 1.0
+    if candidate.startswith(query):
+        return 0.9 + 0.05 * len(query) / len(candidate)
+
+    query_tokens = query.split()
+    candidate_tokens = candidate.split()
+    if all(any(token.startswith(q) for token in candidate_tokens) for q in query_tokens):
+        return 0.85
+    if query in candidate:
+        return 0.8
+
+    # Typos: compare whole strings and token by token; partially typed tokens
+    # are compared against the same-length prefix of the candidate token
+    whole = difflib.SequenceMatcher(None, query, candidate).ratio()
+    per_token = []
+    for q in query_tokens:
+        per_token.append(max(
+            max(difflib.SequenceMatcher(None, q, token).ratio(),
+                difflib.SequenceMatcher(None, q, token[:len(q)]).ratio() if len(q) >= 4 else 0)
+            for token in candidate_tokens
+        ))
+    return 0.8 * max(whole, sum(per_token) / len(per_token))
+
+
+class Gazetteer:
+    """Searchable list of named places"""
+
+    def __init__(self, places):
+        self.places = places
+        self._names = [
+            (place, [normalize(name) for name in [place['name'], *place.get('aliases', [])]])
+            for place in places
+        ]
+        print(f"🗺️ Gazetteer loaded: {len(places)} places")
+
+    @classmethod
+    def from_json(cls, path):
+        with open(path, encoding='utf-8') as f:
+            return cls(json.load(f)['places'])
+
+    def search(self, query, limit=8):
+        """Places matching `query`, best first, each with a score and a confidence"""
+        coordinates = self._parse_coordinates(query)
+        if coordinates:
+            return [coordinates]
+
+        normalized = normalize(query)
+        if not normalized:
+            return []
+
+        results = []
+        for place, names in self._names:
+            scored = [(match_score(normalized, name), name) for name in names]
+            score, matched = max(scored, key=lambda item: item[0])
+            if score >= MIN_SCORE:
+                results.append(self._result(place, score, matched))
+        # Importance only breaks near-ties, it never lifts a poor match over a good one
+        results.sort(key=lambda result: result['score'] + 0.02 * result['importance'], reverse=True)
+        results = results[:limit]
+
+        for index, result in enumerate(results):
+            runner_up = results[index + 1]['score'] if index + 1 < len(results) else 0
+            if result['score'] == 1.0:
+                result['confidence'] = 'exact'
+            elif index == 0 and (result['score'] >= CONFIDENT_SCORE or result['score'] - runner_up >= CONFIDENT_MARGIN):
+                result['confidence'] = 'high'
+            else:
+                result['confidence'] = 'low'
+        return results
+
+    def resolve(self, query):
+        """The single place `query` confidently names, or None"""
+        results = self.search(query, limit=2)
+        if results and results[0]['confidence'] in ('exact', 'high'):
+            return results[0]
+        return None
+
+    def _result(self, place, score, matched):
+        return {
+            'name': place['name'],
+            'kind': place['kind'],
+            'city': place['city'],
+            'lat': place['lat'],
+            'lng': place['lng'],
+            'importance': place.get('importance', 0.5),
+            'matched': matched,
+            'score': round(score, 3),
+        }
+
+    def _parse_coordinates(self, query):
+        match = COORDINATES_PATTERN.match(query or '')
+        if not match:
+            return None
+        lat, lng = float(match.group(1)), float(match.group(2))
+        (south, west), (north, east) = ODISHA_BOUNDS['southwest'], ODISHA_BOUNDS['northeast']
+        if not (south <= lat <= north and west <= lng <= east):
+            return None
+        return {
+            'name': f'{lat:.5f}, {lng:.5f}',
+            'kind': 'coordinates',
+            'city': None,
+            'lat': lat,
+            'lng': lng,
+            'importance': 0,
+            'matched': query.strip(),
+            'score': 1.0,
+            'confidence': 'exact',
+        }
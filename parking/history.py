@@ -0,0 +1,196 @@
+"""
+Time-series store of lot and street-slot occupancy.
+
+`OccupancyHistory` keeps snapshots in SQLite so the record survives restarts;
+`HistoryRecorder` samples the live models on a fixed interval, writes the
+snapshot and feeds the same numbers to the forecaster. Samples older than the
+retention window are pruned as new ones arrive.
+"""
+
+import os
+import sqlite3
+import threading
+import time
+
+SAMPLE_INTERVAL_SECONDS = 300
+RETENTION_DAYS = 35
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS lot_occupancy (
+    ts REAL NOT NULL,
+    lot TEXT NOT NULL,
+    zone TEXT NOT NULL,
+    occupied INTEGER NOT NULL,
+    total INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS lot_occupancy_ts ON lot_occupancy (ts);
+CREATE INDEX IF NOT EXISTS lot_occupancy_lot_ts ON lot_occupancy (lot, ts);
+CREATE TABLE IF NOT EXISTS slot_occupancy (
+    ts REAL NOT NULL,
+    slot_id TEXT NOT NULL,
+    street TEXT NOT NULL,
+    zone TEXT NOT NULL,
+    occupied INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS slot_occupancy_ts ON slot_occupancy (ts);
+CREATE INDEX IF NOT EXISTS slot_occupancy_slot_ts ON slot_occupancy (slot_id, ts);
+CREATE INDEX IF NOT EXISTS slot_occupancy_street_ts ON slot_occupancy (street, ts);
+"""
+
+
+def default_history_path():
+    """PARKING_HISTORY_DB, or instance/parking_history.db next to the app"""
+    root = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+    return os.environ.get('PARKING_HISTORY_DB') or os.path.join(root, 'instance', 'parking_history.db')
+
+
+class OccupancyHistory:
+    """SQLite-backed lot and slot occupancy snapshots"""
+
+    def __init__(self, path=None):
+        self.path = path or default_history_path()
+        if self.path != ':memory:':
+            os.makedirs(os.path.dirname(self.path) or '.', exist_ok=True)
+        self._lock = threading.Lock()
+        self._db = sqlite3.connect(self.path, check_same_thread=False)
+        self._db.executescript(SCHEMA)
+        print(f"🗄️ Occupancy history at {self.path}")
+
+    # --- Writes ---
+    def record(self, now, lots, slots):
+        """Store one snapshot: `lots` as parking_status() output, `slots` as registry slot dicts"""
+        with self._lock, self._db:
+            self._db.executemany(
+                'INSERT INTO lot_occupancy (ts, lot, zone, occupied, total) VALUES (?, ?, ?, ?, ?)',
+                [(now, name, status['zone'], status['occupied_slots'], status['total_slots'])
+                 for name, status in lots.items()],
+            )
+            self._db.executemany(
+                'INSERT INTO slot_occupancy (ts, slot_id, street, zone, occupied) VALUES (?, ?, ?, ?, ?)',
+                [(now, slot['id'], slot['street'], slot['zone'], 0 if slot['available'] else 1)
+                 for slot in slots],
+            )
+
+    def prune(self, before):
+        """Drop samples taken before a timestamp"""
+        with self._lock, self._db:
+            self._db.execute('DELETE FROM lot_occupancy WHERE ts < ?', (before,))
+            self._db.execute('DELETE FROM slot_occupancy WHERE ts < ?', (before,))
+
+    # --- Reads ---
+    def lot_series(self, lot=None, since=None, until=None, zone=None):
+        """Lot samples in time order as dicts with ts, lot, zone, occupied, total and occupancy_rate"""
+        rows = self._select(
+            'SELECT ts, lot, zone, occupied, total FROM lot_occupancy', 'lot', lot, since, until, zone=zone)
+        return [
+            {'ts': ts, 'lot': name, 'zone': zone, 'occupied': occupied, 'total': total,
+             'occupancy_rate': round(occupied / total, 3) if total else 0.0}
+            for ts, name, zone, occupied, total in rows
+        ]
+
+    def street_series(self, street=None, since=None, until=None):
+        """Per-street occupancy aggregated from the slot samples of each snapshot"""
+        rows = self._select(
+            'SELECT ts, street, MIN(zone), SUM(occupied), COUNT(*) FROM slot_occupancy',
+            'street', street, since, until, group_by='ts, street')
+        return [
+            {'ts': ts, 'street': name, 'zone': zone, 'occupied': occupied, 'total': total,
+             'occupancy_rate': round(occupied / total, 3) if total else 0.0}
+            for ts, name, zone, occupied, total in rows
+        ]
+
+    def slot_series(self, slot_id=None, since=None, until=None, zone=None):
+        """Samples of one slot, or of every slot when slot_id is None"""
+        rows = self._select(
+            'SELECT ts, slot_id, street, zone, occupied FROM slot_occupancy', 'slot_id', slot_id, since, until,
+            zone=zone)
+        return [
+            {'ts': ts, 'slot_id': sid, 'street': street, 'zone': zone, 'occupied': bool(occupied)}
+            for ts, sid, street, zone, occupied in rows
+        ]
+
+    def sample_count(self):
+        with self._lock:
+            return self._db.execute('SELECT COUNT(DISTINCT ts) FROM lot_occupancy').fetchone()[0]
+
+    def _select(self, query, key_column, key, since, until, group_by=None, zone=None):
+        conditions, params = [], []
+        if key is not None:
+            conditions.append(f'{key_column} = ?')
+            params.append(key)
+        if zone is not None:
+            conditions.append('zone = ?')
+            params.append(zone)
+        if since is not None:
+            conditions.append('ts >= ?')
+            params.append(since)
+        if until is not None:
+            conditions.append('ts <= ?')
+            params.append(until)
+        if conditions:
+            query += f" WHERE {' AND '.join(conditions)}"
+        if group_by:
+            query += f' GROUP BY {group_by}'
+        query += ' ORDER BY ts'
+        with self._lock:
+            return self._db.execute(query, params).fetchall()
+
+
+class HistoryRecorder:
+    """Samples the live models into the history store and the forecaster"""
+
+    def __init__(self, history, lot_model, street_slots, forecaster=None,
+                 interval=SAMPLE_INTERVAL_SECONDS, retention_days=RETENTION_DAYS):
+        self.history = history
+        self.lot_model = lot_model
+        self.street_slots = street_slots
+        self.forecaster = forecaster
+        self.interval = interval
+        self.retention_days = retention_days
+        self._thread = None
+        self._start_lock = threading.Lock()
+
+    def replay(self, since=None):
+        """Feed the stored history to the forecaster, oldest first; returns the number of samples"""
+        if self.forecaster is None:
+            return 0
+        since = since if since is not None else time.time() - self.retention_days * 86400
+        lots = self.history.lot_series(since=since)
+        for sample in lots:
+            self.forecaster.observe(('lot', sample['lot']), sample['ts'], sample['occupancy_rate'])
+        for sample in self.history.street_series(since=since):
+            self.forecaster.observe(('street', sample['street']), sample['ts'], sample['occupancy_rate'])
+        print(f"📈 Forecaster trained on {len(lots)} stored lot samples")
+        return len(lots)
+
+    def start(self):
+        """Start the sampling thread once per process"""
+        with self._start_lock:
+            if self._thread is None or not self._thread.is_alive():
+                self._thread = threading.Thread(target=self._run, name='history-recorder', daemon=True)
+                self._thread.start()
+
+    def _run(self):
+        while True:
+            try:
+                self.sample()
+            except Exception as error:  # a failed sample must not stop the next one
+                print(f"⚠️ History sample failed: {error}")
+            time.sleep(self.interval)
+
+    def sample(self, now=None):
+        """Take one snapshot of every lot and street slot"""
+        now = now if now is not None else time.time()
+        self.lot_model.advance(now)
+        self.street_slots.advance(now)
+        lots = self.lot_model.parking_status()
+        # Closed slots are out of service, not occupied
+        slots = [slot for slot in self.street_slots.slots.values() if not slot['closed']]
+        self.history.record(now, lots, slots)
+        self.history.prune(now - self.retention_days * 86400)
+
+        if self.forecaster is not None:
+            for name, status in lots.items():
+                self.forecaster.observe(('lot', name), now, status['occupancy_rate'])
+            for street, occupancy in self.street_slots.street_occupancy().items():
+                self.forecaster.observe(('street', street), now, occupancy)
@@ -0,0 +1,114 @@
+"""
+Message catalogs shared by the server and the pages.
+
+static/i18n/<language>.json holds one language's messages by key, with
+{name} placeholders, along with the language's own name and the locale the
+pages format numbers, prices and times in (see static/js/i18n.js). The
+server fills in API messages (AI suggestions, recommendation reasons) and
+page text from the same catalogs, and hands each page its catalog. A key
+missing from a catalog falls back to English.
+
+A request's language is the `lang` query parameter or cookie (set by the
+language switcher), else the best match in Accept-Language, else Odia,
+which most drivers prefer.
+
+Numbers use Indian digit grouping (12,34,567) with Western digits, as Intl
+does for en-IN, or-IN and hi-IN, so server text reads like page text.
+"""
+
+import json
+import os
+import re
+
+DEFAULT_LANGUAGE = 'or'
+FALLBACK_LANGUAGE = 'en'
+
+PLACEHOLDER = re.compile(r'\{(\w+)\}')
+
+CURRENCY_SYMBOLS = {'INR': '₹'}
+
+
+class MessageCatalogs:
+    """The messages of every language, looked up by language and key"""
+
+    def __init__(self, catalogs, default=DEFAULT_LANGUAGE):
+        if FALLBACK_LANGUAGE not in catalogs:
+            raise ValueError(f'The {FALLBACK_LANGUAGE} catalog is required: other languages fall back to it')
+        if default not in catalogs:
+            raise ValueError(f'No catalog for the default language {default}')
+        english = catalogs[FALLBACK_LANGUAGE]['messages']
+        for language, catalog in catalogs.items():
+            for key, text in catalog['messages'].items():
+                if key not in english:
+                    raise ValueError(f'{language} catalog: {key} is not in the {FALLBACK_LANGUAGE} catalog')
+                # A translation that drops or renames a placeholder would show the raw {name}
+                if set(PLACEHOLDER.findall(text)) != set(PLACEHOLDER.findall(english[key])):
+                    raise ValueError(f'{language} catalog: {key} must use the placeholders of the '
+                                     f'{FALLBACK_LANGUAGE} message')
+        self.catalogs = catalogs
+        self.default = default
+        print(f"🌐 Languages: {', '.join(catalog['name'] for catalog in catalogs.values())} (default {default})")
+
+    @classmethod
+    def from_directory(cls, path, default=DEFAULT_LANGUAGE):
+        catalogs = {}
+        for filename in sorted(os.listdir(path)):
+            if filename.endswith('.json'):
+                with open(os.path.join(path, filename), encoding='utf-8') as f:
+                    catalogs[filename[:-len('.json')]] = json.load(f)
+        return cls(catalogs, default)
+
+    def negotiate(self, requested=None, accept_languages=()):
+        """The requested language if there is a catalog for it, else the preferred one of
+        (tag, quality) pairs from Accept-Language that has a catalog, else the default"""
+        if requested in self.catalogs:
+            return requested
+        for tag, _ in sorted(accept_languages, key=lambda pair: pair[1], reverse=True):
+            language = tag.split('-')[0].lower()
+            if language in self.catalogs:
+                return language
+        return self.default
+
+    def languages(self):
+        """Code, own name and locale of each language, for the switcher"""
+        return [{'code': code, 'name': catalog['name'], 'locale': catalog['locale']}
+                for code, catalog in self.catalogs.items()]
+
+    def catalog(self, language):
+        """A language's catalog with English filling its gaps, as pages receive it"""
+        return {
+            'language': language,
+            'name': self.catalogs[language]['name'],
+            'locale': self.catalogs[language]['locale'],
+            'messages': {**self.catalogs[FALLBACK_LANGUAGE]['messages'], **self.catalogs[language]['messages']},
+        }
+
+    def t(self, language, key, **values):
+        """The message for `key` in `language` (or English) with its placeholders filled in"""
+        messages = self.catalogs.get(language, self.catalogs[self.default])['messages']
+        text = messages.get(key) or self.catalogs[FALLBACK_LANGUAGE]['messages'].get(key, key)
+        return PLACEHOLDER.sub(lambda match: str(values.get(match.group(1), match.group(0))), text)
+
+
+# --- Formatting ---
+def format_number(value, decimals=0):
+    """`value` with Indian digit grouping, e.g. 12,34,567.50"""
+    text = f'{abs(value):.{decimals}f}'
+    whole, _, fraction = text.partition('.')
+    # The last three digits form one group, the rest go in pairs
+    head, tail = whole[:-3], whole[-3:]
+    groups = [head[max(0, end - 2):end] for end in range(len(head), 0, -2)][::-1]
+    grouped = ','.join(groups + [tail])
+    return f"{'-' if value < 0 else ''}{grouped}{'.' + fraction if fraction else ''}"
+
+
+def format_currency(amount, currency='INR'):
+    """An amount with its currency symbol (or code); paise only when there are any"""
+    number = format_number(amount, 0 if float(amount).is_integer() else 2)
+    symbol = CURRENCY_SYMBOLS.get(currency)
+    return f'{symbol}{number}' if symbol else f'{number} {currency}'
+
+
+def format_percent(share):
+    """A 0..1 share as a whole percentage"""
+    return f'{round(share * 100)}%'
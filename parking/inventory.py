@@ -0,0 +1,567 @@
+"""
+Operator inventory of tariff zones, parking lots and street slots.
+
+`ParkingInventory` keeps what exists on the ground in SQLite, seeded on first
+run from the built-in tariff zones, lots and street layout. `InventoryAdmin`
+validates edits from the admin console, writes them and applies them to the
+running models, so a new lot or a slot closed for maintenance shows up on
+every page without a restart.
+
+Street slots are drawn as polygons of [lat, lng] vertices; their position is
+the polygon's centroid. Lots and slots also carry amenities (vehicle class,
+accessibility, EV charging, cover, height limit; see parking/amenities.py).
+"""
+
+import json
+import math
+import os
+import re
+import sqlite3
+import threading
+
+from .amenities import DEFAULT_LOT_AMENITIES, DEFAULT_SLOT_AMENITIES, lot_amenities, slot_amenities
+from .lot_model import DEMAND_PROFILES
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS zones (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    street_rate REAL NOT NULL,
+    garage_rate REAL NOT NULL
+);
+CREATE TABLE IF NOT EXISTS lots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    zone TEXT NOT NULL REFERENCES zones (id),
+    lot_type TEXT NOT NULL,
+    lat REAL NOT NULL,
+    lng REAL NOT NULL,
+    capacity INTEGER NOT NULL,
+    city TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS slots (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    street TEXT NOT NULL,
+    zone TEXT NOT NULL REFERENCES zones (id),
+    demand TEXT NOT NULL,
+    polygon TEXT NOT NULL,
+    closed INTEGER NOT NULL DEFAULT 0
+);
+-- Kept apart from lots and slots so inventories created before amenities need no migration
+CREATE TABLE IF NOT EXISTS lot_amenities (
+    lot_id INTEGER PRIMARY KEY,
+    amenities TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS slot_amenities (
+    slot_id TEXT PRIMARY KEY,
+    amenities TEXT NOT NULL
+);
+-- Cities whose built-in lots were seeded, so a city rolled out later is seeded once
+CREATE TABLE IF NOT EXISTS seeded_cities (
+    city TEXT PRIMARY KEY
+);
+-- Likewise the cities whose built-in street slots were seeded
+CREATE TABLE IF NOT EXISTS seeded_slot_cities (
+    city TEXT PRIMARY KEY
+);
+"""
+
+# Amenity tables of the lots and slots tables, cleared with them
+AMENITY_TABLES = {'lots': ('lot_amenities', 'lot_id'), 'slots': ('slot_amenities', 'slot_id')}
+LOT_COLUMNS = 'lots.id, name, zone, lot_type, lat, lng, capacity, city, lot_amenities.amenities'
+LOT_FROM = 'lots LEFT JOIN lot_amenities ON lot_amenities.lot_id = lots.id'
+SLOT_COLUMNS = 'slots.id, name, street, zone, demand, polygon, closed, slot_amenities.amenities'
+SLOT_FROM = 'slots LEFT JOIN slot_amenities ON slot_amenities.slot_id = slots.id'
+
+# Footprint given to the seeded slots, which start out as points (metres)
+SEED_SLOT_LENGTH_M = 5.0
+SEED_SLOT_WIDTH_M = 2.5
+
+DEFAULT_CITY = 'Bhubaneswar'
+MAX_CAPACITY = 5000
+MAX_RATE = 10000
+MAX_POLYGON_VERTICES = 50
+ZONE_ID_PATTERN = re.compile(r'^[a-z0-9][a-z0-9_-]{0,31}$')
+
+
+class InventoryError(Exception):
+    """Raised for inventory edits that are invalid or conflict; carries an HTTP status"""
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+def default_inventory_path():
+    """PARKING_INVENTORY_DB, or instance/parking_inventory.db next to the app"""
+    root = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+    return os.environ.get('PARKING_INVENTORY_DB') or os.path.join(root, 'instance', 'parking_inventory.db')
+
+
+def slot_footprint(lat, lng, length_m=SEED_SLOT_LENGTH_M, width_m=SEED_SLOT_WIDTH_M):
+    """Rectangle of [lat, lng] vertices centred on a point, long side east-west"""
+    d_lat = width_m / 2 / 111320
+    d_lng = length_m / 2 / (111320 * math.cos(math.radians(lat)))
+    return [
+        [round(lat - d_lat, 7), round(lng - d_lng, 7)],
+        [round(lat - d_lat, 7), round(lng + d_lng, 7)],
+        [round(lat + d_lat, 7), round(lng + d_lng, 7)],
+        [round(lat + d_lat, 7), round(lng - d_lng, 7)],
+    ]
+
+
+def polygon_centroid(polygon):
+    """Mean of the vertices; close enough for slot-sized polygons"""
+    return (
+        round(sum(point[0] for point in polygon) / len(polygon), 6),
+        round(sum(point[1] for point in polygon) / len(polygon), 6),
+    )
+
+
+class ParkingInventory:
+    """SQLite-backed zones, lots and street slots"""
+
+    def __init__(self, path=None):
+        self.path = path or default_inventory_path()
+        if self.path != ':memory:':
+            os.makedirs(os.path.dirname(self.path) or '.', exist_ok=True)
+        self._lock = threading.Lock()
+        self._db = sqlite3.connect(self.path, check_same_thread=False)
+        self._db.executescript(SCHEMA)
+        print(f"🗂️ Parking inventory at {self.path}")
+
+    def seed(self, zones, lots, slots):
+        """Fill each empty table from the built-in definitions.
+
+        Lots and street slots are seeded city by city: a city's built-in lots
+        go in once, when the inventory has no lot in that city yet, and its
+        slots once, so a new city arrives in an existing inventory and a city
+        whose lots or slots were removed stays empty.
+        """
+        with self._lock, self._db:
+            if not self._count('zones'):
+                self._db.executemany(
+                    'INSERT INTO zones (id, name, street_rate, garage_rate) VALUES (?, ?, ?, ?)',
+                    [(zone_id, zone['name'], zone['street_rate'], zone['garage_rate'])
+                     for zone_id, zone in zones.items()],
+                )
+            # Only the seeded lots that still exist get their built-in amenities
+            if not self._count('lot_amenities'):
+                self._db.executemany(
+                    'INSERT INTO lot_amenities (lot_id, amenities) SELECT id, ? FROM lots WHERE name = ?',
+                    [(json.dumps(lot['amenities']), lot['name']) for lot in lots if lot.get('amenities')],
+                )
+            self._seed_lots(lots)
+            # Likewise the seeded slots
+            if not self._count('slot_amenities'):
+                self._db.executemany(
+                    'INSERT INTO slot_amenities (slot_id, amenities) SELECT id, ? FROM slots WHERE id = ?',
+                    [(json.dumps(slot['amenities']), slot['id']) for slot in slots if slot.get('amenities')],
+                )
+            self._seed_slots(slots)
+
+    def _seed_lots(self, lots):
+        cities = {}
+        for lot in lots:
+            cities.setdefault(lot.get('city', DEFAULT_CITY), []).append(lot)
+        seeded = {city for city, in self._db.execute('SELECT city FROM seeded_cities')}
+        for city, city_lots in cities.items():
+            if city in seeded:
+                continue
+            if not self._db.execute('SELECT 1 FROM lots WHERE city = ? LIMIT 1', (city,)).fetchone():
+                self._db.executemany(
+                    'INSERT OR IGNORE INTO lots (name, zone, lot_type, lat, lng, capacity, city) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [(lot['name'], lot['zone'], lot['lot_type'], lot['location'][0], lot['location'][1],
+                      lot['capacity'], city) for lot in city_lots],
+                )
+                self._db.executemany(
+                    'INSERT OR IGNORE INTO lot_amenities (lot_id, amenities) SELECT id, ? FROM lots WHERE name = ?',
+                    [(json.dumps(lot['amenities']), lot['name']) for lot in city_lots if lot.get('amenities')],
+                )
+            self._db.execute('INSERT INTO seeded_cities (city) VALUES (?)', (city,))
+
+    def _seed_slots(self, slots):
+        cities = {}
+        for slot in slots:
+            cities.setdefault(slot.get('city', DEFAULT_CITY), []).append(slot)
+        seeded = {city for city, in self._db.execute('SELECT city FROM seeded_slot_cities')}
+        if not seeded and self._count('slots'):
+            # Inventories from before slots were seeded by city hold Bhubaneswar's
+            seeded.add(DEFAULT_CITY)
+            self._db.execute('INSERT INTO seeded_slot_cities (city) VALUES (?)', (DEFAULT_CITY,))
+        taken = {slot_id for slot_id, in self._db.execute('SELECT id FROM slots')}
+        for city, city_slots in cities.items():
+            if city in seeded:
+                continue
+            rows, amenities = [], []
+            for slot in city_slots:
+                slot_id = slot['id']
+                if slot_id in taken:
+                    # An operator's slot has the built-in id: the new one goes after the last
+                    slot_id = f'street_{max(_natural_key(taken_id)[1] for taken_id in taken) + 1}'
+                taken.add(slot_id)
+                rows.append((slot_id, slot['name'], slot['street'], slot['zone'], slot['demand'],
+                             json.dumps(slot.get('polygon') or slot_footprint(slot['lat'], slot['lng']))))
+                if slot.get('amenities'):
+                    amenities.append((slot_id, json.dumps(slot['amenities'])))
+            self._db.executemany(
+                'INSERT INTO slots (id, name, street, zone, demand, polygon, closed) VALUES (?, ?, ?, ?, ?, ?, 0)', rows)
+            self._db.executemany('INSERT OR REPLACE INTO slot_amenities (slot_id, amenities) VALUES (?, ?)', amenities)
+            self._db.execute('INSERT INTO seeded_slot_cities (city) VALUES (?)', (city,))
+
+    def _count(self, table):
+        return self._db.execute(f'SELECT COUNT(*) FROM {table}').fetchone()[0]
+
+    # --- Reads ---
+    def zones(self):
+        """Zone id -> name and base rates, the shape of a tariff's `zones`"""
+        rows = self._query('SELECT id, name, street_rate, garage_rate FROM zones ORDER BY id')
+        return {
+            zone_id: {'name': name, 'street_rate': street_rate, 'garage_rate': garage_rate}
+            for zone_id, name, street_rate, garage_rate in rows
+        }
+
+    def lots(self):
+        rows = self._query(f'SELECT {LOT_COLUMNS} FROM {LOT_FROM} ORDER BY lots.id')
+        return [self._lot(row) for row in rows]
+
+    def lot(self, lot_id):
+        rows = self._query(f'SELECT {LOT_COLUMNS} FROM {LOT_FROM} WHERE lots.id = ?', (lot_id,))
+        return self._lot(rows[0]) if rows else None
+
+    def slots(self):
+        rows = self._query(f'SELECT {SLOT_COLUMNS} FROM {SLOT_FROM}')
+        # Numeric order of the street_N ids, so the seeded layout keeps its order
+        return sorted((self._slot(row) for row in rows), key=lambda slot: _natural_key(slot['id']))
+
+    def slot(self, slot_id):
+        rows = self._query(f'SELECT {SLOT_COLUMNS} FROM {SLOT_FROM} WHERE slots.id = ?', (slot_id,))
+        return self._slot(rows[0]) if rows else None
+
+    def zone_usage(self, zone_id):
+        """How many lots and slots are priced in a zone"""
+        lots = self._query('SELECT COUNT(*) FROM lots WHERE zone = ?', (zone_id,))[0][0]
+        slots = self._query('SELECT COUNT(*) FROM slots WHERE zone = ?', (zone_id,))[0][0]
+        return lots + slots
+
+    def next_slot_id(self):
+        numbers = [_natural_key(row[0])[1] for row in self._query('SELECT id FROM slots')]
+        return f'street_{max(numbers, default=0) + 1}'
+
+    def _query(self, query, params=()):
+        with self._lock:
+            return self._db.execute(query, params).fetchall()
+
+    @staticmethod
+    def _lot(row):
+        lot_id, name, zone, lot_type, lat, lng, capacity, city, amenities = row
+        return {'id': lot_id, 'name': name, 'zone': zone, 'lot_type': lot_type,
+                'location': (lat, lng), 'capacity': capacity, 'city': city,
+                'amenities': {**DEFAULT_LOT_AMENITIES, **json.loads(amenities or '{}')}}
+
+    @staticmethod
+    def _slot(row):
+        slot_id, name, street, zone, demand, polygon, closed, amenities = row
+        polygon = json.loads(polygon)
+        lat, lng = polygon_centroid(polygon)
+        return {'id': slot_id, 'name': name, 'street': street, 'zone': zone, 'demand': demand,
+                'lat': lat, 'lng': lng, 'polygon': polygon, 'closed': bool(closed),
+                'amenities': {**DEFAULT_SLOT_AMENITIES, **json.loads(amenities or '{}')}}
+
+    # --- Writes ---
+    def save_zone(self, zone_id, zone):
+        with self._lock, self._db:
+            self._db.execute(
+                'INSERT INTO zones (id, name, street_rate, garage_rate) VALUES (?, ?, ?, ?) '
+                'ON CONFLICT (id) DO UPDATE SET name = excluded.name, '
+                'street_rate = excluded.street_rate, garage_rate = excluded.garage_rate',
+                (zone_id, zone['name'], zone['street_rate'], zone['garage_rate']),
+            )
+
+    def save_lot(self, lot):
+        """Insert a lot without an id or update the one with it; returns the id"""
+        values = (lot['name'], lot['zone'], lot['lot_type'], lot['location'][0], lot['location'][1],
+                  lot['capacity'], lot['city'])
+        with self._lock, self._db:
+            if lot.get('id') is None:
+                lot_id = self._db.execute(
+                    'INSERT INTO lots (name, zone, lot_type, lat, lng, capacity, city) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    values).lastrowid
+            else:
+                lot_id = lot['id']
+                self._db.execute(
+                    'UPDATE lots SET name = ?, zone = ?, lot_type = ?, lat = ?, lng = ?, capacity = ?, city = ? '
+                    'WHERE id = ?', values + (lot_id,))
+            self._db.execute('INSERT OR REPLACE INTO lot_amenities (lot_id, amenities) VALUES (?, ?)',
+                             (lot_id, json.dumps(lot['amenities'])))
+            return lot_id
+
+    def save_slot(self, slot):
+        with self._lock, self._db:
+            self._db.execute(
+                'INSERT INTO slots (id, name, street, zone, demand, polygon, closed) VALUES (?, ?, ?, ?, ?, ?, ?) '
+                'ON CONFLICT (id) DO UPDATE SET name = excluded.name, street = excluded.street, '
+                'zone = excluded.zone, demand = excluded.demand, polygon = excluded.polygon, '
+                'closed = excluded.closed',
+                (slot['id'], slot['name'], slot['street'], slot['zone'], slot['demand'],
+                 json.dumps(slot['polygon']), int(slot['closed'])),
+            )
+            self._db.execute('INSERT OR REPLACE INTO slot_amenities (slot_id, amenities) VALUES (?, ?)',
+                             (slot['id'], json.dumps(slot['amenities'])))
+
+    def delete(self, table, key):
+        with self._lock, self._db:
+            self._db.execute(f'DELETE FROM {table} WHERE id = ?', (key,))
+            if table in AMENITY_TABLES:
+                amenity_table, column = AMENITY_TABLES[table]
+                self._db.execute(f'DELETE FROM {amenity_table} WHERE {column} = ?', (key,))
+
+
+class InventoryAdmin:
+    """Validated create, update and delete of zones, lots and slots, applied to the live models"""
+
+    def __init__(self, inventory, lot_model, street_slots, pricing, regions=None):
+        self.inventory = inventory
+        self.lot_model = lot_model
+        self.street_slots = street_slots
+        self.pricing = pricing
+        self.regions = regions
+        self._lock = threading.Lock()
+
+    def snapshot(self):
+        """Everything the admin console draws"""
+        return {
+            'zones': self.zones(),
+            'lots': [self.lot_dict(lot) for lot in self.inventory.lots()],
+            'slots': [self.slot_dict(slot) for slot in self.inventory.slots()],
+            'lot_types': list(DEMAND_PROFILES),
+        }
+
+    # --- Zones ---
+    def zones(self):
+        return [
+            {'id': zone_id, **zone, 'in_use': self.inventory.zone_usage(zone_id)}
+            for zone_id, zone in self.inventory.zones().items()
+        ]
+
+    def save_zone(self, zone_id, body, create=False):
+        body = _object(body, 'zone')
+        if create and not isinstance(zone_id, str):
+            raise InventoryError('Zone id must be lowercase letters, digits, "-" or "_" (up to 32)')
+        with self._lock:
+            existing = self.inventory.zones().get(zone_id)
+            if create and existing is not None:
+                raise InventoryError(f'Zone {zone_id} already exists', 409)
+            if not create and existing is None:
+                raise InventoryError(f'Unknown zone: {zone_id}', 404)
+            if create and not ZONE_ID_PATTERN.match(zone_id or ''):
+                raise InventoryError('Zone id must be lowercase letters, digits, "-" or "_" (up to 32)')
+            merged = {**(existing or {}), **body}
+            zone = {
+                'name': _text(merged.get('name'), 'name', 60),
+                'street_rate': _number(merged.get('street_rate'), 'street_rate', 0, MAX_RATE),
+                'garage_rate': _number(merged.get('garage_rate'), 'garage_rate', 0, MAX_RATE),
+            }
+            self.inventory.save_zone(zone_id, zone)
+            self.pricing.set_zones(self.inventory.zones())
+        print(f"🗂️ Zone {zone_id} saved")
+        return {'id': zone_id, **zone, 'in_use': self.inventory.zone_usage(zone_id)}
+
+    def delete_zone(self, zone_id):
+        with self._lock:
+            if zone_id not in self.inventory.zones():
+                raise InventoryError(f'Unknown zone: {zone_id}', 404)
+            if self.inventory.zone_usage(zone_id):
+                raise InventoryError(f'Zone {zone_id} still prices lots or slots; move them first', 409)
+            self.inventory.delete('zones', zone_id)
+            self.pricing.set_zones(self.inventory.zones())
+
+    # --- Lots ---
+    def lot_dict(self, lot):
+        live = self.lot_model.lots.get(lot['name'])
+        status = self.lot_model.lot_status(live) if live else None
+        return {
+            'id': lot['id'],
+            'name': lot['name'],
+            'zone': lot['zone'],
+            'lot_type': lot['lot_type'],
+            'lat': lot['location'][0],
+            'lng': lot['location'][1],
+            'capacity': lot['capacity'],
+            'city': lot['city'],
+            'amenities': lot['amenities'],
+            'occupied_slots': status['occupied_slots'] if status else None,
+        }
+
+    def save_lot(self, lot_id, body):
+        """Create a lot (lot_id None) or update one from the fields given"""
+        body = _object(body, 'lot')
+        with self._lock:
+            existing = self.inventory.lot(lot_id) if lot_id is not None else None
+            if lot_id is not None and existing is None:
+                raise InventoryError(f'Unknown lot: {lot_id}', 404)
+            location = existing['location'] if existing else (None, None)
+            lat, lng = body.get('lat', location[0]), body.get('lng', location[1])
+            merged = {**(existing or {'city': DEFAULT_CITY}),
+                      **{key: value for key, value in body.items() if key not in ('id', 'lat', 'lng', 'location')}}
+
+            lot = {
+                'id': lot_id,
+                'name': _text(merged.get('name'), 'name', 80),
+                'zone': self._zone(merged.get('zone')),
+                'lot_type': _choice(merged.get('lot_type'), 'lot_type', DEMAND_PROFILES),
+                'location': _location(lat, lng),
+                'capacity': int(_number(merged.get('capacity'), 'capacity', 1, MAX_CAPACITY, integer=True)),
+                'city': _text(merged.get('city'), 'city', 60),
+            }
+            lot['amenities'] = lot_amenities(body.get('amenities'), lot['capacity'],
+                                             existing['amenities'] if existing else None)
+            self._region_of(lot['location'], 'The lot')
+            clash = next((other for other in self.inventory.lots()
+                          if other['name'] == lot['name'] and other['id'] != lot_id), None)
+            if clash:
+                raise InventoryError(f"A lot called {lot['name']} already exists", 409)
+
+            lot['id'] = self.inventory.save_lot(lot)
+            self.lot_model.put_lot(lot, previous_name=existing['name'] if existing else None)
+        print(f"🗂️ Lot {lot['name']} saved")
+        return self.lot_dict(lot)
+
+    def delete_lot(self, lot_id):
+        with self._lock:
+            lot = self.inventory.lot(lot_id)
+            if lot is None:
+                raise InventoryError(f'Unknown lot: {lot_id}', 404)
+            self.inventory.delete('lots', lot_id)
+            self.lot_model.remove_lot(lot['name'])
+
+    # --- Slots ---
+    def slot_dict(self, slot):
+        live = self.street_slots.get(slot['id'])
+        return {
+            **slot,
+            'available': live['available'] if live else False,
+            'reserved': live['reserved'] if live else False,
+        }
+
+    def save_slot(self, slot_id, body):
+        """Create a slot (slot_id None) or update one; `closed` takes it out for maintenance"""
+        body = _object(body, 'slot')
+        with self._lock:
+            existing = self.inventory.slot(slot_id) if slot_id is not None else None
+            if slot_id is not None and existing is None:
+                raise InventoryError(f'Unknown parking slot: {slot_id}', 404)
+            merged = {**(existing or {'closed': False}), **{k: v for k, v in body.items() if k != 'id'}}
+
+            street = _text(merged.get('street'), 'street', 80)
+            polygon = _polygon(merged.get('polygon'))
+            lat, lng = polygon_centroid(polygon)
+            region = self._region_of((lat, lng), 'The slot')
+            if region is not None and not all(region.contains(*point) for point in polygon):
+                raise InventoryError(f'The slot polygon must lie inside {region.name}')
+            slot = {
+                'id': slot_id or self.inventory.next_slot_id(),
+                'street': street,
+                'zone': self._zone(merged.get('zone')),
+                'demand': _choice(merged.get('demand'), 'demand', DEMAND_PROFILES),
+                'polygon': polygon,
+                'lat': lat,
+                'lng': lng,
+                'closed': _flag(merged.get('closed'), 'closed'),
+                'amenities': slot_amenities(body.get('amenities'), existing['amenities'] if existing else None),
+            }
+            if merged.get('name'):
+                slot['name'] = _text(merged['name'], 'name', 80)
+            else:
+                on_street = sum(1 for other in self.inventory.slots() if other['street'] == street)
+                slot['name'] = f'{street} - Slot {on_street + 1}'
+
+            live = self.street_slots.get(slot['id'])
+            if live and live['reserved'] and slot['closed']:
+                raise InventoryError('This slot is held for a reservation; close it once the hold ends', 409)
+
+            self.inventory.save_slot(slot)
+            self.street_slots.put_slot(slot)
+        print(f"🗂️ Slot {slot['id']} saved{' (closed)' if slot['closed'] else ''}")
+        return self.slot_dict(slot)
+
+    def delete_slot(self, slot_id):
+        with self._lock:
+            if self.inventory.slot(slot_id) is None:
+                raise InventoryError(f'Unknown parking slot: {slot_id}', 404)
+            if self.street_slots.get(slot_id) and not self.street_slots.remove_slot(slot_id):
+                raise InventoryError('This slot is held for a reservation; delete it once the hold ends', 409)
+            self.inventory.delete('slots', slot_id)
+
+    def _region_of(self, location, what):
+        """The region containing `location`, refusing one outside every region"""
+        if self.regions is None:
+            return None
+        region = self.regions.locate(*location)
+        if region is None:
+            raise InventoryError(f'{what} is outside the areas we cover: '
+                                 f'{", ".join(region.name for region in self.regions.regions.values())}')
+        return region
+
+    def _zone(self, zone_id):
+        if zone_id not in self.inventory.zones():
+            raise InventoryError(f'Unknown zone: {zone_id}')
+        return zone_id
+
+
+def _object(body, what):
+    if not isinstance(body, dict):
+        raise InventoryError(f'Send the {what} as a JSON object')
+    return body
+
+
+def _natural_key(slot_id):
+    prefix, _, number = slot_id.rpartition('_')
+    return (prefix, int(number)) if number.isdigit() else (slot_id, 0)
+
+
+def _text(value, field, max_length):
+    if not isinstance(value, str) or not value.strip():
+        raise InventoryError(f'{field} is required')
+    if len(value.strip()) > max_length:
+        raise InventoryError(f'{field} must be at most {max_length} characters')
+    return value.strip()
+
+
+def _number(value, field, minimum, maximum, integer=False):
+    if isinstance(value, bool) or not isinstance(value, (int, float)):
+        raise InventoryError(f'{field} must be a number')
+    if integer and value != int(value):
+        raise InventoryError(f'{field} must be a whole number')
+    if not minimum <= value <= maximum:
+        raise InventoryError(f'{field} must be between {minimum} and {maximum}')
+    return value
+
+
+def _flag(value, field):
+    if not isinstance(value, bool):
+        raise InventoryError(f'{field} must be true or false')
+    return value
+
+
+def _choice(value, field, choices):
+    if value not in choices:
+        raise InventoryError(f"{field} must be one of: {', '.join(choices)}")
+    return value
+
+
+def _location(lat, lng):
+    return (_number(lat, 'lat', -90, 90), _number(lng, 'lng', -180, 180))
+
+
+def _polygon(polygon):
+    if not isinstance(polygon, list) or not 3 <= len(polygon) <= MAX_POLYGON_VERTICES:
+        raise InventoryError(f'polygon must be a list of 3 to {MAX_POLYGON_VERTICES} [lat, lng] points')
+    points = []
+    for point in polygon:
+        if not isinstance(point, (list, tuple)) or len(point) != 2:
+            raise InventoryError('polygon points must be [lat, lng] pairs')
+        points.append(list(_location(*point)))
+    return points
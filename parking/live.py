@@ -0,0 +1,177 @@
+"""
+Server-sent events for live slot, lot and signal updates.
+
+`EventBroker` fans messages out to one queue per connected client.
+`LiveUpdatePublisher` runs a background thread while anyone is listening:
+it advances the models and publishes only what changed since the previous
+tick. Changes are found by diffing against the last published state, so
+updates made through the REST endpoints are picked up as well.
+"""
+
+import json
+import queue
+import threading
+import time
+
+TICK_SECONDS = 2.0
+PREDICTION_MIN_INTERVAL_SECONDS = 30.0
+# Each open stream holds a server thread, so the cap stays well below the
+# worker's thread count to leave threads free for REST requests
+MAX_SUBSCRIBERS = 48
+
+
+def format_sse(event, data):
+    """Encode one server-sent event"""
+    return f'event: {event}\ndata: {json.dumps(data, separators=(",", ":"))}\n\n'
+
+
+class EventBroker:
+    """Fan-out of encoded events to subscriber queues"""
+
+    def __init__(self, max_queue=256, max_subscribers=MAX_SUBSCRIBERS):
+        self._lock = threading.Lock()
+        self._subscribers = set()
+        self._max_queue = max_queue
+        self._max_subscribers = max_subscribers
+
+    @property
+    def subscriber_count(self):
+        with self._lock:
+            return len(self._subscribers)
+
+    def subscribe(self):
+        """A new subscriber queue, or None when the broker already has its maximum"""
+        subscription = queue.Queue(maxsize=self._max_queue)
+        with self._lock:
+            if len(self._subscribers) >= self._max_subscribers:
+                return None
+            self._subscribers.add(subscription)
+        return subscription
+
+    def unsubscribe(self, subscription):
+        with self._lock:
+            self._subscribers.discard(subscription)
+
+    def publish(self, event, data):
+        message = format_sse(event, data)
+        with self._lock:
+            subscribers = list(self._subscribers)
+        for subscription in subscribers:
+            try:
+                subscription.put_nowait(message)
+            except queue.Full:
+                # A client that stopped reading is cut off; its browser reconnects
+                # and starts again from a fresh snapshot
+                self.unsubscribe(subscription)
+                self._close(subscription)
+
+    @staticmethod
+    def _close(subscription):
+        while True:
+            try:
+                subscription.get_nowait()
+            except queue.Empty:
+                break
+        subscription.put_nowait(None)
+
+
+class LiveUpdatePublisher:
+    """Background ticker that turns model changes into `lots`, `slots`, `junctions` and `predictions` events"""
+
+    def __init__(self, broker, lot_model, street_slots, interval=TICK_SECONDS, on_tick=()):
+        self.broker = broker
+        self.lot_model = lot_model
+        self.street_slots = street_slots
+        self.interval = interval
+        # Extra housekeeping run before each diff, e.g. expiring reservation holds
+        self.on_tick = list(on_tick)
+        self._thread = None
+        self._start_lock = threading.Lock()
+        self._state_lock = threading.Lock()
+        self._slot_versions = {}
+        self._lot_occupancy = {}
+        self._junction_phases = {}
+        self._last_predictions = 0.0
+
+    def ensure_running(self):
+        """Start the ticker thread on first use"""
+        with self._start_lock:
+            if self._thread is None or not self._thread.is_alive():
+                with self._state_lock:
+                    self._remember_state(time.time())
+                self._thread = threading.Thread(target=self._run, name='live-updates', daemon=True)
+                self._thread.start()
+
+    def _run(self):
+        while True:
+            time.sleep(self.interval)
+            if self.broker.subscriber_count:
+                try:
+                    self.tick()
+                except Exception as error:  # keep the stream alive for everyone else
+                    print(f"⚠️ Live update tick failed: {error}")
+
+    def snapshot(self, now=None):
+        """Full lot, junction and prediction state for a newly connected client.
+
+        Street slots are not included: which slots matter depends on the
+        client's location, so pages load them over REST and then apply deltas.
+        """
+        now = now if now is not None else time.time()
+        self.lot_model.advance(now)
+        return {
+            'stats': self.lot_model.system_stats(),
+            'lots': self.lot_model.parking_status(),
+            'junctions': self.lot_model.junction_status(now),
+            'predictions': self.lot_model.predictions(now),
+            'timestamp': now,
+        }
+
+    def tick(self, now=None):
+        """Advance the models and publish the deltas since the last tick"""
+        now = now if now is not None else time.time()
+        for callback in self.on_tick:
+            callback(now)
+        self.lot_model.advance(now)
+        self.street_slots.advance(now)
+
+        with self._state_lock:
+            changed_slots = [
+                self.street_slots.to_dict(slot) for slot_id, slot in self.street_slots.slots.items()
+                if self._slot_versions.get(slot_id) != slot['version']
+            ]
+            lots = self.lot_model.parking_status()
+            changed_lots = {
+                name: status for name, status in lots.items()
+                if self._lot_occupancy.get(name) != status['occupied_slots']
+            }
+            junctions = self.lot_model.junction_status(now)
+            changed_junctions = {
+                junction_id: status for junction_id, status in junctions.items()
+                if self._junction_phases.get(junction_id) != status['current_phase']
+            }
+            self._remember_state(now, lots, junctions)
+
+        if changed_slots:
+            self.broker.publish('slots', {'slots': changed_slots, 'timestamp': now})
+        if changed_lots:
+            self.broker.publish('lots', {
+                'lots': changed_lots,
+                'stats': self.lot_model.system_stats(),
+                'timestamp': now,
+            })
+        if changed_junctions:
+            self.broker.publish('junctions', {'junctions': changed_junctions, 'timestamp': now})
+        if changed_lots and now - self._last_predictions >= PREDICTION_MIN_INTERVAL_SECONDS:
+            self._last_predictions = now
+            self.broker.publish('predictions', {
+                'predictions': self.lot_model.predictions(now),
+                'timestamp': now,
+            })
+
+    def _remember_state(self, now, lots=None, junctions=None):
+        lots = lots if lots is not None else self.lot_model.parking_status()
+        junctions = junctions if junctions is not None else self.lot_model.junction_status(now)
+        self._slot_versions = {slot_id: slot['version'] for slot_id, slot in self.street_slots.slots.items()}
+        self._lot_occupancy = {name: status['occupied_slots'] for name, status in lots.items()}
+        self._junction_phases = {junction_id: status['current_phase'] for junction_id, status in junctions.items()}
@@ -0,0 +1,375 @@
+"""
+In-memory parking lot model shared by the dashboard endpoints.
+
+Lots belong to tariff zones and hold individual slots. Occupancy evolves
+through simulated arrivals and departures between requests, and junction
+signals come from the shared signal controller simulation, so every endpoint
+reads one consistent state instead of rolling fresh random numbers.
+
+Lots and junctions sit at real positions in each region (see
+parking/regions.py) as (lat, lng) and distances are great-circle
+kilometres, the same coordinates the street-slot registry and the Leaflet
+pages use. Queries take an optional region and then only cover what lies
+inside it. Lots come from the operator inventory
+(seeded from LOT_DEFINITIONS) and can be added, edited or removed while the
+model runs. A lot with a gate controller (see parking/sensors.py) counts
+the cars through its gate instead of simulating them.
+"""
+
+import math
+import random
+import threading
+import time
+
+from .amenities import DEFAULT_LOT_AMENITIES
+from .forecast import OccupancyForecaster
+from .geo import haversine_m
+from .pricing import TariffModel
+from .regions import in_region, local_time, region_at
+from .signals import SignalNetwork
+
+# `zone` names the tariff zone whose garage rate the lot charges
+# `amenities` describe the lot as a whole (see parking/amenities.py)
+# `city` groups the lots for seeding; lots without one are in Bhubaneswar
+LOT_DEFINITIONS = [
+    {'name': 'Downtown Plaza', 'zone': 'central', 'lot_type': 'business', 'location': (20.2710, 85.8400), 'capacity': 40,
+     'amenities': {'vehicle_classes': ['bike', 'car'], 'accessible_spaces': 3, 'ev_spaces': 4, 'ev_connector': 'type2',
+                   'ev_power_kw': 7.4, 'covered': True, 'max_height_m': 2.1}},
+    {'name': 'Shopping Mall', 'zone': 'commercial', 'lot_type': 'shopping', 'location': (20.2935, 85.8565), 'capacity': 60,
+     'amenities': {'vehicle_classes': ['bike', 'car'], 'accessible_spaces': 4, 'ev_spaces': 6, 'ev_connector': 'ccs2',
+                   'ev_power_kw': 60, 'covered': True, 'max_height_m': 2.2}},
+    {'name': 'Train Station', 'zone': 'transit', 'lot_type': 'transit', 'location': (20.2660, 85.8440), 'capacity': 50,
+     'amenities': {'vehicle_classes': ['bike', 'car', 'van'], 'accessible_spaces': 3, 'ev_spaces': 0, 'ev_connector': None,
+                   'ev_power_kw': None, 'covered': False, 'max_height_m': None}},
+    {'name': 'Office Complex', 'zone': 'suburban', 'lot_type': 'business', 'location': (20.3460, 85.8100), 'capacity': 35,
+     'amenities': {'vehicle_classes': ['car'], 'accessible_spaces': 2, 'ev_spaces': 4, 'ev_connector': 'bharat_dc001',
+                   'ev_power_kw': 15, 'covered': True, 'max_height_m': 2.3}},
+    {'name': 'City Park', 'zone': 'suburban', 'lot_type': 'leisure', 'location': (20.3025, 85.8180), 'capacity': 25,
+     'amenities': {'vehicle_classes': ['bike', 'car'], 'accessible_spaces': 2, 'ev_spaces': 0, 'ev_connector': None,
+                   'ev_power_kw': None, 'covered': False, 'max_height_m': None}},
+    {'name': 'Cuttack Railway Station', 'city': 'Cuttack', 'zone': 'transit', 'lot_type': 'transit',
+     'location': (20.4700, 85.8905), 'capacity': 40,
+     'amenities': {'vehicle_classes': ['bike', 'car', 'van'], 'accessible_spaces': 2, 'ev_spaces': 2, 'ev_connector': 'type2',
+                   'ev_power_kw': 7.4, 'covered': False, 'max_height_m': None}},
+    {'name': 'Buxi Bazaar', 'city': 'Cuttack', 'zone': 'commercial', 'lot_type': 'shopping',
+     'location': (20.4665, 85.8795), 'capacity': 35,
+     'amenities': {'vehicle_classes': ['bike', 'car'], 'accessible_spaces': 2, 'ev_spaces': 0, 'ev_connector': None,
+                   'ev_power_kw': None, 'covered': True, 'max_height_m': 2.1}},
+    {'name': 'Barabati Stadium', 'city': 'Cuttack', 'zone': 'suburban', 'lot_type': 'leisure',
+     'location': (20.4780, 85.8680), 'capacity': 30,
+     'amenities': {'vehicle_classes': ['bike', 'car', 'van'], 'accessible_spaces': 2, 'ev_spaces': 0, 'ev_connector': None,
+                   'ev_power_kw': None, 'covered': False, 'max_height_m': None}},
+    {'name': 'Jagannath Temple Parking', 'city': 'Puri', 'zone': 'central', 'lot_type': 'leisure',
+     'location': (19.8080, 85.8220), 'capacity': 60,
+     'amenities': {'vehicle_classes': ['bike', 'car', 'van'], 'accessible_spaces': 4, 'ev_spaces': 4, 'ev_connector': 'ccs2',
+                   'ev_power_kw': 30, 'covered': False, 'max_height_m': None}},
+    {'name': 'Puri Beach Parking', 'city': 'Puri', 'zone': 'suburban', 'lot_type': 'leisure',
+     'location': (19.7975, 85.8280), 'capacity': 40,
+     'amenities': {'vehicle_classes': ['bike', 'car'], 'accessible_spaces': 2, 'ev_spaces': 0, 'ev_connector': None,
+                   'ev_power_kw': None, 'covered': False, 'max_height_m': None}},
+    {'name': 'Puri Railway Station', 'city': 'Puri', 'zone': 'transit', 'lot_type': 'transit',
+     'location': (19.8160, 85.8310), 'capacity': 30,
+     'amenities': {'vehicle_classes': ['bike', 'car', 'van'], 'accessible_spaces': 2, 'ev_spaces': 0, 'ev_connector': None,
+                   'ev_power_kw': None, 'covered': False, 'max_height_m': None}},
+]
+
+# Target occupancy by hour of day (0-23) for each kind of lot
+DEMAND_PROFILES = {
+    'business': [0.10, 0.08, 0.05, 0.05, 0.05, 0.10, 0.25, 0.55, 0.85, 0.92, 0.90, 0.88,
+                 0.85, 0.88, 0.90, 0.88, 0.80, 0.60, 0.40, 0.25, 0.18, 0.15, 0.12, 0.10],
+    'shopping': [0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.08, 0.15, 0.25, 0.40, 0.55, 0.65,
+                 0.75, 0.75, 0.70, 0.70, 0.75, 0.85, 0.92, 0.90, 0.80, 0.55, 0.25, 0.10],
+    'transit': [0.20, 0.15, 0.15, 0.15, 0.20, 0.35, 0.60, 0.85, 0.92, 0.88, 0.75, 0.70,
+                0.70, 0.70, 0.72, 0.75, 0.82, 0.90, 0.88, 0.70, 0.50, 0.40, 0.30, 0.25],
+    'leisure': [0.05, 0.05, 0.05, 0.05, 0.08, 0.20, 0.35, 0.30, 0.20, 0.20, 0.30, 0.40,
+                0.40, 0.35, 0.35, 0.45, 0.65, 0.80, 0.85, 0.75, 0.45, 0.20, 0.10, 0.05],
+}
+
+AVERAGE_DWELL_SECONDS = {
+    'business': 4 * 3600,
+    'shopping': 2 * 3600,
+    'transit': 3 * 3600,
+    'leisure': 90 * 60,
+}
+
+# Reach of a junction's parking pressure (km)
+JUNCTION_PRESSURE_RADIUS_KM = 2.5
+
+
+def distance_km(a, b):
+    """Great-circle distance between two (lat, lng) points, in kilometres"""
+    return haversine_m(a[0], a[1], b[0], b[1]) / 1000
+
+
+def target_occupancy(lot_type, hour):
+    """Expected occupancy for a lot type at a (possibly fractional) hour"""
+    profile = DEMAND_PROFILES[lot_type]
+    base = int(math.floor(hour)) % 24
+    frac = hour - math.floor(hour)
+    return profile[base] * (1 - frac) + profile[(base + 1) % 24] * frac
+
+
+def local_hour(now, region=None):
+    """Fractional hour of day in `region` for a unix timestamp"""
+    t = local_time(now, region)
+    return t.hour + t.minute / 60 + t.second / 3600
+
+
+class ParkingLotModel:
+    """Zones, lots, slots and junctions with a lazily advanced simulation"""
+
+    def __init__(self, lots=LOT_DEFINITIONS, rng=None, now=None, forecaster=None, signals=None, pricing=None,
+                 regions=None):
+        self._lock = threading.Lock()
+        self._rng = rng or random.Random()
+        self._last_update = now if now is not None else time.time()
+        # Replaced rather than mutated when lots are added or removed, so
+        # readers iterating over it never see it change size
+        self.lots = {}
+        # Each lot's demand follows the clock of the region it is in
+        self.regions = regions
+        self.signals = signals or SignalNetwork(now=self._last_update, regions=regions)
+        self.pricing = pricing or TariffModel()
+
+        for definition in lots:
+            self._put(definition, None)
+
+        # Predictions come from the recorded history; the demand profile only fills its gaps
+        self.forecaster = forecaster or OccupancyForecaster()
+        self.forecaster.set_prior('lot', self.expected_occupancy, self.region_of)
+
+    def _put(self, definition, previous_name):
+        lot = {key: value for key, value in definition.items() if key != 'slots'}
+        lot.setdefault('city', 'Bhubaneswar')
+        lot['amenities'] = lot.get('amenities') or dict(DEFAULT_LOT_AMENITIES)
+        lot.setdefault('source', 'simulated')
+        prefix = ''.join(word[0] for word in lot['name'].split()).upper()
+        previous = self.lots.get(previous_name or lot['name'])
+        if previous is not None:
+            # Keep the occupancy of the spaces that still exist
+            occupied = [slot['occupied'] for slot in previous['slots']][:lot['capacity']]
+            lot['source'] = previous['source']
+        else:
+            occupied = []
+        hour = local_hour(self._last_update, region_at(self.regions, lot['location']))
+        occupancy = target_occupancy(lot['lot_type'], hour)
+        occupied += [self._rng.random() < occupancy for _ in range(lot['capacity'] - len(occupied))]
+        lot['slots'] = [{'id': f'{prefix}-{i + 1:02d}', 'occupied': taken} for i, taken in enumerate(occupied)]
+
+        lots = {name: value for name, value in self.lots.items() if name != previous_name}
+        lots[lot['name']] = lot
+        self.lots = lots
+        return lot
+
+    # --- Layout ---
+    def put_lot(self, definition, previous_name=None):
+        """Add a lot, or replace the one called `previous_name` (or the same name) keeping its occupancy"""
+        with self._lock:
+            return self._put(definition, previous_name)
+
+    def remove_lot(self, name):
+        with self._lock:
+            if name not in self.lots:
+                return False
+            self.lots = {key: value for key, value in self.lots.items() if key != name}
+            return True
+
+    # --- Simulation ---
+    def advance(self, now=None):
+        """Apply arrivals and departures for the time elapsed since the last update"""
+        now = now if now is not None else time.time()
+        with self._lock:
+            elapsed = now - self._last_update
+            if elapsed <= 0:
+                return
+            for lot in self.lots.values():
+                if lot['source'] != 'sensor':
+                    self._step_lot(lot, local_hour(now, region_at(self.regions, lot['location'])), elapsed)
+            self._last_update = now
+
+    def _step_lot(self, lot, hour, elapsed):
+        # Birth-death process whose steady state is the demand profile:
+        # departure rate mu = 1 / dwell, arrival rate lambda = mu * p / (1 - p)
+        target = min(target_occupancy(lot['lot_type'], hour), 0.98)
+        mu = 1.0 / AVERAGE_DWELL_SECONDS[lot['lot_type']]
+        lam = mu * target / (1 - target)
+        p_depart = 1 - math.exp(-mu * elapsed)
+        p_arrive = 1 - math.exp(-lam * elapsed)
+        for slot in lot['slots']:
+            if slot['occupied']:
+                if self._rng.random() < p_depart:
+                    slot['occupied'] = False
+            elif self._rng.random() < p_arrive:
+                slot['occupied'] = True
+
+    # --- Gate controllers ---
+    def gate_event(self, lot_id, change, observed_at, now=None):
+        """A car went in (+1) or out (-1) of a lot's gate; returns False if the lot is gone, full or empty.
+
+        From its first event on, the lot is left to its gate. Counting starts
+        from the occupancy the lot had then, so gates are best added when
+        the lot is empty or its simulated occupancy is close to the real one.
+        """
+        with self._lock:
+            lot = next((lot for lot in self.lots.values() if lot.get('id') == lot_id), None)
+            if lot is None:
+                return False
+            lot['source'] = 'sensor'
+            slots = lot['slots'] if change > 0 else reversed(lot['slots'])
+            slot = next((slot for slot in slots if slot['occupied'] != (change > 0)), None)
+            if slot is None:
+                return False
+            slot['occupied'] = change > 0
+            return True
+
+    def release_sensor(self, lot_id):
+        """Hand a lot whose gate went silent or was removed back to the simulation"""
+        with self._lock:
+            for lot in self.lots.values():
+                if lot.get('id') == lot_id:
+                    lot['source'] = 'simulated'
+                    return True
+            return False
+
+    # --- Queries ---
+    def lot_status(self, lot):
+        """Occupancy summary of one lot in the shape the dashboard reads"""
+        total = len(lot['slots'])
+        occupied = sum(1 for slot in lot['slots'] if slot['occupied'])
+        return {
+            'id': lot.get('id'),
+            'zone': lot['zone'],
+            'zone_name': self.pricing.zone_name(lot['zone']),
+            'city': lot['city'],
+            'lot_type': lot['lot_type'],
+            'location': list(lot['location']),
+            'total_slots': total,
+            'occupied_slots': occupied,
+            'available_slots': total - occupied,
+            'occupancy_rate': round(occupied / total, 3) if total else 0.0,
+            'amenities': lot['amenities'],
+            'source': lot['source'],
+        }
+
+    def has_lot_id(self, lot_id):
+        with self._lock:
+            return any(lot.get('id') == lot_id for lot in self.lots.values())
+
+    def lots_in(self, region=None):
+        """The lots inside `region`, or every lot"""
+        return {name: lot for name, lot in self.lots.items() if in_region(region, lot['location'])}
+
+    def parking_status(self, region=None):
+        return {name: self.lot_status(lot) for name, lot in self.lots_in(region).items()}
+
+    def system_stats(self, region=None):
+        lots = self.lots_in(region)
+        statuses = [self.lot_status(lot) for lot in lots.values()]
+        total = sum(status['total_slots'] for status in statuses)
+        occupied = sum(status['occupied_slots'] for status in statuses)
+        return {
+            'total_lots': len(lots),
+            'total_zones': len({lot['zone'] for lot in lots.values()}),
+            'total_slots': total,
+            'total_occupied': occupied,
+            'total_available': total - occupied,
+            'overall_occupancy_rate': round(occupied / total, 3) if total else 0.0,
+        }
+
+    def junction_status(self, now=None, region=None):
+        """Signal state of every junction (in `region`) with the parking pressure around it"""
+        now = now if now is not None else time.time()
+        statuses = {}
+        for junction_id, signal in self.signals.statuses(now).items():
+            if not in_region(region, signal['location']):
+                continue
+            statuses[junction_id] = {
+                'name': signal['name'],
+                'location': signal['location'],
+                'current_phase': signal['current_phase'],
+                'time_remaining': signal['time_remaining'],
+                'cycle_duration': signal['cycle_duration'],
+                'traffic_level': signal['traffic_level'],
+                'queue_length': signal['queue_length'],
+                'efficiency': signal['efficiency'],
+                'parking_pressure': round(self._parking_pressure(signal['location']), 3),
+            }
+        return statuses
+
+    def _parking_pressure(self, location):
+        # Slot-weighted occupancy of the lots within reach of the junction
+        nearby = [lot for lot in self.lots.values()
+                  if distance_km(lot['location'], location) <= JUNCTION_PRESSURE_RADIUS_KM]
+        total = sum(len(lot['slots']) for lot in nearby)
+        if not total:
+            return 0.0
+        occupied = sum(1 for lot in nearby for slot in lot['slots'] if slot['occupied'])
+        return occupied / total
+
+    def region_of(self, name):
+        """The region a lot is in, whose clock its demand follows"""
+        lot = self.lots.get(name)
+        return region_at(self.regions, lot['location']) if lot else None
+
+    def expected_occupancy(self, name, timestamp):
+        """Demand-profile occupancy of a lot at a time, the forecaster's prior"""
+        return target_occupancy(self.lots[name]['lot_type'], local_hour(timestamp, self.region_of(name)))
+
+    def forecast(self, lot, hours_ahead, now=None):
+        """Forecast points with 80% bands for a lot, anchored on its current occupancy"""
+        current = self.lot_status(lot)['occupancy_rate']
+        return self.forecaster.forecast(('lot', lot['name']), hours_ahead, now, current=current)
+
+    def predictions(self, now=None, region=None):
+        predictions = {}
+        for name, lot in self.lots_in(region).items():
+            points = self.forecast(lot, (1, 2, 3), now)
+            predictions[name] = {
+                'current': self.lot_status(lot)['occupancy_rate'],
+                'predictions': {f"+{point['hours_ahead']}h": point['occupancy'] for point in points},
+                'bands': {f"+{point['hours_ahead']}h": [point['lower'], point['upper']] for point in points},
+            }
+        return predictions
+
+    def map_data(self, now=None, region=None):
+        return {
+            'parking_lots': self.parking_status(region),
+            'junctions': self.junction_status(now, region),
+        }
+
+    # --- Commands ---
+    def find_lot(self, destination, region=None):
+        """Match destination text against the names and types of the lots (in `region`)"""
+        text = (destination or '').lower().strip()
+        if not text:
+            return None
+        lots = self.lots_in(region)
+        for name, lot in lots.items():
+            if text == name.lower() or text in name.lower().split() or text == lot['lot_type']:
+                return lot
+        for name, lot in lots.items():
+            if text in name.lower() or name.lower() in text:
+                return lot
+        return None
+
+    def park_vehicle(self, destination, location=None, region=None):
+        """Occupy a free slot at the destination lot, or at the nearest lot with space.
+
+        The destination is matched by name or lot type; when it matches no lot,
+        the optional (lat, lng) location is used as the reference point instead.
+        With a region, only its lots are considered.
+        Returns (lot_name, slot_id), or None if no lot has a free slot.
+        """
+        target = self.find_lot(destination, region)
+        origin = target['location'] if target else location
+        with self._lock:
+            candidates = sorted(
+                self.lots_in(region).values(),
+                key=lambda lot: distance_km(lot['location'], origin) if origin else 0,
+            )
+            for lot in candidates:
+                for slot in lot['slots']:
+                    if not slot['occupied']:
+                        slot['occupied'] = True
+                        return lot['name'], slot['id']
+        return None
@@ -0,0 +1,169 @@
+"""
+Parking tariffs: zone base rates, peak-hour surcharges and duration tiers.
+
+The default tariff below can be replaced by a JSON file with the same shape,
+named by the PARKING_TARIFF_FILE environment variable. Zone names and base
+rates are then maintained by operators in the inventory, which replaces the
+tariff's zones at startup and on every edit. Peak windows are hours on the
+clock of the region the parking is in.
+"""
+
+import json
+import math
+import os
+import time
+
+from .regions import local_time
+
+DEFAULT_TARIFF = {
+    'currency': 'INR',
+    # Hourly base rates per zone, for on-street slots and off-street garages
+    'zones': {
+        'central': {'name': 'Central', 'street_rate': 30, 'garage_rate': 50},
+        'commercial': {'name': 'Commercial', 'street_rate': 25, 'garage_rate': 40},
+        'transit': {'name': 'Transit', 'street_rate': 25, 'garage_rate': 45},
+        'suburban': {'name': 'Suburban', 'street_rate': 15, 'garage_rate': 25},
+    },
+    # Inclusive hour ranges, the same 8-10 and 17-19 rush hours the AI suggestions use
+    'peak_windows': [[8, 10], [17, 19]],
+    'peak_multiplier': 1.5,
+    # Each tier's multiplier applies to the hours parked within it; the last tier is open-ended
+    'duration_tiers': [
+        {'up_to_hours': 1, 'multiplier': 1.0},
+        {'up_to_hours': 3, 'multiplier': 0.9},
+        {'up_to_hours': None, 'multiplier': 0.75},
+    ],
+    'minimum_charge': 10,
+    'daily_cap': 300,
+}
+
+MAX_QUOTE_HOURS = 72
+# Quotes asked for start at most this far from now, either way
+MAX_QUOTE_START_OFFSET_DAYS = 366
+KINDS = ('street', 'garage')
+
+
+class PricingError(ValueError):
+    """Raised for quote requests the tariff cannot price"""
+
+
+def load_tariff(path=None):
+    """The tariff from PARKING_TARIFF_FILE (or `path`), falling back to the default"""
+    path = path or os.environ.get('PARKING_TARIFF_FILE')
+    if not path:
+        return DEFAULT_TARIFF
+    with open(path, encoding='utf-8') as f:
+        tariff = json.load(f)
+    print(f"💰 Loaded parking tariff from {path}")
+    return tariff
+
+
+class TariffModel:
+    """Prices parking stays against a tariff"""
+
+    def __init__(self, tariff=None):
+        self.tariff = tariff or DEFAULT_TARIFF
+
+    @property
+    def currency(self):
+        return self.tariff['currency']
+
+    @property
+    def zones(self):
+        return self.tariff['zones']
+
+    def zone_name(self, zone):
+        return self.zones[zone]['name'] if zone in self.zones else zone
+
+    def set_zones(self, zones):
+        """Replace the zone names and base rates, keeping the rest of the tariff"""
+        self.tariff = {**self.tariff, 'zones': zones}
+
+    def is_peak(self, hour):
+        return any(start <= hour <= end for start, end in self.tariff['peak_windows'])
+
+    def base_rate(self, zone, kind='street'):
+        if zone not in self.zones:
+            raise PricingError(f'Unknown tariff zone: {zone}')
+        if kind not in KINDS:
+            raise PricingError(f'Unknown parking kind: {kind}')
+        return self.zones[zone][f'{kind}_rate']
+
+    def current_rate(self, zone, kind='street', now=None, region=None):
+        """Hourly rate for a stay in `region` starting now, before duration discounts"""
+        now = now if now is not None else time.time()
+        rate = self.base_rate(zone, kind)
+        if self.is_peak(local_time(now, region).hour):
+            rate *= self.tariff['peak_multiplier']
+        return round(rate, 2)
+
+    def quote(self, zone, duration_hours, start=None, kind='street', region=None):
+        """Total price and per-period breakdown for a stay in `region`"""
+        start = start if start is not None else time.time()
+        if not 0 < duration_hours <= MAX_QUOTE_HOURS:
+            raise PricingError(f'duration_hours must be between 0 and {MAX_QUOTE_HOURS}')
+        base = self.base_rate(zone, kind)
+        end = start + duration_hours * 3600
+
+        breakdown = []
+        subtotal = 0.0
+        t = start
+        while t < end - 1e-6:
+            elapsed_hours = (t - start) / 3600
+            tier_index, tier = self._tier(elapsed_hours)
+            local = local_time(t, region)
+            # Segments end at the next local hour boundary (peak status may change) or tier boundary
+            next_hour = t - (local.minute * 60 + local.second + (t % 1)) + 3600
+            segment_end = min(end, next_hour)
+            if tier['up_to_hours'] is not None:
+                segment_end = min(segment_end, start + tier['up_to_hours'] * 3600)
+
+            hours = (segment_end - t) / 3600
+            peak = self.is_peak(local.hour)
+            rate = base * (self.tariff['peak_multiplier'] if peak else 1) * tier['multiplier']
+            subtotal += rate * hours
+
+            last = breakdown[-1] if breakdown else None
+            if last and last['peak'] == peak and last['tier'] == tier_index + 1:
+                last['hours'] += hours
+                last['until'] = segment_end
+                last['amount'] += rate * hours
+            else:
+                breakdown.append({
+                    'from': t,
+                    'until': segment_end,
+                    'hours': hours,
+                    'rate': round(rate, 2),
+                    'peak': peak,
+                    'tier': tier_index + 1,
+                    'amount': rate * hours,
+                })
+            t = segment_end
+
+        cap = self.tariff['daily_cap'] * math.ceil(duration_hours / 24)
+        total = min(max(subtotal, self.tariff['minimum_charge']), cap)
+        for line in breakdown:
+            line['hours'] = round(line['hours'], 2)
+            line['amount'] = round(line['amount'], 2)
+
+        return {
+            'zone': zone,
+            'zone_name': self.zones[zone]['name'],
+            'kind': kind,
+            'currency': self.currency,
+            'start': start,
+            'end': end,
+            'duration_hours': duration_hours,
+            'subtotal': round(subtotal, 2),
+            'total': round(total, 2),
+            'minimum_applied': subtotal < self.tariff['minimum_charge'],
+            'cap_applied': subtotal > cap,
+            'breakdown': breakdown,
+        }
+
+    def _tier(self, elapsed_hours):
+        tiers = self.tariff['duration_tiers']
+        for index, tier in enumerate(tiers):
+            if tier['up_to_hours'] is None or elapsed_hours < tier['up_to_hours'] - 1e-9:
+                return index, tier
+        return len(tiers) - 1, tiers[-1]
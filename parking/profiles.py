@@ -0,0 +1,408 @@
+"""
+Per-driver saved places, favourite lots and parking history.
+
+Signed-in drivers keep these on the server, in the accounts database.
+Signed-out drivers keep the same shapes in the browser, and `merge` folds
+that copy into their account once they sign in.
+
+A history entry is a stay at a street slot or in a lot. It is opened when
+the driver confirms a reservation, records parking or starts a parking
+session, and closed by the driver; closing prices the stay with the tariff.
+An open stay is the driver's active session. It may carry `paid_until`, the
+end of the time the driver paid for, which extending moves later. A session
+is only started on a slot or lot that exists, and takes its name, zone and
+position from there. Starting one on a street slot marks the slot taken; the
+session ends by itself once the slot turns free again or after
+MAX_OPEN_STREET_STAY_HOURS, so one the driver forgets to close does not
+linger on an officer's beat.
+"""
+
+import os
+import sqlite3
+import threading
+import time
+
+from .accounts import default_accounts_path
+from .pricing import MAX_QUOTE_HOURS
+from .regions import region_at
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS saved_places (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    label TEXT NOT NULL COLLATE NOCASE,
+    name TEXT NOT NULL,
+    lat REAL NOT NULL,
+    lng REAL NOT NULL,
+    created_at REAL NOT NULL,
+    UNIQUE (user_id, label)
+);
+CREATE TABLE IF NOT EXISTS favourite_lots (
+    user_id INTEGER NOT NULL,
+    lot_id INTEGER NOT NULL,
+    created_at REAL NOT NULL,
+    PRIMARY KEY (user_id, lot_id)
+);
+CREATE TABLE IF NOT EXISTS parking_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    slot_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    zone TEXT NOT NULL,
+    lat REAL NOT NULL,
+    lng REAL NOT NULL,
+    started_at REAL NOT NULL,
+    paid_until REAL,
+    ended_at REAL,
+    cost REAL,
+    currency TEXT,
+    UNIQUE (user_id, slot_id, started_at)
+);
+CREATE INDEX IF NOT EXISTS parking_history_user ON parking_history (user_id, started_at);
+"""
+
+MAX_SAVED_PLACES = 20
+MAX_LABEL_LENGTH = 40
+MAX_NAME_LENGTH = 120
+HISTORY_KINDS = ('street', 'lot')
+DEFAULT_HISTORY_LIMIT = 50
+
+# Stays shorter than this are charged as this long (the tariff's minimum charge still applies)
+MIN_STAY_HOURS = 1 / 60
+
+# Paid time can cover at most the longest duration the tariff quotes
+MAX_PAID_HOURS = MAX_QUOTE_HOURS
+
+# A street session still open after this long is one the driver forgot to close
+MAX_OPEN_STREET_STAY_HOURS = 24
+
+HISTORY_COLUMNS = 'id, kind, slot_id, name, zone, lat, lng, started_at, paid_until, ended_at, cost, currency'
+
+# Saving a label the driver already has moves that place
+SAVE_PLACE = (
+    'INSERT INTO saved_places (user_id, label, name, lat, lng, created_at) VALUES (?, ?, ?, ?, ?, ?) '
+    'ON CONFLICT (user_id, label) DO UPDATE SET label = excluded.label, name = excluded.name, '
+    'lat = excluded.lat, lng = excluded.lng'
+)
+
+
+class ProfileError(Exception):
+    """Raised for invalid places or history entries; carries an HTTP status"""
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+class DriverProfiles:
+    """SQLite-backed saved places, favourite lots and parking history per user"""
+
+    def __init__(self, pricing, street_slots, lot_model, path=None):
+        self.pricing = pricing
+        self.street_slots = street_slots
+        self.lot_model = lot_model
+        self.path = path or default_accounts_path()
+        if self.path != ':memory:':
+            os.makedirs(os.path.dirname(self.path) or '.', exist_ok=True)
+        self._lock = threading.Lock()
+        self._db = sqlite3.connect(self.path, check_same_thread=False)
+        self._db.executescript(SCHEMA)
+
+    def profile(self, user_id, history_limit=DEFAULT_HISTORY_LIMIT):
+        return {
+            'places': self.places(user_id),
+            'favourite_lots': self.favourite_lots(user_id),
+            'history': self.history(user_id, history_limit),
+        }
+
+    # --- Saved places ---
+    def places(self, user_id):
+        rows = self._query(
+            'SELECT id, label, name, lat, lng, created_at FROM saved_places WHERE user_id = ? ORDER BY created_at',
+            (user_id,))
+        return [{'id': place_id, 'label': label, 'name': name, 'lat': lat, 'lng': lng, 'created_at': created_at}
+                for place_id, label, name, lat, lng, created_at in rows]
+
+    def save_place(self, user_id, body, now=None):
+        """Add a place, or move the one with the same label"""
+        now = now if now is not None else time.time()
+        label, name, lat, lng = _place(_object(body, 'place'))
+        existing = {place['label'].lower() for place in self.places(user_id)}
+        if label.lower() not in existing and len(existing) >= MAX_SAVED_PLACES:
+            raise ProfileError(f'At most {MAX_SAVED_PLACES} saved places', 409)
+
+        with self._lock, self._db:
+            self._db.execute(SAVE_PLACE, (user_id, label, name, lat, lng, now))
+        return next(place for place in self.places(user_id) if place['label'].lower() == label.lower())
+
+    def delete_place(self, user_id, place_id):
+        with self._lock, self._db:
+            deleted = self._db.execute(
+                'DELETE FROM saved_places WHERE id = ? AND user_id = ?', (place_id, user_id)).rowcount
+        if not deleted:
+            raise ProfileError('Saved place not found', 404)
+
+    # --- Favourite lots ---
+    def favourite_lots(self, user_id):
+        rows = self._query('SELECT lot_id FROM favourite_lots WHERE user_id = ? ORDER BY created_at', (user_id,))
+        return [row[0] for row in rows]
+
+    def set_favourite(self, user_id, lot_id, favourite, now=None):
+        """Add or remove a favourite; a lot that has since been removed can still be unfavourited"""
+        now = now if now is not None else time.time()
+        if favourite and not self.lot_model.has_lot_id(lot_id):
+            raise ProfileError(f'Unknown parking lot: {lot_id}', 404)
+        with self._lock, self._db:
+            if favourite:
+                self._db.execute(
+                    'INSERT OR IGNORE INTO favourite_lots (user_id, lot_id, created_at) VALUES (?, ?, ?)',
+                    (user_id, lot_id, now))
+            else:
+                self._db.execute('DELETE FROM favourite_lots WHERE user_id = ? AND lot_id = ?', (user_id, lot_id))
+        return self.favourite_lots(user_id)
+
+    # --- Parking history ---
+    def history(self, user_id, limit=DEFAULT_HISTORY_LIMIT):
+        rows = self._query(
+            f'SELECT {HISTORY_COLUMNS} FROM parking_history WHERE user_id = ? ORDER BY started_at DESC LIMIT ?',
+            (user_id, limit))
+        return [self._entry(row) for row in rows]
+
+    def entry(self, user_id, entry_id):
+        rows = self._query(
+            f'SELECT {HISTORY_COLUMNS} FROM parking_history WHERE id = ? AND user_id = ?', (entry_id, user_id))
+        if not rows:
+            raise ProfileError('Parking history entry not found', 404)
+        return self._entry(rows[0])
+
+    def open_sessions(self, now=None):
+        """The latest open street stay per slot across all drivers, for enforcement: slot_id ->
+        started_at and paid_until, without who parked. Stale sessions are closed first."""
+        self.expire_street_sessions(now)
+        rows = self._query(
+            'SELECT slot_id, started_at, paid_until FROM parking_history '
+            "WHERE kind = 'street' AND ended_at IS NULL ORDER BY started_at")
+        return {slot_id: {'started_at': started_at, 'paid_until': paid_until}
+                for slot_id, started_at, paid_until in rows}
+
+    def expire_street_sessions(self, now=None):
+        """Close open street stays whose slot has turned free or gone since they started, and
+        those open longer than MAX_OPEN_STREET_STAY_HOURS. Each is priced up to when it ended."""
+        now = now if now is not None else time.time()
+        rows = self._query(
+            f"SELECT {HISTORY_COLUMNS} FROM parking_history WHERE kind = 'street' AND ended_at IS NULL")
+        ended = []
+        for entry in map(self._entry, rows):
+            slot = self.street_slots.get(entry['slot_id'])
+            longest = entry['started_at'] + MAX_OPEN_STREET_STAY_HOURS * 3600
+            if slot is None:
+                ended_at = min(now, longest)
+            elif slot['freed_at'] is not None and slot['freed_at'] > entry['started_at']:
+                ended_at = min(slot['freed_at'], longest)
+            elif now > longest:
+                ended_at = longest
+            else:
+                continue
+            cost, currency = self._price(entry, ended_at)
+            ended.append((ended_at, cost, currency, entry['id']))
+        if ended:
+            with self._lock, self._db:
+                self._db.executemany(
+                    'UPDATE parking_history SET ended_at = ?, cost = ?, currency = ? WHERE id = ? AND ended_at IS NULL',
+                    ended)
+            print(f"⏹️ Closed {len(ended)} street parking session(s) whose slot has been freed or that ran too long")
+        return len(ended)
+
+    def start_stay(self, user_id, kind, slot_id, name, zone, location, now=None, paid_hours=None):
+        """Open a history entry for a stay that starts now, optionally paid for `paid_hours`"""
+        now = now if now is not None else time.time()
+        paid_until = now + paid_hours * 3600 if paid_hours is not None else None
+        with self._lock, self._db:
+            cursor = self._db.execute(
+                'INSERT INTO parking_history (user_id, kind, slot_id, name, zone, lat, lng, started_at, paid_until) '
+                'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                (user_id, kind, slot_id, name, zone, location[0], location[1], now, paid_until),
+            )
+        return self.entry(user_id, cursor.lastrowid)
+
+    def open_stay(self, user_id, body, now=None):
+        """Start a parking session at the street slot (slot_id) or lot (name) the driver parked in"""
+        kind = body.get('kind')
+        if kind not in HISTORY_KINDS:
+            raise ProfileError(f"kind must be one of: {', '.join(HISTORY_KINDS)}")
+        paid_hours = body.get('paid_hours')
+        if paid_hours is not None:
+            paid_hours = _hours(paid_hours, 'paid_hours')
+
+        if kind == 'street':
+            slot_id = _text(body.get('slot_id'), 'slot_id', MAX_NAME_LENGTH)
+            slot = self.street_slots.get(slot_id)
+            if slot is None:
+                raise ProfileError(f'Unknown parking slot: {slot_id}', 404)
+            if slot['reserved'] or slot['closed']:
+                raise ProfileError(f"{slot['name']} is {'held for a reservation' if slot['reserved'] else 'closed'}", 409)
+            self.street_slots.arrive(slot_id, now)
+            name, zone, location = slot['name'], slot['zone'], (slot['lat'], slot['lng'])
+        else:
+            name = _text(body.get('name'), 'name', MAX_NAME_LENGTH)
+            lot = self.lot_model.lots.get(name)
+            if lot is None:
+                raise ProfileError(f'Unknown parking lot: {name}', 404)
+            slot_id = _text(body.get('slot_id') or name, 'slot_id', MAX_NAME_LENGTH)
+            zone, location = lot['zone'], tuple(lot['location'])
+        if zone not in self.pricing.zones:
+            raise ProfileError(f'{name} is in no tariff zone', 409)
+        return self.start_stay(user_id, kind, slot_id, name, zone, location, now, paid_hours)
+
+    def extend_stay(self, user_id, entry_id, hours, now=None):
+        """Pay for `hours` more of an open stay, counted from now if its paid time has run out"""
+        now = now if now is not None else time.time()
+        hours = _hours(hours, 'hours')
+        entry = self.entry(user_id, entry_id)
+        if entry['ended_at'] is not None:
+            raise ProfileError('This stay has already ended', 409)
+        paid_until = max(entry['paid_until'] or now, now) + hours * 3600
+        if paid_until - entry['started_at'] > MAX_PAID_HOURS * 3600:
+            raise ProfileError(f'A stay can be paid for at most {MAX_PAID_HOURS} hours', 409)
+        with self._lock, self._db:
+            self._db.execute('UPDATE parking_history SET paid_until = ? WHERE id = ?', (paid_until, entry_id))
+        return self.entry(user_id, entry_id)
+
+    def end_stay(self, user_id, entry_id, now=None):
+        """Close an open entry and price it with the tariff"""
+        now = now if now is not None else time.time()
+        entry = self.entry(user_id, entry_id)
+        if entry['ended_at'] is not None:
+            raise ProfileError('This stay has already ended', 409)
+        cost, currency = self._price(entry, now)
+        with self._lock, self._db:
+            self._db.execute(
+                'UPDATE parking_history SET ended_at = ?, cost = ?, currency = ? WHERE id = ?',
+                (now, cost, currency, entry_id))
+        return self.entry(user_id, entry_id)
+
+    def _price(self, entry, ended_at):
+        if entry['zone'] not in self.pricing.zones:
+            return None, None
+        # Stays beyond the longest quotable duration are charged as that long
+        hours = min(max((ended_at - entry['started_at']) / 3600, MIN_STAY_HOURS), MAX_QUOTE_HOURS)
+        kind = 'street' if entry['kind'] == 'street' else 'garage'
+        # Peak hours are those of the region the driver parked in
+        region = region_at(self.street_slots.regions, (entry['lat'], entry['lng']))
+        quote = self.pricing.quote(entry['zone'], hours, entry['started_at'], kind, region)
+        return quote['total'], quote['currency']
+
+    # --- Signed-out copy ---
+    def merge(self, user_id, body, now=None):
+        """Fold a browser's saved places, favourites and finished stays into the account"""
+        now = now if now is not None else time.time()
+        body = _object(body, 'profile')
+        places = body.get('places') or []
+        favourites = body.get('favourite_lots') or []
+        history = body.get('history') or []
+        if not all(isinstance(items, list) for items in (places, favourites, history)):
+            raise ProfileError('places, favourite_lots and history must be lists')
+
+        # Validate everything before writing anything, so a bad copy changes nothing
+        known = {place['label'].lower() for place in self.places(user_id)}
+        # Places already saved on the account win over the browser's copy
+        new_places = {}
+        for place in places:
+            if isinstance(place, dict):
+                label, name, lat, lng = _place(place)
+                if label.lower() not in known:
+                    new_places[label.lower()] = (user_id, label, name, lat, lng, now)
+        if len(known) + len(new_places) > MAX_SAVED_PLACES:
+            raise ProfileError(f'At most {MAX_SAVED_PLACES} saved places', 409)
+        # Lots removed since the browser saved them are dropped
+        favourite_rows = [(user_id, lot_id, now) for lot_id in favourites
+                          if isinstance(lot_id, int) and not isinstance(lot_id, bool)
+                          and self.lot_model.has_lot_id(lot_id)]
+        history_rows = [self._history_row(user_id, entry) for entry in history if isinstance(entry, dict)]
+
+        with self._lock, self._db:
+            self._db.executemany(SAVE_PLACE, list(new_places.values()))
+            self._db.executemany(
+                'INSERT OR IGNORE INTO favourite_lots (user_id, lot_id, created_at) VALUES (?, ?, ?)', favourite_rows)
+            self._db.executemany(
+                'INSERT OR IGNORE INTO parking_history '
+                '(user_id, kind, slot_id, name, zone, lat, lng, started_at, paid_until, ended_at, cost, currency) '
+                'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)', history_rows)
+        return self.profile(user_id)
+
+    def _history_row(self, user_id, entry):
+        kind = entry.get('kind')
+        if kind not in HISTORY_KINDS:
+            raise ProfileError(f"History kind must be one of: {', '.join(HISTORY_KINDS)}")
+        lat, lng = _location(entry)
+        started_at = _timestamp(entry.get('started_at'), 'started_at')
+        ended_at = _timestamp(entry.get('ended_at'), 'ended_at')
+        if ended_at < started_at:
+            raise ProfileError('ended_at must not be before started_at')
+        paid_until = entry.get('paid_until')
+        if paid_until is not None:
+            paid_until = _timestamp(paid_until, 'paid_until')
+        cost = entry.get('cost')
+        if cost is not None and (isinstance(cost, bool) or not isinstance(cost, (int, float)) or cost < 0):
+            raise ProfileError('cost must be a non-negative number')
+        return (user_id, kind, _text(entry.get('slot_id'), 'slot_id', MAX_NAME_LENGTH),
+                _text(entry.get('name'), 'name', MAX_NAME_LENGTH), _text(entry.get('zone'), 'zone', MAX_LABEL_LENGTH),
+                lat, lng, started_at, paid_until, ended_at, cost, entry.get('currency') if cost is not None else None)
+
+    def _query(self, query, params=()):
+        with self._lock:
+            return self._db.execute(query, params).fetchall()
+
+    @staticmethod
+    def _entry(row):
+        entry_id, kind, slot_id, name, zone, lat, lng, started_at, paid_until, ended_at, cost, currency = row
+        return {'id': entry_id, 'kind': kind, 'slot_id': slot_id, 'name': name, 'zone': zone,
+                'lat': lat, 'lng': lng, 'started_at': started_at, 'paid_until': paid_until, 'ended_at': ended_at,
+                'cost': cost, 'currency': currency}
+
+
+def _object(body, what):
+    if not isinstance(body, dict):
+        raise ProfileError(f'Send the {what} as a JSON object')
+    return body
+
+
+def _place(body):
+    label = _text(body.get('label'), 'label', MAX_LABEL_LENGTH)
+    name = _text(body.get('name') or label, 'name', MAX_NAME_LENGTH)
+    lat, lng = _location(body)
+    return label, name, lat, lng
+
+
+def _text(value, field, max_length):
+    if not isinstance(value, str) or not value.strip():
+        raise ProfileError(f'{field} is required')
+    value = value.strip()
+    if len(value) > max_length:
+        raise ProfileError(f'{field} must be at most {max_length} characters')
+    return value
+
+
+def _location(body):
+    try:
+        lat, lng = float(body.get('lat')), float(body.get('lng'))
+    except (TypeError, ValueError):
+        raise ProfileError('lat and lng must be numbers')
+    if not (-90 <= lat <= 90 and -180 <= lng <= 180):
+        raise ProfileError('lat and lng are out of range')
+    return lat, lng
+
+
+def _hours(value, field):
+    if isinstance(value, bool) or not isinstance(value, (int, float)) or not 0 < value <= MAX_PAID_HOURS:
+        raise ProfileError(f'{field} must be a number of hours between 0 and {MAX_PAID_HOURS}')
+    return float(value)
+
+
+def _timestamp(value, field):
+    """Unix seconds; browsers' copies are finished stays, so both ends are required"""
+    if isinstance(value, bool) or not isinstance(value, (int, float)) or value <= 0:
+        raise ProfileError(f'{field} must be a Unix timestamp in seconds')
+    return float(value)
@@ -0,0 +1,276 @@
+"""
+Rule-based ranking of parking candidates for a driver's destination.
+
+Each street with a free slot (represented by its closest free slot) and each
+lot with space is scored on five factors, every one normalised to 0..1 with
+higher being better:
+
+- walking: estimated walk from the parking to the destination
+- availability: share of the street or lot that is free right now
+- forecast: forecast share free an hour from now
+- price: the cheapest current hourly rate among the candidates over this one's
+- congestion: how far below saturation the busiest nearby junction runs
+
+The score is the weighted sum of the factors, and every factor's contribution
+is returned with it so clients can show why a candidate ranked where it did.
+Factor labels and reasons are written in the requested language from the
+message catalogs (see parking/i18n.py).
+
+The default weights can be replaced per deployment by a JSON object of
+factor -> weight in the file named by PARKING_RECOMMENDATION_WEIGHTS_FILE.
+Factors the file leaves out keep their default weight, and the weights are
+normalised to sum to 1.
+"""
+
+import json
+import os
+import time
+
+from .geo import haversine_m
+from .i18n import format_currency, format_number, format_percent
+from .regions import in_region
+
+DEFAULT_WEIGHTS = {
+    'walking': 0.35,
+    'availability': 0.25,
+    'forecast': 0.15,
+    'price': 0.15,
+    'congestion': 0.10,
+}
+
+# Straight-line distance understates the walk along the streets
+WALK_DETOUR_FACTOR = 1.3
+WALK_METRES_PER_MINUTE = 80
+
+# Walks beyond this score zero; if nothing lies within it, the nearest
+# candidates are ranked anyway on the remaining factors
+MAX_WALK_M = 1500
+FALLBACK_CANDIDATES = 5
+
+# Junctions this close to a candidate count towards its congestion (metres)
+CONGESTION_RADIUS_M = 1000
+
+FORECAST_HOURS = (1, 2)
+
+# How many factors the short explanation names
+REASON_COUNT = 2
+
+
+class RecommendationError(ValueError):
+    """Raised for weight configurations the engine cannot use"""
+
+
+def normalise_weights(weights):
+    """Validate factor weights and scale them to sum to 1"""
+    unknown = set(weights) - set(DEFAULT_WEIGHTS)
+    if unknown:
+        raise RecommendationError(f"Unknown recommendation factors: {', '.join(sorted(unknown))}")
+    for factor, weight in weights.items():
+        if isinstance(weight, bool) or not isinstance(weight, (int, float)) or weight < 0:
+            raise RecommendationError(f'Weight for {factor} must be a non-negative number')
+    total = sum(weights.values())
+    if total <= 0:
+        raise RecommendationError('At least one recommendation weight must be positive')
+    return {factor: weights.get(factor, 0) / total for factor in DEFAULT_WEIGHTS}
+
+
+def load_weights(path=None):
+    """Weights from PARKING_RECOMMENDATION_WEIGHTS_FILE (or `path`) over the defaults"""
+    path = path or os.environ.get('PARKING_RECOMMENDATION_WEIGHTS_FILE')
+    if not path:
+        return normalise_weights(DEFAULT_WEIGHTS)
+    with open(path, encoding='utf-8') as f:
+        overrides = json.load(f)
+    if not isinstance(overrides, dict):
+        raise RecommendationError(f'{path} must hold a JSON object of factor weights')
+    weights = normalise_weights({**DEFAULT_WEIGHTS, **overrides})
+    print(f"⚖️ Loaded recommendation weights from {path}")
+    return weights
+
+
+def walking_distance_m(lat1, lng1, lat2, lng2):
+    return haversine_m(lat1, lng1, lat2, lng2) * WALK_DETOUR_FACTOR
+
+
+class RecommendationEngine:
+    """Ranks street parking and lots around a point by weighted factors"""
+
+    def __init__(self, street_slots, lot_model, signals, pricing, catalogs, weights=None):
+        self.street_slots = street_slots
+        self.lot_model = lot_model
+        self.signals = signals
+        self.pricing = pricing
+        self.catalogs = catalogs
+        self.weights = normalise_weights(weights or DEFAULT_WEIGHTS)
+
+    def rank(self, lat, lng, now=None, limit=None, space_filter=None, region=None, language=None):
+        """Candidates ordered best first, each with its score and factor breakdown.
+
+        With a `space_filter`, only slots and lots it matches are candidates;
+        with a `region`, only those inside it. Labels and reasons are in
+        `language`, the catalogs' default without one.
+        """
+        language = language or self.catalogs.default
+        now = now if now is not None else time.time()
+        candidates = (self._street_candidates(lat, lng, now, space_filter, region) +
+                      self._lot_candidates(lat, lng, now, space_filter, region))
+        in_range = [c for c in candidates if c['walking_distance_m'] <= MAX_WALK_M]
+        if not in_range:
+            in_range = sorted(candidates, key=lambda c: c['walking_distance_m'])[:FALLBACK_CANDIDATES]
+        if not in_range:
+            return []
+
+        cheapest = min(c['price_per_hour'] for c in in_range)
+        junctions = list(self.signals.statuses(now).values())
+        ranked = [self._score(candidate, cheapest, junctions, language) for candidate in in_range]
+        ranked.sort(key=lambda rec: rec['score'], reverse=True)
+        for rank, rec in enumerate(ranked, start=1):
+            rec['rank'] = rank
+        return ranked[:limit] if limit else ranked
+
+    # --- Candidates ---
+    def _street_candidates(self, lat, lng, now, space_filter=None, region=None):
+        occupancy = self.street_slots.street_occupancy()
+        closest = {}
+        totals = {}
+        for slot in self.street_slots.slots.values():
+            if slot['closed'] or not in_region(region, (slot['lat'], slot['lng'])):
+                continue
+            totals[slot['street']] = totals.get(slot['street'], 0) + 1
+            if not slot['available'] or (space_filter and not space_filter.matches_slot(slot['amenities'])):
+                continue
+            walk = walking_distance_m(lat, lng, slot['lat'], slot['lng'])
+            if slot['street'] not in closest or walk < closest[slot['street']][0]:
+                closest[slot['street']] = (walk, slot)
+
+        candidates = []
+        for street, (walk, slot) in closest.items():
+            points = self.street_slots.forecast(street, FORECAST_HOURS, now)
+            free_share = 1 - occupancy[street]
+            candidates.append(self._candidate(
+                kind='street', candidate_id=slot['id'], name=slot['name'], area=street,
+                location=(slot['lat'], slot['lng']), walk=walk,
+                free=round(free_share * totals[street]), total=totals[street],
+                price=slot['price_per_hour'], points=points, free_share=free_share,
+            ))
+        return candidates
+
+    def _lot_candidates(self, lat, lng, now, space_filter=None, region=None):
+        candidates = []
+        for name, lot in self.lot_model.lots_in(region).items():
+            status = self.lot_model.lot_status(lot)
+            if not status['available_slots'] or (space_filter and not space_filter.matches_lot(lot['amenities'])):
+                continue
+            candidates.append(self._candidate(
+                kind='lot', candidate_id=name, name=name, area=name, location=lot['location'],
+                walk=walking_distance_m(lat, lng, *lot['location']),
+                free=status['available_slots'], total=status['total_slots'],
+                price=self.pricing.current_rate(lot['zone'], 'garage', now, self.lot_model.region_of(name)),
+                points=self.lot_model.forecast(lot, FORECAST_HOURS, now),
+                free_share=1 - status['occupancy_rate'], lot_type=lot['lot_type'],
+            ))
+        return candidates
+
+    @staticmethod
+    def _candidate(kind, candidate_id, name, area, location, walk, free, total, price, points, free_share,
+                   lot_type=None):
+        hour, two_hours = points
+        return {
+            'kind': kind,
+            'id': candidate_id,
+            'name': name,
+            'area': area,
+            'lot_type': lot_type,
+            'location': list(location),
+            'walking_distance_m': round(walk),
+            'walking_minutes': max(1, round(walk / WALK_METRES_PER_MINUTE)),
+            'available_slots': free,
+            'total_slots': total,
+            'price_per_hour': price,
+            'current_availability': round(free_share, 3),
+            'predicted_availability_1h': round(1 - hour['occupancy'], 3),
+            'predicted_availability_2h': round(1 - two_hours['occupancy'], 3),
+            # Availability band is the occupancy band turned over
+            'availability_band_1h': [round(1 - hour['upper'], 3), round(1 - hour['lower'], 3)],
+            'availability_trend': round((1 - hour['occupancy']) - free_share, 3),
+            'history_samples': hour['samples'],
+        }
+
+    # --- Scoring ---
+    def _score(self, candidate, cheapest, junctions, language):
+        def t(key, **values):
+            return self.catalogs.t(language, key, **values)
+
+        walk = candidate['walking_distance_m']
+        congestion = self._congestion(candidate['location'], junctions, t)
+        price = candidate['price_per_hour']
+        free = {'free': format_number(candidate['available_slots']), 'total': format_number(candidate['total_slots'])}
+
+        factors = {
+            'walking': (
+                max(0.0, 1 - walk / MAX_WALK_M),
+                t('recommendation.reason.walking', distance=_format_distance(walk, t),
+                  minutes=format_number(candidate['walking_minutes'])),
+            ),
+            'availability': (
+                candidate['current_availability'],
+                t('recommendation.reason.free_on_street', street=candidate['area'], **free)
+                if candidate['kind'] == 'street' else t('recommendation.reason.free_in_lot', **free),
+            ),
+            'forecast': (
+                candidate['predicted_availability_1h'],
+                t('recommendation.reason.forecast', percent=format_percent(candidate['predicted_availability_1h'])),
+            ),
+            'price': (
+                cheapest / price if price > 0 else 1.0,
+                t('recommendation.reason.price_cheapest' if price <= cheapest else 'recommendation.reason.price',
+                  price=format_currency(price, self.pricing.currency)),
+            ),
+            'congestion': congestion,
+        }
+
+        breakdown = []
+        for factor, (value, detail) in factors.items():
+            weight = self.weights[factor]
+            breakdown.append({
+                'factor': factor,
+                'label': t(f'recommendation.factor.{factor}'),
+                'detail': detail,
+                'score': round(value, 3),
+                'weight': round(weight, 3),
+                'contribution': round(value * weight, 3),
+            })
+
+        # Explain with the factors that weigh most among those in the candidate's favour
+        leading = sorted(breakdown, key=lambda item: item['contribution'], reverse=True)
+        favourable = [item for item in leading if item['score'] >= 0.5 and item['contribution'] > 0]
+        reasons = [item['detail'] for item in (favourable or leading[:1])[:REASON_COUNT]]
+        message = t('recommendation.message', reasons='; '.join(reasons)) if reasons else ''
+        low, high = candidate['availability_band_1h']
+        return {
+            **candidate,
+            'score': round(sum(item['contribution'] for item in breakdown), 3),
+            # Confidence rests on the forecast: the narrower its band, the firmer the ranking
+            'confidence': round(1 - (high - low), 2),
+            'factors': breakdown,
+            'reasons': reasons,
+            'message': f'{message[:1].upper()}{message[1:]}',
+        }
+
+    @staticmethod
+    def _congestion(location, junctions, t):
+        nearby = [
+            junction for junction in junctions
+            if haversine_m(location[0], location[1], *junction['location']) <= CONGESTION_RADIUS_M
+        ]
+        if not nearby:
+            return 1.0, t('recommendation.reason.no_junction')
+        busiest = max(nearby, key=lambda junction: junction['degree_of_saturation'])
+        value = 1 - min(busiest['degree_of_saturation'], 1.0)
+        return value, t(f"recommendation.reason.traffic.{busiest['traffic_level']}", junction=busiest['name'])
+
+
+def _format_distance(metres, t):
+    if metres >= 1000:
+        return t('unit.kilometres', value=format_number(metres / 1000, 1))
+    return t('unit.metres', value=format_number(metres))
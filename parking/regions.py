@@ -0,0 +1,143 @@
+"""
+Registry of the cities the service runs in.
+
+Each region has a bounding box, a default map centre, a timezone and the
+currency its prices are shown in. Lots, street slots and junctions belong
+to the region whose box contains them, so a region's lot set is whatever
+the inventory holds inside it; LOT_DEFINITIONS carries each city's built-in
+lots. Regions are listed in data/regions.json and the first one is the
+default for requests that name neither a region nor a location.
+
+Boxes may touch but should not overlap; where they do, a point belongs to
+the smaller region. Demand profiles, peak tariffs, forecasts and signal
+plans follow the clock of the region a lot, slot or junction lies in.
+
+A city joins the registry together with its built-in lots (LOT_DEFINITIONS),
+street slots (STREETS), signal junctions (JUNCTIONS) and roads
+(data/roads.geojson), so routing, beats and the traffic layer work there
+from the start.
+"""
+
+import json
+from datetime import datetime
+from zoneinfo import ZoneInfo, ZoneInfoNotFoundError
+
+
+class RegionError(Exception):
+    """Raised for unknown regions and locations outside every region; carries an HTTP status"""
+
+    def __init__(self, message, status=404):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+class Region:
+    """One city: its box, centre, timezone and currency"""
+
+    def __init__(self, definition):
+        try:
+            self.id = str(definition['id'])
+            self.name = str(definition['name'])
+            self.southwest = tuple(float(value) for value in definition['southwest'])
+            self.northeast = tuple(float(value) for value in definition['northeast'])
+            self.center = tuple(float(value) for value in definition['center'])
+            self.timezone = str(definition['timezone'])
+            self.currency = str(definition['currency'])
+        except (KeyError, TypeError, ValueError) as error:
+            raise ValueError(f'Invalid region definition {definition!r}: {error}') from error
+        if len(self.southwest) != 2 or len(self.northeast) != 2 or len(self.center) != 2:
+            raise ValueError(f'Region {self.id}: southwest, northeast and center must be [lat, lng] pairs')
+        if not (self.southwest[0] < self.northeast[0] and self.southwest[1] < self.northeast[1]):
+            raise ValueError(f'Region {self.id}: southwest must lie south-west of northeast')
+        if not self.contains(*self.center):
+            raise ValueError(f'Region {self.id}: center must lie inside the region')
+        try:
+            self.tz = ZoneInfo(self.timezone)
+        except (ZoneInfoNotFoundError, ValueError) as error:
+            raise ValueError(f'Region {self.id}: unknown timezone {self.timezone}') from error
+
+    def contains(self, lat, lng):
+        (south, west), (north, east) = self.southwest, self.northeast
+        return south <= lat <= north and west <= lng <= east
+
+    def area(self):
+        return (self.northeast[0] - self.southwest[0]) * (self.northeast[1] - self.southwest[1])
+
+    def to_dict(self):
+        return {
+            'id': self.id,
+            'name': self.name,
+            'southwest': list(self.southwest),
+            'northeast': list(self.northeast),
+            'center': list(self.center),
+            'timezone': self.timezone,
+            'currency': self.currency,
+        }
+
+
+def local_time(timestamp, region=None):
+    """A unix timestamp as a datetime on `region`'s clock, or on the server's when there is none"""
+    return datetime.fromtimestamp(timestamp, region.tz if region is not None else None)
+
+
+def region_at(regions, location):
+    """The region of a registry containing a (lat, lng); None without a registry or outside it"""
+    return regions.locate(*location) if regions is not None else None
+
+
+def in_region(region, location):
+    """Whether a (lat, lng) lies in `region`; every location does when no region is given"""
+    return region is None or region.contains(*location)
+
+
+class RegionRegistry:
+    """The configured regions, looked up by id or by location"""
+
+    def __init__(self, definitions):
+        if not definitions:
+            raise ValueError('At least one region is required')
+        self.regions = {}
+        for definition in definitions:
+            region = Region(definition)
+            if region.id in self.regions:
+                raise ValueError(f'Duplicate region id: {region.id}')
+            self.regions[region.id] = region
+        self.default = next(iter(self.regions.values()))
+        print(f"🏙️ Regions: {', '.join(region.name for region in self.regions.values())}")
+
+    @classmethod
+    def from_json(cls, path):
+        with open(path, encoding='utf-8') as f:
+            return cls(json.load(f)['regions'])
+
+    def get(self, region_id):
+        if region_id not in self.regions:
+            raise RegionError(f'Unknown region: {region_id}. Choose one of: {", ".join(self.regions)}')
+        return self.regions[region_id]
+
+    def locate(self, lat, lng):
+        """The region containing a point (the smallest, where boxes overlap), or None"""
+        containing = [region for region in self.regions.values() if region.contains(lat, lng)]
+        return min(containing, key=Region.area) if containing else None
+
+    def resolve(self, region_id=None, lat=None, lng=None):
+        """The region named by id, else the one containing (lat, lng), else the default"""
+        if region_id:
+            return self.get(region_id)
+        if lat is None or lng is None:
+            return self.default
+        region = self.locate(lat, lng)
+        if region is None:
+            raise RegionError(f'({lat:.4f}, {lng:.4f}) is outside the areas we cover: '
+                              f'{", ".join(region.name for region in self.regions.values())}')
+        return region
+
+    def require_currency(self, currency):
+        """Prices come from one tariff, so every region must show them in its currency"""
+        mismatched = [region.id for region in self.regions.values() if region.currency != currency]
+        if mismatched:
+            raise ValueError(f'Regions {", ".join(mismatched)} use a currency other than the tariff\'s ({currency})')
+
+    def to_list(self):
+        return [region.to_dict() for region in self.regions.values()]
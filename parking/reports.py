@@ -0,0 +1,265 @@
+"""
+Exports and reports for the transport office.
+
+GeoJSON FeatureCollections of the lots and street slots as they are now,
+CSV of the stored occupancy samples, and a daily per-zone report built from
+those samples: peak occupancy, turnover, average dwell time and revenue.
+
+The samples are snapshots taken every few minutes, so the report's figures
+are estimates. An arrival and a departure between two snapshots cancel out,
+so turnover is a lower bound. Dwell time follows from Little's law (cars
+parked on average / arrivals per hour). Revenue charges each parked car the
+zone's hourly rate until the next snapshot.
+"""
+
+import csv
+import io
+import time
+from collections import defaultdict
+from datetime import date, datetime, timedelta
+
+from .history import RETENTION_DAYS, SAMPLE_INTERVAL_SECONDS
+from .pricing import PricingError
+
+EXPORT_KINDS = ('lot', 'slot')
+LOT_CSV_COLUMNS = ('timestamp', 'time', 'lot', 'zone', 'occupied', 'total', 'occupancy_rate')
+SLOT_CSV_COLUMNS = ('timestamp', 'time', 'slot_id', 'street', 'zone', 'occupied')
+REPORT_CSV_COLUMNS = ('date', 'zone', 'zone_name', 'spaces', 'peak_occupancy_rate', 'peak_at',
+                      'average_occupancy_rate', 'arrivals', 'turnover', 'average_dwell_minutes', 'revenue', 'currency')
+DEFAULT_RANGE_DAYS = 7
+
+# Gaps between snapshots (the server was down) count as at most this long
+MAX_SAMPLE_GAP_SECONDS = 2 * SAMPLE_INTERVAL_SECONDS
+
+
+class ReportError(Exception):
+    """Raised for export and report requests that cannot be answered; carries an HTTP status"""
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+# --- Date ranges ---
+def parse_day(text, field):
+    try:
+        return date.fromisoformat(text)
+    except (TypeError, ValueError):
+        raise ReportError(f'{field} must be a date like 2024-05-31')
+
+
+def report_day(text=None, today=None):
+    """The day a report is for; today by default"""
+    return parse_day(text, 'date') if text else today or date.today()
+
+
+def day_range(start_text=None, end_text=None, today=None):
+    """Inclusive local days from..to as (first day, last day); defaults to the last week"""
+    today = today or date.today()
+    end = parse_day(end_text, 'to') if end_text else today
+    start = parse_day(start_text, 'from') if start_text else end - timedelta(days=DEFAULT_RANGE_DAYS - 1)
+    if start > end:
+        raise ReportError('from must not be after to')
+    if (end - start).days >= RETENTION_DAYS:
+        raise ReportError(f'At most {RETENTION_DAYS} days can be exported; older samples are not kept')
+    return start, end
+
+
+def day_bounds(first, last=None):
+    """Unix seconds from the start of `first` to the end of `last`, in server local time"""
+    last = last or first
+    since = datetime.combine(first, datetime.min.time()).timestamp()
+    until = datetime.combine(last + timedelta(days=1), datetime.min.time()).timestamp()
+    # History reads include their upper bound; the next day's midnight sample belongs to it
+    return since, until - 0.001
+
+
+# --- GeoJSON ---
+def lots_geojson(lot_model):
+    """Every lot as a Point with its current occupancy"""
+    features = []
+    for name, status in lot_model.parking_status().items():
+        lat, lng = status['location']
+        properties = {'name': name, **{key: value for key, value in status.items() if key != 'location'}}
+        features.append(_feature({'type': 'Point', 'coordinates': [lng, lat]}, properties))
+    return _collection(features)
+
+
+def slots_geojson(street_slots):
+    """Every street slot as its drawn bay (Polygon), or a Point where none was drawn"""
+    features = []
+    for slot in street_slots.slots.values():
+        if slot['polygon']:
+            ring = [[lng, lat] for lat, lng in slot['polygon']]
+            if ring[0] != ring[-1]:
+                ring.append(ring[0])
+            geometry = {'type': 'Polygon', 'coordinates': [ring]}
+        else:
+            geometry = {'type': 'Point', 'coordinates': [slot['lng'], slot['lat']]}
+        properties = {key: value for key, value in street_slots.to_dict(slot).items() if key != 'polygon'}
+        features.append(_feature(geometry, properties))
+    return _collection(features)
+
+
+def _feature(geometry, properties):
+    return {'type': 'Feature', 'geometry': geometry, 'properties': properties}
+
+
+def _collection(features):
+    return {'type': 'FeatureCollection', 'features': features, 'generated_at': time.time()}
+
+
+# --- CSV ---
+def occupancy_csv(history, kind, since, until, zone=None):
+    """Occupancy samples as CSV lines, header first, so large ranges can be streamed"""
+    if kind not in EXPORT_KINDS:
+        raise ReportError(f"kind must be one of: {', '.join(EXPORT_KINDS)}")
+    if kind == 'lot':
+        rows = ([sample['ts'], _iso(sample['ts']), sample['lot'], sample['zone'], sample['occupied'],
+                 sample['total'], sample['occupancy_rate']]
+                for sample in history.lot_series(since=since, until=until, zone=zone))
+        return _csv_lines(LOT_CSV_COLUMNS, rows)
+    rows = ([sample['ts'], _iso(sample['ts']), sample['slot_id'], sample['street'], sample['zone'],
+             int(sample['occupied'])]
+            for sample in history.slot_series(since=since, until=until, zone=zone))
+    return _csv_lines(SLOT_CSV_COLUMNS, rows)
+
+
+def reports_csv(reports):
+    """One line per day and zone of several daily reports"""
+    rows = ([report['date'], zone['zone'], zone['zone_name'], zone['spaces'], zone['peak_occupancy_rate'],
+             _iso(zone['peak_at']) if zone['peak_at'] else '', zone['average_occupancy_rate'], zone['arrivals'],
+             zone['turnover'], zone['average_dwell_minutes'] if zone['average_dwell_minutes'] is not None else '',
+             zone['revenue'], report['currency']]
+            for report in reports for zone in report['zones'])
+    return _csv_lines(REPORT_CSV_COLUMNS, rows)
+
+
+def _csv_lines(columns, rows):
+    buffer = io.StringIO()
+    writer = csv.writer(buffer)
+    writer.writerow(columns)
+    yield buffer.getvalue()
+    for row in rows:
+        buffer.seek(0)
+        buffer.truncate()
+        writer.writerow(row)
+        yield buffer.getvalue()
+
+
+def _iso(ts):
+    return datetime.fromtimestamp(ts).isoformat(timespec='seconds')
+
+
+# --- Daily report ---
+def daily_report(history, pricing, day):
+    """Per-zone peak occupancy, turnover, average dwell time and revenue for one local day"""
+    since, until = day_bounds(day)
+    snapshots = defaultdict(lambda: defaultdict(_ZoneSample))
+
+    previous_lot = {}
+    for sample in history.lot_series(since=since, until=until):
+        zone = snapshots[sample['ts']][sample['zone']]
+        zone.add(sample['occupied'], sample['total'], 'garage')
+        before = previous_lot.get(sample['lot'])
+        if before is not None and sample['occupied'] > before:
+            zone.arrivals += sample['occupied'] - before
+        previous_lot[sample['lot']] = sample['occupied']
+
+    previous_slot = {}
+    for sample in history.slot_series(since=since, until=until):
+        zone = snapshots[sample['ts']][sample['zone']]
+        zone.add(int(sample['occupied']), 1, 'street')
+        if previous_slot.get(sample['slot_id']) is False and sample['occupied']:
+            zone.arrivals += 1
+        previous_slot[sample['slot_id']] = sample['occupied']
+
+    times = sorted(snapshots)
+    zones = defaultdict(_ZoneDay)
+    for i, ts in enumerate(times):
+        following = times[i + 1] if i + 1 < len(times) else min(ts + SAMPLE_INTERVAL_SECONDS, until)
+        seconds = min(following - ts, MAX_SAMPLE_GAP_SECONDS)
+        hour = datetime.fromtimestamp(ts).hour
+        for zone_id, sample in snapshots[ts].items():
+            zones[zone_id].add(ts, hour, seconds, sample, _hourly_revenue(pricing, zone_id, sample, ts))
+
+    return {
+        'date': day.isoformat(),
+        'currency': pricing.currency,
+        'samples': len(times),
+        'sample_interval_seconds': SAMPLE_INTERVAL_SECONDS,
+        'zones': [zones[zone_id].summary(zone_id, pricing.zone_name(zone_id)) for zone_id in sorted(zones)],
+        'generated_at': time.time(),
+    }
+
+
+def _hourly_revenue(pricing, zone, sample, ts):
+    """What the cars parked in a zone at one snapshot pay per hour"""
+    try:
+        return sum(occupied * pricing.current_rate(zone, kind, now=ts)
+                   for kind, occupied in sample.occupied_by_kind.items())
+    except PricingError:
+        # The zone has since been removed from the tariff
+        return 0.0
+
+
+class _ZoneSample:
+    """One zone's lots and slots at one snapshot"""
+
+    def __init__(self):
+        self.occupied = 0
+        self.spaces = 0
+        self.arrivals = 0
+        self.occupied_by_kind = defaultdict(int)
+
+    def add(self, occupied, spaces, kind):
+        self.occupied += occupied
+        self.spaces += spaces
+        self.occupied_by_kind[kind] += occupied
+
+
+class _ZoneDay:
+    """Running totals of one zone across a day's snapshots"""
+
+    def __init__(self):
+        self.spaces = 0
+        self.seconds = 0.0
+        self.occupied_seconds = 0.0
+        self.rate_seconds = 0.0
+        self.arrivals = 0
+        self.revenue = 0.0
+        self.peak_rate = 0.0
+        self.peak_at = None
+        self.hourly = defaultdict(list)
+
+    def add(self, ts, hour, seconds, sample, hourly_revenue):
+        rate = sample.occupied / sample.spaces if sample.spaces else 0.0
+        self.spaces = max(self.spaces, sample.spaces)
+        self.seconds += seconds
+        self.occupied_seconds += sample.occupied * seconds
+        self.rate_seconds += rate * seconds
+        self.arrivals += sample.arrivals
+        self.revenue += hourly_revenue * seconds / 3600
+        if self.peak_at is None or rate > self.peak_rate:
+            self.peak_rate, self.peak_at = rate, ts
+        self.hourly[hour].append(rate)
+
+    def summary(self, zone_id, zone_name):
+        average_parked = self.occupied_seconds / self.seconds if self.seconds else 0.0
+        arrivals_per_hour = self.arrivals / (self.seconds / 3600) if self.seconds else 0.0
+        return {
+            'zone': zone_id,
+            'zone_name': zone_name,
+            'spaces': self.spaces,
+            'peak_occupancy_rate': round(self.peak_rate, 3),
+            'peak_at': self.peak_at,
+            'average_occupancy_rate': round(self.rate_seconds / self.seconds, 3) if self.seconds else 0.0,
+            'arrivals': self.arrivals,
+            'turnover': round(self.arrivals / self.spaces, 2) if self.spaces else 0.0,
+            # Little's law: time parked = cars parked / arrival rate
+            'average_dwell_minutes': round(average_parked / arrivals_per_hour * 60, 1) if arrivals_per_hour else None,
+            'revenue': round(self.revenue, 2),
+            'hourly_occupancy': [round(sum(rates) / len(rates), 3) if rates else None
+                                 for rates in (self.hourly.get(hour, []) for hour in range(24))],
+        }
@@ -0,0 +1,133 @@
+"""
+Street slot reservations with hold timers.
+
+A reservation starts as a `held` hold on a free slot for HOLD_SECONDS. While
+held, the slot is unavailable to everyone else. The driver then confirms it
+(they have parked: the slot becomes occupied) or cancels it (the slot is
+released). Holds that run out are expired and their slots released.
+
+Each reservation belongs to the account that made it; other accounts are
+told it does not exist.
+"""
+
+import secrets
+import threading
+import time
+
+HOLD_SECONDS = 5 * 60
+
+# Finished reservations are kept this long so clients can still read their outcome
+RETENTION_SECONDS = 60 * 60
+
+
+class ReservationError(Exception):
+    """Raised when a reservation operation is not allowed; carries an HTTP status"""
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+class ReservationManager:
+    """Reserve, confirm, cancel and expire holds on street slots"""
+
+    def __init__(self, street_slots, hold_seconds=HOLD_SECONDS):
+        self.street_slots = street_slots
+        self.hold_seconds = hold_seconds
+        self._lock = threading.Lock()
+        self._reservations = {}
+
+    def reserve(self, slot_id, now=None, owner=None):
+        """Place a hold on a free slot for the account `owner`"""
+        now = now if now is not None else time.time()
+        self.expire_due(now)
+        slot = self.street_slots.get(slot_id)
+        if slot is None:
+            raise ReservationError(f'Unknown parking slot: {slot_id}', 404)
+
+        with self._lock:
+            if not self.street_slots.hold(slot_id, now):
+                message = 'This slot is already reserved' if slot['reserved'] else 'This slot is no longer available'
+                raise ReservationError(message, 409)
+            reservation = {
+                'id': secrets.token_urlsafe(12),
+                'slot_id': slot_id,
+                'owner': owner,
+                'slot_name': slot['name'],
+                'lat': slot['lat'],
+                'lng': slot['lng'],
+                'price_per_hour': slot['price_per_hour'],
+                'status': 'held',
+                'created_at': now,
+                'expires_at': now + self.hold_seconds,
+                'updated_at': now,
+            }
+            self._reservations[reservation['id']] = reservation
+        print(f"🅿️ Slot {slot_id} held until {time.strftime('%H:%M:%S', time.localtime(reservation['expires_at']))}")
+        return self.to_dict(reservation, now)
+
+    def confirm(self, reservation_id, now=None, owner=None):
+        """The driver has parked in the held slot"""
+        return self._finish(reservation_id, 'confirmed', self.street_slots.occupy_held, now, owner)
+
+    def cancel(self, reservation_id, now=None, owner=None):
+        """The driver gives the slot back"""
+        return self._finish(reservation_id, 'cancelled', self.street_slots.release, now, owner)
+
+    def get(self, reservation_id, now=None, owner=None):
+        now = now if now is not None else time.time()
+        self.expire_due(now)
+        with self._lock:
+            return self.to_dict(self._owned(reservation_id, owner), now)
+
+    def held_for_slot(self, slot_id, now=None):
+        """The live hold on a slot, if any"""
+        now = now if now is not None else time.time()
+        self.expire_due(now)
+        with self._lock:
+            for reservation in self._reservations.values():
+                if reservation['slot_id'] == slot_id and reservation['status'] == 'held':
+                    return self.to_dict(reservation, now)
+        return None
+
+    def expire_due(self, now=None):
+        """Expire holds whose timer has run out and forget old finished reservations"""
+        now = now if now is not None else time.time()
+        expired = []
+        with self._lock:
+            for reservation_id, reservation in list(self._reservations.items()):
+                if reservation['status'] == 'held' and reservation['expires_at'] <= now:
+                    reservation['status'] = 'expired'
+                    reservation['updated_at'] = now
+                    self.street_slots.release(reservation['slot_id'], now)
+                    expired.append(reservation['slot_id'])
+                elif reservation['status'] != 'held' and now - reservation['updated_at'] > RETENTION_SECONDS:
+                    del self._reservations[reservation_id]
+        for slot_id in expired:
+            print(f"⌛ Hold on slot {slot_id} expired")
+        return expired
+
+    def _owned(self, reservation_id, owner):
+        reservation = self._reservations.get(reservation_id)
+        if reservation is None or (owner is not None and reservation['owner'] != owner):
+            raise ReservationError('Reservation not found', 404)
+        return reservation
+
+    def _finish(self, reservation_id, status, slot_action, now, owner=None):
+        now = now if now is not None else time.time()
+        self.expire_due(now)
+        with self._lock:
+            reservation = self._owned(reservation_id, owner)
+            if reservation['status'] != 'held':
+                raise ReservationError(f"Reservation is already {reservation['status']}", 409)
+            slot_action(reservation['slot_id'], now)
+            reservation['status'] = status
+            reservation['updated_at'] = now
+            return self.to_dict(reservation, now)
+
+    def to_dict(self, reservation, now=None):
+        now = now if now is not None else time.time()
+        data = dict(reservation)
+        data['seconds_remaining'] = max(0, int(reservation['expires_at'] - now)) if reservation['status'] == 'held' else 0
+        return data
@@ -0,0 +1,368 @@
+"""
+Road-network routing over a bundled GeoJSON road extract.
+
+Each LineString feature is a road; consecutive vertices become edges and
+roads meet wherever they share a vertex. Origin and destination are snapped
+onto the nearest edge, then A* finds the fastest path using each road's
+`maxspeed` or the typical speed of its class, keeping to the direction of
+one-way roads. The result is a polyline, turn-by-turn steps and an ETA.
+
+The bundled data/roads.geojson is a simplified extract holding the main and
+collector roads of each region and the highways between them, not a full
+street network; every built-in lot and street slot lies within reach of it. Points further than MAX_SNAP_DISTANCE_M from all of them are
+refused rather than joined to the network by a straight line that would cut
+through buildings. For full coverage, point PARKING_ROADS_FILE at a fuller
+extract: any GeoJSON of LineStrings with OpenStreetMap `highway`, `name`,
+`oneway` and `maxspeed` properties, such as the output of `osmium
+tags-filter city.osm.pbf w/highway` followed by `osmium export -f geojson`.
+Ways of classes missing from HIGHWAY_SPEEDS_KMH (footways, cycleways,
+tracks) are left out. Crossing roads must share a vertex to connect, which
+OSM exports already do.
+"""
+
+import heapq
+import json
+import math
+import os
+import time
+
+from .geo import haversine_m
+
+# Typical urban travel speeds by road class (km/h)
+HIGHWAY_SPEEDS_KMH = {
+    'motorway': 60,
+    'trunk': 50,
+    'primary': 40,
+    'secondary': 30,
+    'tertiary': 25,
+    'motorway_link': 40,
+    'trunk_link': 35,
+    'primary_link': 30,
+    'secondary_link': 25,
+    'tertiary_link': 20,
+    'unclassified': 20,
+    'residential': 20,
+    'living_street': 10,
+    'service': 10,
+}
+DEFAULT_SPEED_KMH = 20
+
+# Points further than this from every road are off the mapped network. The
+# access leg to the nearest road is drawn as a straight line, so it is kept short
+MAX_SNAP_DISTANCE_M = 300
+
+MPH_TO_KMH = 1.609344
+
+# Driving from the point itself onto the road network
+ACCESS_SPEED_KMH = 15
+
+# Heading changes below this (degrees) read as "continue"
+CONTINUE_ANGLE = 20
+
+COMPASS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west']
+
+
+class RoutingError(Exception):
+    """Raised when no route can be produced; carries an HTTP status and the
+    catalog key and values the app shows the message with"""
+
+    def __init__(self, message, status=422, key=None, **values):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+        self.key = key
+        self.values = values
+
+
+def bearing(a, b):
+    """Initial compass bearing in degrees from point a to point b, both (lat, lng)"""
+    lat1, lat2 = math.radians(a[0]), math.radians(b[0])
+    d_lng = math.radians(b[1] - a[1])
+    x = math.sin(d_lng) * math.cos(lat2)
+    y = math.cos(lat1) * math.sin(lat2) - math.sin(lat1) * math.cos(lat2) * math.cos(d_lng)
+    return (math.degrees(math.atan2(x, y)) + 360) % 360
+
+
+def _project(point, a, b):
+    """Closest point to `point` on segment a-b, as (fraction along the segment, (lat, lng))"""
+    # Equirectangular approximation is plenty at city scale
+    scale = math.cos(math.radians(point[0]))
+    ax, ay = a[1] * scale, a[0]
+    bx, by = b[1] * scale, b[0]
+    px, py = point[1] * scale, point[0]
+    dx, dy = bx - ax, by - ay
+    length_sq = dx * dx + dy * dy
+    t = 0.0 if length_sq == 0 else max(0.0, min(1.0, ((px - ax) * dx + (py - ay) * dy) / length_sq))
+    return t, (a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t)
+
+
+def default_roads_path():
+    """PARKING_ROADS_FILE, or the bundled extract in data/ next to the app"""
+    root = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+    return os.environ.get('PARKING_ROADS_FILE') or os.path.join(root, 'data', 'roads.geojson')
+
+
+class RoadGraph:
+    """Road graph with A* routing; one-way roads are only travelled from a to b"""
+
+    def __init__(self, features):
+        self.nodes = []         # node id -> (lat, lng)
+        self.edges = []         # edge dicts: a, b, name, highway, length_m, speed_kmh, oneway
+        self.adjacency = {}     # node id -> [(neighbour id, edge index)] for each edge leaving it
+        node_ids = {}
+
+        for feature in features:
+            geometry = feature.get('geometry') or {}
+            if geometry.get('type') != 'LineString':
+                continue
+            properties = feature.get('properties') or {}
+            highway = properties.get('highway', 'residential')
+            if highway not in HIGHWAY_SPEEDS_KMH:
+                continue
+            speed = _speed_kmh(properties.get('maxspeed'), highway)
+            oneway = str(properties.get('oneway', 'no')).lower()
+            coordinates = geometry['coordinates']
+            if oneway == '-1':
+                # One-way against the direction the way is drawn in
+                coordinates = list(reversed(coordinates))
+            oneway = oneway in ('yes', 'true', '1', '-1')
+            previous = None
+            for lng, lat in coordinates:
+                key = (round(lat, 6), round(lng, 6))
+                if key not in node_ids:
+                    node_ids[key] = len(self.nodes)
+                    self.nodes.append(key)
+                    self.adjacency[node_ids[key]] = []
+                node = node_ids[key]
+                if previous is not None and previous != node:
+                    self._add_edge(previous, node, properties.get('name') or 'Unnamed road', highway, speed, oneway)
+                previous = node
+
+        self.max_speed_kmh = max((edge['speed_kmh'] for edge in self.edges), default=DEFAULT_SPEED_KMH)
+        print(f"🛣️ Road graph loaded: {len(self.nodes)} nodes, {len(self.edges)} edges")
+
+    @classmethod
+    def from_geojson(cls, path=None):
+        path = path or default_roads_path()
+        with open(path, encoding='utf-8') as f:
+            return cls(json.load(f)['features'])
+
+    def _add_edge(self, a, b, name, highway, speed_kmh, oneway=False):
+        index = len(self.edges)
+        self.edges.append({
+            'a': a,
+            'b': b,
+            'name': name,
+            'highway': highway,
+            'length_m': haversine_m(*self.nodes[a], *self.nodes[b]),
+            'speed_kmh': speed_kmh,
+            'oneway': oneway,
+        })
+        self.adjacency[a].append((b, index))
+        if not oneway:
+            self.adjacency[b].append((a, index))
+
+    # --- Snapping ---
+    def nearest(self, lat, lng):
+        """Nearest point on the network however far: (edge index, fraction from a to b, (lat, lng), distance in metres)"""
+        best = None
+        for index, edge in enumerate(self.edges):
+            t, point = _project((lat, lng), self.nodes[edge['a']], self.nodes[edge['b']])
+            distance = haversine_m(lat, lng, *point)
+            if best is None or distance < best[3]:
+                best = (index, t, point, distance)
+        if best is None:
+            raise RoutingError('The road network is empty', 503, key='route.error.no_roads')
+        return best
+
+    def snap(self, lat, lng, point='location'):
+        """The nearest point on the network, as nearest() gives it, within MAX_SNAP_DISTANCE_M.
+        `point` ('start', 'destination' or 'location') names it in the error"""
+        best = self.nearest(lat, lng)
+        if best[3] > MAX_SNAP_DISTANCE_M:
+            distance, road = round(best[3]), self.edges[best[0]]['name']
+            raise RoutingError(f"The {point} is {distance} m from the nearest mapped road ({road}); "
+                               f"routes start and end within {MAX_SNAP_DISTANCE_M} m of one",
+                               key=f'route.error.{point}_off_road', distance=distance, road=road,
+                               limit=MAX_SNAP_DISTANCE_M)
+        return best
+
+    # --- Routing ---
+    def route(self, origin, destination, now=None):
+        """Fastest route between two (lat, lng) points"""
+        now = now if now is not None else time.time()
+        start = self.snap(*origin, point='start')
+        end = self.snap(*destination, point='destination')
+
+        # Virtual nodes for the snapped points, joined to the ends of their edges
+        origin_node, destination_node = 'origin', 'destination'
+        points = {origin_node: start[2], destination_node: end[2]}
+        virtual = {origin_node: [], destination_node: []}
+        # On a one-way edge the start only leads on to b, and the destination is only reached from a
+        for node, (edge_index, t, _, _), forward in ((origin_node, start, 'b'), (destination_node, end, 'a')):
+            edge = self.edges[edge_index]
+            for end_name, fraction in (('a', t), ('b', 1 - t)):
+                if edge['oneway'] and end_name != forward:
+                    continue
+                piece = dict(edge, length_m=edge['length_m'] * fraction)
+                virtual[node].append((edge[end_name], piece))
+        if start[0] == end[0] and not (self.edges[start[0]]['oneway'] and end[1] < start[1]):
+            edge = self.edges[start[0]]
+            direct = dict(edge, length_m=edge['length_m'] * abs(start[1] - end[1]))
+            virtual[origin_node].append((destination_node, direct))
+
+        # The real nodes at either end of the destination's edge lead into it
+        into_destination = {neighbour: piece for neighbour, piece in virtual[destination_node]}
+
+        def position(node):
+            return points[node] if node in points else self.nodes[node]
+
+        def neighbours(node):
+            if node in virtual:
+                yield from virtual[node]
+                return
+            for neighbour, index in self.adjacency[node]:
+                yield neighbour, self.edges[index]
+            if node in into_destination:
+                yield destination_node, into_destination[node]
+
+        max_speed = self.max_speed_kmh / 3.6
+        goal = position(destination_node)
+
+        def heuristic(node):
+            return haversine_m(*position(node), *goal) / max_speed
+
+        counter = 0
+        queue = [(heuristic(origin_node), counter, origin_node)]
+        best_time = {origin_node: 0.0}
+        came_from = {}
+        while queue:
+            _, _, node = heapq.heappop(queue)
+            if node == destination_node:
+                break
+            for neighbour, edge in neighbours(node):
+                elapsed = best_time[node] + edge['length_m'] / (edge['speed_kmh'] / 3.6)
+                if elapsed < best_time.get(neighbour, math.inf):
+                    best_time[neighbour] = elapsed
+                    came_from[neighbour] = (node, edge)
+                    counter += 1
+                    heapq.heappush(queue, (elapsed + heuristic(neighbour), counter, neighbour))
+        else:
+            raise RoutingError('No road connection between these points', 404, key='route.error.no_connection')
+
+        # Walk back from the destination to recover the legs
+        legs = []
+        node = destination_node
+        while node != origin_node:
+            previous, edge = came_from[node]
+            legs.append((position(previous), position(node), edge))
+            node = previous
+        legs.reverse()
+
+        return self._describe(origin, destination, start[3], end[3], legs, now)
+
+    def _describe(self, origin, destination, origin_offset, destination_offset, legs, now):
+        """Polyline, turn-by-turn steps and totals for a list of (from, to, edge) legs"""
+        access_speed = ACCESS_SPEED_KMH / 3.6
+        geometry = [tuple(origin)]
+        steps = []
+        for start_point, end_point, edge in legs:
+            length = haversine_m(*start_point, *end_point)
+            if length < 0.5:
+                continue
+            geometry.extend([start_point, end_point])
+            duration = length / (edge['speed_kmh'] / 3.6)
+            heading = bearing(start_point, end_point)
+            if steps and steps[-1]['road'] == edge['name']:
+                step = steps[-1]
+                step['distance_m'] += length
+                step['duration_s'] += duration
+                step['_end_heading'] = heading
+                continue
+            steps.append({
+                'road': edge['name'],
+                'location': list(start_point),
+                'distance_m': length,
+                'duration_s': duration,
+                '_start_heading': heading,
+                '_end_heading': heading,
+            })
+        geometry.append(tuple(destination))
+
+        if steps:
+            steps[0]['distance_m'] += origin_offset
+            steps[0]['duration_s'] += origin_offset / access_speed
+            steps[-1]['distance_m'] += destination_offset
+            steps[-1]['duration_s'] += destination_offset / access_speed
+
+        for index, step in enumerate(steps):
+            if index == 0:
+                step['maneuver'] = 'depart'
+                step['instruction'] = f"Head {COMPASS[round(step['_start_heading'] / 45) % 8]} on {step['road']}"
+            else:
+                step['maneuver'] = _turn(steps[index - 1]['_end_heading'], step['_start_heading'])
+                verb = 'Continue' if step['maneuver'] == 'continue' else (
+                    'Make a U-turn' if step['maneuver'] == 'uturn' else f"Turn {step['maneuver'].replace('-', ' ')}")
+                step['instruction'] = f"{verb} onto {step['road']}"
+        for step in steps:
+            del step['_start_heading'], step['_end_heading']
+            step['distance_m'] = round(step['distance_m'])
+            step['duration_s'] = round(step['duration_s'])
+        steps.append({
+            'road': steps[-1]['road'] if steps else None,
+            'location': list(destination),
+            'distance_m': 0,
+            'duration_s': 0,
+            'maneuver': 'arrive',
+            'instruction': 'Arrive at your destination',
+        })
+
+        distance = sum(step['distance_m'] for step in steps)
+        duration = sum(step['duration_s'] for step in steps)
+        if not legs:
+            # Origin and destination snapped to the same point
+            distance = round(origin_offset + destination_offset)
+            duration = round(distance / access_speed)
+        return {
+            'distance_m': distance,
+            'duration_s': duration,
+            'eta': now + duration,
+            'geometry': [[round(lat, 6), round(lng, 6)] for lat, lng in _dedupe(geometry)],
+            'steps': steps,
+            'origin_offset_m': round(origin_offset),
+            'destination_offset_m': round(destination_offset),
+        }
+
+
+def _speed_kmh(maxspeed, highway):
+    """A road's `maxspeed` (km/h, or like "30 mph"), else the typical speed of its class"""
+    if isinstance(maxspeed, str):
+        number, _, unit = maxspeed.strip().partition(' ')
+        try:
+            maxspeed = float(number) * (MPH_TO_KMH if unit.strip() == 'mph' else 1)
+        except ValueError:
+            maxspeed = None
+    if isinstance(maxspeed, (int, float)) and not isinstance(maxspeed, bool) and maxspeed > 0:
+        return maxspeed
+    return HIGHWAY_SPEEDS_KMH.get(highway, DEFAULT_SPEED_KMH)
+
+
+def _turn(previous_heading, heading):
+    delta = (heading - previous_heading + 540) % 360 - 180
+    side = 'right' if delta > 0 else 'left'
+    delta = abs(delta)
+    if delta < CONTINUE_ANGLE:
+        return 'continue'
+    if delta < 60:
+        return f'slight-{side}'
+    if delta < 150:
+        return side
+    return 'uturn'
+
+
+def _dedupe(points):
+    result = []
+    for point in points:
+        if not result or result[-1] != point:
+            result.append(point)
+    return result
@@ -0,0 +1,278 @@
+"""
+Replays realistic sensor traffic against a running server, for testing without hardware.
+
+    python -m parking.sensor_simulator --username admin --password ... \\
+        --ground-street Janpath --camera-street Rajpath --gate-lot 1
+
+Signs in as an admin, registers simulated devices (ids starting "sim-",
+replacing earlier ones) and sends them signed events, exactly as
+/api/sensors/events expects from real ones:
+
+- a ground sensor per bay on each --ground-street, reporting every change
+- a camera per --camera-street, sending a frame of the occupied bays regularly
+- a gate controller per --gate-lot, reporting each car in and out
+
+Occupancy follows the same demand profiles as the server's simulation, on
+the clock of each bay's region, sped up by --speed so a few minutes show a
+busy day. Devices queue what they cannot
+deliver and resend it, some batches are sent twice on purpose (--duplicate-rate)
+and --silence stops one device after a while to exercise silence detection.
+Only the standard library is used, so it runs anywhere the app does.
+"""
+
+import argparse
+import json
+import math
+import random
+import time
+import urllib.error
+import urllib.request
+import uuid
+
+from .lot_model import AVERAGE_DWELL_SECONDS as LOT_DWELL_SECONDS, local_hour, target_occupancy
+from .regions import RegionRegistry
+from .sensors import sign
+from .street_slots import AVERAGE_DWELL_SECONDS as STREET_DWELL_SECONDS
+
+DEVICE_PREFIX = 'sim-'
+HEARTBEAT_SECONDS = 60
+CAMERA_FRAME_SECONDS = 30
+TICK_SECONDS = 1.0
+
+
+class ApiError(Exception):
+    def __init__(self, message, status):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+class ApiClient:
+    """Just enough of the API: JSON requests with an optional bearer token"""
+
+    def __init__(self, base_url):
+        self.base_url = base_url.rstrip('/')
+        self.token = None
+
+    def request(self, method, path, body=None, headers=None):
+        data = json.dumps(body).encode('utf-8') if body is not None else None
+        return self.send(method, path, data, headers)
+
+    def send(self, method, path, data=None, headers=None):
+        headers = {'Content-Type': 'application/json', **(headers or {})}
+        if self.token:
+            headers['Authorization'] = f'Bearer {self.token}'
+        request = urllib.request.Request(self.base_url + path, data=data, headers=headers, method=method)
+        try:
+            with urllib.request.urlopen(request, timeout=10) as response:
+                return json.loads(response.read() or b'{}')
+        except urllib.error.HTTPError as error:
+            try:
+                message = json.loads(error.read()).get('error')
+            except ValueError:
+                message = None
+            raise ApiError(message or f'HTTP {error.code}', error.code)
+
+    def sign_in(self, username, password):
+        payload = self.request('POST', '/api/auth/login', {'username': username, 'password': password, 'token': True})
+        self.token = payload['data']['token']
+
+
+class SimulatedDevice:
+    """A registered device with its secret and the events it has not delivered yet"""
+
+    def __init__(self, sensor, secret):
+        self.id = sensor['id']
+        self.kind = sensor['kind']
+        self.targets = sensor['targets']
+        self.secret = secret
+        self.outbox = []
+        self.last_sent_at = 0.0
+        self.silenced = False
+        # Cameras: the bays in view and when the next frame is due
+        self.bays = []
+        self.next_frame_at = 0.0
+
+    def queue(self, **event):
+        self.outbox.append({'event_id': uuid.uuid4().hex, 'observed_at': round(time.time(), 3), **event})
+
+    def flush(self, api, stats, duplicate_rate, rng, now):
+        """Deliver the outbox (or a heartbeat when it is due); keeps it for the next try on failure"""
+        if self.silenced or (not self.outbox and now - self.last_sent_at < HEARTBEAT_SECONDS / 2):
+            return
+        batch, self.outbox = self.outbox[:500], self.outbox[500:]
+        body = json.dumps({'events': batch}).encode('utf-8')
+        sends = 2 if batch and rng.random() < duplicate_rate else 1
+        for _ in range(sends):
+            timestamp = str(int(time.time()))
+            try:
+                payload = api.send('POST', '/api/sensors/events', body, {
+                    'X-Sensor-Id': self.id,
+                    'X-Sensor-Timestamp': timestamp,
+                    'X-Sensor-Signature': sign(self.secret, timestamp, body),
+                })
+            except (ApiError, urllib.error.URLError, OSError) as error:
+                print(f"⚠️ {self.id}: {getattr(error, 'message', error)}; will retry")
+                self.outbox = batch + self.outbox
+                return
+            for key in ('accepted', 'duplicates', 'ignored'):
+                stats[key] += payload['data'][key]
+            stats['rejected'] += len(payload['data']['rejected'])
+            for rejection in payload['data']['rejected']:
+                print(f"❌ {self.id} event {rejection['event_id']}: {rejection['error']}")
+        self.last_sent_at = now
+
+
+def birth_death_step(occupied, demand, dwell_seconds, elapsed, rng, now, region=None):
+    """One bay after `elapsed` simulated seconds, with the server's steady state for the hour in `region`"""
+    target = min(target_occupancy(demand, local_hour(now, region)), 0.98)
+    mu = 1.0 / dwell_seconds
+    if occupied:
+        return rng.random() >= 1 - math.exp(-mu * elapsed)
+    return rng.random() < 1 - math.exp(-mu * target / (1 - target) * elapsed)
+
+
+def register(api, sensor):
+    """Register a simulated device, replacing one of the same id left from an earlier run"""
+    try:
+        created = api.request('POST', '/api/admin/sensors', sensor)['data']
+    except ApiError as error:
+        if error.status != 409 or 'already exists' not in error.message:
+            raise
+        api.request('DELETE', f"/api/admin/sensors/{sensor['id']}")
+        created = api.request('POST', '/api/admin/sensors', sensor)['data']
+    print(f"📡 Registered {created['kind']} {created['id']} covering {', '.join(map(str, created['targets']))}")
+    return SimulatedDevice(created, created['secret'])
+
+
+def slug(text):
+    return ''.join(char if char.isalnum() else '-' for char in text.lower()).strip('-')
+
+
+def build_devices(api, inventory, regions, args):
+    devices = []
+    bays = {}
+    slots_by_street = {}
+    for slot in inventory['slots']:
+        slots_by_street.setdefault(slot['street'].lower(), []).append(slot)
+
+    def street_slots(street):
+        slots = [slot for slot in slots_by_street.get(street.lower(), []) if not slot.get('closed')]
+        if not slots:
+            raise SystemExit(f'No open slots on {street}; streets are: {", ".join(sorted(slots_by_street))}')
+        return slots
+
+    for street in args.ground_street:
+        for slot in street_slots(street):
+            device = register(api, {'id': f"{DEVICE_PREFIX}ground-{slot['id']}", 'kind': 'ground',
+                                    'targets': [slot['id']], 'heartbeat_seconds': HEARTBEAT_SECONDS})
+            devices.append(device)
+            bays[slot['id']] = {'demand': slot['demand'], 'occupied': not slot['available'], 'device': device,
+                                'region': regions.locate(slot['lat'], slot['lng'])}
+            # Sensors report their reading when they come online
+            device.queue(slot_id=slot['id'], occupied=not slot['available'])
+
+    for street in args.camera_street:
+        slots = street_slots(street)
+        device = register(api, {'id': f'{DEVICE_PREFIX}camera-{slug(street)}', 'kind': 'camera',
+                                'targets': [slot['id'] for slot in slots], 'heartbeat_seconds': HEARTBEAT_SECONDS})
+        devices.append(device)
+        for slot in slots:
+            bays.setdefault(slot['id'], {'demand': slot['demand'], 'occupied': not slot['available'], 'device': None,
+                                         'region': regions.locate(slot['lat'], slot['lng'])})
+        device.bays = [slot['id'] for slot in slots]
+
+    lots = {lot['id']: lot for lot in inventory['lots']}
+    gates = []
+    for lot_id in args.gate_lot:
+        lot = lots.get(lot_id)
+        if lot is None:
+            raise SystemExit(f'No lot {lot_id}; lots are: ' + ', '.join(f"{lot['id']} ({lot['name']})" for lot in lots.values()))
+        device = register(api, {'id': f'{DEVICE_PREFIX}gate-{lot_id}', 'kind': 'gate',
+                                'targets': [lot_id], 'heartbeat_seconds': HEARTBEAT_SECONDS})
+        devices.append(device)
+        occupied = lot['occupied_slots'] or 0
+        gates.append({'device': device, 'lot_type': lot['lot_type'], 'region': regions.locate(lot['lat'], lot['lng']),
+                      'spaces': [i < occupied for i in range(lot['capacity'])]})
+    return devices, bays, gates
+
+
+def run(args):
+    rng = random.Random(args.seed)
+    api = ApiClient(args.url)
+    api.sign_in(args.username, args.password)
+    inventory = api.request('GET', '/api/admin/inventory')['data']
+    regions = RegionRegistry(api.request('GET', '/api/regions')['data'])
+    devices, bays, gates = build_devices(api, inventory, regions, args)
+    if not devices:
+        raise SystemExit('Nothing to simulate: give --ground-street, --camera-street or --gate-lot')
+
+    stats = {'accepted': 0, 'duplicates': 0, 'ignored': 0, 'rejected': 0}
+    started = last_tick = last_report = time.time()
+    print(f'🚗 Simulating {len(devices)} devices at {args.speed}x; Ctrl-C to stop')
+    try:
+        while time.time() - started < args.minutes * 60:
+            time.sleep(TICK_SECONDS)
+            now = time.time()
+            elapsed = (now - last_tick) * args.speed
+            last_tick = now
+
+            if args.silence and now - started >= args.silence and not devices[0].silenced:
+                devices[0].silenced = True
+                print(f'🔇 {devices[0].id} stops reporting; the server should mark it silent '
+                      f'after {2 * HEARTBEAT_SECONDS} s')
+
+            for slot_id, bay in bays.items():
+                occupied = birth_death_step(bay['occupied'], bay['demand'], STREET_DWELL_SECONDS, elapsed, rng, now,
+                                            bay['region'])
+                if occupied != bay['occupied']:
+                    bay['occupied'] = occupied
+                    if bay['device']:
+                        bay['device'].queue(slot_id=slot_id, occupied=occupied)
+
+            for gate in gates:
+                dwell = LOT_DWELL_SECONDS[gate['lot_type']]
+                for i, occupied in enumerate(gate['spaces']):
+                    after = birth_death_step(occupied, gate['lot_type'], dwell, elapsed, rng, now, gate['region'])
+                    if after != occupied:
+                        gate['spaces'][i] = after
+                        gate['device'].queue(direction='in' if after else 'out')
+
+            for device in devices:
+                if device.kind == 'camera' and now >= device.next_frame_at:
+                    device.next_frame_at = now + CAMERA_FRAME_SECONDS
+                    device.queue(occupied_slot_ids=[slot_id for slot_id in device.bays if bays[slot_id]['occupied']])
+                device.flush(api, stats, args.duplicate_rate, rng, now)
+
+            if now - last_report >= 30:
+                last_report = now
+                print(f"📊 accepted {stats['accepted']}, duplicates {stats['duplicates']}, "
+                      f"ignored {stats['ignored']}, rejected {stats['rejected']}")
+    except KeyboardInterrupt:
+        pass
+    print(f"✅ Done: accepted {stats['accepted']}, duplicates {stats['duplicates']}, "
+          f"ignored {stats['ignored']}, rejected {stats['rejected']}")
+
+
+def main(argv=None):
+    parser = argparse.ArgumentParser(description=__doc__.split('\n\n')[0].strip())
+    parser.add_argument('--url', default='http://127.0.0.1:5000', help='Server to send events to')
+    parser.add_argument('--username', required=True, help='Admin account that registers the devices')
+    parser.add_argument('--password', required=True)
+    parser.add_argument('--ground-street', action='append', default=[], metavar='STREET',
+                        help='Put a ground sensor in every bay of this street (repeatable)')
+    parser.add_argument('--camera-street', action='append', default=[], metavar='STREET',
+                        help='Watch this street with one camera counter (repeatable)')
+    parser.add_argument('--gate-lot', action='append', default=[], type=int, metavar='LOT_ID',
+                        help='Put a gate controller on this lot (repeatable)')
+    parser.add_argument('--speed', type=float, default=20.0, help='Simulated seconds per real second')
+    parser.add_argument('--minutes', type=float, default=10.0, help='How long to run, in real minutes')
+    parser.add_argument('--duplicate-rate', type=float, default=0.05, help='Share of batches sent twice')
+    parser.add_argument('--silence', type=float, default=0, metavar='SECONDS',
+                        help='Stop the first device after this many real seconds (0: never)')
+    parser.add_argument('--seed', type=int, default=None)
+    run(parser.parse_args(argv))
+
+
+if __name__ == '__main__':
+    main()
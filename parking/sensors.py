@@ -0,0 +1,351 @@
+"""
+Occupancy feeds from real devices.
+
+Ground sensors, camera counters and gate controllers POST batches of events
+to /api/sensors/events. Every request is signed with the device's own secret:
+
+    X-Sensor-Id:        the device id
+    X-Sensor-Timestamp: Unix seconds when the request was sent
+    X-Sensor-Signature: hex HMAC-SHA256 of "<timestamp>.<raw body>" with the secret
+
+Each device kind has a decoder that turns its events into observations of
+street slots or lots; new kinds plug in through `DECODERS`. Events are
+deduplicated by (device, event_id) for a day, so devices can safely resend a
+batch they got no answer for. Observations older than the slot's last one,
+and gate counts that would overfill or empty a lot, are ignored.
+
+A slot or lot fed by a device is left alone by the simulation. When a device
+has not been heard from for twice its heartbeat interval it is marked silent
+and what it covers goes back to the simulation until it reports again.
+"""
+
+import hashlib
+import hmac
+import json
+import math
+import os
+import re
+import secrets
+import sqlite3
+import threading
+import time
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS sensors (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    targets TEXT NOT NULL,
+    heartbeat_seconds INTEGER NOT NULL,
+    created_at REAL NOT NULL,
+    last_seen_at REAL,
+    silent INTEGER NOT NULL DEFAULT 0
+);
+CREATE TABLE IF NOT EXISTS sensor_events (
+    sensor_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    received_at REAL NOT NULL,
+    PRIMARY KEY (sensor_id, event_id)
+);
+CREATE INDEX IF NOT EXISTS sensor_events_received ON sensor_events (received_at);
+"""
+
+SENSOR_ID_PATTERN = re.compile(r'^[A-Za-z0-9_.-]{3,64}$')
+DEFAULT_HEARTBEAT_SECONDS = 300
+MIN_HEARTBEAT_SECONDS = 10
+MAX_HEARTBEAT_SECONDS = 86400
+# Signed requests must be this fresh, so a captured request cannot be replayed later
+MAX_CLOCK_SKEW_SECONDS = 300
+# Event ids are remembered this long; older events are rejected rather than risk applying them twice
+DEDUPE_WINDOW_SECONDS = 86400
+MAX_EVENTS_PER_REQUEST = 500
+MAX_EVENT_ID_LENGTH = 100
+
+
+class SensorError(Exception):
+    """Raised for rejected devices, signatures and requests; carries an HTTP status"""
+
+    def __init__(self, message, status=400):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+
+
+def default_sensors_path():
+    """PARKING_SENSORS_DB, or instance/parking_sensors.db next to the app"""
+    root = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+    return os.environ.get('PARKING_SENSORS_DB') or os.path.join(root, 'instance', 'parking_sensors.db')
+
+
+def sign(secret, timestamp, body):
+    """The X-Sensor-Signature of a request body; what devices and the simulator compute"""
+    if isinstance(body, str):
+        body = body.encode('utf-8')
+    message = str(timestamp).encode('ascii') + b'.' + body
+    return hmac.new(secret.encode('utf-8'), message, hashlib.sha256).hexdigest()
+
+
+# --- Decoders: device events -> observations ---
+# An observation is ('slot', slot_id, occupied) or ('lot', lot_id, +1 / -1)
+
+class GroundSensorDecoder:
+    """One magnetometer or radar per bay: {"slot_id": "street_3", "occupied": true}"""
+
+    kind = 'ground'
+    target = 'slot'
+
+    def decode(self, targets, event):
+        slot_id = event.get('slot_id', targets[0] if len(targets) == 1 else None)
+        if slot_id not in targets:
+            raise SensorError('slot_id is not one of the slots this sensor covers')
+        if not isinstance(event.get('occupied'), bool):
+            raise SensorError('occupied must be true or false')
+        return [('slot', slot_id, event['occupied'])]
+
+
+class CameraCounterDecoder:
+    """A camera watching several bays: {"occupied_slot_ids": [...]}, every other covered bay is free"""
+
+    kind = 'camera'
+    target = 'slot'
+
+    def decode(self, targets, event):
+        occupied = event.get('occupied_slot_ids')
+        if not isinstance(occupied, list) or not all(isinstance(slot_id, str) for slot_id in occupied):
+            raise SensorError('occupied_slot_ids must be a list of slot ids')
+        unknown = set(occupied) - set(targets)
+        if unknown:
+            raise SensorError(f"Not covered by this camera: {', '.join(sorted(unknown))}")
+        return [('slot', slot_id, slot_id in occupied) for slot_id in targets]
+
+
+class GateControllerDecoder:
+    """A barrier at a lot entrance: {"direction": "in"} or {"direction": "out"}"""
+
+    kind = 'gate'
+    target = 'lot'
+
+    def decode(self, targets, event):
+        direction = event.get('direction')
+        if direction not in ('in', 'out'):
+            raise SensorError('direction must be "in" or "out"')
+        return [('lot', targets[0], 1 if direction == 'in' else -1)]
+
+
+DECODERS = {decoder.kind: decoder for decoder in (GroundSensorDecoder(), CameraCounterDecoder(), GateControllerDecoder())}
+
+
+class SensorHub:
+    """Registered devices, signed event ingestion and silence detection"""
+
+    def __init__(self, street_slots, lot_model, path=None, decoders=None):
+        self.street_slots = street_slots
+        self.lot_model = lot_model
+        self.decoders = decoders or DECODERS
+        self.path = path or default_sensors_path()
+        if self.path != ':memory:':
+            os.makedirs(os.path.dirname(self.path) or '.', exist_ok=True)
+        self._lock = threading.Lock()
+        self._db = sqlite3.connect(self.path, check_same_thread=False)
+        self._db.executescript(SCHEMA)
+
+    # --- Devices ---
+    def sensors(self, now=None):
+        now = now if now is not None else time.time()
+        rows = self._query(
+            'SELECT id, kind, targets, heartbeat_seconds, created_at, last_seen_at, silent FROM sensors ORDER BY id')
+        return [self._sensor(row, now) for row in rows]
+
+    def get(self, sensor_id, now=None):
+        rows = self._query(
+            'SELECT id, kind, targets, heartbeat_seconds, created_at, last_seen_at, silent FROM sensors WHERE id = ?',
+            (sensor_id,))
+        if not rows:
+            raise SensorError(f'Unknown sensor: {sensor_id}', 404)
+        return self._sensor(rows[0], now if now is not None else time.time())
+
+    def register(self, body, now=None):
+        """Add a device; the response is the only time its secret is shown"""
+        now = now if now is not None else time.time()
+        if not isinstance(body, dict):
+            raise SensorError('Send the sensor as a JSON object')
+        sensor_id = body.get('id')
+        if not isinstance(sensor_id, str) or not SENSOR_ID_PATTERN.match(sensor_id):
+            raise SensorError('id must be 3-64 letters, digits, dots, dashes or underscores')
+        kind = body.get('kind')
+        decoder = self.decoders.get(kind) if isinstance(kind, str) else None
+        if decoder is None:
+            raise SensorError(f"kind must be one of: {', '.join(sorted(self.decoders))}")
+        targets = self._targets(decoder, body.get('targets'))
+        heartbeat = body.get('heartbeat_seconds', DEFAULT_HEARTBEAT_SECONDS)
+        if isinstance(heartbeat, bool) or not isinstance(heartbeat, int) or \
+                not MIN_HEARTBEAT_SECONDS <= heartbeat <= MAX_HEARTBEAT_SECONDS:
+            raise SensorError(f'heartbeat_seconds must be a whole number from {MIN_HEARTBEAT_SECONDS} '
+                              f'to {MAX_HEARTBEAT_SECONDS}')
+
+        existing = self.sensors(now)
+        if any(sensor['id'] == sensor_id for sensor in existing):
+            raise SensorError(f'Sensor {sensor_id} already exists', 409)
+        for sensor in existing:
+            if self.decoders[sensor['kind']].target != decoder.target:
+                continue
+            shared = [target for target in targets if target in sensor['targets']]
+            if shared:
+                raise SensorError(f"{shared[0]} is already covered by sensor {sensor['id']}", 409)
+
+        secret = secrets.token_urlsafe(32)
+        try:
+            with self._lock, self._db:
+                self._db.execute(
+                    'INSERT INTO sensors (id, kind, secret, targets, heartbeat_seconds, created_at) '
+                    'VALUES (?, ?, ?, ?, ?, ?)',
+                    (sensor_id, decoder.kind, secret, json.dumps(targets), heartbeat, now))
+        except sqlite3.IntegrityError:
+            raise SensorError(f'Sensor {sensor_id} already exists', 409)
+        return {**self.get(sensor_id, now), 'secret': secret}
+
+    def remove(self, sensor_id, now=None):
+        """Forget a device; what it covered goes back to the simulation"""
+        sensor = self.get(sensor_id, now)
+        with self._lock, self._db:
+            self._db.execute('DELETE FROM sensors WHERE id = ?', (sensor_id,))
+            self._db.execute('DELETE FROM sensor_events WHERE sensor_id = ?', (sensor_id,))
+        self._hand_back(sensor)
+
+    def _targets(self, decoder, targets):
+        if not isinstance(targets, list) or not targets:
+            raise SensorError('targets must be a non-empty list')
+        if decoder.target == 'lot':
+            if len(targets) != 1 or not any(lot.get('id') == targets[0] for lot in self.lot_model.lots.values()):
+                raise SensorError('A gate controller covers exactly one lot, given by its id')
+            return targets
+        if decoder.kind == 'ground' and len(targets) != 1:
+            raise SensorError('A ground sensor covers exactly one slot')
+        unknown = [slot_id for slot_id in targets if self.street_slots.get(slot_id) is None]
+        if unknown:
+            raise SensorError(f"Unknown parking slots: {', '.join(map(str, unknown))}")
+        return list(dict.fromkeys(targets))
+
+    # --- Ingestion ---
+    def verify(self, sensor_id, timestamp, signature, body, now=None):
+        """The device a signed request comes from; raises 401 for anything that does not check out"""
+        now = now if now is not None else time.time()
+        rows = self._query('SELECT secret FROM sensors WHERE id = ?', (sensor_id,)) if sensor_id else []
+        try:
+            sent_at = float(timestamp)
+        except (TypeError, ValueError):
+            raise SensorError('X-Sensor-Timestamp must be Unix seconds', 401)
+        # Check the signature even for unknown devices so timing does not reveal which ids exist
+        secret = rows[0][0] if rows else ''
+        expected = sign(secret, timestamp, body)
+        if not rows or not hmac.compare_digest(expected, signature or ''):
+            raise SensorError('Unknown sensor or bad signature', 401)
+        if not abs(now - sent_at) <= MAX_CLOCK_SKEW_SECONDS:  # also refuses NaN
+            raise SensorError('X-Sensor-Timestamp is too far from server time; check the device clock', 401)
+        return self.get(sensor_id, now)
+
+    def ingest(self, sensor, body, now=None):
+        """Apply a verified batch {"events": [...]}; an empty batch is a heartbeat"""
+        now = now if now is not None else time.time()
+        events = body.get('events') if isinstance(body, dict) else None
+        if not isinstance(events, list):
+            raise SensorError('events must be a list')
+        if len(events) > MAX_EVENTS_PER_REQUEST:
+            raise SensorError(f'At most {MAX_EVENTS_PER_REQUEST} events per request', 413)
+
+        decoder = self.decoders[sensor['kind']]
+        result = {'accepted': 0, 'duplicates': 0, 'ignored': 0, 'rejected': []}
+        self._seen(sensor['id'], now)
+        # Oldest first, so a batch that arrives out of order still ends on the latest state
+        for index, event in sorted(enumerate(events), key=lambda item: _observed_at(item[1])):
+            try:
+                observed_at = self._check_event(event, now)
+                observations = decoder.decode(sensor['targets'], event)
+            except SensorError as error:
+                result['rejected'].append({'index': index, 'event_id': _event_id(event), 'error': error.message})
+                continue
+            if not self._first_delivery(sensor['id'], event['event_id'], now):
+                result['duplicates'] += 1
+                continue
+            applied = [self._apply(observation, observed_at, now) for observation in observations]
+            result['accepted' if any(applied) else 'ignored'] += 1
+        return result
+
+    def _check_event(self, event, now):
+        if not isinstance(event, dict):
+            raise SensorError('Each event must be an object')
+        event_id = event.get('event_id')
+        if not isinstance(event_id, (str, int)) or isinstance(event_id, bool) or \
+                not 0 < len(str(event_id)) <= MAX_EVENT_ID_LENGTH:
+            raise SensorError(f'event_id must be a string or number of at most {MAX_EVENT_ID_LENGTH} characters')
+        observed_at = event.get('observed_at')
+        if isinstance(observed_at, bool) or not isinstance(observed_at, (int, float)) or not math.isfinite(observed_at):
+            raise SensorError('observed_at must be Unix seconds')
+        if observed_at > now + MAX_CLOCK_SKEW_SECONDS:
+            raise SensorError('observed_at is in the future')
+        if observed_at < now - DEDUPE_WINDOW_SECONDS:
+            raise SensorError('observed_at is older than a day')
+        return float(observed_at)
+
+    def _first_delivery(self, sensor_id, event_id, now):
+        with self._lock, self._db:
+            return self._db.execute(
+                'INSERT OR IGNORE INTO sensor_events (sensor_id, event_id, received_at) VALUES (?, ?, ?)',
+                (sensor_id, str(event_id), now)).rowcount == 1
+
+    def _apply(self, observation, observed_at, now):
+        target, key, value = observation
+        if target == 'slot':
+            return self.street_slots.observe(key, value, observed_at, now)
+        return self.lot_model.gate_event(key, value, observed_at, now)
+
+    def _seen(self, sensor_id, now):
+        with self._lock, self._db:
+            self._db.execute('UPDATE sensors SET last_seen_at = ?, silent = 0 WHERE id = ?', (now, sensor_id))
+            self._db.execute('DELETE FROM sensor_events WHERE received_at < ?', (now - DEDUPE_WINDOW_SECONDS,))
+
+    # --- Silence ---
+    def check_silent(self, now=None):
+        """Mark devices not heard from for two heartbeats silent; returns the newly silent ones"""
+        now = now if now is not None else time.time()
+        newly_silent = [sensor for sensor in self.sensors(now)
+                        if sensor['status'] == 'silent' and not sensor['marked_silent']]
+        for sensor in newly_silent:
+            with self._lock, self._db:
+                self._db.execute('UPDATE sensors SET silent = 1 WHERE id = ?', (sensor['id'],))
+            self._hand_back(sensor)
+            print(f"⚠️ Sensor {sensor['id']} has gone silent; {', '.join(map(str, sensor['targets']))} "
+                  f"back on the simulation")
+        return newly_silent
+
+    def _hand_back(self, sensor):
+        for target in sensor['targets']:
+            if self.decoders[sensor['kind']].target == 'slot':
+                self.street_slots.release_sensor(target)
+            else:
+                self.lot_model.release_sensor(target)
+
+    def _query(self, query, params=()):
+        with self._lock:
+            return self._db.execute(query, params).fetchall()
+
+    @staticmethod
+    def _sensor(row, now):
+        sensor_id, kind, targets, heartbeat, created_at, last_seen_at, silent = row
+        reference = last_seen_at if last_seen_at is not None else created_at
+        if now - reference > 2 * heartbeat:
+            status = 'silent'
+        else:
+            status = 'live' if last_seen_at is not None else 'waiting'
+        return {'id': sensor_id, 'kind': kind, 'targets': json.loads(targets), 'heartbeat_seconds': heartbeat,
+                'created_at': created_at, 'last_seen_at': last_seen_at, 'status': status,
+                'marked_silent': bool(silent)}
+
+
+def _observed_at(event):
+    value = event.get('observed_at') if isinstance(event, dict) else None
+    return value if isinstance(value, (int, float)) and not isinstance(value, bool) and math.isfinite(value) else 0
+
+
+def _event_id(event):
+    return event.get('event_id') if isinstance(event, dict) else None
@@ -0,0 +1,370 @@
+"""
+Adaptive traffic-signal controller simulation for the junctions of every region.
+
+Each junction has a few signal phases, one per conflicting movement, and
+runs a real phase cycle (green, yellow, all-red for each phase in turn) that
+advances with the wall clock. Vehicles arrive on every approach at a flow
+set by the junction's time-of-day demand, on the clock of its region, and
+queue until their phase is green, then discharge at the approach's
+saturation flow.
+
+At the end of every cycle a pluggable optimizer picks the next cycle's green
+times from the flows measured during the cycle just finished. A shadow copy
+of each junction runs the fixed-time plan against the same arrivals, so the
+optimizer's delay can be compared with the fixed-time baseline directly.
+"""
+
+import math
+import threading
+import time
+
+from .geo import haversine_m
+from .regions import in_region, local_time, region_at
+
+# Per-phase clearance after every green
+YELLOW_SECONDS = 3
+ALL_RED_SECONDS = 2
+LOST_SECONDS_PER_PHASE = YELLOW_SECONDS + ALL_RED_SECONDS
+
+MIN_GREEN_SECONDS = 10
+MIN_CYCLE_SECONDS = 40
+MAX_CYCLE_SECONDS = 150
+
+# Queues are warmed up before the first request, and a long idle gap is not
+# replayed in full: queues settle within a few cycles anyway
+WARM_UP_SECONDS = 900
+MAX_CATCH_UP_SECONDS = 900
+
+# Delay and volume are averaged over roughly this window
+DELAY_WINDOW_SECONDS = 900
+
+# Share of each junction's peak flow by local hour (0-23)
+TRAFFIC_PROFILE = [0.15, 0.10, 0.08, 0.08, 0.12, 0.25, 0.45, 0.75, 0.95, 1.00, 0.85, 0.75,
+                   0.75, 0.75, 0.70, 0.75, 0.85, 0.95, 1.00, 0.90, 0.70, 0.50, 0.35, 0.22]
+SUNDAY_FACTOR = 0.7
+
+# Degree of saturation (sum of critical flow ratios) bounds for the reported traffic level
+TRAFFIC_LEVELS = [(0.45, 'Low'), (0.75, 'Medium'), (math.inf, 'High')]
+
+# Phases: approach name, peak arrival flow and saturation flow (vehicles/hour).
+# fixed_greens is the junction's current fixed-time plan, the baseline.
+JUNCTIONS = [
+    {'id': 'J1', 'name': 'Master Canteen Square', 'location': (20.2700, 85.8420), 'fixed_greens': [40, 35], 'phases': [
+        {'name': 'Master Canteen Road', 'peak_flow': 1100, 'saturation_flow': 3200},
+        {'name': 'Rajpath', 'peak_flow': 700, 'saturation_flow': 2600}]},
+    {'id': 'J2', 'name': 'Vani Vihar Square', 'location': (20.2975, 85.8430), 'fixed_greens': [35, 30], 'phases': [
+        {'name': 'NH-16', 'peak_flow': 1600, 'saturation_flow': 5400},
+        {'name': 'University Road', 'peak_flow': 600, 'saturation_flow': 2400}]},
+    {'id': 'J3', 'name': 'Rasulgarh Square', 'location': (20.2850, 85.8560), 'fixed_greens': [30, 30], 'phases': [
+        {'name': 'Cuttack Road', 'peak_flow': 1400, 'saturation_flow': 3600},
+        {'name': 'Mancheswar Road', 'peak_flow': 650, 'saturation_flow': 2400}]},
+    {'id': 'J4', 'name': 'Jaydev Vihar Square', 'location': (20.2990, 85.8280), 'fixed_greens': [30, 25, 20], 'phases': [
+        {'name': 'Nandankanan Road', 'peak_flow': 1100, 'saturation_flow': 3600},
+        {'name': 'Jaydev Vihar Road', 'peak_flow': 900, 'saturation_flow': 3000},
+        {'name': 'Nayapalli Road', 'peak_flow': 450, 'saturation_flow': 2200}]},
+    {'id': 'J5', 'name': 'Kalpana Square', 'location': (20.2560, 85.8380), 'fixed_greens': [40, 25, 15], 'phases': [
+        {'name': 'Cuttack-Puri Road', 'peak_flow': 1200, 'saturation_flow': 3600},
+        {'name': 'Kalpana Square Road', 'peak_flow': 700, 'saturation_flow': 2600},
+        {'name': 'Station Road', 'peak_flow': 400, 'saturation_flow': 2000}]},
+    {'id': 'J6', 'name': 'Acharya Vihar Square', 'location': (20.2980, 85.8390), 'fixed_greens': [30, 30], 'phases': [
+        {'name': 'Janpath', 'peak_flow': 1200, 'saturation_flow': 3600},
+        {'name': 'Acharya Vihar Road', 'peak_flow': 600, 'saturation_flow': 2400}]},
+    {'id': 'J7', 'name': 'Ram Mandir Square', 'location': (20.2870, 85.8410), 'fixed_greens': [40, 30], 'phases': [
+        {'name': 'Janpath', 'peak_flow': 1100, 'saturation_flow': 3600},
+        {'name': 'Kharavela Nagar Road', 'peak_flow': 500, 'saturation_flow': 2200}]},
+    {'id': 'J8', 'name': 'Sishu Bhawan Square', 'location': (20.2725, 85.8330), 'fixed_greens': [35, 35], 'phases': [
+        {'name': 'Sachivalaya Marg', 'peak_flow': 1000, 'saturation_flow': 3200},
+        {'name': 'Rajpath', 'peak_flow': 700, 'saturation_flow': 2600}]},
+    {'id': 'J9', 'name': 'Airport Square', 'location': (20.2540, 85.8240), 'fixed_greens': [35, 30], 'phases': [
+        {'name': 'Airport Road', 'peak_flow': 900, 'saturation_flow': 3200},
+        {'name': 'Old Town Road', 'peak_flow': 500, 'saturation_flow': 2200}]},
+    {'id': 'J10', 'name': 'Baramunda Square', 'location': (20.2815, 85.7985), 'fixed_greens': [45, 30], 'phases': [
+        {'name': 'NH-16', 'peak_flow': 1500, 'saturation_flow': 5400},
+        {'name': 'Khandagiri Road', 'peak_flow': 700, 'saturation_flow': 2600}]},
+    {'id': 'J11', 'name': 'Khandagiri Square', 'location': (20.2590, 85.7880), 'fixed_greens': [35, 25], 'phases': [
+        {'name': 'Khandagiri Road', 'peak_flow': 800, 'saturation_flow': 3000},
+        {'name': 'Chandaka Road', 'peak_flow': 400, 'saturation_flow': 2000}]},
+    {'id': 'J12', 'name': 'KIIT Square', 'location': (20.3530, 85.8190), 'fixed_greens': [35, 30], 'phases': [
+        {'name': 'Patia Road', 'peak_flow': 1000, 'saturation_flow': 3200},
+        {'name': 'Nandankanan Road', 'peak_flow': 800, 'saturation_flow': 3000}]},
+    {'id': 'J13', 'name': 'Badambadi Square', 'location': (20.4610, 85.8920), 'fixed_greens': [40, 30], 'phases': [
+        {'name': 'Link Road', 'peak_flow': 1200, 'saturation_flow': 3600},
+        {'name': 'Buxi Bazaar Road', 'peak_flow': 700, 'saturation_flow': 2600}]},
+    {'id': 'J14', 'name': 'Chandni Chowk', 'location': (20.4675, 85.8800), 'fixed_greens': [30, 25, 20], 'phases': [
+        {'name': 'Buxi Bazaar Road', 'peak_flow': 800, 'saturation_flow': 2600},
+        {'name': 'Ranihat Road', 'peak_flow': 700, 'saturation_flow': 2600},
+        {'name': 'Cantonment Road', 'peak_flow': 400, 'saturation_flow': 2000}]},
+    {'id': 'J15', 'name': 'Ranihat Square', 'location': (20.4705, 85.8720), 'fixed_greens': [35, 30], 'phases': [
+        {'name': 'Ring Road', 'peak_flow': 900, 'saturation_flow': 3200},
+        {'name': 'Ranihat Road', 'peak_flow': 600, 'saturation_flow': 2400}]},
+    {'id': 'J16', 'name': 'Medical Square', 'location': (19.8130, 85.8265), 'fixed_greens': [35, 25, 20], 'phases': [
+        {'name': 'Grand Road', 'peak_flow': 900, 'saturation_flow': 3200},
+        {'name': 'Puri Station Road', 'peak_flow': 600, 'saturation_flow': 2400},
+        {'name': 'Hospital Road', 'peak_flow': 350, 'saturation_flow': 2000}]},
+    {'id': 'J17', 'name': 'Puri Station Square', 'location': (19.8160, 85.8315), 'fixed_greens': [30, 25], 'phases': [
+        {'name': 'Puri Station Road', 'peak_flow': 700, 'saturation_flow': 2600},
+        {'name': 'VIP Road', 'peak_flow': 500, 'saturation_flow': 2400}]},
+]
+
+
+def demand_factor(timestamp, region=None):
+    """Share of peak traffic flowing at a time in `region`, from the hourly profile"""
+    t = local_time(timestamp, region)
+    hour = t.hour + t.minute / 60
+    base = int(hour) % 24
+    frac = hour - int(hour)
+    factor = TRAFFIC_PROFILE[base] * (1 - frac) + TRAFFIC_PROFILE[(base + 1) % 24] * frac
+    return factor * (SUNDAY_FACTOR if t.weekday() == 6 else 1.0)
+
+
+def demand_flows(junction, timestamp, region=None):
+    """Arrival flow on each phase (vehicles/hour) at a time, in the junction's `region`"""
+    factor = demand_factor(timestamp, region)
+    return [phase['peak_flow'] * factor for phase in junction['phases']]
+
+
+def flow_ratios(junction, flows):
+    return [flow / phase['saturation_flow'] for flow, phase in zip(flows, junction['phases'])]
+
+
+def traffic_level(degree_of_saturation):
+    return next(label for bound, label in TRAFFIC_LEVELS if degree_of_saturation < bound)
+
+
+# --- Optimizers ---
+# An optimizer turns the flows measured over the last cycle (vehicles/hour)
+# and the queues left at its end into the next cycle's green times.
+
+class FixedTimeOptimizer:
+    """The junction's configured plan, whatever the traffic: the baseline"""
+
+    name = 'fixed'
+    label = 'Fixed-time plan'
+
+    def timings(self, junction, flows, queues):
+        return list(junction['fixed_greens'])
+
+
+class WebsterOptimizer:
+    """Webster's optimum cycle, with greens split in proportion to the flow ratios"""
+
+    name = 'webster'
+    label = "Webster's formula"
+
+    def timings(self, junction, flows, queues):
+        ratios = [max(ratio, 0.01) for ratio in flow_ratios(junction, flows)]
+        total = sum(ratios)
+        lost = LOST_SECONDS_PER_PHASE * len(ratios)
+        if total >= 0.95:
+            cycle = MAX_CYCLE_SECONDS
+        else:
+            cycle = min(max((1.5 * lost + 5) / (1 - total), MIN_CYCLE_SECONDS), MAX_CYCLE_SECONDS)
+        effective = cycle - lost
+        return [max(MIN_GREEN_SECONDS, round(effective * ratio / total)) for ratio in ratios]
+
+
+class MaxPressureOptimizer:
+    """Cycle-based max-pressure: greens follow the vehicles waiting or due on each phase"""
+
+    name = 'max-pressure'
+    label = 'Max-pressure control'
+
+    def __init__(self, cycle=90):
+        self.cycle = cycle
+
+    def timings(self, junction, flows, queues):
+        # Pressure is the queue plus the arrivals expected over the next cycle;
+        # downstream links are not modelled, so they exert no back-pressure
+        pressures = [queue + flow * self.cycle / 3600 for queue, flow in zip(queues, flows)]
+        spare = self.cycle - len(pressures) * (LOST_SECONDS_PER_PHASE + MIN_GREEN_SECONDS)
+        total = sum(pressures)
+        if total <= 0:
+            return [MIN_GREEN_SECONDS + spare / len(pressures)] * len(pressures)
+        return [round(MIN_GREEN_SECONDS + spare * pressure / total) for pressure in pressures]
+
+
+OPTIMIZERS = {
+    FixedTimeOptimizer.name: FixedTimeOptimizer,
+    WebsterOptimizer.name: WebsterOptimizer,
+    MaxPressureOptimizer.name: MaxPressureOptimizer,
+}
+
+
+def optimizer_from_name(name):
+    """An optimizer instance by name; raises ValueError for unknown names"""
+    if name not in OPTIMIZERS:
+        raise ValueError(f"Unknown signal optimizer '{name}'. Known: {', '.join(OPTIMIZERS)}")
+    return OPTIMIZERS[name]()
+
+
+# --- Simulation ---
+class _Controller:
+    """One signal plan running against a junction's arrivals"""
+
+    def __init__(self, junction, optimizer, start, region=None):
+        self.junction = junction
+        self.optimizer = optimizer
+        self.region = region
+        count = len(junction['phases'])
+        self.queues = [0.0] * count
+        self.arrivals = [0.0] * count
+        self.delay = 0.0    # vehicle-seconds, averaged over the delay window
+        self.volume = 0.0   # vehicles, averaged the same way
+        self.restart(start)
+
+    @property
+    def cycle(self):
+        return sum(self.greens) + LOST_SECONDS_PER_PHASE * len(self.greens)
+
+    def restart(self, start):
+        self.cycle_start = start
+        flows = demand_flows(self.junction, start, self.region)
+        self.greens = self.optimizer.timings(self.junction, flows, self.queues)
+        self.arrivals = [0.0] * len(self.queues)
+
+    def state(self, t):
+        """(phase index, 'green'|'yellow'|'all-red', seconds left in that state) at time t"""
+        position = t - self.cycle_start
+        for index, green in enumerate(self.greens):
+            for state, duration in (('green', green), ('yellow', YELLOW_SECONDS), ('all-red', ALL_RED_SECONDS)):
+                if position < duration:
+                    return index, state, duration - position
+                position -= duration
+        return len(self.greens) - 1, 'all-red', 0
+
+    def step(self, t, flows, decay):
+        """Advance one second starting at t"""
+        index, state, _ = self.state(t)
+        for i, flow in enumerate(flows):
+            arriving = flow / 3600
+            self.queues[i] += arriving
+            self.arrivals[i] += arriving
+        if state == 'green':
+            served = min(self.queues[index], self.junction['phases'][index]['saturation_flow'] / 3600)
+            self.queues[index] -= served
+        self.delay = self.delay * decay + sum(self.queues)
+        self.volume = self.volume * decay + sum(flows) / 3600
+
+        if t + 1 - self.cycle_start >= self.cycle:
+            measured = [arrived * 3600 / self.cycle for arrived in self.arrivals]
+            self.cycle_start = t + 1
+            self.greens = self.optimizer.timings(self.junction, measured, self.queues)
+            self.arrivals = [0.0] * len(self.queues)
+
+    @property
+    def average_delay(self):
+        """Mean seconds each vehicle spends queued at the junction"""
+        return self.delay / self.volume if self.volume > 0 else 0.0
+
+
+class SignalNetwork:
+    """Signal controllers for every junction, advanced lazily to the wall clock"""
+
+    def __init__(self, junctions=JUNCTIONS, optimizer=None, now=None, regions=None):
+        now = now if now is not None else time.time()
+        self.optimizer = optimizer or WebsterOptimizer()
+        self.baseline = FixedTimeOptimizer()
+        self._lock = threading.Lock()
+        self._decay = math.exp(-1 / DELAY_WINDOW_SECONDS)
+        self._clock = now - WARM_UP_SECONDS
+        self.junctions = {}
+        for junction in junctions:
+            # Demand follows the clock of the region the junction is in
+            region = region_at(regions, junction['location'])
+            self.junctions[junction['id']] = {
+                'definition': junction,
+                'region': region,
+                'live': _Controller(junction, self.optimizer, self._clock, region),
+                'baseline': _Controller(junction, self.baseline, self._clock, region),
+            }
+        self.advance(now)
+        print(f"🚦 Signal network: {len(self.junctions)} junctions under {self.optimizer.label}")
+
+    def advance(self, now=None):
+        """Run every controller forward to `now` in one-second steps"""
+        now = now if now is not None else time.time()
+        with self._lock:
+            if now - self._clock > MAX_CATCH_UP_SECONDS:
+                self._clock = now - MAX_CATCH_UP_SECONDS
+                for entry in self.junctions.values():
+                    entry['live'].restart(self._clock)
+                    entry['baseline'].restart(self._clock)
+            flows_minute, flows = None, {}
+            while self._clock + 1 <= now:
+                # Demand changes slowly, so flows are refreshed once a minute
+                minute = int(self._clock // 60)
+                if minute != flows_minute:
+                    flows_minute = minute
+                    flows = {junction_id: demand_flows(entry['definition'], self._clock, entry['region'])
+                             for junction_id, entry in self.junctions.items()}
+                for junction_id, entry in self.junctions.items():
+                    entry['live'].step(self._clock, flows[junction_id], self._decay)
+                    entry['baseline'].step(self._clock, flows[junction_id], self._decay)
+                self._clock += 1
+
+    # --- Queries ---
+    def status(self, junction_id, now=None):
+        """Phase, timings, queues and delay of one junction against its fixed-time baseline"""
+        now = now if now is not None else time.time()
+        self.advance(now)
+        with self._lock:
+            entry = self.junctions[junction_id]
+            junction, live, baseline = entry['definition'], entry['live'], entry['baseline']
+            index, state, remaining = live.state(now)
+            if index == 0 and state != 'all-red':
+                main_phase, main_remaining = state, remaining
+            else:
+                # The main phase is red until the next cycle starts
+                main_phase, main_remaining = 'red', live.cycle - (now - live.cycle_start)
+            flows = demand_flows(junction, now, entry['region'])
+            saturation = sum(flow_ratios(junction, flows))
+            delay, baseline_delay = live.average_delay, baseline.average_delay
+            return {
+                'id': junction['id'],
+                'name': junction['name'],
+                'location': list(junction['location']),
+                'current_phase': main_phase,
+                'time_remaining': int(math.ceil(main_remaining)),
+                'active_phase': junction['phases'][index]['name'],
+                'active_state': state,
+                'cycle_duration': round(live.cycle),
+                'baseline_cycle_duration': round(baseline.cycle),
+                'phases': [
+                    {
+                        'name': phase['name'],
+                        'green': round(green),
+                        'baseline_green': round(baseline_green),
+                        'flow': round(flow),
+                        'queue': round(queue, 1),
+                    }
+                    for phase, green, baseline_green, flow, queue in zip(
+                        junction['phases'], live.greens, baseline.greens, flows, live.queues)
+                ],
+                'queue_length': round(sum(live.queues), 1),
+                'degree_of_saturation': round(saturation, 3),
+                'traffic_level': traffic_level(saturation),
+                'average_delay': round(delay, 1),
+                'baseline_delay': round(baseline_delay, 1),
+                # Share of the fixed-time plan's delay the optimizer saves; negative if it does worse
+                'efficiency': round(100 * (1 - delay / baseline_delay), 1) if baseline_delay > 0 else 0.0,
+                'optimizer': self.optimizer.name,
+                'optimizer_label': self.optimizer.label,
+            }
+
+    def statuses(self, now=None):
+        now = now if now is not None else time.time()
+        return {junction_id: self.status(junction_id, now) for junction_id in self.junctions}
+
+    def nearest(self, lat, lng, limit=5, now=None, region=None):
+        """Status of the `limit` junctions (in `region`) closest to a point, with their distance in metres"""
+        ranked = sorted(
+            (junction_id for junction_id, entry in self.junctions.items()
+             if in_region(region, entry['definition']['location'])),
+            key=lambda junction_id: haversine_m(lat, lng, *self.junctions[junction_id]['definition']['location']),
+        )
+        results = []
+        for junction_id in ranked[:limit]:
+            status = self.status(junction_id, now)
+            status['distance'] = round(haversine_m(lat, lng, *status['location']), 1)
+            results.append(status)
+        return results
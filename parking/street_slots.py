@@ -0,0 +1,370 @@
+"""
+Persistent registry of on-street parking slots across the served cities.
+
+Slots come from the operator inventory, seeded from the default layout
+below; each keeps its identity (`street_N`), position and tariff zone until
+an operator edits it. Its hourly price follows the zone's tariff, so
+it changes when a peak window starts or ends on its region's clock, which
+its demand follows too. Occupancy only changes through arrival and
+departure events, which the registry simulates lazily from the time elapsed
+between requests. Each change bumps the slot's `version`, so clients can
+tell which slots actually changed since their last poll.
+
+A slot can also be held for a reservation: it then counts as unavailable
+for everyone and the simulation leaves it alone until the hold is released
+or turned into an arrival. Slots closed for maintenance are unavailable and
+do not count towards their street's occupancy.
+
+Slots watched by a ground sensor or camera (see parking/sensors.py) follow
+the device's observations instead of the simulation until the device goes
+silent.
+"""
+
+import math
+import random
+import threading
+import time
+
+from .amenities import DEFAULT_SLOT_AMENITIES
+from .geo import haversine_m
+from .lot_model import local_hour, target_occupancy
+from .pricing import TariffModel
+from .regions import in_region, region_at
+
+# Streets with metered parking: name, start, end, demand profile, tariff zone.
+# `city` groups the slots for seeding, as it does the lots; streets without one are in Bhubaneswar
+STREETS = [
+    {'name': 'Janpath', 'start': (20.2720, 85.8420), 'end': (20.2980, 85.8390), 'demand': 'shopping', 'zone': 'central'},
+    {'name': 'Rajpath', 'start': (20.2690, 85.8300), 'end': (20.2690, 85.8420), 'demand': 'business', 'zone': 'central'},
+    {'name': 'Master Canteen Road', 'start': (20.2660, 85.8410), 'end': (20.2700, 85.8460), 'demand': 'transit', 'zone': 'transit'},
+    {'name': 'Cuttack Road', 'start': (20.2630, 85.8450), 'end': (20.2850, 85.8560), 'demand': 'business', 'zone': 'commercial'},
+    {'name': 'Sachivalaya Marg', 'start': (20.2720, 85.8220), 'end': (20.2760, 85.8380), 'demand': 'business', 'zone': 'central'},
+    {'name': 'Jaydev Vihar Road', 'start': (20.2940, 85.8160), 'end': (20.2990, 85.8280), 'demand': 'shopping', 'zone': 'commercial'},
+    {'name': 'Saheed Nagar Main Road', 'start': (20.2880, 85.8420), 'end': (20.2930, 85.8500), 'demand': 'shopping', 'zone': 'commercial'},
+    {'name': 'Nandankanan Road', 'start': (20.3050, 85.8190), 'end': (20.3450, 85.8180), 'demand': 'business', 'zone': 'suburban'},
+    {'name': 'Airport Road', 'start': (20.2450, 85.8150), 'end': (20.2560, 85.8260), 'demand': 'transit', 'zone': 'transit'},
+    {'name': 'Kalpana Square Road', 'start': (20.2560, 85.8380), 'end': (20.2620, 85.8440), 'demand': 'shopping', 'zone': 'commercial'},
+    {'name': 'Patia Road', 'start': (20.3480, 85.8170), 'end': (20.3550, 85.8250), 'demand': 'business', 'zone': 'suburban'},
+    {'name': 'Khandagiri Road', 'start': (20.2560, 85.7850), 'end': (20.2680, 85.7950), 'demand': 'leisure', 'zone': 'suburban'},
+    {'name': 'Old Town Road', 'start': (20.2380, 85.8300), 'end': (20.2460, 85.8360), 'demand': 'leisure', 'zone': 'suburban'},
+    {'name': 'Link Road', 'city': 'Cuttack', 'start': (20.4620, 85.8917), 'end': (20.4695, 85.8896),
+     'demand': 'business', 'zone': 'commercial'},
+    {'name': 'Buxi Bazaar Road', 'city': 'Cuttack', 'start': (20.4640, 85.8860), 'end': (20.4660, 85.8810),
+     'demand': 'shopping', 'zone': 'commercial'},
+    {'name': 'Cuttack Station Road', 'city': 'Cuttack', 'start': (20.4699, 85.8886), 'end': (20.4695, 85.8852),
+     'demand': 'transit', 'zone': 'transit'},
+    {'name': 'Ranihat Road', 'city': 'Cuttack', 'start': (20.4678, 85.8792), 'end': (20.4688, 85.8765),
+     'demand': 'business', 'zone': 'central'},
+    {'name': 'Grand Road', 'city': 'Puri', 'start': (19.8055, 85.8190), 'end': (19.8125, 85.8260),
+     'demand': 'leisure', 'zone': 'central'},
+    {'name': 'Marine Drive', 'city': 'Puri', 'start': (19.7988, 85.8285), 'end': (19.7977, 85.8255),
+     'demand': 'leisure', 'zone': 'suburban'},
+    {'name': 'Puri Station Road', 'city': 'Puri', 'start': (19.8135, 85.8273), 'end': (19.8143, 85.8287),
+     'demand': 'transit', 'zone': 'transit'},
+]
+
+SLOTS_PER_STREET = 6
+LAYOUT_SEED = 2961
+
+# Street parking turns over faster than off-street lots
+AVERAGE_DWELL_SECONDS = 45 * 60
+
+
+def seed_amenities(street, index, slots_per_street):
+    """Amenities of the seeded bays: an accessible bay at the start of every street,
+    chargers at the end of busy ones, bike bays where people shop and stroll,
+    loading bays on business streets"""
+    amenities = dict(DEFAULT_SLOT_AMENITIES)
+    if index == 0:
+        amenities['accessible'] = True
+    elif index == slots_per_street - 1 and street['demand'] in ('shopping', 'transit'):
+        amenities.update(ev_connector='ccs2' if street['demand'] == 'transit' else 'type2',
+                         ev_power_kw=30 if street['demand'] == 'transit' else 7.4)
+    elif index == 1 and street['demand'] in ('shopping', 'leisure'):
+        amenities['vehicle_class'] = 'bike'
+    elif index == 2 and street['demand'] == 'business':
+        amenities['vehicle_class'] = 'van'
+    return amenities
+
+
+def street_layout(streets=STREETS, slots_per_street=SLOTS_PER_STREET):
+    """Slot definitions spread evenly along each street, the registry's default layout.
+
+    The layout comes from its own seeded generator so slot ids and positions
+    are identical across restarts.
+    """
+    layout = random.Random(LAYOUT_SEED)
+    definitions = []
+    for street in streets:
+        for i in range(slots_per_street):
+            fraction = (i + 0.5) / slots_per_street
+            lat = street['start'][0] + (street['end'][0] - street['start'][0]) * fraction
+            lng = street['start'][1] + (street['end'][1] - street['start'][1]) * fraction
+            definitions.append({
+                'id': f'street_{len(definitions) + 1}',
+                'name': f"{street['name']} - Slot {i + 1}",
+                'street': street['name'],
+                'lat': round(lat + layout.uniform(-0.0002, 0.0002), 6),
+                'lng': round(lng + layout.uniform(-0.0002, 0.0002), 6),
+                'demand': street['demand'],
+                'zone': street['zone'],
+                'amenities': seed_amenities(street, i, slots_per_street),
+            })
+            if 'city' in street:
+                definitions[-1]['city'] = street['city']
+    return definitions
+
+
+class StreetSlotRegistry:
+    """Set of street slots whose occupancy evolves through arrival/departure events"""
+
+    def __init__(self, slots=None, pricing=None, rng=None, now=None, forecaster=None, regions=None):
+        self._lock = threading.Lock()
+        self.regions = regions
+        self.pricing = pricing or TariffModel()
+        self._rng = rng or random.Random()
+        self._last_update = now if now is not None else time.time()
+        # Replaced rather than mutated when slots are added or removed, so
+        # readers iterating over it never see it change size
+        self.slots = {}
+        self._street_demand = {}
+        for definition in (slots if slots is not None else street_layout()):
+            self._add(definition, self._last_update)
+
+        self.forecaster = forecaster
+        if forecaster is not None:
+            forecaster.set_prior('street', self.expected_occupancy, self.region_of)
+
+    def _add(self, definition, now):
+        slot = {
+            'id': definition['id'],
+            'name': definition['name'],
+            'street': definition['street'],
+            'lat': definition['lat'],
+            'lng': definition['lng'],
+            'polygon': definition.get('polygon'),
+            'demand': definition['demand'],
+            'zone': definition['zone'],
+            'amenities': definition.get('amenities') or dict(DEFAULT_SLOT_AMENITIES),
+            'price_per_hour': self.pricing.current_rate(
+                definition['zone'], now=now, region=region_at(self.regions, (definition['lat'], definition['lng']))),
+            'available': False,
+            'reserved': False,
+            'closed': bool(definition.get('closed')),
+            'type': 'Street Parking',
+            # 'sensor' once a device reports on the slot, 'simulated' otherwise
+            'source': 'simulated',
+            'observed_at': None,
+            # When the slot last turned free, which ends any parking session on it
+            'freed_at': None,
+            'version': 1,
+            'updated_at': now,
+        }
+        if not slot['closed']:
+            hour = local_hour(now, self._region(slot))
+            slot['available'] = self._rng.random() >= target_occupancy(slot['demand'], hour)
+        self.slots = {**self.slots, slot['id']: slot}
+        self._street_demand[slot['street']] = slot['demand']
+        return slot
+
+    # --- Layout ---
+    def put_slot(self, definition, now=None):
+        """Add a slot or update its position, street, zone, demand or maintenance closure.
+
+        A slot closed for maintenance is unavailable and left alone by the
+        simulation; reopening it makes it free.
+        """
+        now = now if now is not None else time.time()
+        with self._lock:
+            slot = self.slots.get(definition['id'])
+            if slot is None:
+                return self._add(definition, now)
+            for key in ('name', 'street', 'lat', 'lng', 'polygon', 'demand', 'zone', 'amenities'):
+                slot[key] = definition.get(key, slot[key])
+            slot['price_per_hour'] = self.pricing.current_rate(slot['zone'], now=now, region=self._region(slot))
+            closed = definition.get('closed', slot['closed'])
+            if closed != slot['closed']:
+                slot['closed'] = closed
+                slot['available'] = not closed
+                # Closing clears the slot and reopening frees it; either way a session on it is over
+                slot['freed_at'] = now
+            slot['version'] += 1
+            slot['updated_at'] = now
+            self._street_demand[slot['street']] = slot['demand']
+            return slot
+
+    def remove_slot(self, slot_id):
+        """Take a slot off the map; returns False if it is held for a reservation"""
+        with self._lock:
+            slot = self.slots.get(slot_id)
+            if slot is None or slot['reserved']:
+                return False
+            self.slots = {key: value for key, value in self.slots.items() if key != slot_id}
+            return True
+
+    # --- Events ---
+    def arrive(self, slot_id, now=None):
+        """A vehicle takes the slot; returns False if it was already taken"""
+        with self._lock:
+            return self._set_available(self.slots[slot_id], False, now)
+
+    def depart(self, slot_id, now=None):
+        """The vehicle leaves the slot; returns False if it was already free, is held or is closed"""
+        with self._lock:
+            slot = self.slots[slot_id]
+            if slot['reserved'] or slot['closed']:
+                return False
+            return self._set_available(slot, True, now)
+
+    def hold(self, slot_id, now=None):
+        """Take a free slot out of availability for a reservation; returns False if it is not free"""
+        with self._lock:
+            slot = self.slots[slot_id]
+            if not slot['available']:
+                return False
+            slot['reserved'] = True
+            return self._set_available(slot, False, now)
+
+    def release(self, slot_id, now=None):
+        """Give a held slot back to general availability"""
+        with self._lock:
+            slot = self.slots[slot_id]
+            if not slot['reserved']:
+                return False
+            slot['reserved'] = False
+            return self._set_available(slot, True, now)
+
+    def occupy_held(self, slot_id, now=None):
+        """The reserving driver has arrived: the hold becomes an ordinary occupied slot"""
+        with self._lock:
+            slot = self.slots[slot_id]
+            if not slot['reserved']:
+                return False
+            slot['reserved'] = False
+            slot['version'] += 1
+            slot['updated_at'] = now if now is not None else time.time()
+            return True
+
+    def observe(self, slot_id, occupied, observed_at, now=None):
+        """A device saw the slot taken or free; returns False if the slot is gone or the observation is stale.
+
+        From its first observation on, the slot is left to its device. Holds
+        and closures still decide availability; the observation is only recorded.
+        """
+        with self._lock:
+            slot = self.slots.get(slot_id)
+            if slot is None or (slot['observed_at'] is not None and observed_at <= slot['observed_at']):
+                return False
+            changed = slot['source'] != 'sensor'
+            slot['source'] = 'sensor'
+            slot['observed_at'] = observed_at
+            now = now if now is not None else time.time()
+            if not (slot['reserved'] or slot['closed']) and slot['available'] == occupied:
+                slot['available'] = not occupied
+                if not occupied:
+                    slot['freed_at'] = now
+                changed = True
+            if changed:
+                slot['version'] += 1
+                slot['updated_at'] = now
+            return True
+
+    def release_sensor(self, slot_id, now=None):
+        """Hand a slot whose device went silent or was removed back to the simulation"""
+        with self._lock:
+            slot = self.slots.get(slot_id)
+            if slot is None or slot['source'] != 'sensor':
+                return False
+            slot['source'] = 'simulated'
+            slot['version'] += 1
+            slot['updated_at'] = now if now is not None else time.time()
+            return True
+
+    def _set_available(self, slot, available, now):
+        if slot['available'] == available:
+            return False
+        now = now if now is not None else time.time()
+        slot['available'] = available
+        if available:
+            slot['freed_at'] = now
+        slot['version'] += 1
+        slot['updated_at'] = now
+        return True
+
+    # --- Simulation ---
+    def advance(self, now=None):
+        """Simulate the arrivals and departures since the last update and reprice for the hour"""
+        now = now if now is not None else time.time()
+        with self._lock:
+            elapsed = now - self._last_update
+            if elapsed <= 0:
+                return
+            self._reprice(now)
+            mu = 1.0 / AVERAGE_DWELL_SECONDS
+            p_depart = 1 - math.exp(-mu * elapsed)
+            for slot in self.slots.values():
+                if slot['reserved'] or slot['closed'] or slot['source'] == 'sensor':
+                    continue
+                target = min(target_occupancy(slot['demand'], local_hour(now, self._region(slot))), 0.98)
+                p_arrive = 1 - math.exp(-mu * target / (1 - target) * elapsed)
+                if slot['available']:
+                    if self._rng.random() < p_arrive:
+                        self._set_available(slot, False, now)
+                elif self._rng.random() < p_depart:
+                    self._set_available(slot, True, now)
+            self._last_update = now
+
+    def _reprice(self, now):
+        for slot in self.slots.values():
+            rate = self.pricing.current_rate(slot['zone'], now=now, region=self._region(slot))
+            if rate != slot['price_per_hour']:
+                slot['price_per_hour'] = rate
+                slot['version'] += 1
+                slot['updated_at'] = now
+
+    def _region(self, slot):
+        return region_at(self.regions, (slot['lat'], slot['lng']))
+
+    # --- Queries ---
+    def get(self, slot_id):
+        return self.slots.get(slot_id)
+
+    def nearest(self, lat, lng, limit=8, space_filter=None, region=None):
+        """The `limit` slots (in `region`) closest to a point that pass `space_filter`, with their distance in metres"""
+        ranked = sorted(
+            ((haversine_m(lat, lng, slot['lat'], slot['lng']), slot) for slot in self.slots.values()
+             if in_region(region, (slot['lat'], slot['lng']))
+             and (space_filter is None or space_filter.matches_slot(slot['amenities']))),
+            key=lambda item: item[0],
+        )
+        return [self.to_dict(slot, distance) for distance, slot in ranked[:limit]]
+
+    def street_occupancy(self):
+        """Share of each street's open slots that are taken or held"""
+        streets = {}
+        for slot in self.slots.values():
+            if slot['closed']:
+                continue
+            taken, total = streets.get(slot['street'], (0, 0))
+            streets[slot['street']] = (taken + (0 if slot['available'] else 1), total + 1)
+        return {street: taken / total for street, (taken, total) in streets.items()}
+
+    def region_of(self, street):
+        """The region a street's slots are in, whose clock its demand follows"""
+        slot = next((slot for slot in self.slots.values() if slot['street'] == street), None)
+        return self._region(slot) if slot else None
+
+    def expected_occupancy(self, street, timestamp):
+        """Demand-profile occupancy of a street at a time, the forecaster's prior"""
+        return target_occupancy(self._street_demand[street], local_hour(timestamp, self.region_of(street)))
+
+    def forecast(self, street, hours_ahead, now=None):
+        """Forecast points with 80% bands for a street, anchored on its current occupancy"""
+        current = self.street_occupancy().get(street)
+        return self.forecaster.forecast(('street', street), hours_ahead, now, current=current)
+
+    def to_dict(self, slot, distance=None):
+        data = {key: value for key, value in slot.items() if key != 'demand'}
+        if distance is not None:
+            data['distance'] = round(distance, 1)
+        return data
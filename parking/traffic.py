@@ -0,0 +1,218 @@
+"""
+Road-segment congestion model for the traffic layer.
+
+Every edge of the bundled road extract is a segment. Its travel time is the
+free-flow time stretched by the BPR link function for the hour's demand on
+its region's clock, plus the signal delay at any junction within
+APPROACH_DISTANCE_M. Signal delay is the HCM control delay (uniform plus
+incremental) of the approach's phase, taken from the same signal network
+behind /api/traffic-junctions:
+
+- now: the live plan's greens and cycle, the flows being measured, and any
+  queue left over from an oversaturated cycle
+- ahead: the demand profile's flows at that time, the greens the active
+  optimizer would pick for them, and the left-over queue fading away
+
+A segment near two junctions carries traffic towards each of them, so it
+takes the mean of their delays. Segments whose road is not one of the
+junction's phases (side streets missing from the signal plan) take the
+junction's flow-weighted mean delay.
+
+Speed against free-flow speed gives the HCM urban-street level of service,
+A (free flow) to F (breakdown); any approach over capacity is F.
+"""
+
+import math
+import time
+
+from .geo import haversine_m
+from .regions import in_region, region_at
+from .signals import LOST_SECONDS_PER_PHASE, demand_factor, demand_flows
+
+# A junction delays the road edges that pass within this distance of it
+APPROACH_DISTANCE_M = 400
+
+# Volume/capacity on each road class at the busiest hour, for the BPR link function
+PEAK_VOLUME_CAPACITY = {
+    'trunk': 0.9,
+    'primary': 0.85,
+    'secondary': 0.75,
+    'tertiary': 0.6,
+    'residential': 0.4,
+}
+BPR_ALPHA = 0.15
+BPR_BETA = 4
+
+# HCM incremental delay: analysis period (hours) and its calibration term
+ANALYSIS_HOURS = 0.25
+INCREMENTAL_K = 0.5
+
+# A queue left over from oversaturated cycles fades from forecasts over about this long
+QUEUE_MEMORY_MINUTES = 15
+
+MAX_FORECAST_MINUTES = 360
+
+# Share of free-flow speed (lower bound) for each level of service
+LEVELS_OF_SERVICE = [(0.85, 'A'), (0.67, 'B'), (0.50, 'C'), (0.40, 'D'), (0.30, 'E'), (-math.inf, 'F')]
+
+
+def level_of_service(speed_ratio, over_capacity=False):
+    if over_capacity:
+        return 'F'
+    return next(level for bound, level in LEVELS_OF_SERVICE if speed_ratio > bound)
+
+
+def control_delay(cycle, green, flow, saturation_flow):
+    """Mean seconds a vehicle loses at a signal approach, and the approach's volume/capacity"""
+    share = green / cycle
+    capacity = saturation_flow * share
+    x = flow / capacity
+    uniform = 0.5 * cycle * (1 - share) ** 2 / (1 - min(x, 1) * share)
+    incremental = 900 * ANALYSIS_HOURS * (
+        (x - 1) + math.sqrt((x - 1) ** 2 + 8 * INCREMENTAL_K * x / (capacity * ANALYSIS_HOURS)))
+    return uniform + incremental, x
+
+
+def _distance_to_edge(point, a, b):
+    # Equirectangular projection, as in routing
+    scale = math.cos(math.radians(point[0]))
+    dx, dy = (b[1] - a[1]) * scale, b[0] - a[0]
+    px, py = (point[1] - a[1]) * scale, point[0] - a[0]
+    length_sq = dx * dx + dy * dy
+    t = 0.0 if length_sq == 0 else max(0.0, min(1.0, (px * dx + py * dy) / length_sq))
+    return haversine_m(*point, a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t)
+
+
+class TrafficModel:
+    """Speed and level of service on every road segment, now or up to MAX_FORECAST_MINUTES ahead"""
+
+    def __init__(self, road_graph, signals, regions=None):
+        self.signals = signals
+        self.segments = []
+        counts = {}
+        for edge in road_graph.edges:
+            a, b = road_graph.nodes[edge['a']], road_graph.nodes[edge['b']]
+            counts[edge['name']] = counts.get(edge['name'], 0) + 1
+            self.segments.append({
+                'id': f"{_slug(edge['name'])}-{counts[edge['name']]}",
+                'name': edge['name'],
+                'highway': edge['highway'],
+                'coordinates': [a, b],
+                'length_m': edge['length_m'],
+                'free_speed_kmh': edge['speed_kmh'],
+                'approaches': self._approaches(edge['name'], a, b),
+                'region': region_at(regions, a),
+            })
+        signalised = sum(1 for segment in self.segments if segment['approaches'])
+        print(f"🚥 Traffic model: {len(self.segments)} road segments, {signalised} on signal approaches")
+
+    def _approaches(self, road, a, b):
+        """(junction id, phase index or None) for each junction within reach of an edge"""
+        approaches = []
+        for junction_id, entry in self.signals.junctions.items():
+            junction = entry['definition']
+            if _distance_to_edge(junction['location'], a, b) > APPROACH_DISTANCE_M:
+                continue
+            phase = next((index for index, phase in enumerate(junction['phases']) if phase['name'] == road), None)
+            approaches.append((junction_id, phase))
+        return approaches
+
+    # --- Junctions ---
+    def _junction_delays(self, junction_id, now, at):
+        """Per-phase (delay, volume/capacity) at a junction at time `at`, plus the flow-weighted mean"""
+        entry = self.signals.junctions[junction_id]
+        junction = entry['definition']
+        live = self.signals.status(junction_id, now)
+        live_cycle = live['cycle_duration']
+        # Vehicles still queued beyond what a normal red builds up: they missed a green
+        leftover = [max(0.0, phase['queue'] - phase['flow'] * (live_cycle - phase['green']) / 3600)
+                    for phase in live['phases']]
+
+        if at <= now:
+            flows = [phase['flow'] for phase in live['phases']]
+            greens = [phase['green'] for phase in live['phases']]
+            cycle, carry = live_cycle, 1.0
+        else:
+            flows = demand_flows(junction, at, entry['region'])
+            greens = self.signals.optimizer.timings(junction, flows, [0.0] * len(flows))
+            cycle = sum(greens) + LOST_SECONDS_PER_PHASE * len(greens)
+            carry = math.exp(-(at - now) / 60 / QUEUE_MEMORY_MINUTES)
+
+        phases = []
+        for phase, flow, green, queue in zip(junction['phases'], flows, greens, leftover):
+            delay, x = control_delay(cycle, green, max(flow, 1.0), phase['saturation_flow'])
+            # The left-over queue has to clear before a new arrival gets through
+            capacity = phase['saturation_flow'] * green / cycle
+            phases.append((delay + 3600 * queue * carry / capacity, x))
+        total_flow = sum(flows) or 1.0
+        mean = (sum(delay * flow for (delay, _), flow in zip(phases, flows)) / total_flow,
+                sum(x * flow for (_, x), flow in zip(phases, flows)) / total_flow)
+        return phases, mean
+
+    # --- Segments ---
+    def segment_states(self, minutes_ahead=0, now=None, region=None):
+        """Each segment's (in `region`) speed, travel time and level of service `minutes_ahead` from now"""
+        now = now if now is not None else time.time()
+        at = now + minutes_ahead * 60
+        # A segment crossing a region's edge belongs to it
+        segments = [segment for segment in self.segments
+                    if any(in_region(region, point) for point in segment['coordinates'])]
+        junctions = {junction_id: self._junction_delays(junction_id, now, at)
+                     for junction_id in {junction_id for segment in segments
+                                         for junction_id, _ in segment['approaches']}}
+        states = []
+        for segment in segments:
+            demand = demand_factor(at, segment['region'])
+            free_time = segment['length_m'] / (segment['free_speed_kmh'] / 3.6)
+            volume_capacity = demand * PEAK_VOLUME_CAPACITY.get(segment['highway'], PEAK_VOLUME_CAPACITY['residential'])
+            link_time = free_time * (1 + BPR_ALPHA * volume_capacity ** BPR_BETA)
+
+            delays, worst_x = [], volume_capacity
+            for junction_id, phase in segment['approaches']:
+                phases, mean = junctions[junction_id]
+                delay, x = phases[phase] if phase is not None else mean
+                delays.append(delay)
+                worst_x = max(worst_x, x)
+            signal_delay = sum(delays) / len(delays) if delays else 0.0
+
+            travel_time = link_time + signal_delay
+            speed = segment['length_m'] / travel_time * 3.6
+            states.append({
+                'id': segment['id'],
+                'name': segment['name'],
+                'highway': segment['highway'],
+                'coordinates': segment['coordinates'],
+                'length_m': round(segment['length_m']),
+                'free_speed_kmh': segment['free_speed_kmh'],
+                'speed_kmh': round(speed, 1),
+                'travel_time_s': round(travel_time),
+                'signal_delay_s': round(signal_delay),
+                'volume_capacity': round(worst_x, 2),
+                'level_of_service': level_of_service(speed / segment['free_speed_kmh'], worst_x > 1),
+                'junctions': [junction_id for junction_id, _ in segment['approaches']],
+            })
+        return states
+
+    def geojson(self, minutes_ahead=0, now=None, region=None):
+        """Segment states as a GeoJSON FeatureCollection of LineStrings"""
+        now = now if now is not None else time.time()
+        features = []
+        for state in self.segment_states(minutes_ahead, now, region):
+            properties = {key: value for key, value in state.items() if key != 'coordinates'}
+            features.append({
+                'type': 'Feature',
+                'id': state['id'],
+                'geometry': {'type': 'LineString', 'coordinates': [[lng, lat] for lat, lng in state['coordinates']]},
+                'properties': properties,
+            })
+        return {
+            'type': 'FeatureCollection',
+            'features': features,
+            'minutes_ahead': minutes_ahead,
+            'at': now + minutes_ahead * 60,
+            'generated_at': now,
+        }
+
+
+def _slug(text):
+    return ''.join(char if char.isalnum() else '-' for char in text.lower()).strip('-')
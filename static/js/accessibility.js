@@ -0,0 +1,614 @@
+/**
+ * Accessible equivalents of what the map pages show with colour and position.
+ * Our municipal contract requires WCAG 2.1 AA, so every map view offers:
+ *
+ * - Status patterns: a marker's status shows in its outline and fill, not only
+ *   its colour. Solid means free or go, a dashed ring means held or about to
+ *   change, and hollow means taken or stop. The legends draw the same swatches.
+ * - Announcements: one polite live region speaks availability changes. Bursts
+ *   of pushed updates are merged, so a screen reader is not flooded.
+ * - MarkerNavigator: keyboard focus steps through a map's markers.
+ * - SortableTable: the list view of a map, sortable by any column.
+ */
+
+import { escapeHtml, formatDistance, slotStatus } from './parking_client.js';
+import { LANGUAGE, formatCurrency, formatList, formatNumber, t } from './i18n.js';
+
+// --- Status patterns ---
+export const STATUS_PATTERNS = {
+    open: { dashArray: null, fillOpacity: 0.85 },
+    held: { dashArray: '4 3', fillOpacity: 0.85 },
+    closed: { dashArray: null, fillOpacity: 0.15 }
+};
+
+// Contrasts at least 3:1 with the map tiles whatever the fill, as non-text contrast requires
+const OUTLINE_COLOR = '#212529';
+
+/**
+ * Path options for a circle marker in a status colour and pattern
+ * @param {string} color
+ * @param {'open'|'held'|'closed'} pattern
+ */
+export function patternedMarkerStyle(color, pattern) {
+    return { color: OUTLINE_COLOR, weight: 2, opacity: 1, fillColor: color, ...STATUS_PATTERNS[pattern] };
+}
+
+/**
+ * Inline CSS for an HTML marker or swatch in a status colour and pattern; text on it
+ * keeps 4.5:1 contrast, white on the fill or the colour itself on a hollow marker
+ * @param {string} color
+ * @param {'open'|'held'|'closed'} pattern
+ */
+export function patternedIconCss(color, pattern) {
+    if (pattern === 'closed') {
+        return `background: white; color: ${color}; border: 3px solid ${color};`;
+    }
+    const border = pattern === 'held' ? `3px dashed ${OUTLINE_COLOR}` : '2px solid white';
+    return `background: ${color}; color: white; border: ${border};`;
+}
+
+/**
+ * A legend or list swatch drawn like the markers it stands for
+ * @param {string} color
+ * @param {'open'|'held'|'closed'} pattern
+ * @param {Object} [options]
+ * @param {boolean} [options.square] - Like a lot's HTML marker; otherwise like a circle marker
+ */
+export function statusSwatchHtml(color, pattern, { square = false } = {}) {
+    const css = square
+        ? `${patternedIconCss(color, pattern)} border-radius: 3px;`
+        : `background: ${color}${pattern === 'closed' ? '26' : ''}; border: 2px ${pattern === 'held' ? 'dashed' : 'solid'} ${OUTLINE_COLOR}; border-radius: 50%;`;
+    return `<span class="status-swatch" aria-hidden="true" style="${css}"></span>`;
+}
+
+/**
+ * Circle marker options for a street slot in its status colour and pattern
+ * @param {import('./parking_client.js').StreetParkingSlot} slot
+ */
+export function slotMarkerStyle(slot) {
+    const { color, pattern } = slotStatus(slot);
+    return patternedMarkerStyle(color, pattern);
+}
+
+/**
+ * A slot's name, status and distance, as spoken when the keyboard reaches its marker
+ * @param {import('./parking_client.js').StreetParkingSlot} slot
+ * @param {Object} [options]
+ * @param {number} [options.distanceKm] - From the user, when known
+ * @param {boolean} [options.heldForYou] - The user's own reservation
+ */
+export function describeSlot(slot, { distanceKm, heldForYou = false } = {}) {
+    const status = heldForYou ? t('slot.held_for_you') : slotStatus(slot).label;
+    const away = distanceKm === undefined ? '' : t('slot.away', { distance: formatDistance(distanceKm) });
+    return [slot.name, status, away].filter(Boolean).join(', ');
+}
+
+// --- Announcements ---
+// Spoken messages are at least this far apart; later ones wait and merge
+const ANNOUNCE_INTERVAL_MS = 5000;
+
+const pendingAnnouncements = new Map();
+let announceTimer = null;
+let lastAnnounced = 0;
+// Created up front: screen readers skip changes to a live region added at the same moment
+const liveRegion = createLiveRegion();
+
+function createLiveRegion() {
+    addStyles();
+    const region = document.createElement('div');
+    region.className = 'visually-hidden';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(region);
+    return region;
+}
+
+/**
+ * Have screen readers speak a message without moving focus. Until it is spoken, a message
+ * is replaced by a later one with the same key. A message can be a function, called when
+ * it is spoken.
+ * @param {string|(() => string)} message
+ * @param {Object} [options]
+ * @param {string} [options.key] - What the message is about; the message itself by default
+ * @param {boolean} [options.now] - Speak at once, for answers to the user's own keys
+ */
+export function announce(message, { key = message, now = false } = {}) {
+    if (now) {
+        speak(typeof message === 'function' ? message() : message);
+        return;
+    }
+    pendingAnnouncements.set(key, message);
+    if (!announceTimer) {
+        const wait = Math.max(0, lastAnnounced + ANNOUNCE_INTERVAL_MS - Date.now());
+        announceTimer = setTimeout(flushAnnouncements, wait);
+    }
+}
+
+function flushAnnouncements() {
+    announceTimer = null;
+    const text = [...pendingAnnouncements.values()]
+        .map(message => typeof message === 'function' ? message() : message)
+        .filter(Boolean)
+        .join(' ');
+    pendingAnnouncements.clear();
+    if (text) {
+        speak(text);
+    }
+}
+
+function speak(text) {
+    lastAnnounced = Date.now();
+    // Emptied first so that the same text twice in a row is spoken twice
+    liveRegion.textContent = '';
+    setTimeout(() => { liveRegion.textContent = text; }, 100);
+}
+
+// Slot id -> { name, wasAvailable, available } for changes not yet spoken
+const slotChanges = new Map();
+const NAMES_SPOKEN = 3;
+
+/**
+ * Announce that a street slot became free or was taken. Changes are collected
+ * until the next announcement, and a slot that flips back in the meantime is dropped.
+ * @param {import('./parking_client.js').StreetParkingSlot} previous
+ * @param {import('./parking_client.js').StreetParkingSlot} next
+ */
+export function announceSlotChange(previous, next) {
+    if (previous.available === next.available) return;
+    const wasAvailable = slotChanges.get(next.id)?.wasAvailable ?? previous.available;
+    if (wasAvailable === next.available) {
+        slotChanges.delete(next.id);
+        return;
+    }
+    slotChanges.set(next.id, { name: next.name, wasAvailable, available: next.available });
+    announce(describeSlotChanges, { key: 'slots' });
+}
+
+function describeSlotChanges() {
+    const changes = [...slotChanges.values()];
+    slotChanges.clear();
+    const freed = changes.filter(change => change.available).map(change => change.name);
+    const taken = changes.filter(change => !change.available).map(change => change.name);
+    return [
+        freed.length ? t('a11y.slots_freed', { slots: nameList(freed) }) : '',
+        taken.length ? t('a11y.slots_taken', { slots: nameList(taken) }) : ''
+    ].filter(Boolean).join(' ');
+}
+
+function nameList(names) {
+    if (names.length <= NAMES_SPOKEN + 1) return formatList(names);
+    return formatList([...names.slice(0, NAMES_SPOKEN), t('a11y.more', { count: names.length - NAMES_SPOKEN })]);
+}
+
+// --- Keyboard navigation ---
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+let hintCount = 0;
+
+/**
+ * @typedef {Object} NavigableMarker
+ * @property {L.Marker|L.CircleMarker} marker
+ * @property {string} label - What the marker is and its status, spoken when it is reached
+ */
+
+/**
+ * Keyboard access to a map's markers. Tab reaches the map. There, N and P move to
+ * the next and previous marker. Enter opens the marker's popup, and Escape closes it.
+ * Each step rings the marker and speaks its label, and a hint lists the keys while
+ * the map has focus. Arrow keys and +/- still pan and zoom as usual.
+ */
+export class MarkerNavigator {
+    /**
+     * @param {L.Map} map
+     * @param {Object} options
+     * @param {() => NavigableMarker[]} options.markers - In the order to visit them
+     * @param {(marker: L.Layer, done: Function) => void} [options.reveal] - Bring a marker into view, e.g. out of a cluster
+     */
+    constructor(map, { markers, reveal = (marker, done) => done() }) {
+        this.map = map;
+        this.markers = markers;
+        this.reveal = reveal;
+        this.current = null;
+        this.ring = null;
+        this.popupHasFocus = false;
+
+        const container = map.getContainer();
+        const hintId = `marker-navigator-hint-${++hintCount}`;
+        container.setAttribute('role', 'application');
+        container.setAttribute('aria-label', t('a11y.map_label'));
+        container.setAttribute('aria-describedby', hintId);
+        if (!container.hasAttribute('tabindex')) {
+            container.tabIndex = 0;
+        }
+
+        const hint = L.control({ position: 'bottomright' });
+        hint.onAdd = () => {
+            const element = L.DomUtil.create('div', 'marker-navigator-hint');
+            element.id = hintId;
+            element.textContent = t('a11y.map_keys');
+            return element;
+        };
+        hint.addTo(map);
+
+        container.addEventListener('keydown', event => this.onKeyDown(event));
+        map.on('popupclose', event => {
+            if (!this.popupHasFocus) return;
+            this.popupHasFocus = false;
+            // Back to the map when focus was in the closed popup, so N and P keep working
+            const active = document.activeElement;
+            if (!active || active === document.body || event.popup.getElement()?.contains(active)) {
+                container.focus({ preventScroll: true });
+            }
+        });
+    }
+
+    onKeyDown(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) return;
+        if (event.target.closest('input, textarea, select')) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'n' || key === 'p') {
+            event.preventDefault();
+            this.step(key === 'n' ? 1 : -1);
+        } else if (event.key === 'Enter' && this.current && event.target === this.map.getContainer()) {
+            event.preventDefault();
+            this.openPopup();
+        } else if (event.key === 'Escape') {
+            // Leaflet closes the popup itself; popupclose brings focus back
+            this.map.closePopup();
+        }
+    }
+
+    step(direction) {
+        const items = this.markers();
+        if (!items.length) {
+            announce(t('a11y.no_markers'), { now: true });
+            return;
+        }
+        const index = items.findIndex(item => item.marker === this.current);
+        const next = index === -1
+            ? (direction > 0 ? 0 : items.length - 1)
+            : (index + direction + items.length) % items.length;
+        this.focusItem(items, next);
+    }
+
+    /**
+     * Move to a marker, e.g. from a list view row, and optionally open its popup
+     * @param {L.Layer} marker
+     * @param {Object} [options]
+     * @param {boolean} [options.openPopup]
+     */
+    select(marker, { openPopup = false } = {}) {
+        const items = this.markers();
+        const index = items.findIndex(item => item.marker === marker);
+        if (index === -1) return;
+        this.map.getContainer().focus();
+        this.focusItem(items, index, openPopup);
+    }
+
+    focusItem(items, index, openPopup = false) {
+        const { marker, label } = items[index];
+        this.current = marker;
+        this.reveal(marker, () => {
+            const latLng = marker.getLatLng();
+            this.map.panTo(latLng, { animate: !reducedMotion.matches });
+            if (!this.ring) {
+                this.ring = L.circleMarker(latLng, {
+                    radius: 16, color: '#0d47a1', weight: 3, fill: false, interactive: false
+                }).addTo(this.map);
+            } else {
+                this.ring.setLatLng(latLng);
+            }
+            this.ring.bringToFront();
+            announce(t('a11y.marker_position', {
+                position: formatNumber(index + 1), count: formatNumber(items.length), label
+            }), { now: true });
+            if (openPopup) {
+                this.openPopup();
+            }
+        });
+    }
+
+    /**
+     * Open the current marker's popup and move focus into it, so its text is read
+     * and Tab reaches its buttons
+     */
+    openPopup() {
+        const popup = this.current?.getPopup();
+        if (!popup) return;
+        this.current.openPopup();
+        const content = popup.getElement()?.querySelector('.leaflet-popup-content');
+        if (content) {
+            content.tabIndex = -1;
+            content.focus();
+            this.popupHasFocus = true;
+        }
+    }
+
+    /**
+     * Forget the ring and current marker, e.g. when the markers are replaced
+     */
+    reset() {
+        this.current = null;
+        if (this.ring) {
+            this.ring.remove();
+            this.ring = null;
+        }
+    }
+}
+
+// --- List view ---
+/**
+ * @typedef {Object} Column
+ * @property {string} label
+ * @property {(item: *) => (number|string|undefined)} value - What the column sorts by; undefined sorts last
+ * @property {(item: *) => string} html - Cell content, escaped
+ */
+
+/**
+ * A table of a map's items, the map's list view. Each header is a button: it sorts
+ * by its column, and a second press reverses the order. aria-sort tells screen
+ * readers which column is sorted. Rows are patched by key, so keyboard focus survives
+ * live updates. Each row has a button that shows its item on the map.
+ */
+export class SortableTable {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options
+     * @param {string} options.caption
+     * @param {Column[]} options.columns
+     * @param {(item: *) => string} options.key
+     * @param {(item: *) => string} options.name - The item's name, for its "show on map" button
+     * @param {(item: *) => void} options.onShow
+     * @param {string} [options.empty] - Shown when there are no items
+     */
+    constructor(container, { caption, columns, key, name, onShow, empty = t('a11y.list_empty') }) {
+        this.columns = columns;
+        this.key = key;
+        this.name = name;
+        this.empty = empty;
+        this.items = [];
+        this.rows = new Map(); // key -> { row, html }
+        this.sortColumn = 0;
+        this.descending = false;
+
+        container.innerHTML = `
+            <table class="sortable-table">
+                <caption>${escapeHtml(caption)}</caption>
+                <thead><tr>
+                    ${columns.map((column, index) => `
+                        <th scope="col"><button type="button" data-column="${index}">${escapeHtml(column.label)}<span class="sort-arrow" aria-hidden="true"></span></button></th>
+                    `).join('')}
+                    <th scope="col"><span class="visually-hidden">${escapeHtml(t('a11y.actions'))}</span></th>
+                </tr></thead>
+                <tbody></tbody>
+            </table>
+        `;
+        this.head = container.querySelector('thead');
+        this.body = container.querySelector('tbody');
+        this.head.addEventListener('click', event => {
+            const button = event.target.closest('button[data-column]');
+            if (button) this.sortBy(Number(button.dataset.column));
+        });
+        this.body.addEventListener('click', event => {
+            const button = event.target.closest('button[data-key]');
+            const item = button && this.items.find(candidate => this.key(candidate) === button.dataset.key);
+            if (item) onShow(item);
+        });
+        this.renderHeaders();
+    }
+
+    sortBy(index) {
+        this.descending = index === this.sortColumn ? !this.descending : false;
+        this.sortColumn = index;
+        this.renderHeaders();
+        this.update(this.items);
+        announce(t(this.descending ? 'a11y.sorted_descending' : 'a11y.sorted_ascending', {
+            column: this.columns[index].label
+        }), { now: true });
+    }
+
+    renderHeaders() {
+        this.head.querySelectorAll('th').forEach((th, index) => {
+            const arrow = th.querySelector('.sort-arrow');
+            if (!arrow) return;
+            if (index === this.sortColumn) {
+                th.setAttribute('aria-sort', this.descending ? 'descending' : 'ascending');
+                arrow.textContent = this.descending ? ' ▼' : ' ▲';
+            } else {
+                th.removeAttribute('aria-sort');
+                arrow.textContent = '';
+            }
+        });
+    }
+
+    /**
+     * Show these items, in the current sort order
+     * @param {Array} items
+     */
+    update(items) {
+        this.items = items;
+        const column = this.columns[this.sortColumn];
+        const collator = new Intl.Collator(LANGUAGE, { numeric: true });
+        const sorted = [...items].sort((a, b) => {
+            const first = column.value(a);
+            const second = column.value(b);
+            // Missing values last, whichever the direction
+            if (first === undefined || second === undefined) {
+                return (first === undefined) - (second === undefined);
+            }
+            const order = typeof first === 'number' ? first - second : collator.compare(first, second);
+            return this.descending ? -order : order;
+        });
+
+        if (!sorted.length) {
+            this.rows.clear();
+            this.body.innerHTML = `<tr><td colspan="${this.columns.length + 1}">${escapeHtml(this.empty)}</td></tr>`;
+            return;
+        }
+
+        if (!this.rows.size) {
+            // Drops the empty message
+            this.body.innerHTML = '';
+        }
+        const seen = new Set();
+        sorted.forEach((item, index) => {
+            const key = this.key(item);
+            seen.add(key);
+            const html = this.rowHtml(item, key);
+            let entry = this.rows.get(key);
+            if (!entry) {
+                entry = { row: document.createElement('tr'), html: null };
+                this.rows.set(key, entry);
+            }
+            if (entry.html !== html) {
+                const focused = entry.row.contains(document.activeElement);
+                entry.row.innerHTML = html;
+                entry.html = html;
+                if (focused) entry.row.querySelector('button').focus();
+            }
+            // Move the row only if it is out of place
+            if (this.body.children[index] !== entry.row) {
+                this.body.insertBefore(entry.row, this.body.children[index] || null);
+            }
+        });
+        this.rows.forEach((entry, key) => {
+            if (!seen.has(key)) {
+                entry.row.remove();
+                this.rows.delete(key);
+            }
+        });
+    }
+
+    rowHtml(item, key) {
+        const cells = this.columns.map((column, index) => index === 0
+            ? `<th scope="row">${column.html(item)}</th>`
+            : `<td>${column.html(item)}</td>`);
+        return `${cells.join('')}
+            <td><button type="button" data-key="${escapeHtml(key)}">${escapeHtml(t('a11y.show_on_map'))}<span class="visually-hidden"> ${escapeHtml(this.name(item))}</span></button></td>`;
+    }
+}
+
+/**
+ * Columns of a street slot list view: name, status, distance and price
+ * @param {(slot) => (number|undefined)} distanceKm
+ * @returns {Column[]}
+ */
+export function slotColumns(distanceKm) {
+    const statusOrder = { available: 0, reserved: 1, occupied: 2 };
+    return [
+        { label: t('slot.label.name'), value: slot => slot.name, html: slot => escapeHtml(slot.name) },
+        {
+            label: t('slot.label.status'),
+            value: slot => statusOrder[slotStatus(slot).key],
+            html: slot => {
+                const { color, pattern, label } = slotStatus(slot);
+                return `${statusSwatchHtml(color, pattern)} ${escapeHtml(label)}`;
+            }
+        },
+        {
+            label: t('slot.label.distance'),
+            value: distanceKm,
+            html: slot => {
+                const km = distanceKm(slot);
+                return km === undefined ? '' : escapeHtml(formatDistance(km));
+            }
+        },
+        {
+            label: t('slot.label.price'),
+            value: slot => slot.price_per_hour,
+            html: slot => escapeHtml(t('slot.per_hour', { price: formatCurrency(slot.price_per_hour) }))
+        }
+    ];
+}
+
+// --- Styles ---
+function addStyles() {
+    if (document.getElementById('accessibility-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'accessibility-styles';
+    style.textContent = `
+        .visually-hidden {
+            position: absolute !important;
+            width: 1px;
+            height: 1px;
+            padding: 0;
+            margin: -1px;
+            overflow: hidden;
+            clip: rect(0, 0, 0, 0);
+            white-space: nowrap;
+            border: 0;
+        }
+        .status-swatch {
+            display: inline-block;
+            width: 14px;
+            height: 14px;
+            box-sizing: border-box;
+            vertical-align: middle;
+        }
+        .leaflet-container:focus-visible {
+            outline: 3px solid #0d47a1;
+            outline-offset: 2px;
+        }
+        .marker-navigator-hint {
+            display: none;
+            background: white;
+            color: #212529;
+            padding: 4px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+            box-shadow: 0 1px 5px rgba(0, 0, 0, 0.3);
+        }
+        .leaflet-container:focus-within .marker-navigator-hint {
+            display: block;
+        }
+        .sortable-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+        }
+        .sortable-table caption {
+            caption-side: top;
+            text-align: left;
+            font-weight: bold;
+            padding: 4px 0;
+            color: #212529;
+        }
+        .sortable-table th, .sortable-table td {
+            padding: 6px 8px;
+            border-bottom: 1px solid #dee2e6;
+            text-align: left;
+        }
+        .sortable-table thead button {
+            background: none;
+            border: none;
+            padding: 0;
+            font: inherit;
+            font-weight: bold;
+            color: inherit;
+            cursor: pointer;
+        }
+        .sortable-table tbody button {
+            background: #0d47a1;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            padding: 4px 8px;
+            cursor: pointer;
+            font-size: 0.8rem;
+        }
+        .sortable-table button:focus-visible {
+            outline: 3px solid #0d47a1;
+            outline-offset: 2px;
+        }
+        /* Pulsing dots and sliding toasts hold still for those who ask for less motion */
+        @media (prefers-reduced-motion: reduce) {
+            *, *::before, *::after {
+                animation-duration: 0.01ms !important;
+                animation-iteration-count: 1 !important;
+                transition-duration: 0.01ms !important;
+            }
+        }
+    `;
+    document.head.appendChild(style);
+}
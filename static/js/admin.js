@@ -0,0 +1,757 @@
+/**
+ * Operations console: edit tariff zones and lots, draw street slots on the
+ * map and manage accounts and occupancy sensors. Every change goes straight to the API, which
+ * persists it and applies it to the running models.
+ */
+
+import { formatDate, formatTime, t } from './i18n.js';
+import { escapeHtml, parkingClient, showNotification } from './parking_client.js';
+import { currentRegion, regionAt, regionById, setCurrentRegion } from './regions.js';
+
+const SLOT_STYLES = {
+    available: { color: '#28a745', weight: 2, fillOpacity: 0.5 },
+    occupied: { color: '#dc3545', weight: 2, fillOpacity: 0.5 },
+    closed: { color: '#6c757d', weight: 2, dashArray: '4 4', fillOpacity: 0.3 },
+    selected: { color: '#667eea', weight: 4, fillOpacity: 0.7 }
+};
+
+const state = {
+    zones: [],
+    lots: [],
+    slots: [],
+    lotTypes: [],
+    users: [],
+    roles: [],
+    sensors: [],
+    sensorKinds: [],
+    selectedLotId: null,
+    selectedSlotId: null,
+    // Polygon drawn for a slot that has not been saved yet
+    pendingPolygon: null
+};
+
+let map = null;
+let editableLayers = null;
+const lotMarkers = new Map();
+const slotPolygons = new Map();
+
+document.addEventListener('DOMContentLoaded', async () => {
+    initializeMap();
+    bindForms();
+    try {
+        await loadInventory();
+    } catch (error) {
+        console.error('Error loading inventory:', error);
+        showNotification(t('admin.load_inventory_failed', { error: error.message }), 'error');
+    }
+    try {
+        await loadUsers();
+    } catch (error) {
+        console.error('Error loading users:', error);
+        showNotification(t('admin.load_users_failed', { error: error.message }), 'error');
+    }
+    try {
+        await loadSensors();
+    } catch (error) {
+        console.error('Error loading sensors:', error);
+        showNotification(t('admin.load_sensors_failed', { error: error.message }), 'error');
+    }
+});
+
+async function loadInventory() {
+    const inventory = await parkingClient.getInventory();
+    state.zones = inventory.zones;
+    state.lots = inventory.lots;
+    state.slots = inventory.slots;
+    state.lotTypes = inventory.lot_types;
+
+    fillSelects();
+    renderZones();
+    renderLots();
+    renderSlots();
+    drawInventory();
+    console.log(`🗂️ Loaded ${state.lots.length} lots and ${state.slots.length} slots`);
+}
+
+// --- Map ---
+function initializeMap() {
+    const region = currentRegion();
+    map = L.map('admin-map').setView(region.center, 14);
+
+    // Operators work on one city at a time; the map is not bound to it
+    const regionSelect = document.getElementById('region-select');
+    regionSelect.value = region.id;
+    regionSelect.addEventListener('change', () => {
+        const selected = regionById(regionSelect.value);
+        setCurrentRegion(selected);
+        map.setView(selected.center, 14);
+    });
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '© OpenStreetMap contributors',
+        maxZoom: 20,
+        maxNativeZoom: 19
+    }).addTo(map);
+
+    editableLayers = new L.FeatureGroup().addTo(map);
+    map.addControl(new L.Control.Draw({
+        draw: {
+            polygon: { allowIntersection: false, showArea: false },
+            rectangle: {},
+            marker: {},
+            polyline: false,
+            circle: false,
+            circlemarker: false
+        },
+        // Deleting goes through the forms so it can be confirmed
+        edit: { featureGroup: editableLayers, remove: false }
+    }));
+
+    map.on(L.Draw.Event.CREATED, event => {
+        if (event.layerType === 'marker') {
+            const { lat, lng } = event.layer.getLatLng();
+            startNewLot({ lat, lng });
+        } else {
+            startNewSlot(event.layer);
+        }
+    });
+    map.on(L.Draw.Event.EDITED, event => {
+        event.layers.eachLayer(layer => saveGeometry(layer));
+    });
+}
+
+function drawInventory() {
+    editableLayers.clearLayers();
+    lotMarkers.clear();
+    slotPolygons.clear();
+    state.lots.forEach(drawLot);
+    state.slots.forEach(drawSlot);
+}
+
+function drawLot(lot) {
+    const marker = L.marker([lot.lat, lot.lng], { title: lot.name })
+        .bindTooltip(escapeHtml(t('admin.lot.tooltip', { name: lot.name, capacity: lot.capacity })))
+        .on('click', () => selectLot(lot.id));
+    marker.inventory = { kind: 'lot', id: lot.id };
+    editableLayers.addLayer(marker);
+    lotMarkers.set(lot.id, marker);
+}
+
+function drawSlot(slot) {
+    const polygon = L.polygon(slot.polygon, slotStyle(slot))
+        .bindTooltip(escapeHtml(slot.closed ? t('admin.slot.tooltip_closed', { name: slot.name }) : slot.name))
+        .on('click', () => selectSlot(slot.id));
+    polygon.inventory = { kind: 'slot', id: slot.id };
+    editableLayers.addLayer(polygon);
+    slotPolygons.set(slot.id, polygon);
+}
+
+function slotStyle(slot) {
+    if (slot.id === state.selectedSlotId) {
+        return SLOT_STYLES.selected;
+    }
+    if (slot.closed) {
+        return SLOT_STYLES.closed;
+    }
+    return slot.available ? SLOT_STYLES.available : SLOT_STYLES.occupied;
+}
+
+function redrawSlot(slot) {
+    const existing = slotPolygons.get(slot.id);
+    if (existing) {
+        editableLayers.removeLayer(existing);
+    }
+    drawSlot(slot);
+}
+
+async function saveGeometry(layer) {
+    const { kind, id } = layer.inventory || {};
+    try {
+        if (kind === 'lot') {
+            const { lat, lng } = layer.getLatLng();
+            replaceLot(await parkingClient.saveLot({ id, lat: round(lat), lng: round(lng) }));
+            showNotification(t('admin.lot.moved'), 'success');
+        } else if (kind === 'slot') {
+            replaceSlot(await parkingClient.saveSlot({ id, polygon: polygonPoints(layer) }));
+            showNotification(t('admin.slot.reshaped'), 'success');
+        }
+    } catch (error) {
+        showNotification(error.message, 'error');
+        await loadInventory();
+    }
+}
+
+function polygonPoints(layer) {
+    return layer.getLatLngs()[0].map(point => [round(point.lat), round(point.lng)]);
+}
+
+function round(value) {
+    return Math.round(value * 1e7) / 1e7;
+}
+
+// --- Forms ---
+function bindForms() {
+    document.getElementById('lot-form').addEventListener('submit', saveLotForm);
+    document.getElementById('lot-new').addEventListener('click', () => startNewLot());
+    document.getElementById('lot-delete').addEventListener('click', deleteSelectedLot);
+    document.getElementById('slot-form').addEventListener('submit', saveSlotForm);
+    document.getElementById('slot-delete').addEventListener('click', deleteSelectedSlot);
+    document.getElementById('slot-filter').addEventListener('input', renderSlots);
+    document.getElementById('user-form').addEventListener('submit', createUserForm);
+    document.getElementById('sensor-form').addEventListener('submit', createSensorForm);
+    document.getElementById('sensor-kind').addEventListener('change', updateSensorTargetsLabel);
+}
+
+function fillSelects() {
+    const zoneOptions = state.zones.map(zone =>
+        `<option value="${escapeHtml(zone.id)}">${escapeHtml(zone.name)} (${escapeHtml(zone.id)})</option>`).join('');
+    document.querySelectorAll('.zone-select').forEach(select => {
+        const current = select.value;
+        select.innerHTML = zoneOptions;
+        if (current) {
+            select.value = current;
+        }
+    });
+
+    const typeOptions = state.lotTypes.map(type =>
+        `<option value="${escapeHtml(type)}">${escapeHtml(t(`lot.type.${type}`))}</option>`).join('');
+    document.querySelector('#lot-form [name="lot_type"]').innerHTML = typeOptions;
+    document.querySelector('#slot-form [name="demand"]').innerHTML = typeOptions;
+
+    const streets = [...new Set(state.slots.map(slot => slot.street))].sort();
+    document.getElementById('street-names').innerHTML =
+        streets.map(street => `<option value="${escapeHtml(street)}">`).join('');
+}
+
+function formValues(form) {
+    return Object.fromEntries(new FormData(form).entries());
+}
+
+// --- Amenities ---
+function fillAmenities(form, amenities) {
+    Object.entries(amenities).forEach(([field, value]) => {
+        if (field === 'vehicle_classes') {
+            form.querySelectorAll('[name="vehicle_classes"]').forEach(box => {
+                box.checked = value.includes(box.value);
+            });
+        } else if (form.elements[field].type === 'checkbox') {
+            form.elements[field].checked = value;
+        } else {
+            form.elements[field].value = value ?? '';
+        }
+    });
+}
+
+/**
+ * The amenity fields lot and slot forms have in common; a blank number means "none"
+ */
+function sharedAmenities(form) {
+    const optional = field => form.elements[field].value === '' ? null : Number(form.elements[field].value);
+    return {
+        ev_connector: form.elements.ev_connector.value || null,
+        ev_power_kw: optional('ev_power_kw'),
+        covered: form.elements.covered.checked,
+        max_height_m: optional('max_height_m')
+    };
+}
+
+// --- Lots ---
+function lotSummary(lot) {
+    const summary = t('admin.lot.summary', { type: t(`lot.type.${lot.lot_type}`), capacity: lot.capacity, zone: lot.zone });
+    return lot.occupied_slots !== null
+        ? `${summary} · ${t('admin.lot.occupied', { count: lot.occupied_slots })}`
+        : summary;
+}
+
+function renderLots() {
+    document.getElementById('lot-list').innerHTML = state.lots.map(lot => `
+        <button type="button" class="list-group-item list-group-item-action${lot.id === state.selectedLotId ? ' active' : ''}"
+                data-lot-id="${lot.id}">
+            <strong>${escapeHtml(lot.name)}</strong>
+            <small class="d-block">${escapeHtml(lotSummary(lot))}</small>
+        </button>
+    `).join('');
+    document.querySelectorAll('#lot-list [data-lot-id]').forEach(item => {
+        item.addEventListener('click', () => selectLot(Number(item.dataset.lotId)));
+    });
+}
+
+function selectLot(lotId) {
+    const lot = state.lots.find(candidate => candidate.id === lotId);
+    if (!lot) {
+        return;
+    }
+    state.selectedLotId = lotId;
+    const form = document.getElementById('lot-form');
+    ['id', 'name', 'lot_type', 'zone', 'capacity', 'lat', 'lng', 'city'].forEach(field => {
+        form.elements[field].value = lot[field];
+    });
+    fillAmenities(form, lot.amenities);
+    document.getElementById('lot-form-title').textContent = t('admin.edit_title', { name: lot.name });
+    document.getElementById('lot-delete').disabled = false;
+    showTab('#tab-lots');
+    renderLots();
+    map.panTo([lot.lat, lot.lng]);
+}
+
+function startNewLot(location = null) {
+    state.selectedLotId = null;
+    const form = document.getElementById('lot-form');
+    form.reset();
+    form.elements.id.value = '';
+    if (location) {
+        form.elements.lat.value = round(location.lat);
+        form.elements.lng.value = round(location.lng);
+    }
+    form.elements.city.value = ((location && regionAt(location)) || currentRegion()).name;
+    document.getElementById('lot-form-title').textContent = t('admin.lot.new_title');
+    document.getElementById('lot-delete').disabled = true;
+    showTab('#tab-lots');
+    renderLots();
+    form.elements.name.focus();
+}
+
+async function saveLotForm(event) {
+    event.preventDefault();
+    const values = formValues(event.target);
+    const lot = {
+        name: values.name,
+        lot_type: values.lot_type,
+        zone: values.zone,
+        capacity: Number(values.capacity),
+        lat: Number(values.lat),
+        lng: Number(values.lng),
+        city: values.city,
+        amenities: {
+            vehicle_classes: [...event.target.querySelectorAll('[name="vehicle_classes"]:checked')].map(box => box.value),
+            accessible_spaces: Number(values.accessible_spaces || 0),
+            ev_spaces: Number(values.ev_spaces || 0),
+            ...sharedAmenities(event.target)
+        }
+    };
+    if (values.id) {
+        lot.id = Number(values.id);
+    }
+    try {
+        const saved = await parkingClient.saveLot(lot);
+        replaceLot(saved);
+        selectLot(saved.id);
+        showNotification(t('admin.saved', { name: saved.name }), 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function replaceLot(lot) {
+    const index = state.lots.findIndex(candidate => candidate.id === lot.id);
+    if (index >= 0) {
+        state.lots[index] = lot;
+        editableLayers.removeLayer(lotMarkers.get(lot.id));
+    } else {
+        state.lots.push(lot);
+    }
+    drawLot(lot);
+    renderLots();
+}
+
+async function deleteSelectedLot() {
+    const lot = state.lots.find(candidate => candidate.id === state.selectedLotId);
+    if (!lot || !confirm(t('admin.lot.confirm_delete', { name: lot.name }))) {
+        return;
+    }
+    try {
+        await parkingClient.deleteLot(lot.id);
+        state.lots = state.lots.filter(candidate => candidate.id !== lot.id);
+        editableLayers.removeLayer(lotMarkers.get(lot.id));
+        lotMarkers.delete(lot.id);
+        startNewLot();
+        showNotification(t('admin.deleted', { name: lot.name }), 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// --- Slots ---
+function renderSlots() {
+    const filter = document.getElementById('slot-filter').value.trim().toLowerCase();
+    const slots = state.slots.filter(slot =>
+        !filter || slot.street.toLowerCase().includes(filter) || slot.id.toLowerCase().includes(filter));
+
+    document.getElementById('slot-list').innerHTML = slots.map(slot => `
+        <button type="button" class="list-group-item list-group-item-action${slot.id === state.selectedSlotId ? ' active' : ''}"
+                data-slot-id="${escapeHtml(slot.id)}">
+            ${escapeHtml(slot.name)}
+            ${slot.closed ? `<span class="badge bg-secondary ms-1">${escapeHtml(t('admin.slot.badge_closed'))}</span>` : ''}
+            ${slot.reserved ? `<span class="badge bg-warning text-dark ms-1">${escapeHtml(t('admin.slot.badge_held'))}</span>` : ''}
+            <small class="d-block">${escapeHtml(t('admin.slot.summary', { id: slot.id, zone: slot.zone }))}</small>
+        </button>
+    `).join('');
+    document.querySelectorAll('#slot-list [data-slot-id]').forEach(item => {
+        item.addEventListener('click', () => selectSlot(item.dataset.slotId));
+    });
+}
+
+function selectSlot(slotId) {
+    const slot = state.slots.find(candidate => candidate.id === slotId);
+    if (!slot) {
+        return;
+    }
+    const previous = state.slots.find(candidate => candidate.id === state.selectedSlotId);
+    clearPendingPolygon();
+    state.selectedSlotId = slotId;
+    if (previous) {
+        redrawSlot(previous);
+    }
+    redrawSlot(slot);
+
+    const form = document.getElementById('slot-form');
+    ['id', 'street', 'name', 'zone', 'demand'].forEach(field => {
+        form.elements[field].value = slot[field];
+    });
+    form.elements.closed.checked = slot.closed;
+    fillAmenities(form, slot.amenities);
+    document.getElementById('slot-form-title').textContent = t('admin.edit_title', { name: slot.id });
+    document.getElementById('slot-state').textContent = slot.closed ? t('admin.slot.closed')
+        : slot.reserved ? t('admin.slot.state_held')
+        : slot.available ? t('admin.slot.state_free') : t('admin.slot.state_occupied');
+    form.querySelector('[type="submit"]').disabled = false;
+    document.getElementById('slot-delete').disabled = false;
+    showTab('#tab-slots');
+    renderSlots();
+    map.panTo([slot.lat, slot.lng]);
+}
+
+function startNewSlot(layer) {
+    clearPendingPolygon();
+    const previous = state.slots.find(candidate => candidate.id === state.selectedSlotId);
+    state.selectedSlotId = null;
+    if (previous) {
+        redrawSlot(previous);
+    }
+    state.pendingPolygon = layer.setStyle(SLOT_STYLES.selected).addTo(map);
+
+    const form = document.getElementById('slot-form');
+    const zone = form.elements.zone.value;
+    const demand = form.elements.demand.value;
+    form.reset();
+    form.elements.id.value = '';
+    form.elements.zone.value = zone;
+    form.elements.demand.value = demand;
+    document.getElementById('slot-form-title').textContent = t('admin.slot.new_title');
+    document.getElementById('slot-state').textContent = t('admin.slot.state_new');
+    form.querySelector('[type="submit"]').disabled = false;
+    document.getElementById('slot-delete').disabled = true;
+    showTab('#tab-slots');
+    renderSlots();
+    form.elements.street.focus();
+}
+
+function clearPendingPolygon() {
+    if (state.pendingPolygon) {
+        map.removeLayer(state.pendingPolygon);
+        state.pendingPolygon = null;
+    }
+}
+
+async function saveSlotForm(event) {
+    event.preventDefault();
+    const values = formValues(event.target);
+    const slot = {
+        street: values.street,
+        zone: values.zone,
+        demand: values.demand,
+        closed: event.target.elements.closed.checked,
+        amenities: {
+            vehicle_class: values.vehicle_class,
+            accessible: event.target.elements.accessible.checked,
+            ...sharedAmenities(event.target)
+        }
+    };
+    if (values.name) {
+        slot.name = values.name;
+    }
+    if (values.id) {
+        slot.id = values.id;
+    } else if (state.pendingPolygon) {
+        slot.polygon = polygonPoints(state.pendingPolygon);
+    } else {
+        showNotification(t('admin.slot.draw_first'), 'warning');
+        return;
+    }
+    try {
+        const saved = await parkingClient.saveSlot(slot);
+        clearPendingPolygon();
+        replaceSlot(saved);
+        fillSelects();
+        selectSlot(saved.id);
+        showNotification(t(saved.closed ? 'admin.slot.saved_closed' : 'admin.saved', { name: saved.name }), 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function replaceSlot(slot) {
+    const index = state.slots.findIndex(candidate => candidate.id === slot.id);
+    if (index >= 0) {
+        state.slots[index] = slot;
+    } else {
+        state.slots.push(slot);
+    }
+    redrawSlot(slot);
+    renderSlots();
+}
+
+async function deleteSelectedSlot() {
+    const slot = state.slots.find(candidate => candidate.id === state.selectedSlotId);
+    if (!slot || !confirm(t('admin.slot.confirm_delete', { name: slot.name }))) {
+        return;
+    }
+    try {
+        await parkingClient.deleteSlot(slot.id);
+        state.slots = state.slots.filter(candidate => candidate.id !== slot.id);
+        editableLayers.removeLayer(slotPolygons.get(slot.id));
+        slotPolygons.delete(slot.id);
+        state.selectedSlotId = null;
+        document.getElementById('slot-form').reset();
+        document.getElementById('slot-form-title').textContent = t('admin.slot.select_title');
+        document.getElementById('slot-state').textContent = '';
+        document.querySelector('#slot-form [type="submit"]').disabled = true;
+        document.getElementById('slot-delete').disabled = true;
+        renderSlots();
+        showNotification(t('admin.deleted', { name: slot.name }), 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// --- Zones ---
+function renderZones() {
+    const rows = state.zones.map(zone => `
+        <tr data-zone-id="${escapeHtml(zone.id)}">
+            <td><code>${escapeHtml(zone.id)}</code></td>
+            <td><input class="form-control form-control-sm" name="name" value="${escapeHtml(zone.name)}"></td>
+            <td><input class="form-control form-control-sm" name="street_rate" type="number" min="0" step="0.5" value="${zone.street_rate}"></td>
+            <td><input class="form-control form-control-sm" name="garage_rate" type="number" min="0" step="0.5" value="${zone.garage_rate}"></td>
+            <td class="text-nowrap">
+                <button class="btn btn-sm btn-primary" data-action="save" title="${escapeHtml(t('admin.save'))}"><i class="fas fa-save"></i></button>
+                <button class="btn btn-sm btn-outline-danger" data-action="delete"
+                        ${zone.in_use ? 'disabled' : ''} title="${escapeHtml(zone.in_use ? t('admin.zone.in_use', { count: zone.in_use }) : t('admin.delete'))}"><i class="fas fa-trash"></i></button>
+            </td>
+        </tr>
+    `).join('');
+
+    document.getElementById('zone-rows').innerHTML = rows + `
+        <tr data-zone-id="">
+            <td><input class="form-control form-control-sm" name="id" placeholder="new-zone"></td>
+            <td><input class="form-control form-control-sm" name="name" placeholder="${escapeHtml(t('admin.name'))}"></td>
+            <td><input class="form-control form-control-sm" name="street_rate" type="number" min="0" step="0.5"></td>
+            <td><input class="form-control form-control-sm" name="garage_rate" type="number" min="0" step="0.5"></td>
+            <td><button class="btn btn-sm btn-success" data-action="create" title="${escapeHtml(t('admin.zone.add'))}"><i class="fas fa-plus"></i></button></td>
+        </tr>
+    `;
+
+    document.querySelectorAll('#zone-rows [data-action]').forEach(button => {
+        button.addEventListener('click', () => handleZoneAction(button.closest('tr'), button.dataset.action));
+    });
+}
+
+async function handleZoneAction(row, action) {
+    const field = name => row.querySelector(`[name="${name}"]`);
+    const zoneId = action === 'create' ? field('id').value.trim() : row.dataset.zoneId;
+    try {
+        if (action === 'delete') {
+            if (!confirm(t('admin.zone.confirm_delete', { zone: zoneId }))) {
+                return;
+            }
+            await parkingClient.deleteZone(zoneId);
+            state.zones = state.zones.filter(zone => zone.id !== zoneId);
+            showNotification(t('admin.zone.deleted', { zone: zoneId }), 'success');
+        } else {
+            const saved = await parkingClient.saveZone({
+                id: zoneId,
+                name: field('name').value,
+                street_rate: Number(field('street_rate').value),
+                garage_rate: Number(field('garage_rate').value)
+            }, action === 'create');
+            const index = state.zones.findIndex(zone => zone.id === saved.id);
+            if (index >= 0) {
+                state.zones[index] = saved;
+            } else {
+                state.zones.push(saved);
+            }
+            showNotification(t('admin.zone.saved', { name: saved.name }), 'success');
+        }
+        renderZones();
+        fillSelects();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// --- Users ---
+async function loadUsers() {
+    const { users, roles } = await parkingClient.getUsers();
+    state.users = users;
+    state.roles = roles;
+    document.querySelector('#user-form .role-select').innerHTML = roleOptions('driver');
+    renderUsers();
+}
+
+function roleOptions(selected) {
+    return state.roles.map(role =>
+        `<option value="${escapeHtml(role)}" ${role === selected ? 'selected' : ''}>${escapeHtml(t(`account.role.${role}`))}</option>`).join('');
+}
+
+function renderUsers() {
+    document.getElementById('user-rows').innerHTML = state.users.map(user => `
+        <tr data-user-id="${user.id}">
+            <td>${escapeHtml(user.username)}</td>
+            <td><select class="form-select form-select-sm" name="role">${roleOptions(user.role)}</select></td>
+            <td><button class="btn btn-sm btn-primary" data-action="save" title="${escapeHtml(t('admin.user.save_role'))}"><i class="fas fa-save"></i></button></td>
+        </tr>
+    `).join('');
+
+    document.querySelectorAll('#user-rows [data-action="save"]').forEach(button => {
+        button.addEventListener('click', () => saveUserRole(button.closest('tr')));
+    });
+}
+
+async function saveUserRole(row) {
+    const role = row.querySelector('[name="role"]').value;
+    try {
+        const saved = await parkingClient.setUserRole(Number(row.dataset.userId), role);
+        state.users = state.users.map(user => user.id === saved.id ? saved : user);
+        showNotification(t('admin.user.role_changed', { username: saved.username, role: t(`account.role.${saved.role}`) }), 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    renderUsers();
+}
+
+async function createUserForm(event) {
+    event.preventDefault();
+    const form = event.target;
+    try {
+        const user = await parkingClient.createUser(formValues(form));
+        state.users = [...state.users, user].sort((a, b) => a.username.localeCompare(b.username));
+        form.reset();
+        form.querySelector('.role-select').innerHTML = roleOptions('driver');
+        renderUsers();
+        showNotification(t('admin.user.created', { username: user.username, role: t(`account.role.${user.role}`) }), 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// --- Sensors ---
+const SENSOR_TARGET_PLACEHOLDERS = {
+    ground: 'street_1',
+    camera: 'street_1, street_2, street_3',
+    gate: '1'
+};
+
+const SENSOR_STATUS_BADGES = {
+    live: 'bg-success',
+    waiting: 'bg-secondary',
+    silent: 'bg-danger'
+};
+
+async function loadSensors() {
+    const { sensors, kinds } = await parkingClient.getSensors();
+    state.sensors = sensors;
+    state.sensorKinds = kinds;
+    document.getElementById('sensor-kind').innerHTML = kinds.map(kind =>
+        `<option value="${escapeHtml(kind)}">${escapeHtml(t(`admin.sensor.kind.${kind}`))}</option>`).join('');
+    updateSensorTargetsLabel();
+    renderSensors();
+}
+
+function updateSensorTargetsLabel() {
+    const selected = document.getElementById('sensor-kind').value;
+    const kind = selected in SENSOR_TARGET_PLACEHOLDERS ? selected : 'camera';
+    document.getElementById('sensor-targets-label').textContent = t(`admin.sensor.target.${kind}`);
+    document.querySelector('#sensor-form [name="targets"]').placeholder = SENSOR_TARGET_PLACEHOLDERS[kind];
+}
+
+function sensorTargetName(sensor, target) {
+    if (sensor.kind === 'gate') {
+        const lot = state.lots.find(candidate => candidate.id === target);
+        return lot ? lot.name : t('admin.sensor.lot', { id: target });
+    }
+    return target;
+}
+
+function sensorLastSeen(sensor) {
+    if (!sensor.last_seen_at) {
+        return t('admin.sensor.never_seen');
+    }
+    return t('admin.sensor.seen', { time: `${formatDate(sensor.last_seen_at)} ${formatTime(sensor.last_seen_at)}` });
+}
+
+function renderSensors() {
+    const rows = state.sensors.map(sensor => `
+        <tr data-sensor-id="${escapeHtml(sensor.id)}">
+            <td><strong>${escapeHtml(sensor.id)}</strong><br><small class="text-muted">${escapeHtml(t(`admin.sensor.kind.${sensor.kind}`))}</small></td>
+            <td class="small">${sensor.targets.map(target => escapeHtml(String(sensorTargetName(sensor, target)))).join(', ')}</td>
+            <td>
+                <span class="badge ${SENSOR_STATUS_BADGES[sensor.status]}">${escapeHtml(t(`admin.sensor.status.${sensor.status}`))}</span>
+                <br><small class="text-muted">${escapeHtml(sensorLastSeen(sensor))}</small>
+            </td>
+            <td><button class="btn btn-sm btn-outline-danger" data-action="delete" title="${escapeHtml(t('admin.sensor.remove'))}"><i class="fas fa-trash"></i></button></td>
+        </tr>
+    `).join('');
+    document.getElementById('sensor-rows').innerHTML = rows ||
+        `<tr><td colspan="4" class="text-muted">${escapeHtml(t('admin.sensor.none'))}</td></tr>`;
+
+    document.querySelectorAll('#sensor-rows [data-action="delete"]').forEach(button => {
+        button.addEventListener('click', () => deleteSensor(button.closest('tr').dataset.sensorId));
+    });
+}
+
+async function createSensorForm(event) {
+    event.preventDefault();
+    const form = event.target;
+    const values = formValues(form);
+    const targets = values.targets.split(',').map(target => target.trim()).filter(Boolean);
+    try {
+        const sensor = await parkingClient.createSensor({
+            id: values.id.trim(),
+            kind: values.kind,
+            targets: values.kind === 'gate' ? targets.map(Number) : targets,
+            heartbeat_seconds: Number(values.heartbeat_seconds)
+        });
+        const { secret, ...stored } = sensor;
+        state.sensors = [...state.sensors, stored].sort((a, b) => a.id.localeCompare(b.id));
+        form.reset();
+        updateSensorTargetsLabel();
+        renderSensors();
+
+        const notice = document.getElementById('sensor-secret');
+        notice.querySelector('.sensor-secret-title').textContent = t('admin.sensor.secret_for', { device: sensor.id });
+        notice.querySelector('.sensor-secret-value').textContent = secret;
+        notice.classList.remove('d-none');
+        showNotification(t('admin.sensor.registered', { device: sensor.id, kind: t(`admin.sensor.kind.${sensor.kind}`) }), 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function deleteSensor(sensorId) {
+    if (!confirm(t('admin.sensor.confirm_remove', { device: sensorId }))) {
+        return;
+    }
+    try {
+        await parkingClient.deleteSensor(sensorId);
+        state.sensors = state.sensors.filter(sensor => sensor.id !== sensorId);
+        renderSensors();
+        showNotification(t('admin.sensor.removed', { device: sensorId }), 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function showTab(selector) {
+    const button = document.querySelector(`[data-bs-target="${selector}"]`);
+    if (button && window.bootstrap) {
+        window.bootstrap.Tab.getOrCreateInstance(button).show();
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * Who is signed in and what their role allows on this page.
+ * The server renders the account into <body data-user data-permissions>, so
+ * pages can decide which controls to offer without another request. The API
+ * enforces the same permissions; this only spares users controls that would
+ * be refused.
+ */
+
+import { initLanguageSwitcher, t } from './i18n.js';
+import { escapeHtml, parkingClient, showNotification } from './parking_client.js';
+
+/**
+ * @returns {string[]} e.g. ['reserve', 'enforce']; empty when signed out
+ */
+export function permissions() {
+    return (document.body.dataset.permissions || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * @param {'reserve'|'enforce'|'manage'} permission
+ */
+export function can(permission) {
+    return permissions().includes(permission);
+}
+
+export function isSignedIn() {
+    return Boolean(document.body.dataset.user);
+}
+
+/**
+ * The sign-in page, returning here afterwards
+ */
+export function signInUrl() {
+    return `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+}
+
+/**
+ * A link asking signed-out users to sign in for an action; empty for
+ * signed-in users whose role does not include it
+ * @param {'reserve'} action - Each action has its account.sign_in_to_<action> message
+ */
+export function signInPromptHtml(action) {
+    if (isSignedIn()) return '';
+    return `
+        <a href="${escapeHtml(signInUrl())}" style="display: block; margin-top: 6px; font-size: 12px;">
+            ${escapeHtml(t(`account.sign_in_to_${action}`))}
+        </a>
+    `;
+}
+
+/**
+ * Wire the language switcher and sign-out button of the account menu
+ * (templates/partials/account_menu.html)
+ */
+export function initAccountMenu() {
+    initLanguageSwitcher(document.getElementById('language-select'));
+    const button = document.getElementById('account-sign-out');
+    if (!button) return;
+
+    button.addEventListener('click', async () => {
+        try {
+            await parkingClient.logout();
+            window.location.reload();
+        } catch (error) {
+            console.error('❌ Sign-out failed:', error);
+            showNotification(t('account.sign_out_failed', { error: error.message }), 'error');
+        }
+    });
+}
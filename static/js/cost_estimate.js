@@ -0,0 +1,151 @@
+/**
+ * Cost-estimate widget for slot popups.
+ * Popups embed `costEstimateHtml(slot)`; once the popup is in the DOM,
+ * `attachCostEstimates(element)` wires the duration picker to /api/quote.
+ * Pages hook it up once per map with `bindCostEstimates(map)`.
+ */
+
+import { formatCurrency, formatNumber, formatTime, t } from './i18n.js';
+import { parkingClient, escapeHtml } from './parking_client.js';
+
+export const DURATION_OPTIONS = [0.5, 1, 2, 3, 5, 8];
+
+// The last duration picked carries over to the next popup
+let selectedHours = 1;
+
+/**
+ * Widget markup for a slot popup
+ * @param {{id: string}} slot
+ * @returns {string}
+ */
+export function costEstimateHtml(slot) {
+    const options = DURATION_OPTIONS.map(hours =>
+        `<option value="${hours}"${hours === selectedHours ? ' selected' : ''}>${escapeHtml(durationLabel(hours))}</option>`
+    ).join('');
+    return `
+        <div class="cost-estimate" data-slot-id="${escapeHtml(slot.id)}">
+            <label class="cost-estimate-label">
+                ${escapeHtml(t('estimate.for'))}
+                <select class="cost-estimate-duration" aria-label="${escapeHtml(t('estimate.duration_label'))}">${options}</select>
+            </label>
+            <div class="cost-estimate-result" aria-live="polite">${escapeHtml(t('estimate.calculating'))}</div>
+        </div>
+    `;
+}
+
+/**
+ * Wire every unbound widget inside `root` and fetch its first quote
+ * @param {Element|null} root
+ * @param {import('./parking_client.js').ParkingClient} [client]
+ */
+export function attachCostEstimates(root, client = parkingClient) {
+    if (!root) return;
+    ensureStyles();
+    root.querySelectorAll('.cost-estimate:not([data-bound])').forEach(widget => {
+        widget.dataset.bound = 'true';
+        const select = widget.querySelector('.cost-estimate-duration');
+        select.addEventListener('change', () => {
+            selectedHours = Number(select.value);
+            updateQuote(widget, client);
+        });
+        updateQuote(widget, client);
+    });
+}
+
+/**
+ * Attach widgets whenever a popup opens on the map
+ * @param {L.Map} map
+ * @param {import('./parking_client.js').ParkingClient} [client]
+ */
+export function bindCostEstimates(map, client = parkingClient) {
+    map.on('popupopen', event => attachCostEstimates(event.popup.getElement(), client));
+}
+
+async function updateQuote(widget, client) {
+    const result = widget.querySelector('.cost-estimate-result');
+    const hours = Number(widget.querySelector('.cost-estimate-duration').value);
+    result.textContent = t('estimate.calculating');
+    try {
+        const quote = await client.getQuote(widget.dataset.slotId, hours);
+        // A newer request may have finished first
+        if (Number(widget.querySelector('.cost-estimate-duration').value) !== hours) return;
+        result.innerHTML = renderQuote(quote);
+    } catch (error) {
+        result.textContent = t('estimate.unavailable', { error: error.message });
+    }
+}
+
+function renderQuote(quote) {
+    const lines = quote.breakdown.map(line => `
+        <li>${escapeHtml(t('estimate.breakdown_line', {
+            from: formatTime(line.from),
+            until: formatTime(line.until),
+            hours: formatNumber(line.hours),
+            rate: formatCurrency(line.rate, quote.currency)
+        }))}${line.peak ? ` <span class="cost-estimate-peak">${escapeHtml(t('estimate.peak'))}</span>` : ''}</li>
+    `).join('');
+    const notes = [
+        quote.minimum_applied ? t('estimate.minimum_applied') : '',
+        quote.cap_applied ? t('estimate.cap_applied') : ''
+    ].filter(Boolean).join(', ');
+
+    return `
+        <div class="cost-estimate-total">${formatCurrency(quote.total, quote.currency, { decimals: 2 })}</div>
+        <ul class="cost-estimate-breakdown">${lines}</ul>
+        <div class="cost-estimate-zone">${escapeHtml(t('estimate.zone_tariff', { zone: quote.zone_name }))}${notes ? ` · ${escapeHtml(notes)}` : ''}</div>
+    `;
+}
+
+/**
+ * "30 min", "1 hour", "2 hours" in the page's language
+ */
+function durationLabel(hours) {
+    if (hours < 1) return t('estimate.duration.minutes', { count: Math.round(hours * 60) });
+    return hours === 1 ? t('estimate.duration.hour') : t('estimate.duration.hours', { count: hours });
+}
+
+function ensureStyles() {
+    if (document.getElementById('cost-estimate-styles')) {
+        return;
+    }
+    const style = document.createElement('style');
+    style.id = 'cost-estimate-styles';
+    style.textContent = `
+        .cost-estimate {
+            margin-top: 10px;
+            padding: 8px;
+            border: 1px solid #dee2e6;
+            border-radius: 5px;
+            font-size: 12px;
+        }
+        .cost-estimate-label {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin: 0 0 6px 0;
+            color: #555;
+        }
+        .cost-estimate-duration {
+            font-size: 12px;
+            padding: 2px 4px;
+        }
+        .cost-estimate-total {
+            font-size: 16px;
+            font-weight: bold;
+            color: #2d5a2d;
+        }
+        .cost-estimate-breakdown {
+            margin: 4px 0;
+            padding-left: 16px;
+            color: #555;
+        }
+        .cost-estimate-peak {
+            color: #dc3545;
+            font-weight: 600;
+        }
+        .cost-estimate-zone {
+            color: #888;
+        }
+    `;
+    document.head.appendChild(style);
+}
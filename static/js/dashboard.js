@@ -3,55 +3,69 @@
  * Handles real-time updates and user interactions
  */
 
+import {
+    escapeHtml,
+    formatDistance,
+    getCurrentPosition,
+    lotStatus,
+    showNotification
+} from './parking_client.js';
+import { formatCurrency, formatDate, formatPercent, formatTime, t } from './i18n.js';
+import { LiveUpdates } from './live_updates.js';
+import { LocationAutocomplete, geocodeLocation, locationNotFoundMessage } from './location_search.js';
+import { confidenceLevel, recommendationFactorsHtml } from './recommendation_factors.js';
+import { driverProfile } from './driver_profile.js';
+import { ParkingSessionPanel } from './parking_session.js';
+import { isSignedIn } from './auth.js';
+import { SpaceFilterControl, amenityBadgesHtml, filteredUrl, matchingLots } from './space_filters.js';
+import { currentRegion, enterRegionAt, labelRegion, outsideRegionsMessage, regionAt, regionBounds } from './regions.js';
+import { MarkerNavigator, SortableTable, announce, patternedIconCss, statusSwatchHtml } from './accessibility.js';
+import { signalMarkerStyle, signalPhase } from './signal_timing.js';
+
 let predictionsChart = null;
-let updateInterval = null;
-let userLocation = { lat: 3.0, lng: 3.0, name: "Downtown Plaza" }; // Default location
-
-// Location database for text-to-coordinates conversion
-const locationDatabase = {
-    // Exact parking lot names
-    'downtown plaza': { lat: 3.0, lng: 3.0, type: 'business' },
-    'shopping mall': { lat: 8.0, lng: 7.0, type: 'shopping' },
-    'train station': { lat: 12.0, lng: 2.0, type: 'transit' },
-    'office complex': { lat: 6.0, lng: 11.0, type: 'business' },
-    'city park': { lat: 15.0, lng: 8.0, type: 'leisure' },
-    
-    // Alternative names and landmarks
-    'downtown': { lat: 3.0, lng: 3.0, type: 'business' },
-    'mall': { lat: 8.0, lng: 7.0, type: 'shopping' },
-    'station': { lat: 12.0, lng: 2.0, type: 'transit' },
-    'office': { lat: 6.0, lng: 11.0, type: 'business' },
-    'park': { lat: 15.0, lng: 8.0, type: 'leisure' },
-    
-    // City areas and districts
-    'city center': { lat: 10.0, lng: 5.0, type: 'business' },
-    'main street': { lat: 5.0, lng: 5.0, type: 'business' },
-    'business district': { lat: 4.0, lng: 4.0, type: 'business' },
-    'shopping district': { lat: 7.0, lng: 6.0, type: 'shopping' },
-    'university area': { lat: 9.0, lng: 9.0, type: 'education' },
-    'hospital district': { lat: 11.0, lng: 12.0, type: 'healthcare' },
-    'residential area': { lat: 2.0, lng: 13.0, type: 'residential' },
-    
-    // Generic locations
-    'central': { lat: 10.0, lng: 7.5, type: 'business' },
-    'north': { lat: 10.0, lng: 12.0, type: 'residential' },
-    'south': { lat: 10.0, lng: 3.0, type: 'business' },
-    'east': { lat: 15.0, lng: 7.5, type: 'mixed' },
-    'west': { lat: 5.0, lng: 7.5, type: 'mixed' }
-};
+let liveUpdates = null;
+let lastRecommendationsUpdate = 0;
+const lotCards = new Map();
+const junctionCards = new Map();
+let cityMap = null;
+let lotClusters = null;
+let userMarker = null;
+const lotMarkers = new Map();
+const junctionMarkers = new Map();
+// The lots on the map as last patched, for the list view, and what each marker is, for the keyboard
+const mapLots = new Map();
+const markerLabels = new WeakMap();
+let markerNavigator = null;
+let lotTable = null;
+let spaceFilters = null;
+let region = currentRegion();
+let userLocation = { lat: region.center[0], lng: region.center[1], name: t('dashboard.city_centre', { city: region.name }) };
+// Every lot of the region as last pushed or fetched, before the space filters; the stats cover these
+const regionLots = new Map();
 
 // Initialize dashboard when page loads
 document.addEventListener('DOMContentLoaded', function() {
     console.log('🚀 Initializing AI-Powered Parking Dashboard...');
     
-    // Initialize chart
+    labelRegion(region);
+    document.getElementById('user-location').value = userLocation.name;
+    document.getElementById('location-status').textContent = t('dashboard.location_pin', { place: userLocation.name });
+    
+    // Initialize chart and city map
     initializeChart();
+    initializeCityMap();
+    initializeLocationInput();
+    initializeDriverProfile();
+    // No map here, so no "find my car"; the map pages offer it
+    new ParkingSessionPanel().init();
+    spaceFilters = new SpaceFilterControl().mount();
+    spaceFilters.addEventListener('change', onSpaceFiltersChange);
+    
+    // Initial data load (the stream does not carry recommendations)
+    refreshData();
     
     // Start real-time updates
     startRealTimeUpdates();
-    
-    // Initial data load
-    refreshData();
 });
 
 function initializeChart() {
@@ -60,7 +74,7 @@ function initializeChart() {
     predictionsChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: ['Now', '+1h', '+2h', '+3h'],
+            labels: [t('traffic.now'), '+1h', '+2h', '+3h'],
             datasets: []
         },
         options: {
@@ -69,11 +83,18 @@ function initializeChart() {
             plugins: {
                 title: {
                     display: true,
-                    text: 'Parking Availability Predictions'
+                    text: t('dashboard.chart.title')
                 },
                 legend: {
                     display: true,
-                    position: 'top'
+                    position: 'top',
+                    labels: {
+                        // Band edges are drawn but not listed
+                        filter: (item, data) => !data.datasets[item.datasetIndex].isBand
+                    }
+                },
+                tooltip: {
+                    filter: item => !item.dataset.isBand
                 }
             },
             scales: {
@@ -82,13 +103,13 @@ function initializeChart() {
                     max: 100,
                     title: {
                         display: true,
-                        text: 'Availability (%)'
+                        text: t('dashboard.chart.availability')
                     }
                 },
                 x: {
                     title: {
                         display: true,
-                        text: 'Time'
+                        text: t('dashboard.chart.time')
                     }
                 }
             },
@@ -101,17 +122,141 @@ function initializeChart() {
 }
 
 function startRealTimeUpdates() {
-    // Update every 3 seconds
-    updateInterval = setInterval(refreshData, 3000);
+    if (!liveUpdates) {
+        // Stream deltas replace the old 3-second polling; polling only runs while the stream is down
+        liveUpdates = new LiveUpdates({ poll: refreshData, pollInterval: 3000 })
+            .on('snapshot', applySnapshot)
+            .on('lots', applyLotUpdates)
+            .on('junctions', data => applyJunctionUpdates(data.junctions))
+            .on('predictions', data => renderPredictions(regionPredictions(data.predictions)))
+            .on('status', updateConnectionStatus);
+    }
+    liveUpdates.start();
 }
 
 function stopRealTimeUpdates() {
-    if (updateInterval) {
-        clearInterval(updateInterval);
-        updateInterval = null;
+    if (liveUpdates) {
+        liveUpdates.stop();
     }
 }
 
+/**
+ * Reflect the live channel state on the header indicator
+ */
+function updateConnectionStatus(status) {
+    const indicator = document.getElementById('live-indicator');
+    if (!indicator) {
+        return;
+    }
+    const states = {
+        live: ['#28a745', t('dashboard.live.connected')],
+        polling: ['#ffc107', t('dashboard.live.polling')],
+        stopped: ['#6c757d', t('dashboard.live.paused')]
+    };
+    const [color, title] = states[status] || states.stopped;
+    indicator.style.backgroundColor = color;
+    indicator.title = title;
+}
+
+function applySnapshot(data) {
+    // Pushed data covers every region and ignores the filters; stats are this region's, unfiltered
+    regionLots.clear();
+    const lots = matchingLots(rememberRegionLots(data.lots), spaceFilters.filters);
+    renderSystemStats(regionStats());
+    renderParkingLots(lots);
+    applyJunctionUpdates(data.junctions);
+    renderPredictions(regionPredictions(data.predictions));
+    patchMapLots(lots);
+    markUpdated();
+}
+
+function applyLotUpdates(data) {
+    const lots = matchingLots(rememberRegionLots(data.lots), spaceFilters.filters);
+    renderSystemStats(regionStats());
+    renderParkingLots(lots);
+    patchMapLots(lots);
+    markUpdated();
+
+    // Recommendations depend on the user's position, so they are re-fetched, at most every 15s
+    if (Date.now() - lastRecommendationsUpdate > 15000) {
+        updateRecommendations();
+    }
+}
+
+function applyJunctionUpdates(junctions) {
+    const local = inRegion(junctions);
+    renderJunctions(local);
+    patchMapJunctions(local);
+    markUpdated();
+}
+
+// --- Region ---
+/**
+ * The entries of a name -> {location} map that lie in the dashboard's region
+ */
+function inRegion(items) {
+    return Object.fromEntries(Object.entries(items).filter(([, item]) =>
+        regionAt({ lat: item.location[0], lng: item.location[1] })?.id === region.id));
+}
+
+/**
+ * Keep the region's lots from pushed data for the stats and return them
+ */
+function rememberRegionLots(lots) {
+    const local = inRegion(lots);
+    Object.entries(local).forEach(([lotName, lotData]) => regionLots.set(lotName, lotData));
+    return local;
+}
+
+/**
+ * The region's totals from its lots, as /api/system-stats computes them
+ */
+function regionStats() {
+    const lots = [...regionLots.values()];
+    const total = lots.reduce((sum, lot) => sum + lot.total_slots, 0);
+    const occupied = lots.reduce((sum, lot) => sum + lot.occupied_slots, 0);
+    return {
+        total_slots: total,
+        total_occupied: occupied,
+        total_available: total - occupied,
+        overall_occupancy_rate: total ? occupied / total : 0
+    };
+}
+
+function regionPredictions(predictions) {
+    return Object.fromEntries(Object.entries(predictions).filter(([lotName]) => regionLots.has(lotName)));
+}
+
+/**
+ * Start the cards, markers and chart afresh for another region. The lots, map and
+ * recommendations are re-fetched by setUserLocation, which always follows.
+ */
+function switchRegion(next) {
+    region = next;
+    regionLots.clear();
+    lotCards.clear();
+    junctionCards.clear();
+    lotMarkers.clear();
+    lotClusters.clearLayers();
+    junctionMarkers.forEach(marker => marker.remove());
+    junctionMarkers.clear();
+    forgetMapLots();
+    predictionsChart.data.datasets = [];
+    predictionsChart.update();
+    lastLots = {};
+    updateSystemStats();
+    updateJunctions();
+    updatePredictions();
+}
+
+function regionUrl(path) {
+    return `${path}?${new URLSearchParams({ region: region.id })}`;
+}
+
+function markUpdated() {
+    document.getElementById('last-updated').textContent = formatTime(Date.now() / 1000, { second: '2-digit' });
+}
+
 async function refreshData() {
     try {
         console.log('🔄 Refreshing dashboard data...');
@@ -127,55 +272,21 @@ async function refreshData() {
         ]);
         
         // Update timestamp
-        document.getElementById('last-updated').textContent = new Date().toLocaleTimeString();
+        markUpdated();
         
     } catch (error) {
         console.error('❌ Error refreshing data:', error);
-        showError('Failed to refresh data. Please check your connection.');
+        showError(t('dashboard.refresh_failed'));
     }
 }
 
 async function updateSystemStats() {
     try {
-        const response = await fetch('/api/system-stats');
+        const response = await fetch(regionUrl('/api/system-stats'));
         const data = await response.json();
         
         if (response.ok) {
-            document.getElementById('total-slots').textContent = data.total_slots;
-            document.getElementById('available-slots').textContent = data.total_available;
-            document.getElementById('occupied-slots').textContent = data.total_occupied;
-            document.getElementById('occupancy-rate').textContent = `${(data.overall_occupancy_rate * 100).toFixed(1)}%`;
-            
-            // Add visual indicators for available slots
-            const availableElement = document.getElementById('available-slots');
-            const parkingAlert = document.getElementById('parking-alert');
-            const availableCount = document.getElementById('available-count');
-            
-            if (data.total_available > 10) {
-                availableElement.style.color = '#28a745';
-                availableElement.style.fontWeight = 'bold';
-                parkingAlert.className = 'alert alert-success text-center';
-                parkingAlert.style.display = 'block';
-            } else if (data.total_available > 5) {
-                availableElement.style.color = '#ffc107';
-                availableElement.style.fontWeight = 'bold';
-                parkingAlert.className = 'alert alert-warning text-center';
-                parkingAlert.style.display = 'block';
-            } else if (data.total_available > 0) {
-                availableElement.style.color = '#dc3545';
-                availableElement.style.fontWeight = 'bold';
-                parkingAlert.className = 'alert alert-danger text-center';
-                parkingAlert.style.display = 'block';
-            } else {
-                availableElement.style.color = '#dc3545';
-                availableElement.style.fontWeight = 'bold';
-                parkingAlert.style.display = 'none';
-            }
-            
-            // Update parking alert content
-            if (data.total_available > 0) {
-                availableCount.textContent = data.total_available;
-            }
+            renderSystemStats(data);
         } else {
             throw new Error(data.error || 'Failed to fetch system stats');
         }
@@ -184,82 +295,155 @@ async function updateSystemStats() {
     }
 }
 
+function renderSystemStats(data) {
+    document.getElementById('total-slots').textContent = data.total_slots;
+    document.getElementById('available-slots').textContent = data.total_available;
+    document.getElementById('occupied-slots').textContent = data.total_occupied;
+    document.getElementById('occupancy-rate').textContent = `${(data.overall_occupancy_rate * 100).toFixed(1)}%`;
+    
+    // Add visual indicators for available slots
+    const availableElement = document.getElementById('available-slots');
+    const parkingAlert = document.getElementById('parking-alert');
+    const availableCount = document.getElementById('available-count');
+    
+    if (data.total_available > 10) {
+        availableElement.style.color = '#28a745';
+        availableElement.style.fontWeight = 'bold';
+        parkingAlert.className = 'alert alert-success text-center';
+        parkingAlert.style.display = 'block';
+    } else if (data.total_available > 5) {
+        availableElement.style.color = '#ffc107';
+        availableElement.style.fontWeight = 'bold';
+        parkingAlert.className = 'alert alert-warning text-center';
+        parkingAlert.style.display = 'block';
+    } else if (data.total_available > 0) {
+        availableElement.style.color = '#dc3545';
+        availableElement.style.fontWeight = 'bold';
+        parkingAlert.className = 'alert alert-danger text-center';
+        parkingAlert.style.display = 'block';
+    } else {
+        availableElement.style.color = '#dc3545';
+        availableElement.style.fontWeight = 'bold';
+        parkingAlert.style.display = 'none';
+    }
+    
+    // Update parking alert content
+    if (data.total_available > 0) {
+        availableCount.textContent = t('dashboard.alert.title', { count: data.total_available });
+    }
+}
+
 async function updateParkingLots() {
     try {
-        const response = await fetch('/api/parking-status');
+        const response = await fetch(filteredUrl('/api/parking-status', spaceFilters.filters, { region: region.id }));
         const data = await response.json();
         
         if (response.ok) {
-            const container = document.getElementById('parking-lots-container');
-            container.innerHTML = '';
-            
-            Object.entries(data).forEach(([lotName, lotData]) => {
-                const occupancyRate = lotData.occupancy_rate * 100;
-                const cardClass = occupancyRate > 80 ? 'high-occupancy' : 
-                                 occupancyRate > 60 ? 'medium-occupancy' : '';
-                
-                const card = document.createElement('div');
-                card.className = `parking-lot-card ${cardClass}`;
-                card.innerHTML = `
-                    <div class="d-flex justify-content-between align-items-center">
-                        <div>
-                            <h5 class="mb-1">${lotName}</h5>
-                            <p class="mb-1 text-muted">Zone ${lotData.zone}</p>
-                            <small class="text-muted">Location: (${lotData.location[0]}, ${lotData.location[1]})</small>
-                        </div>
-                        <div class="text-end">
-                            <h3 class="mb-0 ${occupancyRate > 80 ? 'text-danger' : 
-                                                         occupancyRate > 60 ? 'text-warning' : 'text-success'}">
-                                ${lotData.available_slots}/${lotData.total_slots}
-                            </h3>
-                            <small class="text-muted">${occupancyRate.toFixed(1)}% occupied</small>
-                            <div class="mt-2">
-                                <span class="badge ${lotData.available_slots > 5 ? 'bg-success' : 
-                                                   lotData.available_slots > 2 ? 'bg-warning' : 'bg-danger'}">
-                                    ${lotData.available_slots} Available
-                                </span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="occupancy-bar">
-                        <div class="occupancy-fill" style="width: ${occupancyRate}%"></div>
-                    </div>
-                `;
-                container.appendChild(card);
-            });
+            lastLots = data;
+            renderParkingLots(data);
         } else {
             throw new Error(data.error || 'Failed to fetch parking status');
         }
     } catch (error) {
         console.error('Error updating parking lots:', error);
+        lotCards.clear();
         document.getElementById('parking-lots-container').innerHTML = 
-            '<div class="error">Failed to load parking data</div>';
+            `<div class="error">${escapeHtml(t('dashboard.lots_failed'))}</div>`;
     }
 }
 
+/**
+ * Create or update the cards for the given lots; other cards are left untouched
+ */
+function renderParkingLots(lots) {
+    const container = document.getElementById('parking-lots-container');
+    if (lotCards.size === 0) {
+        container.innerHTML = Object.keys(lots).length === 0
+            ? `<p class="text-muted mb-0">${escapeHtml(t('dashboard.no_lots'))}</p>` : '';
+    }
+    
+    Object.entries(lots).forEach(([lotName, lotData]) => {
+        let card = lotCards.get(lotName);
+        if (!card) {
+            card = document.createElement('div');
+            lotCards.set(lotName, card);
+            container.appendChild(card);
+        }
+        
+        const occupancyRate = lotData.occupancy_rate * 100;
+        const cardClass = occupancyRate > 80 ? 'high-occupancy' : 
+                         occupancyRate > 60 ? 'medium-occupancy' : '';
+        
+        const favourite = lotData.id !== null && driverProfile.isFavourite(lotData.id);
+        card.className = `parking-lot-card ${cardClass}`;
+        // Favourites float to the top of the list
+        card.style.order = favourite ? -1 : 0;
+        card.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center">
+                <div>
+                    <h5 class="mb-1">
+                        ${lotData.id !== null ? `
+                        <button class="favourite-toggle" onclick="toggleFavouriteLot(${lotData.id})"
+                                title="${escapeHtml(t(favourite ? 'dashboard.favourite_remove' : 'dashboard.favourite_add'))}"
+                                aria-pressed="${favourite}">${favourite ? '★' : '☆'}</button>` : ''}${escapeHtml(lotName)}
+                    </h5>
+                    <p class="mb-1 text-muted">${escapeHtml(t('dashboard.lot_zone', { zone: lotData.zone_name }))}</p>
+                    <small class="text-muted">📍 ${escapeHtml(distanceFromUserText(lotData.location))}</small>
+                    ${amenityBadgesHtml(lotData.amenities)}
+                </div>
+                <div class="text-end">
+                    <h3 class="mb-0 ${occupancyRate > 80 ? 'text-danger' : 
+                                                 occupancyRate > 60 ? 'text-warning' : 'text-success'}">
+                        ${lotData.available_slots}/${lotData.total_slots}
+                    </h3>
+                    <small class="text-muted">${escapeHtml(t('dashboard.occupied_percent', { percent: `${occupancyRate.toFixed(1)}%` }))}</small>
+                    <div class="mt-2">
+                        <span class="badge ${lotData.available_slots > 5 ? 'bg-success' : 
+                                           lotData.available_slots > 2 ? 'bg-warning' : 'bg-danger'}">
+                            ${escapeHtml(t('dashboard.available_count', { count: lotData.available_slots }))}
+                        </span>
+                    </div>
+                </div>
+            </div>
+            <div class="occupancy-bar">
+                <div class="occupancy-fill" style="width: ${occupancyRate}%"></div>
+            </div>
+        `;
+    });
+}
+
 async function updateRecommendations() {
     try {
-        const response = await fetch(`/api/recommendations?lat=${userLocation.lat}&lng=${userLocation.lng}`);
+        const response = await fetch(filteredUrl('/api/recommendations', spaceFilters.filters, {
+            lat: userLocation.lat,
+            lng: userLocation.lng
+        }));
         const data = await response.json();
         
         if (response.ok) {
+            lastRecommendationsUpdate = Date.now();
             const container = document.getElementById('recommendations-container');
             container.innerHTML = '';
             
+            if (data.recommendations.length === 0) {
+                container.innerHTML = `<div class="loading">${escapeHtml(t('dashboard.no_recommendations'))}</div>`;
+            }
             data.recommendations.slice(0, 3).forEach((rec, index) => {
                 const card = document.createElement('div');
                 card.className = 'recommendation-card';
                 
-                const confidenceColor = rec.confidence === 'high' ? '#28a745' : 
-                                       rec.confidence === 'medium' ? '#ffc107' : '#dc3545';
+                const confidence = confidenceLevel(rec.confidence);
+                const confidenceColor = confidence === 'high' ? '#28a745' : 
+                                       confidence === 'medium' ? '#ffc107' : '#dc3545';
                 
                 const trendIcon = rec.availability_trend > 0.05 ? '📈' : 
                                  rec.availability_trend < -0.05 ? '📉' : '➡️';
-                const trendText = rec.availability_trend > 0.05 ? 'Improving' : 
-                                 rec.availability_trend < -0.05 ? 'Declining' : 'Stable';
+                const trendText = t(rec.availability_trend > 0.05 ? 'dashboard.trend.improving' :
+                                   rec.availability_trend < -0.05 ? 'dashboard.trend.declining' : 'dashboard.trend.stable');
                 
-                const nearbyBadge = rec.is_nearby ? '<span class="badge bg-success ms-2">Nearby</span>' : '';
-                const typeIcon = rec.lot_type === 'business' ? '🏢' : 
+                const nearbyBadge = rec.walking_minutes <= 5 ? `<span class="badge bg-success ms-2">${escapeHtml(t('dashboard.nearby'))}</span>` : '';
+                const typeIcon = rec.kind === 'street' ? '🅿️' :
+                                rec.lot_type === 'business' ? '🏢' : 
                                 rec.lot_type === 'shopping' ? '🛍️' : 
                                 rec.lot_type === 'transit' ? '🚉' : '🌳';
                 
@@ -267,24 +451,24 @@ async function updateRecommendations() {
                     <div class="d-flex justify-content-between align-items-start mb-2">
                         <div>
                             <h5 class="mb-1">
-                                ${index + 1}. ${typeIcon} ${rec.parking_lot}${nearbyBadge}
+                                ${index + 1}. ${typeIcon} ${escapeHtml(rec.name)}${nearbyBadge}
                             </h5>
                             <p class="mb-1 text-light">
-                                📍 ${rec.distance_blocks.toFixed(1)} blocks away
-                                <span class="ms-2">${trendIcon} ${trendText}</span>
+                                🚶 ${formatDistance(rec.walking_distance_m / 1000)} (${escapeHtml(t('route.minutes', { minutes: rec.walking_minutes }))})
+                                <span class="ms-2">${trendIcon} ${escapeHtml(trendText)}</span>
                             </p>
                         </div>
                         <div class="text-end">
                             <div class="recommendation-score" style="color: ${confidenceColor}">
-                                ${(rec.recommendation_score * 100).toFixed(0)}%
+                                ${(rec.score * 100).toFixed(0)}%
                             </div>
-                            <small class="text-light">${rec.confidence.toUpperCase()}</small>
+                            <small class="text-light">${escapeHtml(t(`dashboard.confidence.${confidence}`))}</small>
                         </div>
                     </div>
                     
                     <div class="row text-center mb-2">
                         <div class="col-4">
-                            <small class="text-light">Now</small><br>
+                            <small class="text-light">${escapeHtml(t('traffic.now'))}</small><br>
                             <strong class="text-success">${(rec.current_availability * 100).toFixed(0)}%</strong>
                         </div>
                         <div class="col-4">
@@ -297,8 +481,10 @@ async function updateRecommendations() {
                         </div>
                     </div>
                     
+                    <div class="mb-2">${recommendationFactorsHtml(rec)}</div>
+                    
                     <div class="alert alert-info alert-sm mb-0" style="background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2);">
-                        <small><i class="fas fa-lightbulb"></i> ${rec.message}</small>
+                        <small><i class="fas fa-lightbulb"></i> ${escapeHtml(rec.message)}</small>
                     </div>
                 `;
                 container.appendChild(card);
@@ -309,86 +495,83 @@ async function updateRecommendations() {
     } catch (error) {
         console.error('Error updating recommendations:', error);
         document.getElementById('recommendations-container').innerHTML = 
-            '<div class="error">Failed to load recommendations</div>';
+            `<div class="error">${escapeHtml(t('dashboard.recommendations_failed'))}</div>`;
     }
 }
 
 async function updateJunctions() {
     try {
-        const response = await fetch('/api/junction-status');
+        const response = await fetch(regionUrl('/api/junction-status'));
         const data = await response.json();
         
         if (response.ok) {
-            const container = document.getElementById('junctions-container');
-            container.innerHTML = '';
-            
-            Object.entries(data).forEach(([junctionId, junctionData]) => {
-                const card = document.createElement('div');
-                card.className = 'stat-card';
-                
-                const lightClass = junctionData.current_phase;
-                const pressureColor = junctionData.parking_pressure > 0.8 ? 'text-danger' : 
-                                    junctionData.parking_pressure > 0.6 ? 'text-warning' : 'text-success';
-                
-                card.innerHTML = `
-                    <div class="d-flex justify-content-between align-items-center">
-                        <div>
-                            <h5 class="mb-1">${junctionId}</h5>
-                            <p class="mb-1 text-muted">Location: (${junctionData.location[0]}, ${junctionData.location[1]})</p>
-                        </div>
-                        <div class="text-end">
-                            <div class="mb-2">
-                                <span class="traffic-light ${lightClass}"></span>
-                                <span class="text-capitalize">${junctionData.current_phase}</span>
-                            </div>
-                            <div class="${pressureColor}">
-                                <strong>${(junctionData.parking_pressure * 100).toFixed(0)}%</strong> pressure
-                            </div>
-                            <small class="text-muted">${junctionData.cycle_duration}s cycle</small>
-                        </div>
-                    </div>
-                `;
-                container.appendChild(card);
-            });
+            renderJunctions(data);
         } else {
             throw new Error(data.error || 'Failed to fetch junction status');
         }
     } catch (error) {
         console.error('Error updating junctions:', error);
+        junctionCards.clear();
         document.getElementById('junctions-container').innerHTML = 
-            '<div class="error">Failed to load junction data</div>';
+            `<div class="error">${escapeHtml(t('dashboard.junctions_failed'))}</div>`;
     }
 }
 
+/**
+ * Create or update the cards for the given junctions; other cards are left untouched
+ */
+function renderJunctions(junctions) {
+    const container = document.getElementById('junctions-container');
+    if (junctionCards.size === 0) {
+        container.innerHTML = Object.keys(junctions).length === 0
+            ? `<p class="text-muted mb-0">${escapeHtml(t('dashboard.no_junctions', { city: region.name }))}</p>` : '';
+    }
+    
+    Object.entries(junctions).forEach(([junctionId, junctionData]) => {
+        let card = junctionCards.get(junctionId);
+        if (!card) {
+            card = document.createElement('div');
+            card.className = 'stat-card';
+            junctionCards.set(junctionId, card);
+            container.appendChild(card);
+        }
+        
+        const lightClass = junctionData.current_phase;
+        const pressureColor = junctionData.parking_pressure > 0.8 ? 'text-danger' : 
+                            junctionData.parking_pressure > 0.6 ? 'text-warning' : 'text-success';
+        
+        card.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center">
+                <div>
+                    <h5 class="mb-1">${escapeHtml(junctionData.name)}</h5>
+                    <p class="mb-1 text-muted">${junctionId} · ${junctionData.location[0].toFixed(4)}, ${junctionData.location[1].toFixed(4)}</p>
+                </div>
+                <div class="text-end">
+                    <div class="mb-2">
+                        <span class="traffic-light ${lightClass}"></span>
+                        <span>${escapeHtml(signalPhase(junctionData.current_phase).label)}</span>
+                    </div>
+                    <div class="${pressureColor}">
+                        <strong>${escapeHtml(t('dashboard.junction.pressure', { percent: formatPercent(junctionData.parking_pressure) }))}</strong>
+                    </div>
+                    <small class="text-muted">${escapeHtml(t('dashboard.junction.summary', {
+                        cycle: junctionData.cycle_duration,
+                        level: t(`traffic.level.${junctionData.traffic_level}`),
+                        queue: Math.round(junctionData.queue_length)
+                    }))}</small>
+                </div>
+            </div>
+        `;
+    });
+}
+
 async function updatePredictions() {
     try {
-        const response = await fetch('/api/predictions');
+        const response = await fetch(regionUrl('/api/predictions'));
         const data = await response.json();
         
         if (response.ok) {
-            // Update chart with new data
-            const datasets = Object.entries(data).map(([lotName, predictions], index) => {
-                const colors = [
-                    '#667eea', '#764ba2', '#f093fb', '#f5576c', '#4facfe'
-                ];
-                
-                return {
-                    label: lotName,
-                    data: [
-                        (1 - predictions.current) * 100,
-                        (1 - predictions.predictions['+1h']) * 100,
-                        (1 - predictions.predictions['+2h']) * 100,
-                        (1 - predictions.predictions['+3h']) * 100
-                    ],
-                    borderColor: colors[index % colors.length],
-                    backgroundColor: colors[index % colors.length] + '20',
-                    tension: 0.4,
-                    fill: false
-                };
-            });
-            
-            predictionsChart.data.datasets = datasets;
-            predictionsChart.update('active');
+            renderPredictions(data);
         } else {
             throw new Error(data.error || 'Failed to fetch predictions');
         }
@@ -397,95 +580,301 @@ async function updatePredictions() {
     }
 }
 
+/**
+ * Patch the chart's datasets in place so lines animate instead of being redrawn.
+ * Each lot has a forecast line plus a shaded band between two hidden edge datasets.
+ */
+function renderPredictions(predictions) {
+    const colors = [
+        '#667eea', '#764ba2', '#f093fb', '#f5576c', '#4facfe'
+    ];
+    const datasets = predictionsChart.data.datasets;
+    const horizons = ['+1h', '+2h', '+3h'];
+    
+    Object.entries(predictions).forEach(([lotName, lotPredictions]) => {
+        // The chart plots availability, so the band's lower edge comes from the upper occupancy bound
+        const current = (1 - lotPredictions.current) * 100;
+        const values = [current, ...horizons.map(h => (1 - lotPredictions.predictions[h]) * 100)];
+        const bands = lotPredictions.bands || {};
+        const lower = [current, ...horizons.map(h => (1 - (bands[h] || [0, lotPredictions.predictions[h]])[1]) * 100)];
+        const upper = [current, ...horizons.map(h => (1 - (bands[h] || [lotPredictions.predictions[h], 0])[0]) * 100)];
+        
+        const line = datasets.find(existing => existing.label === lotName);
+        if (line) {
+            line.data.splice(0, values.length, ...values);
+            datasets.find(existing => existing.label === `${lotName} (low)`).data.splice(0, lower.length, ...lower);
+            datasets.find(existing => existing.label === `${lotName} (high)`).data.splice(0, upper.length, ...upper);
+            return;
+        }
+        
+        const color = colors[datasets.filter(dataset => !dataset.isBand).length % colors.length];
+        const bandStyle = { borderWidth: 0, pointRadius: 0, pointHitRadius: 0, tension: 0.4, isBand: true };
+        const lowerBand = { ...bandStyle, label: `${lotName} (low)`, data: lower, fill: false };
+        // Fills down to the dataset pushed just before it, the lower edge
+        const upperBand = { ...bandStyle, label: `${lotName} (high)`, data: upper, fill: '-1', backgroundColor: color + '20' };
+        datasets.push(lowerBand, upperBand, {
+            label: lotName,
+            data: values,
+            borderColor: color,
+            backgroundColor: color + '20',
+            tension: 0.4,
+            fill: false
+        });
+    });
+    
+    predictionsChart.update();
+}
+
+/**
+ * Leaflet map of the region with clustered lot markers, junction signals and the user
+ */
+function initializeCityMap() {
+    const container = document.getElementById('map-container');
+    container.innerHTML = '';
+    
+    cityMap = L.map(container, {
+        maxBounds: regionBounds(region),
+        maxBoundsViscosity: 1.0,
+        minZoom: 11
+    }).setView(region.center, 13);
+    
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '© OpenStreetMap contributors',
+        maxZoom: 18
+    }).addTo(cityMap);
+    
+    lotClusters = L.markerClusterGroup({ maxClusterRadius: 40, showCoverageOnHover: false });
+    cityMap.addLayer(lotClusters);
+    
+    const legend = L.control({ position: 'bottomleft' });
+    legend.onAdd = () => {
+        const element = L.DomUtil.create('div', 'map-legend');
+        // Example lots of each status
+        const lots = [0.5, 0.7, 0.9].map(occupancy => {
+            const { color, pattern, label } = lotStatus({ occupancy_rate: occupancy, available_slots: 1 });
+            return `${statusSwatchHtml(color, pattern, { square: true })} ${escapeHtml(t('legend.lot', { status: label }))}<br>`;
+        });
+        const signals = ['green', 'yellow', 'red'].map(phase => {
+            const { color, pattern, label } = signalPhase(phase);
+            return `${statusSwatchHtml(color, pattern)} ${escapeHtml(t('legend.signal', { phase: label }))}<br>`;
+        });
+        element.innerHTML = `
+            <strong>${escapeHtml(t('legend.title'))}</strong><br>
+            ${lots.join('')}
+            ${signals.join('')}
+            <span class="map-legend-swatch user-location-marker" style="animation: none;" aria-hidden="true"></span>${escapeHtml(t('legend.you'))}
+        `;
+        return element;
+    };
+    legend.addTo(cityMap);
+    
+    markerNavigator = new MarkerNavigator(cityMap, {
+        markers: navigableMarkers,
+        // A clustered lot is zoomed to until its own marker shows
+        reveal: (marker, done) => lotClusters.hasLayer(marker) ? lotClusters.zoomToShowLayer(marker, done) : done()
+    });
+    lotTable = new SortableTable(document.getElementById('lot-table'), {
+        caption: t('lot.list_caption'),
+        columns: lotColumns(),
+        key: lot => lot.name,
+        name: lot => lot.name,
+        onShow: lot => markerNavigator.select(lotMarkers.get(lot.name), { openPopup: true })
+    });
+    
+    updateUserMarker();
+    console.log('🗺️ City map initialized');
+}
+
 async function updateMap() {
     try {
-        const response = await fetch('/api/map-data');
+        const response = await fetch(filteredUrl('/api/map-data', spaceFilters.filters, { region: region.id }));
         const data = await response.json();
         
         if (response.ok) {
-            renderMap(data);
+            patchMapLots(data.parking_lots);
+            patchMapJunctions(data.junctions);
         } else {
             throw new Error(data.error || 'Failed to fetch map data');
         }
     } catch (error) {
         console.error('Error updating map:', error);
-        document.getElementById('map-container').innerHTML = 
-            '<div class="loading"><div class="error">Failed to load map</div></div>';
     }
 }
 
-function renderMap(mapData) {
-    const container = document.getElementById('map-container');
-    container.innerHTML = `
-        <div style="position: relative; width: 100%; height: 100%; background: #e9ecef;">
-            <div style="position: absolute; top: 10px; left: 10px; background: white; padding: 10px; border-radius: 5px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-                <h6>Legend</h6>
-                <div style="display: flex; align-items: center; margin: 5px 0;">
-                    <div style="width: 15px; height: 15px; background: green; border-radius: 3px; margin-right: 8px;"></div>
-                    <small>Available</small>
-                </div>
-                <div style="display: flex; align-items: center; margin: 5px 0;">
-                    <div style="width: 15px; height: 15px; background: red; border-radius: 3px; margin-right: 8px;"></div>
-                    <small>Occupied</small>
-                </div>
-                <div style="display: flex; align-items: center; margin: 5px 0;">
-                    <div style="width: 15px; height: 15px; background: yellow; border-radius: 50%; margin-right: 8px;"></div>
-                    <small>Traffic Light</small>
-                </div>
-            </div>
-            
-            <!-- Roads -->
-            ${mapData.roads.map(road => `
-                <div style="position: absolute; background: #333; ${road.type === 'horizontal' ? 
-                    `top: ${road.y * 25}px; left: ${road.x1 * 25}px; width: ${(road.x2 - road.x1) * 25}px; height: 5px;` :
-                    `left: ${road.x * 25}px; top: ${road.y1 * 25}px; width: 5px; height: ${(road.y2 - road.y1) * 25}px;`}">
-                </div>
-            `).join('')}
-            
-            <!-- Parking Lots -->
-            ${Object.entries(mapData.parking_lots).map(([lotName, lotData]) => `
-                <div style="position: absolute; left: ${lotData.location[0] * 25 - 25}px; top: ${lotData.location[1] * 25 - 25}px; 
-                           width: 50px; height: 50px; background: ${lotData.occupancy_rate > 0.8 ? '#dc3545' : 
-                           lotData.occupancy_rate > 0.6 ? '#ffc107' : '#28a745'}; 
-                           border-radius: 10px; border: 2px solid white; box-shadow: 0 2px 10px rgba(0,0,0,0.3);
-                           display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 10px;
-                           cursor: pointer;" 
-                     title="${lotName}: ${lotData.available_slots}/${lotData.total_slots} available">
-                    🏢
-                </div>
-                <div style="position: absolute; left: ${lotData.location[0] * 25 - 15}px; top: ${lotData.location[1] * 25 + 30}px; 
-                           background: white; padding: 2px 5px; border-radius: 3px; font-size: 8px; font-weight: bold;
-                           box-shadow: 0 1px 3px rgba(0,0,0,0.2);">
-                    ${lotName}
-                </div>
-            `).join('')}
-            
-            <!-- Traffic Junctions -->
-            ${Object.entries(mapData.junctions).map(([junctionId, junctionData]) => `
-                <div style="position: absolute; left: ${junctionData.location[0] * 25 - 10}px; top: ${junctionData.location[1] * 25 - 10}px; 
-                           width: 20px; height: 20px; background: ${junctionData.current_phase === 'green' ? '#28a745' : 
-                           junctionData.current_phase === 'yellow' ? '#ffc107' : '#dc3545'}; 
-                           border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 10px rgba(0,0,0,0.3);">
-                </div>
-            `).join('')}
-            
-            <!-- User Location -->
-            <div style="position: absolute; left: ${userLocation.lat * 25 - 8}px; top: ${userLocation.lng * 25 - 8}px; width: 16px; height: 16px; background: #dc3545; 
-                       border-radius: 50%; border: 3px solid white; box-shadow: 0 2px 10px rgba(0,0,0,0.3);
-                       animation: pulse 2s infinite;" title="📍 You are here: ${userLocation.name} (${userLocation.lat.toFixed(1)}, ${userLocation.lng.toFixed(1)})">
-            </div>
-        </div>
-        
-        <style>
-            @keyframes pulse {
-                0% { transform: scale(1); opacity: 1; }
-                50% { transform: scale(1.2); opacity: 0.7; }
-                100% { transform: scale(1); opacity: 1; }
-            }
-        </style>
+/**
+ * A lot's name, status and free spaces, e.g. for its marker's title
+ */
+function lotDescription(lotName, lotData) {
+    return t('lot.description', {
+        lot: lotName,
+        status: lotStatus(lotData).label,
+        free: t('lot.free', { free: lotData.available_slots, total: lotData.total_slots })
+    });
+}
+
+function lotIcon(lotData) {
+    const { color, pattern } = lotStatus(lotData);
+    return L.divIcon({
+        className: 'custom-div-icon',
+        html: `<div class="lot-marker" style="${patternedIconCss(color, pattern)}">${lotData.available_slots}</div>`,
+        iconSize: [36, 36],
+        iconAnchor: [18, 18],
+        popupAnchor: [0, -18]
+    });
+}
+
+function lotPopupHtml(lotName, lotData) {
+    return `
+        <strong>${escapeHtml(lotName)}</strong><br>
+        ${escapeHtml(t('dashboard.lot_zone', { zone: lotData.zone_name }))}<br>
+        ${escapeHtml(t('dashboard.lot_availability', {
+            free: lotData.available_slots,
+            total: lotData.total_slots,
+            percent: formatPercent(lotData.occupancy_rate)
+        }))}<br>
+        <small>📍 ${escapeHtml(distanceFromUserText(lotData.location))}</small>
+        ${amenityBadgesHtml(lotData.amenities)}
     `;
 }
 
+/**
+ * Add lot markers on first sight and update their icon and popup in place afterwards
+ */
+function patchMapLots(lots) {
+    if (!cityMap) {
+        return;
+    }
+    Object.entries(lots).forEach(([lotName, lotData]) => {
+        const description = lotDescription(lotName, lotData);
+        let marker = lotMarkers.get(lotName);
+        if (!marker) {
+            marker = L.marker(lotData.location, { icon: lotIcon(lotData), title: description });
+            marker.bindPopup(lotPopupHtml(lotName, lotData));
+            lotMarkers.set(lotName, marker);
+            lotClusters.addLayer(marker);
+        } else {
+            const previous = mapLots.get(lotName);
+            if (previous && lotStatus(previous).key !== lotStatus(lotData).key) {
+                announce(description, { key: `lot:${lotName}` });
+            }
+            // The title is applied with the icon
+            marker.options.title = description;
+            marker.setIcon(lotIcon(lotData));
+            marker.setPopupContent(lotPopupHtml(lotName, lotData));
+        }
+        markerLabels.set(marker, description);
+        mapLots.set(lotName, { name: lotName, ...lotData });
+    });
+    lotTable.update([...mapLots.values()]);
+}
+
+/**
+ * Lots and then junctions, each nearest first, for keyboard navigation
+ */
+function navigableMarkers() {
+    const byDistance = (a, b) => distanceFromUser(a.marker.getLatLng()) - distanceFromUser(b.marker.getLatLng());
+    const items = markers => [...markers.values()]
+        .map(marker => ({ marker, label: markerLabels.get(marker) }))
+        .sort(byDistance);
+    return [...items(lotMarkers), ...items(junctionMarkers)];
+}
+
+/**
+ * Columns of the lots' list view
+ */
+function lotColumns() {
+    const statusOrder = { open: 0, busy: 1, nearly_full: 2, full: 3 };
+    return [
+        { label: t('lot.label.name'), value: lot => lot.name, html: lot => escapeHtml(lot.name) },
+        {
+            label: t('slot.label.status'),
+            value: lot => statusOrder[lotStatus(lot).key],
+            html: lot => {
+                const { color, pattern, label } = lotStatus(lot);
+                return `${statusSwatchHtml(color, pattern, { square: true })} ${escapeHtml(label)}`;
+            }
+        },
+        {
+            label: t('lot.label.free'),
+            value: lot => lot.available_slots,
+            html: lot => escapeHtml(t('lot.free', { free: lot.available_slots, total: lot.total_slots }))
+        },
+        { label: t('lot.label.zone'), value: lot => lot.zone_name, html: lot => escapeHtml(lot.zone_name) },
+        {
+            label: t('slot.label.distance'),
+            value: lot => distanceFromUser(lot.location),
+            html: lot => escapeHtml(formatDistance(distanceFromUser(lot.location)))
+        }
+    ];
+}
+
+/**
+ * Add junction markers on first sight and recolour them by signal phase afterwards
+ */
+function patchMapJunctions(junctions) {
+    if (!cityMap) {
+        return;
+    }
+    Object.entries(junctions).forEach(([junctionId, junctionData]) => {
+        const description = t('signal.description', {
+            name: junctionData.name,
+            phase: signalPhase(junctionData.current_phase).label
+        });
+        const tooltip = `🚦 ${escapeHtml(description)}`;
+        let marker = junctionMarkers.get(junctionId);
+        if (!marker) {
+            marker = L.circleMarker(junctionData.location, {
+                radius: 8,
+                ...signalMarkerStyle(junctionData.current_phase)
+            }).bindTooltip(tooltip).addTo(cityMap);
+            junctionMarkers.set(junctionId, marker);
+        } else {
+            marker.setStyle(signalMarkerStyle(junctionData.current_phase));
+            marker.setTooltipContent(tooltip);
+        }
+        markerLabels.set(marker, description);
+    });
+}
+
+/**
+ * Drop what the list view and keyboard know of the markers once they are cleared
+ */
+function forgetMapLots() {
+    mapLots.clear();
+    markerNavigator?.reset();
+    lotTable?.update([]);
+}
+
+function updateUserMarker() {
+    const latLng = [userLocation.lat, userLocation.lng];
+    const tooltip = `📍 ${escapeHtml(t('dashboard.you_are_here', { place: userLocation.name }))}`;
+    if (!userMarker) {
+        userMarker = L.marker(latLng, {
+            icon: L.divIcon({
+                className: 'custom-div-icon',
+                html: '<div class="user-location-marker"></div>',
+                iconSize: [22, 22],
+                iconAnchor: [11, 11]
+            }),
+            zIndexOffset: 1000
+        }).bindTooltip(tooltip).addTo(cityMap);
+    } else {
+        userMarker.setLatLng(latLng);
+        userMarker.setTooltipContent(tooltip);
+    }
+}
+
+function distanceFromUser(location) {
+    return L.latLng(location).distanceTo([userLocation.lat, userLocation.lng]) / 1000;
+}
+
+/**
+ * "1.2 km from Saheed Nagar" in the page's language
+ */
+function distanceFromUserText(location) {
+    return t('dashboard.distance_from', { distance: formatDistance(distanceFromUser(location)), place: userLocation.name });
+}
+
 async function simulateParking() {
     try {
         const response = await fetch('/api/park-vehicle', {
@@ -494,7 +883,10 @@ async function simulateParking() {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                destination: 'downtown'
+                destination: userLocation.name,
+                lat: userLocation.lat,
+                lng: userLocation.lng,
+                region: region.id
             })
         });
         
@@ -502,8 +894,9 @@ async function simulateParking() {
         
         if (response.ok && data.success) {
             showSuccess(`✅ ${data.message}`);
+            driverProfile.addStay(data.stay);
         } else {
-            showError(data.message || 'Failed to park vehicle');
+            showError(data.message || data.error || t('dashboard.park_failed'));
         }
         
         // Refresh data after parking
@@ -511,7 +904,7 @@ async function simulateParking() {
         
     } catch (error) {
         console.error('Error parking vehicle:', error);
-        showError('Failed to simulate parking');
+        showError(t('dashboard.simulate_failed'));
     }
 }
 
@@ -523,37 +916,13 @@ function showError(message) {
     showNotification(message, 'error');
 }
 
-function showNotification(message, type) {
-    const notification = document.createElement('div');
-    notification.className = `alert alert-${type === 'success' ? 'success' : 'danger'} alert-dismissible fade show`;
-    notification.style.position = 'fixed';
-    notification.style.top = '20px';
-    notification.style.right = '20px';
-    notification.style.zIndex = '9999';
-    notification.style.minWidth = '300px';
-    
-    notification.innerHTML = `
-        ${message}
-        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-        if (notification.parentNode) {
-            notification.parentNode.removeChild(notification);
-        }
-    }, 5000);
-}
-
 // Handle page visibility changes to pause/resume updates
 document.addEventListener('visibilitychange', function() {
     if (document.hidden) {
         stopRealTimeUpdates();
     } else {
-        startRealTimeUpdates();
-        refreshData(); // Immediate refresh when page becomes visible
+        startRealTimeUpdates(); // Reconnecting delivers a fresh snapshot
+        updateRecommendations();
     }
 });
 
@@ -562,264 +931,269 @@ window.addEventListener('beforeunload', function() {
     stopRealTimeUpdates();
 });
 
-// Location parsing and search functions
-function parseLocationInput(locationText) {
-    if (!locationText || locationText.trim() === '') {
-        return null;
-    }
-    
-    const normalizedText = locationText.toLowerCase().trim();
-    
-    // Check for exact matches first
-    if (locationDatabase[normalizedText]) {
-        return {
-            ...locationDatabase[normalizedText],
-            name: locationText.trim(),
-            confidence: 'exact'
-        };
-    }
-    
-    // Check for partial matches
-    const partialMatches = [];
-    for (const [key, data] of Object.entries(locationDatabase)) {
-        if (key.includes(normalizedText) || normalizedText.includes(key)) {
-            partialMatches.push({
-                ...data,
-                name: key,
-                confidence: 'partial',
-                match: key
-            });
-        }
-    }
-    
-    // Return best partial match
-    if (partialMatches.length > 0) {
-        return partialMatches[0];
-    }
-    
-    // Try to extract coordinates from text (e.g., "3.5, 4.2")
-    const coordMatch = locationText.match(/(\d+\.?\d*),\s*(\d+\.?\d*)/);
-    if (coordMatch) {
-        const lat = parseFloat(coordMatch[1]);
-        const lng = parseFloat(coordMatch[2]);
-        if (lat >= 0 && lat <= 20 && lng >= 0 && lng <= 15) {
-            return {
-                lat: lat,
-                lng: lng,
-                name: locationText.trim(),
-                type: 'custom',
-                confidence: 'coordinates'
-            };
+// Location handling functions
+function initializeLocationInput() {
+    const locationInput = document.getElementById('user-location');
+    new LocationAutocomplete(locationInput, {
+        onSelect: place => updateUserLocation(place)
+    });
+    locationInput.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+            updateUserLocation();
         }
-    }
-    
-    // Generate random location for unknown places (for demo purposes)
-    const randomLat = Math.random() * 20;
-    const randomLng = Math.random() * 15;
-    return {
-        lat: randomLat,
-        lng: randomLng,
-        name: locationText.trim(),
-        type: 'unknown',
-        confidence: 'estimated'
-    };
+    });
 }
 
-// Location handling functions
-function updateUserLocation() {
-    const locationInput = document.getElementById('user-location');
-    const statusElement = document.getElementById('location-status');
-    
-    const locationText = locationInput.value.trim();
-    
-    if (!locationText) {
-        showError('Please enter a location');
-        return;
-    }
-    
-    // Parse the location
-    const parsedLocation = parseLocationInput(locationText);
+/**
+ * Move the user to a picked suggestion, or geocode the typed text
+ */
+async function updateUserLocation(selected = null) {
+    const locationText = document.getElementById('user-location').value.trim();
     
-    if (!parsedLocation) {
-        showError('Location not found. Try a different name or use the quick location buttons.');
+    if (!selected && !locationText) {
+        showError(t('dashboard.enter_location'));
         return;
     }
     
-    // Update user location
-    userLocation = {
-        lat: parsedLocation.lat,
-        lng: parsedLocation.lng,
-        name: parsedLocation.name
-    };
-    
-    // Update status with confidence indicator
-    let confidenceIcon = '';
-    let statusColor = '#28a745';
-    
-    switch (parsedLocation.confidence) {
-        case 'exact':
-            confidenceIcon = '✅';
-            break;
-        case 'partial':
-            confidenceIcon = '🔍';
-            statusColor = '#ffc107';
-            break;
-        case 'coordinates':
-            confidenceIcon = '📍';
-            break;
-        case 'estimated':
-            confidenceIcon = '🎯';
-            statusColor = '#17a2b8';
-            break;
+    let place = selected;
+    if (!place) {
+        try {
+            const { place: match, suggestions } = await geocodeLocation(locationText);
+            if (!match) {
+                showError(locationNotFoundMessage(locationText, suggestions));
+                return;
+            }
+            place = match;
+        } catch (error) {
+            showError(t('dashboard.search_failed', { error: error.message }));
+            return;
+        }
     }
     
-    statusElement.textContent = `${confidenceIcon} Location: ${parsedLocation.name}`;
-    statusElement.style.color = statusColor;
-    
-    // Show success message with confidence
-    let message = `📍 Location updated! Finding nearby parking...`;
-    if (parsedLocation.confidence === 'partial') {
-        message = `🔍 Found similar location: ${parsedLocation.match}. Finding nearby parking...`;
-    } else if (parsedLocation.confidence === 'estimated') {
-        message = `🎯 Estimated location for "${parsedLocation.name}". Finding nearby parking...`;
+    if (!enterRegion(place)) {
+        showError(outsideRegionsMessage(place.name));
+        return;
     }
     
-    showSuccess(message);
-    
-    // Refresh recommendations with new location
-    updateRecommendations();
-    
-    // Update map with new user location
-    updateMap();
+    setUserLocation({ lat: place.lat, lng: place.lng, name: place.name }, t('dashboard.location_status', { place: place.name }));
+    showSuccess(t('dashboard.location_set', { place: place.name }));
 }
 
 function useCurrentLocation() {
     const statusElement = document.getElementById('location-status');
-    const locationInput = document.getElementById('user-location');
-    
-    if (!navigator.geolocation) {
-        showError('Geolocation is not supported by this browser');
-        return;
-    }
     
-    statusElement.textContent = '🌐 Getting your GPS location...';
+    statusElement.textContent = t('dashboard.gps_getting');
     statusElement.style.color = '#ffc107';
     
-    navigator.geolocation.getCurrentPosition(
-        function(position) {
-            const lat = position.coords.latitude;
-            const lng = position.coords.longitude;
-            
-            // Convert real-world coordinates to our city coordinate system
-            // This is a simplified conversion - in real app, you'd use proper mapping
-            const cityLat = ((lat - 40.0) * 20) + 10; // Rough conversion
-            const cityLng = ((lng + 74.0) * 15) + 7.5; // Rough conversion
-            
-            // Clamp to city bounds
-            const clampedLat = Math.max(0, Math.min(20, cityLat));
-            const clampedLng = Math.max(0, Math.min(15, cityLng));
-            
-            // Find nearest known location
-            const nearestLocation = findNearestLocation(clampedLat, clampedLng);
-            
-            // Update input field
-            locationInput.value = nearestLocation.name;
-            
-            // Update location
-            userLocation = {
-                lat: clampedLat,
-                lng: clampedLng,
-                name: nearestLocation.name
-            };
-            
-            statusElement.textContent = `🌐 GPS: ${nearestLocation.name}`;
-            statusElement.style.color = '#28a745';
-            
-            showSuccess(`🌐 GPS location detected! Found nearest area: ${nearestLocation.name}`);
-            
-            // Refresh recommendations and map
-            updateRecommendations();
-            updateMap();
-        },
-        function(error) {
-            let errorMessage = 'Unable to get your location';
-            switch(error.code) {
-                case error.PERMISSION_DENIED:
-                    errorMessage = 'Location access denied by user';
-                    break;
-                case error.POSITION_UNAVAILABLE:
-                    errorMessage = 'Location information unavailable';
-                    break;
-                case error.TIMEOUT:
-                    errorMessage = 'Location request timed out';
-                    break;
+    getCurrentPosition({ timeout: 10000 })
+        .then(function({ lat, lng }) {
+            // The fix picks the region
+            if (!enterRegion({ lat, lng })) {
+                statusElement.textContent = t('dashboard.gps_outside');
+                statusElement.style.color = '#dc3545';
+                showError(`${outsideRegionsMessage(t('regions.your_gps_location'))} ${t('dashboard.gps_enter_place')}`);
+                return;
             }
             
-            statusElement.textContent = '❌ GPS detection failed';
+            document.getElementById('user-location').value = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+            setUserLocation({ lat, lng, name: t('dashboard.gps_place') },
+                t('dashboard.gps_status', { lat: lat.toFixed(4), lng: lng.toFixed(4) }));
+            showSuccess(t('dashboard.gps_detected'));
+        })
+        .catch(function(error) {
+            statusElement.textContent = t('dashboard.gps_failed');
             statusElement.style.color = '#dc3545';
-            showError(`❌ ${errorMessage}. Please enter your location manually.`);
-        },
-        {
-            enableHighAccuracy: true,
-            timeout: 10000,
-            maximumAge: 60000
-        }
-    );
+            showError(`❌ ${error.message}`);
+        });
 }
 
-function findNearestLocation(lat, lng) {
-    let nearestLocation = null;
-    let minDistance = Infinity;
-    
-    for (const [name, data] of Object.entries(locationDatabase)) {
-        const distance = Math.sqrt((data.lat - lat) ** 2 + (data.lng - lng) ** 2);
-        if (distance < minDistance) {
-            minDistance = distance;
-            nearestLocation = { name: name, ...data };
-        }
+/**
+ * Move the dashboard to the region a location lies in; false when it is outside every region
+ */
+function enterRegion(location) {
+    const next = enterRegionAt(cityMap, location);
+    if (!next) {
+        return false;
+    }
+    if (next.id !== region.id) {
+        switchRegion(next);
     }
+    return true;
+}
+
+function setUserLocation(location, statusText) {
+    userLocation = location;
+    
+    const statusElement = document.getElementById('location-status');
+    statusElement.textContent = statusText;
+    statusElement.style.color = '#28a745';
+    
+    updateUserMarker();
+    cityMap.setView([location.lat, location.lng], 15);
     
-    return nearestLocation || { name: "Custom Location", lat: lat, lng: lng };
+    // Distances on the cards and popups are measured from the user
+    updateParkingLots();
+    updateMap();
+    updateRecommendations();
 }
 
 function showLocationHelp() {
+    // Place names stay as the gazetteer knows them
     const helpMessage = `
-📍 <strong>How to enter your location:</strong><br><br>
-• <strong>Landmarks:</strong> "Downtown Plaza", "Shopping Mall", "Train Station"<br>
-• <strong>Areas:</strong> "City Center", "Main Street", "University Area"<br>
-• <strong>Coordinates:</strong> "3.5, 4.2" (latitude, longitude)<br>
-• <strong>Directions:</strong> "North", "South", "East", "West"<br><br>
-💡 <em>Try the quick location buttons for popular places!</em>
+📍 <strong>${escapeHtml(t('dashboard.help.title'))}</strong><br><br>
+• <strong>${escapeHtml(t('dashboard.help.landmarks'))}</strong> "Esplanade One Mall", "Lingaraj Temple", "Railway Station"<br>
+• <strong>${escapeHtml(t('dashboard.help.areas'))}</strong> "Saheed Nagar", "Jaydev Vihar", "Patia"<br>
+• <strong>${escapeHtml(t('dashboard.help.streets'))}</strong> "Janpath", "Cuttack Road"<br>
+• <strong>${escapeHtml(t('dashboard.help.coordinates'))}</strong> "20.2961, 85.8245" ${escapeHtml(t('dashboard.help.coordinates_hint'))}<br><br>
+💡 <em>${escapeHtml(t('dashboard.help.tip'))}</em>
     `;
     
-    showNotification(helpMessage, 'info');
+    showNotification(helpMessage, 'info', { html: true, duration: 10000 });
 }
 
 function setQuickLocation(locationName) {
-    // Update input field
     document.getElementById('user-location').value = locationName;
-    
-    // Update location and refresh
     updateUserLocation();
-    
-    // Show which location was selected
-    showSuccess(`📍 Moved to ${locationName}! Finding nearby parking...`);
 }
 
-// Add event listeners for Enter key on location input
-document.addEventListener('DOMContentLoaded', function() {
-    // This will be called after the initial DOMContentLoaded
-    setTimeout(() => {
-        const locationInput = document.getElementById('user-location');
-        
-        if (locationInput) {
-            locationInput.addEventListener('keypress', function(e) {
-                if (e.key === 'Enter') {
-                    updateUserLocation();
-                }
-            });
-        }
-    }, 1000);
+/**
+ * Lots that no longer match are only dropped by starting the cards and markers afresh
+ */
+function onSpaceFiltersChange() {
+    lotCards.clear();
+    lotMarkers.clear();
+    if (lotClusters) {
+        lotClusters.clearLayers();
+    }
+    forgetMapLots();
+    lastLots = {};
+    updateParkingLots();
+    updateRecommendations();
+    updateMap();
+}
+
+// --- Saved places, favourites and history ---
+let lastLots = {};
+
+function initializeDriverProfile() {
+    driverProfile.addEventListener('change', () => {
+        renderSavedPlaces();
+        renderParkingHistory();
+        renderParkingLots(lastLots);
+    });
+    driverProfile.load().catch(() => {
+        document.getElementById('parking-history').innerHTML = `<div class="error">${escapeHtml(t('dashboard.history_failed'))}</div>`;
+    });
+}
+
+function renderSavedPlaces() {
+    const container = document.getElementById('saved-places');
+    container.innerHTML = driverProfile.places.map((place, index) => `
+        <span class="btn-group btn-group-sm">
+            <button class="btn btn-outline-primary" onclick="goToSavedPlace(${index})" title="${escapeHtml(place.name)}">
+                ⭐ ${escapeHtml(place.label)}
+            </button>
+            <button class="btn btn-outline-primary" onclick="deleteSavedPlace(${index})" title="${escapeHtml(t('dashboard.forget_place', { place: place.label }))}"
+                    aria-label="${escapeHtml(t('dashboard.forget_place', { place: place.label }))}">&times;</button>
+        </span>
+    `).join('');
+}
+
+function goToSavedPlace(index) {
+    const place = driverProfile.places[index];
+    if (!place) return;
+    if (!enterRegion(place)) {
+        showError(outsideRegionsMessage(place.label));
+        return;
+    }
+    document.getElementById('user-location').value = place.label;
+    setUserLocation({ lat: place.lat, lng: place.lng, name: place.label }, t('dashboard.saved_place_status', { place: place.label }));
+}
+
+async function deleteSavedPlace(index) {
+    const place = driverProfile.places[index];
+    if (!place || !confirm(t('dashboard.forget_confirm', { place: place.label }))) return;
+    try {
+        await driverProfile.deletePlace(place);
+    } catch (error) {
+        showError(t('dashboard.forget_failed', { place: place.label, error: error.message }));
+    }
+}
+
+async function saveCurrentLocation() {
+    const label = prompt(t('dashboard.save_prompt'), userLocation.name);
+    if (!label || !label.trim()) return;
+    try {
+        const saved = await driverProfile.savePlace({
+            label: label.trim(),
+            name: userLocation.name,
+            lat: userLocation.lat,
+            lng: userLocation.lng
+        });
+        showSuccess(t(isSignedIn() ? 'dashboard.saved' : 'dashboard.saved_in_browser', { place: saved.label }));
+    } catch (error) {
+        showError(t('dashboard.save_failed', { error: error.message }));
+    }
+}
+
+async function toggleFavouriteLot(lotId) {
+    try {
+        await driverProfile.toggleFavourite(lotId);
+    } catch (error) {
+        showError(t('dashboard.favourites_failed', { error: error.message }));
+    }
+}
+
+function renderParkingHistory() {
+    const container = document.getElementById('parking-history');
+    const history = driverProfile.history;
+    if (history.length === 0) {
+        container.innerHTML = `<p class="text-muted mb-0">${escapeHtml(t(isSignedIn() ? 'dashboard.no_stays' : 'dashboard.no_stays_sign_in'))}</p>`;
+        return;
+    }
+
+    container.innerHTML = history.slice(0, 10).map((stay, index) => {
+        const when = `${formatDate(stay.started_at)} ${formatTime(stay.started_at)}`;
+        const until = stay.ended_at ? formatTime(stay.ended_at) : t('dashboard.until_now');
+        const cost = stay.cost !== null && stay.cost !== undefined
+            ? `<strong>${escapeHtml(formatCurrency(stay.cost, stay.currency, { decimals: 2 }))}</strong>`
+            : `<button class="btn btn-sm btn-outline-success" onclick="endStay(${index})">${escapeHtml(t('dashboard.end_stay'))}</button>`;
+        return `
+            <div class="history-entry">
+                <div>
+                    <div>${stay.kind === 'lot' ? '🏢' : '🅿️'} ${escapeHtml(stay.name)} <small class="text-muted">${escapeHtml(stay.slot_id)}</small></div>
+                    <small class="text-muted">${when} – ${until}</small>
+                </div>
+                <div>${cost}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function endStay(index) {
+    const stay = driverProfile.history[index];
+    if (!stay) return;
+    try {
+        const ended = await driverProfile.endStay(stay);
+        showSuccess(t('dashboard.stay_ended', { name: ended.name }));
+    } catch (error) {
+        showError(t('dashboard.end_stay_failed', { error: error.message }));
+    }
+}
+
+// Expose the handlers used by inline onclick attributes in dashboard.html
+Object.assign(window, {
+    saveCurrentLocation,
+    goToSavedPlace,
+    deleteSavedPlace,
+    toggleFavouriteLot,
+    endStay,
+    refreshData,
+    simulateParking,
+    updateUserLocation,
+    useCurrentLocation,
+    showLocationHelp,
+    setQuickLocation
 });
 
 console.log('✅ Dashboard JavaScript loaded successfully!');
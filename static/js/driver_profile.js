@@ -0,0 +1,282 @@
+/**
+ * The driver's saved places, favourite lots and parking history.
+ * Signed in, they live on the account (/api/me); signed out, in localStorage.
+ * The first load after signing in moves the browser's copy onto the account,
+ * so places saved before signing up are not lost.
+ *
+ * `driverProfile` is shared by every module on a page and fires a "change"
+ * event whenever its data changes.
+ */
+
+import { t } from './i18n.js';
+import { parkingClient } from './parking_client.js';
+import { isSignedIn } from './auth.js';
+
+const STORAGE_KEY = 'parking.driverProfile';
+const MAX_LOCAL_HISTORY = 50;
+const MAX_STAY_HOURS = 72;
+
+function emptyProfile() {
+    return { places: [], favourite_lots: [], history: [] };
+}
+
+export class DriverProfile extends EventTarget {
+    /**
+     * @param {import('./parking_client.js').ParkingClient} [client]
+     */
+    constructor(client = parkingClient) {
+        super();
+        this.client = client;
+        /** @type {import('./parking_client.js').DriverProfileData} */
+        this.data = emptyProfile();
+        this.loading = null;
+    }
+
+    get places() {
+        return this.data.places;
+    }
+
+    get history() {
+        return this.data.history;
+    }
+
+    /**
+     * The newest stay that has not ended: the driver's active parking session
+     * @returns {import('./parking_client.js').ParkingStay|null}
+     */
+    get activeStay() {
+        return this.history.find(stay => !stay.ended_at) || null;
+    }
+
+    /**
+     * Load once per page; later calls share the first load
+     * @returns {Promise<import('./parking_client.js').DriverProfileData>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.fetch().catch(error => {
+                console.error('❌ Could not load saved places:', error);
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Load again, e.g. after the server opened a stay this page did not see
+     */
+    refresh() {
+        this.loading = null;
+        return this.load();
+    }
+
+    async fetch() {
+        const local = readLocal();
+        if (!isSignedIn()) {
+            this.update(local);
+            return this.data;
+        }
+
+        const finished = local.history.filter(stay => stay.ended_at);
+        let data;
+        if (local.places.length || local.favourite_lots.length || finished.length) {
+            data = await this.client.mergeProfile({ ...local, history: finished });
+            console.log('☁️ Moved saved places and history from this browser to your account');
+        } else {
+            data = await this.client.getProfile();
+        }
+        // A stay still running in this browser moves to the account once it ends
+        this.update({ ...data, history: [...local.history.filter(stay => !stay.ended_at), ...data.history] });
+        return this.data;
+    }
+
+    update(data) {
+        this.data = data;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(isSignedIn()
+            ? { ...emptyProfile(), history: data.history.filter(isLocalOpenStay) }
+            : data));
+        this.dispatchEvent(new Event('change'));
+    }
+
+    // --- Saved places ---
+    /**
+     * Saved places whose label or name contains the text, shaped like
+     * gazetteer matches so location search can list them first
+     * @param {string} text
+     * @returns {import('./parking_client.js').Place[]}
+     */
+    matchPlaces(text) {
+        const needle = text.trim().toLowerCase();
+        return this.places
+            .filter(place => !needle ||
+                place.label.toLowerCase().includes(needle) ||
+                place.name.toLowerCase().includes(needle))
+            .map(place => ({
+                name: place.label,
+                kind: 'saved',
+                city: place.name !== place.label ? place.name : null,
+                lat: place.lat,
+                lng: place.lng,
+                matched: place.label,
+                score: 1,
+                confidence: 'exact'
+            }));
+    }
+
+    /**
+     * Save a place under a label, replacing the place saved with that label before
+     * @param {{label: string, name: string, lat: number, lng: number}} place
+     */
+    async savePlace(place) {
+        if (isSignedIn()) {
+            const saved = await this.client.savePlace(place);
+            this.update({ ...this.data, places: [...this.places.filter(p => p.id !== saved.id), saved] });
+            return saved;
+        }
+        const saved = { ...place, label: place.label.trim(), created_at: Date.now() / 1000 };
+        const others = this.places.filter(p => p.label.toLowerCase() !== saved.label.toLowerCase());
+        this.update({ ...this.data, places: [...others, saved] });
+        return saved;
+    }
+
+    /**
+     * @param {import('./parking_client.js').SavedPlace} place
+     */
+    async deletePlace(place) {
+        if (isSignedIn()) {
+            await this.client.deletePlace(place.id);
+        }
+        this.update({ ...this.data, places: this.places.filter(p => p.label !== place.label) });
+    }
+
+    // --- Favourite lots ---
+    isFavourite(lotId) {
+        return this.data.favourite_lots.includes(lotId);
+    }
+
+    /**
+     * @param {number} lotId
+     * @returns {Promise<boolean>} Whether the lot is a favourite afterwards
+     */
+    async toggleFavourite(lotId) {
+        const favourite = !this.isFavourite(lotId);
+        const favourites = isSignedIn()
+            ? await this.client.setFavouriteLot(lotId, favourite)
+            : favourite
+                ? [...this.data.favourite_lots, lotId]
+                : this.data.favourite_lots.filter(id => id !== lotId);
+        this.update({ ...this.data, favourite_lots: favourites });
+        return favourite;
+    }
+
+    // --- Parking history ---
+    /**
+     * Add a stay the server opened (signed in) or one kept in this browser
+     * @param {import('./parking_client.js').ParkingStay} stay
+     */
+    addStay(stay) {
+        if (!stay) return;
+        const history = [stay, ...this.history.filter(entry => !sameStay(entry, stay))].slice(0, MAX_LOCAL_HISTORY);
+        this.update({ ...this.data, history });
+    }
+
+    /**
+     * Start a parking session; signed out, it is kept in this browser
+     * @param {{kind: string, slot_id: string, name: string, zone: string, lat: number, lng: number}} target
+     * @param {number|null} [paidHours]
+     * @returns {Promise<import('./parking_client.js').ParkingStay>}
+     */
+    async startStay(target, paidHours = null) {
+        if (isSignedIn()) {
+            const stay = await this.client.startStay(target, paidHours);
+            this.addStay(stay);
+            return stay;
+        }
+        const startedAt = Date.now() / 1000;
+        const stay = {
+            kind: target.kind,
+            slot_id: target.slot_id,
+            name: target.name,
+            zone: target.zone,
+            lat: target.lat,
+            lng: target.lng,
+            started_at: startedAt,
+            paid_until: paidHours ? startedAt + paidHours * 3600 : null,
+            ended_at: null,
+            cost: null,
+            currency: null
+        };
+        this.addStay(stay);
+        return stay;
+    }
+
+    /**
+     * Pay for more time, counted from now if the paid time has already run out
+     * @param {import('./parking_client.js').ParkingStay} stay
+     * @param {number} hours
+     * @returns {Promise<import('./parking_client.js').ParkingStay>}
+     */
+    async extendStay(stay, hours) {
+        let extended;
+        if (isSignedIn() && stay.id !== undefined) {
+            extended = await this.client.extendStay(stay.id, hours);
+        } else {
+            const now = Date.now() / 1000;
+            const paidUntil = Math.max(stay.paid_until || now, now) + hours * 3600;
+            if (paidUntil - stay.started_at > MAX_STAY_HOURS * 3600) {
+                throw new Error(t('session.max_hours', { hours: MAX_STAY_HOURS }));
+            }
+            extended = { ...stay, paid_until: paidUntil };
+        }
+        this.update({ ...this.data, history: this.history.map(entry => sameStay(entry, stay) ? extended : entry) });
+        return extended;
+    }
+
+    /**
+     * End a stay and price it with the tariff
+     * @param {import('./parking_client.js').ParkingStay} stay
+     * @returns {Promise<import('./parking_client.js').ParkingStay>}
+     */
+    async endStay(stay) {
+        if (isSignedIn() && stay.id !== undefined) {
+            const ended = await this.client.endStay(stay.id);
+            this.update({ ...this.data, history: this.history.map(entry => sameStay(entry, stay) ? ended : entry) });
+            return ended;
+        }
+
+        const endedAt = Date.now() / 1000;
+        const hours = Math.min(Math.max((endedAt - stay.started_at) / 3600, 1 / 60), MAX_STAY_HOURS);
+        const quote = await this.client.getZoneQuote(
+            stay.zone, stay.kind === 'lot' ? 'garage' : 'street', hours, stay.started_at);
+        const ended = { ...stay, ended_at: endedAt, cost: quote.total, currency: quote.currency };
+        if (isSignedIn()) {
+            const data = await this.client.mergeProfile({ ...emptyProfile(), history: [ended] });
+            const stillOpen = this.history.filter(entry => isLocalOpenStay(entry) && !sameStay(entry, stay));
+            this.update({ ...data, history: [...stillOpen, ...data.history] });
+        } else {
+            this.update({ ...this.data, history: this.history.map(entry => sameStay(entry, stay) ? ended : entry) });
+        }
+        return ended;
+    }
+}
+
+function isLocalOpenStay(stay) {
+    return stay.id === undefined && !stay.ended_at;
+}
+
+function sameStay(a, b) {
+    return a.slot_id === b.slot_id && a.started_at === b.started_at;
+}
+
+function readLocal() {
+    try {
+        return { ...emptyProfile(), ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch (error) {
+        console.warn('⚠️ Ignoring unreadable saved places in this browser');
+        return emptyProfile();
+    }
+}
+
+// Shared instance for every module on the page
+export const driverProfile = new DriverProfile();
@@ -0,0 +1,506 @@
+/**
+ * Officer mode for the street parking page.
+ * Officers (the `enforce` permission) switch the slot list to their beat:
+ * the open slots of a tariff zone in walking order from where they stand,
+ * each with its stop number, any overstay and any open flag. A violation
+ * (slot, plate, photo, note) is first kept on the device and then sent, so
+ * one logged without signal reaches the server when the officer is back
+ * online (see queueViolation and syncViolations in offline.js).
+ */
+
+import { can } from './auth.js';
+import { formatNumber, formatTime, t } from './i18n.js';
+import { escapeHtml, parkingClient, showNotification } from './parking_client.js';
+import { onReconnect, queueViolation, queuedViolations, syncViolations } from './offline.js';
+
+const MODE_KEY = 'parking.officerMode';
+const REFRESH_MS = 60000;
+
+// Mirrors parking/enforcement.py: plates are normalised the same way before they are checked
+const PLATE_PATTERN = /^[A-Z0-9]{4,11}$/;
+const MAX_NOTE_LENGTH = 500;
+
+// Photos are shrunk on the device so the queue stays small and syncs fast
+const PHOTO_MAX_SIDE = 1280;
+const PHOTO_QUALITY = 0.8;
+
+const ROUTE_COLOR = '#6f42c1';
+
+export class OfficerPanel {
+    /**
+     * @param {Object} [options]
+     * @param {import('./parking_client.js').ParkingClient} [options.client]
+     * @param {Function|null} [options.onRefresh] - Called when officer mode is switched and every minute while it is on
+     */
+    constructor({ client = parkingClient, onRefresh = null } = {}) {
+        this.client = client;
+        this.onRefresh = onRefresh;
+        this.active = false;
+        this.beat = null;
+        this.street = '';
+        this.streets = [];
+        this.timer = null;
+        this.element = null;
+        this.dialog = null;
+        this.slot = null;
+    }
+
+    /**
+     * Add the officer mode controls to the page's controls; a no-op for users who cannot enforce
+     * @param {HTMLElement} container
+     * @returns {HTMLElement|null}
+     */
+    mount(container) {
+        if (!can('enforce')) return null;
+        ensureStyles();
+        this.element = document.createElement('div');
+        this.element.className = 'control-group officer-panel';
+        this.element.innerHTML = `
+            <button type="button" class="btn officer-toggle" aria-pressed="false">${escapeHtml(t('enforcement.mode'))}</button>
+            <div class="officer-beat" hidden>
+                <label>${escapeHtml(t('enforcement.street'))}
+                    <select class="officer-street"></select>
+                </label>
+                <div class="officer-summary" role="status"></div>
+            </div>
+            <div class="officer-queue">
+                <span class="officer-queue-text" role="status"></span>
+                <button type="button" class="officer-sync" hidden>${escapeHtml(t('enforcement.sync'))}</button>
+            </div>
+        `;
+        container.appendChild(this.element);
+
+        this.element.querySelector('.officer-toggle').addEventListener('click', () => this.setActive(!this.active));
+        this.element.querySelector('.officer-street').addEventListener('change', (event) => {
+            this.street = event.target.value;
+            this.refresh();
+        });
+        this.element.querySelector('.officer-sync').addEventListener('click', () => this.sync());
+        onReconnect(() => this.sync());
+
+        this.setActive(localStorage.getItem(MODE_KEY) === 'on');
+        this.sync();
+        return this.element;
+    }
+
+    /**
+     * Switch officer mode on or off, remembering the choice for the next visit
+     * @param {boolean} active
+     */
+    setActive(active) {
+        this.active = active;
+        localStorage.setItem(MODE_KEY, active ? 'on' : 'off');
+        clearInterval(this.timer);
+        this.timer = active ? setInterval(() => this.refresh(), REFRESH_MS) : null;
+        if (!active) {
+            this.beat = null;
+        }
+
+        const toggle = this.element.querySelector('.officer-toggle');
+        toggle.setAttribute('aria-pressed', String(active));
+        toggle.classList.toggle('active', active);
+        this.element.querySelector('.officer-beat').hidden = !active;
+        this.renderSummary();
+        this.refresh();
+    }
+
+    refresh() {
+        if (this.onRefresh) {
+            this.onRefresh();
+        }
+    }
+
+    /**
+     * Fetch the beat around the officer's location
+     * @param {import('./parking_client.js').LatLng|null} location
+     * @returns {Promise<import('./parking_client.js').PatrolBeat>}
+     */
+    async loadBeat(location) {
+        try {
+            const beat = await this.client.getPatrolBeat(location, { street: this.street || undefined });
+            if (!beat.street) {
+                this.streets = [...new Set(beat.slots.map(slot => slot.street))].sort();
+            }
+            this.beat = beat;
+            this.renderSummary();
+            return beat;
+        } catch (error) {
+            this.element.querySelector('.officer-summary').textContent = t('enforcement.beat_failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    renderSummary() {
+        const select = this.element.querySelector('.officer-street');
+        select.innerHTML = `
+            <option value="">${escapeHtml(t('enforcement.all_streets'))}</option>
+            ${this.streets.map(street => `<option value="${escapeHtml(street)}">${escapeHtml(street)}</option>`).join('')}
+        `;
+        select.value = this.street;
+
+        const beat = this.beat;
+        this.element.querySelector('.officer-summary').textContent = !beat ? t('enforcement.set_location') : [
+            t('enforcement.beat', {
+                zone: beat.zone,
+                count: formatNumber(beat.slots.length),
+                distance: formatWalk(beat.route_m),
+                minutes: formatNumber(beat.walking_minutes)
+            }),
+            t('enforcement.overstays', { count: formatNumber(beat.overstays) })
+        ].join(' · ');
+    }
+
+    /**
+     * Ask for the plate, a photo and a note, then log a violation at a slot
+     * @param {import('./parking_client.js').StreetParkingSlot} slot
+     */
+    openViolationForm(slot) {
+        if (!this.dialog) {
+            this.dialog = createDialog();
+            this.dialog.querySelector('form').addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.submit();
+            });
+            this.dialog.querySelector('.violation-cancel').addEventListener('click', () => this.dialog.close());
+        }
+        this.slot = slot;
+        const form = this.dialog.querySelector('form');
+        form.reset();
+        this.dialog.querySelector('.violation-title').textContent = t('enforcement.form_title', { slot: `${slot.name} (${slot.id})` });
+        this.dialog.querySelector('.violation-error').textContent = '';
+        this.dialog.showModal();
+        form.elements.plate.focus();
+    }
+
+    /**
+     * Check the form and queue the violation; the submit button is off meanwhile so one tap logs one violation
+     */
+    async submit() {
+        const button = this.dialog.querySelector('.violation-submit');
+        if (button.disabled) return;
+        button.disabled = true;
+        try {
+            await this.queueFromForm();
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async queueFromForm() {
+        const form = this.dialog.querySelector('form');
+        const error = this.dialog.querySelector('.violation-error');
+        const plate = normalisePlate(form.elements.plate.value);
+        if (!PLATE_PATTERN.test(plate)) {
+            error.textContent = t('enforcement.plate_invalid');
+            form.elements.plate.focus();
+            return;
+        }
+
+        let photo = null;
+        const file = form.elements.photo.files[0];
+        if (file) {
+            try {
+                photo = await photoDataUrl(file);
+            } catch (photoError) {
+                error.textContent = t('enforcement.photo_failed', { error: photoError.message });
+                return;
+            }
+        }
+
+        const slot = this.slot;
+        const violation = {
+            client_id: crypto.randomUUID(),
+            slot_id: slot.id,
+            plate,
+            note: form.elements.note.value.trim(),
+            photo,
+            observed_at: Date.now() / 1000
+        };
+        // On the device first, so nothing is lost if the network drops mid-request
+        try {
+            await queueViolation(violation);
+        } catch (storageError) {
+            error.textContent = t('enforcement.save_failed', { error: storageError.message });
+            return;
+        }
+        this.dialog.close();
+        console.log(`🎫 Violation at ${slot.id} queued`);
+
+        const result = await this.sync({ quiet: true });
+        if (result && result.sent.some(sent => sent.client_id === violation.client_id)) {
+            showNotification(t('enforcement.logged', { plate, slot: slot.name }), 'success');
+        } else if (!result || !result.rejected.some(rejected => rejected.violation.client_id === violation.client_id)) {
+            showNotification(t('enforcement.queued', { plate }), 'info');
+        }
+    }
+
+    /**
+     * Send queued violations and show how many are still waiting
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet] - Leave the notice about what was sent to the caller
+     */
+    async sync({ quiet = false } = {}) {
+        let result = null;
+        try {
+            result = await syncViolations();
+            result.rejected.forEach(({ violation, error }) => showNotification(t('enforcement.rejected', {
+                plate: violation.plate, slot: violation.slot_id, error: error.message
+            }), 'error'));
+            if (!quiet && result.sent.length) {
+                showNotification(t('enforcement.synced', { count: formatNumber(result.sent.length) }), 'success');
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not sync violations:', error);
+        }
+        await this.renderQueue();
+        return result;
+    }
+
+    async renderQueue() {
+        let count = 0;
+        try {
+            count = (await queuedViolations()).length;
+        } catch (error) {
+            console.warn('⚠️ Could not read queued violations:', error);
+        }
+        this.element.querySelector('.officer-queue-text').textContent = count
+            ? t('enforcement.queue', { count: formatNumber(count) })
+            : t('enforcement.queue_empty');
+        this.element.querySelector('.officer-sync').hidden = count === 0;
+    }
+}
+
+/**
+ * Stop number, walk, overstay and flag of a slot on the beat, for its list item
+ * @param {import('./parking_client.js').StreetParkingSlot & import('./parking_client.js').BeatSlot} slot
+ */
+export function beatDetailsHtml(slot) {
+    if (slot.stop === undefined) return '';
+    const session = slot.session;
+    return `
+        <div class="beat-details">
+            <span class="beat-stop">${escapeHtml(t('enforcement.stop', { stop: formatNumber(slot.stop) }))}</span>
+            <span>${escapeHtml(t('enforcement.walk', { distance: formatWalk(slot.walk_m) }))}</span>
+            ${slot.overstay_seconds !== null ? `
+                <span class="beat-badge overstay">${escapeHtml(t('enforcement.overstay', {
+                    minutes: formatNumber(Math.floor(slot.overstay_seconds / 60))
+                }))}</span>` : session && session.paid_until ? `
+                <span class="beat-badge">${escapeHtml(t('enforcement.paid_until', { time: formatTime(session.paid_until) }))}</span>` : ''}
+            ${slot.flag ? `<span class="beat-badge flag">🚩 ${escapeHtml(slot.flag.reason_label)}</span>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * The walk from the officer through every stop, numbered
+ * @param {import('./parking_client.js').PatrolBeat} beat
+ * @returns {L.FeatureGroup}
+ */
+export function beatRouteLayer(beat) {
+    const points = [[beat.start.lat, beat.start.lng], ...beat.slots.map(slot => [slot.lat, slot.lng])];
+    const line = L.polyline(points, { color: ROUTE_COLOR, weight: 3, opacity: 0.8, dashArray: '6 8', interactive: false });
+    // Numbers sit beside the slot markers so they do not take their clicks
+    const stops = beat.slots.map(slot => L.marker([slot.lat, slot.lng], {
+        interactive: false,
+        keyboard: false,
+        icon: L.divIcon({
+            className: 'beat-stop-icon',
+            html: `<span>${slot.stop}</span>`,
+            iconSize: [18, 18],
+            iconAnchor: [-6, 22]
+        })
+    }));
+    return L.featureGroup([line, ...stops]);
+}
+
+function normalisePlate(value) {
+    return value.replace(/[\s-]/g, '').toUpperCase();
+}
+
+function formatWalk(metres) {
+    return metres < 1000
+        ? t('unit.metres', { value: formatNumber(metres) })
+        : t('unit.kilometres', { value: formatNumber(metres / 1000, { maximumFractionDigits: 1 }) });
+}
+
+/**
+ * A JPEG data URL of a photo, shrunk to fit PHOTO_MAX_SIDE
+ * @param {File} file
+ */
+async function photoDataUrl(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, PHOTO_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL('image/jpeg', PHOTO_QUALITY);
+}
+
+function createDialog() {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'violation-dialog';
+    dialog.setAttribute('aria-labelledby', 'violation-title');
+    dialog.innerHTML = `
+        <form method="dialog">
+            <h3 id="violation-title" class="violation-title"></h3>
+            <label>${escapeHtml(t('enforcement.plate'))}
+                <input name="plate" required autocomplete="off" autocapitalize="characters" spellcheck="false"
+                       maxlength="16" placeholder="OD02AB1234">
+            </label>
+            <label>${escapeHtml(t('enforcement.photo'))}
+                <input name="photo" type="file" accept="image/*" capture="environment">
+            </label>
+            <label>${escapeHtml(t('enforcement.note'))}
+                <textarea name="note" rows="3" maxlength="${MAX_NOTE_LENGTH}"></textarea>
+            </label>
+            <div class="violation-error" role="alert"></div>
+            <div class="violation-actions">
+                <button type="button" class="violation-cancel">${escapeHtml(t('enforcement.cancel'))}</button>
+                <button type="submit" class="violation-submit">${escapeHtml(t('enforcement.submit'))}</button>
+            </div>
+        </form>
+    `;
+    document.body.appendChild(dialog);
+    return dialog;
+}
+
+function ensureStyles() {
+    if (document.getElementById('officer-panel-styles')) {
+        return;
+    }
+    const style = document.createElement('style');
+    style.id = 'officer-panel-styles';
+    style.textContent = `
+        .officer-toggle.active {
+            background: ${ROUTE_COLOR};
+        }
+
+        .officer-beat label {
+            display: block;
+            font-size: 0.85rem;
+        }
+
+        .officer-beat select {
+            width: 100%;
+            margin-top: 4px;
+        }
+
+        .officer-summary,
+        .officer-queue {
+            font-size: 0.85rem;
+            color: #333;
+            margin-top: 6px;
+        }
+
+        .officer-sync {
+            margin-left: 6px;
+            font-size: 0.8rem;
+        }
+
+        .beat-details {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-top: 6px;
+            font-size: 12px;
+            color: #495057;
+        }
+
+        .beat-stop {
+            font-weight: 600;
+            color: ${ROUTE_COLOR};
+        }
+
+        .beat-badge {
+            padding: 1px 6px;
+            border-radius: 4px;
+            background: #e9ecef;
+        }
+
+        .beat-badge.overstay {
+            background: #c82333;
+            color: white;
+            font-weight: 600;
+        }
+
+        .beat-badge.flag {
+            background: #fff3cd;
+            color: #664d03;
+        }
+
+        .beat-stop-icon span {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            width: 18px;
+            height: 18px;
+            border-radius: 50%;
+            background: ${ROUTE_COLOR};
+            color: white;
+            font-size: 11px;
+            font-weight: bold;
+        }
+
+        .violation-dialog {
+            border: none;
+            border-radius: 10px;
+            padding: 20px;
+            width: min(360px, 90vw);
+            box-shadow: 0 5px 20px rgba(0, 0, 0, 0.25);
+        }
+
+        .violation-dialog::backdrop {
+            background: rgba(0, 0, 0, 0.4);
+        }
+
+        .violation-dialog h3 {
+            margin: 0 0 12px;
+            font-size: 1rem;
+        }
+
+        .violation-dialog label {
+            display: block;
+            margin-bottom: 10px;
+            font-size: 0.9rem;
+            font-weight: 600;
+        }
+
+        .violation-dialog input,
+        .violation-dialog textarea {
+            display: block;
+            width: 100%;
+            box-sizing: border-box;
+            margin-top: 4px;
+            font-weight: normal;
+        }
+
+        .violation-dialog input[name="plate"] {
+            text-transform: uppercase;
+        }
+
+        .violation-error {
+            color: #c62828;
+            font-size: 0.85rem;
+            min-height: 1em;
+        }
+
+        .violation-actions {
+            display: flex;
+            justify-content: flex-end;
+            gap: 8px;
+            margin-top: 10px;
+        }
+
+        .violation-submit {
+            background: #c82333;
+            color: white;
+            border: none;
+            padding: 8px 14px;
+            border-radius: 5px;
+            cursor: pointer;
+        }
+    `;
+    document.head.appendChild(style);
+}
@@ -0,0 +1,109 @@
+/**
+ * Messages and number, price and time formatting in the page's language.
+ * The server picks the language (see parking/i18n.py) and writes its
+ * catalog from static/i18n, English filling any gaps, into the page's
+ * #i18n-catalog script; the language switcher of the account menu sets the
+ * `lang` cookie and reloads the page in the new language.
+ */
+
+const LANGUAGE_COOKIE = 'lang';
+const ONE_YEAR_S = 365 * 24 * 3600;
+
+/**
+ * @typedef {Object} Catalog
+ * @property {string} language - e.g. or
+ * @property {string} name - The language's own name, e.g. ଓଡ଼ିଆ
+ * @property {string} locale - e.g. or-IN
+ * @property {Object<string, string>} messages - Message by key, with {name} placeholders
+ */
+
+/** @type {Catalog} */
+const CATALOG = JSON.parse(document.getElementById('i18n-catalog')?.textContent || '{}');
+
+export const LANGUAGE = CATALOG.language || document.documentElement.lang || 'en';
+
+// en-IN backs up browsers without data for the page's locale, so numbers keep Indian grouping
+const LOCALES = [CATALOG.locale || 'en-IN', 'en-IN'];
+
+const MESSAGES = CATALOG.messages || {};
+
+/**
+ * The message for a key with its {name} placeholders filled in; the key itself when there is none
+ * @param {string} key
+ * @param {Object<string, string|number>} [values]
+ * @returns {string}
+ */
+export function t(key, values = {}) {
+    const text = MESSAGES[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => name in values ? String(values[name]) : placeholder);
+}
+
+/**
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ */
+export function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(LOCALES, options).format(value);
+}
+
+/**
+ * An amount with its currency symbol, e.g. ₹1,250 or ₹12.50
+ * @param {number} amount
+ * @param {string} [currency] - ISO 4217 code
+ * @param {Object} [options]
+ * @param {number} [options.decimals] - Paise are shown only when there are any by default
+ */
+export function formatCurrency(amount, currency = 'INR', { decimals } = {}) {
+    const digits = decimals ?? (Number.isInteger(amount) ? 0 : 2);
+    return new Intl.NumberFormat(LOCALES, {
+        style: 'currency',
+        currency: currency || 'INR',
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(amount);
+}
+
+/**
+ * @param {number} share - 0..1
+ */
+export function formatPercent(share) {
+    return new Intl.NumberFormat(LOCALES, { style: 'percent', maximumFractionDigits: 0 }).format(share);
+}
+
+/**
+ * Items joined as the language lists them, e.g. "A, B and C"
+ * @param {string[]} items
+ */
+export function formatList(items) {
+    return new Intl.ListFormat(LOCALES, { type: 'conjunction' }).format(items);
+}
+
+/**
+ * Hours and minutes of a Unix time, e.g. 14:05 or 2:05 pm as the locale writes it
+ * @param {number} seconds
+ * @param {Intl.DateTimeFormatOptions} [options] - e.g. { second: '2-digit' } or a region's timeZone
+ */
+export function formatTime(seconds, options = {}) {
+    return new Date(seconds * 1000).toLocaleTimeString(LOCALES, { hour: '2-digit', minute: '2-digit', ...options });
+}
+
+/**
+ * @param {number} seconds - Unix time
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export function formatDate(seconds, options = {}) {
+    return new Date(seconds * 1000).toLocaleDateString(LOCALES, options);
+}
+
+/**
+ * Wire a <select> of languages: choosing one remembers it for the server and reloads the page
+ * @param {HTMLSelectElement} select
+ */
+export function initLanguageSwitcher(select) {
+    if (!select) return;
+    select.value = LANGUAGE;
+    select.addEventListener('change', () => {
+        document.cookie = `${LANGUAGE_COOKIE}=${encodeURIComponent(select.value)}; path=/; max-age=${ONE_YEAR_S}; samesite=lax`;
+        window.location.reload();
+    });
+}
@@ -0,0 +1,154 @@
+/**
+ * Live update channel for the parking pages.
+ *
+ * Subscribes to the server-sent event stream at /api/stream and hands each
+ * event's JSON payload to the registered handlers. If the stream drops, it
+ * reconnects with exponential backoff and, until the stream is back, calls
+ * the page's `poll` function on an interval so the page keeps updating.
+ *
+ * Events: `snapshot`, `lots`, `slots`, `junctions` and `predictions` from the
+ * server, plus a local `status` event ('live' | 'polling' | 'stopped').
+ */
+
+const INITIAL_RETRY_DELAY = 1000;
+
+export class LiveUpdates {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.url] - Event stream URL
+     * @param {Function|null} [options.poll] - Called while the stream is unavailable
+     * @param {number} [options.pollInterval] - Milliseconds between polls
+     * @param {number} [options.maxRetryDelay] - Cap for the reconnect backoff
+     */
+    constructor({ url = '/api/stream', poll = null, pollInterval = 10000, maxRetryDelay = 30000 } = {}) {
+        this.url = url;
+        this.poll = poll;
+        this.pollInterval = pollInterval;
+        this.maxRetryDelay = maxRetryDelay;
+        this.handlers = new Map();
+        this.source = null;
+        this.pollTimer = null;
+        this.retryTimer = null;
+        this.retryDelay = INITIAL_RETRY_DELAY;
+        this.status = 'stopped';
+    }
+
+    /**
+     * Register a handler for an event type; returns this for chaining
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+            if (this.source && type !== 'status') {
+                this.listen(type);
+            }
+        }
+        this.handlers.get(type).push(handler);
+        return this;
+    }
+
+    /**
+     * Open the stream, or start polling if the browser has no EventSource
+     */
+    start() {
+        if (this.source || this.retryTimer) {
+            return;
+        }
+        if (typeof window.EventSource === 'undefined') {
+            this.startPolling();
+            return;
+        }
+        this.connect();
+    }
+
+    /**
+     * Close the stream and stop any polling or pending reconnect
+     */
+    stop() {
+        this.closeSource();
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.stopPolling();
+        this.setStatus('stopped');
+    }
+
+    connect() {
+        this.retryTimer = null;
+        this.source = new EventSource(this.url);
+
+        this.source.onopen = () => {
+            this.retryDelay = INITIAL_RETRY_DELAY;
+            this.stopPolling();
+            this.setStatus('live');
+            console.log('📡 Live updates connected');
+        };
+
+        // Reconnect ourselves so the delay backs off instead of hammering a down server
+        this.source.onerror = () => {
+            this.closeSource();
+            this.startPolling();
+            this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+            console.warn(`📡 Live updates disconnected, retrying in ${this.retryDelay / 1000}s`);
+            this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+        };
+
+        this.handlers.forEach((handlers, type) => {
+            if (type !== 'status') {
+                this.listen(type);
+            }
+        });
+    }
+
+    listen(type) {
+        this.source.addEventListener(type, event => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                console.error(`Malformed ${type} event:`, error);
+                return;
+            }
+            this.emit(type, data);
+        });
+    }
+
+    emit(type, data) {
+        (this.handlers.get(type) || []).forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error handling ${type} event:`, error);
+            }
+        });
+    }
+
+    closeSource() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+
+    startPolling() {
+        this.setStatus('polling');
+        if (this.pollTimer || !this.poll) {
+            return;
+        }
+        this.poll();
+        this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    setStatus(status) {
+        if (this.status !== status) {
+            this.status = status;
+            this.emit('status', status);
+        }
+    }
+}
@@ -0,0 +1,270 @@
+/**
+ * Location search backed by the server gazetteer (/api/geocode).
+ * `LocationAutocomplete` turns a text input into a combobox with ranked
+ * suggestions, the driver's saved places first; `geocodeLocation` resolves
+ * typed text when the user presses Enter without picking one. Unknown text
+ * never resolves to a position.
+ */
+
+import { t } from './i18n.js';
+import { parkingClient, escapeHtml } from './parking_client.js';
+import { driverProfile } from './driver_profile.js';
+
+/**
+ * Resolve typed text to a single place, or offer suggestions
+ * @param {string} text
+ * @param {import('./parking_client.js').ParkingClient} [client]
+ * @returns {Promise<{place: import('./parking_client.js').Place|null, suggestions: import('./parking_client.js').Place[]}>}
+ */
+export async function geocodeLocation(text, client = parkingClient) {
+    const saved = driverProfile.places.find(place => place.label.toLowerCase() === text.trim().toLowerCase());
+    if (saved) {
+        return { place: { ...saved, name: saved.label, kind: 'saved' }, suggestions: [] };
+    }
+    const matches = await client.geocode(text, { limit: 5 });
+    const [best] = matches;
+    if (best && (best.confidence === 'exact' || best.confidence === 'high')) {
+        return { place: best, suggestions: [] };
+    }
+    return { place: null, suggestions: matches };
+}
+
+/**
+ * Message for text that did not resolve to a single place
+ * @param {string} text
+ * @param {import('./parking_client.js').Place[]} suggestions
+ * @returns {string}
+ */
+export function locationNotFoundMessage(text, suggestions) {
+    if (suggestions.length > 0) {
+        return t('place.ambiguous', { text, suggestions: suggestions.map(place => place.name).join(', ') });
+    }
+    return t('place.not_found', { text });
+}
+
+let instanceCount = 0;
+
+export class LocationAutocomplete {
+    /**
+     * @param {HTMLInputElement} input
+     * @param {Object} [options]
+     * @param {Function} [options.onSelect] - Called with the chosen place
+     * @param {import('./parking_client.js').ParkingClient} [options.client]
+     * @param {number} [options.limit]
+     * @param {number} [options.minChars]
+     * @param {number} [options.debounceMs]
+     */
+    constructor(input, { onSelect = null, client = parkingClient, limit = 6, minChars = 2, debounceMs = 200 } = {}) {
+        this.input = input;
+        this.onSelect = onSelect;
+        this.client = client;
+        this.limit = limit;
+        this.minChars = minChars;
+        this.debounceMs = debounceMs;
+        this.matches = [];
+        this.activeIndex = -1;
+        this.timer = null;
+        this.requestId = 0;
+
+        ensureStyles();
+        this.listId = `location-suggestions-${++instanceCount}`;
+        this.list = document.createElement('ul');
+        this.list.id = this.listId;
+        this.list.className = 'location-suggestions';
+        this.list.setAttribute('role', 'listbox');
+        this.list.hidden = true;
+
+        // Anchor the dropdown to the input without touching the page layout
+        const wrapper = document.createElement('div');
+        wrapper.className = 'location-autocomplete';
+        input.parentNode.insertBefore(wrapper, input);
+        wrapper.appendChild(input);
+        wrapper.appendChild(this.list);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', this.listId);
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('autocomplete', 'off');
+
+        input.addEventListener('input', () => this.schedule());
+        // An empty box lists the saved places, so "Home" is one tap away
+        input.addEventListener('focus', () => {
+            if (!this.input.value.trim()) this.showSaved();
+        });
+        driverProfile.load().catch(() => {});
+        input.addEventListener('keydown', (e) => this.onKeyDown(e));
+        input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+        // mousedown fires before blur, so the click is not lost when the list closes
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                e.preventDefault();
+                this.select(Number(option.dataset.index));
+            }
+        });
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        const text = this.input.value.trim();
+        if (text.length < this.minChars) {
+            this.showSaved();
+            return;
+        }
+        this.timer = setTimeout(() => this.search(text), this.debounceMs);
+    }
+
+    async search(text) {
+        const requestId = ++this.requestId;
+        try {
+            const matches = await this.client.geocode(text, { limit: this.limit });
+            // Ignore answers to queries the user has already typed past
+            if (requestId !== this.requestId) return;
+            this.matches = [...driverProfile.matchPlaces(text), ...matches].slice(0, this.limit);
+            this.activeIndex = -1;
+            this.render();
+        } catch (error) {
+            console.error('Location search failed:', error);
+            this.close();
+        }
+    }
+
+    showSaved() {
+        const saved = driverProfile.matchPlaces(this.input.value);
+        this.requestId++;
+        if (saved.length === 0) {
+            this.close();
+            return;
+        }
+        this.matches = saved;
+        this.activeIndex = -1;
+        this.render();
+    }
+
+    onKeyDown(e) {
+        if (this.list.hidden) return;
+        if (this.matches.length === 0 && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) return;
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.highlight((this.activeIndex + 1) % this.matches.length);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.highlight((this.activeIndex - 1 + this.matches.length) % this.matches.length);
+                break;
+            case 'Enter':
+                if (this.activeIndex >= 0) {
+                    // Keep the page's own Enter handler from geocoding the text again
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                    this.select(this.activeIndex);
+                } else {
+                    this.close();
+                }
+                break;
+            case 'Escape':
+                this.close();
+                break;
+        }
+    }
+
+    highlight(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('[role="option"]').forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === index));
+        });
+        if (index >= 0) {
+            this.input.setAttribute('aria-activedescendant', `${this.listId}-${index}`);
+        }
+    }
+
+    select(index) {
+        const place = this.matches[index];
+        if (!place) return;
+        clearTimeout(this.timer);
+        this.requestId++;
+        this.input.value = place.name;
+        this.close();
+        if (this.onSelect) {
+            this.onSelect(place);
+        }
+    }
+
+    render() {
+        if (this.matches.length === 0) {
+            this.list.innerHTML = `<li class="location-suggestions-empty">${escapeHtml(t('place.no_matches'))}</li>`;
+        } else {
+            this.list.innerHTML = this.matches.map((place, index) => `
+                <li id="${this.listId}-${index}" role="option" aria-selected="false" data-index="${index}">
+                    <span class="location-suggestion-name">${escapeHtml(place.name)}</span>
+                    <span class="location-suggestion-meta">${place.kind === 'saved' ? '⭐ ' : ''}${escapeHtml([place.kind && t(`place.kind.${place.kind}`), place.city].filter(Boolean).join(' · '))}</span>
+                </li>
+            `).join('');
+        }
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
+
+function ensureStyles() {
+    if (document.getElementById('location-autocomplete-styles')) {
+        return;
+    }
+    const style = document.createElement('style');
+    style.id = 'location-autocomplete-styles';
+    style.textContent = `
+        .location-autocomplete {
+            position: relative;
+        }
+        .location-suggestions {
+            position: absolute;
+            top: 100%;
+            left: 0;
+            right: 0;
+            z-index: 2000;
+            margin: 2px 0 0 0;
+            padding: 0;
+            list-style: none;
+            background: white;
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+            max-height: 260px;
+            overflow-y: auto;
+            font-size: 0.9rem;
+            color: #333;
+            text-align: left;
+        }
+        .location-suggestions [role="option"] {
+            display: flex;
+            justify-content: space-between;
+            gap: 8px;
+            padding: 8px 10px;
+            cursor: pointer;
+        }
+        .location-suggestions [role="option"]:hover,
+        .location-suggestions [aria-selected="true"] {
+            background: #e3f2fd;
+        }
+        .location-suggestion-meta {
+            color: #888;
+            font-size: 0.8rem;
+            text-transform: capitalize;
+            white-space: nowrap;
+        }
+        .location-suggestions-empty {
+            padding: 8px 10px;
+            color: #888;
+        }
+    `;
+    document.head.appendChild(style);
+}
@@ -0,0 +1,93 @@
+/**
+ * Drawing and describing road routes from /api/route.
+ * Shared by the map pages so every "Navigate Here" follows the same roads
+ * and shows the same turn-by-turn list.
+ */
+
+import { formatNumber, formatTime, t } from './i18n.js';
+import { escapeHtml } from './parking_client.js';
+
+const MANEUVER_ICONS = {
+    depart: '🚗',
+    continue: '⬆️',
+    'slight-left': '↖️',
+    'slight-right': '↗️',
+    left: '⬅️',
+    right: '➡️',
+    uturn: '↩️',
+    arrive: '🅿️'
+};
+
+/**
+ * Layer with the route polyline and start/end markers
+ * @param {import('./parking_client.js').Route} route
+ * @param {Object} [options]
+ * @param {string} [options.color]
+ * @returns {L.FeatureGroup}
+ */
+export function createRouteLayer(route, { color = '#007bff' } = {}) {
+    const line = L.polyline(route.geometry, {
+        color,
+        weight: 5,
+        opacity: 0.85,
+        lineJoin: 'round'
+    });
+    const [start, end] = [route.geometry[0], route.geometry[route.geometry.length - 1]];
+    return L.featureGroup([line, routeMarker(start, 'S', '#007bff'), routeMarker(end, 'E', '#28a745')]);
+}
+
+function routeMarker(latLng, label, background) {
+    return L.marker(latLng, {
+        icon: L.divIcon({
+            className: 'custom-div-icon',
+            html: `<div style="background: ${background}; color: white; border-radius: 50%; width: 20px; height: 20px; display: flex; align-items: center; justify-content: center; font-size: 12px; font-weight: bold;">${label}</div>`,
+            iconSize: [20, 20],
+            iconAnchor: [10, 10]
+        })
+    });
+}
+
+/**
+ * @param {number} meters
+ * @returns {string}
+ */
+export function formatRouteDistance(meters) {
+    return meters < 1000
+        ? t('unit.metres', { value: formatNumber(Math.round(meters)) })
+        : t('unit.kilometres', { value: formatNumber(meters / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatRouteDuration(seconds) {
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    return minutes < 60
+        ? t('route.minutes', { minutes })
+        : t('route.hours_minutes', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+}
+
+/**
+ * Summary and turn-by-turn list for a route panel
+ * @param {import('./parking_client.js').Route} route
+ * @param {string} destinationName
+ * @returns {string}
+ */
+export function routeInstructionsHtml(route, destinationName) {
+    const eta = formatTime(route.eta);
+    const steps = route.steps.map(step => `
+        <li class="route-step">
+            <span class="route-step-icon" aria-hidden="true">${MANEUVER_ICONS[step.maneuver] || '⬆️'}</span>
+            <span class="route-step-text">${escapeHtml(step.instruction)}</span>
+            ${step.distance_m > 0 ? `<span class="route-step-distance">${formatRouteDistance(step.distance_m)}</span>` : ''}
+        </li>
+    `).join('');
+
+    return `
+        <div><strong>${escapeHtml(t('route.destination'))}</strong> ${escapeHtml(destinationName)}</div>
+        <div><strong>${escapeHtml(t('route.distance'))}</strong> ${escapeHtml(t('route.by_road', { distance: formatRouteDistance(route.distance_m) }))}</div>
+        <div><strong>${escapeHtml(t('route.estimated_time'))}</strong> ${escapeHtml(t('route.duration_eta', { duration: formatRouteDuration(route.duration_s), time: eta }))}</div>
+        <ol class="route-steps">${steps}</ol>
+    `;
+}
@@ -0,0 +1,224 @@
+/**
+ * Offline support for the map pages.
+ * Registers the service worker, keeps the last real /api/street-parking
+ * response in IndexedDB, and when the network is gone shows that copy under
+ * a "stale since HH:MM" banner instead of an empty map. Violations an
+ * officer logs wait in IndexedDB too, until they reach the server.
+ */
+
+import { formatDate, formatTime, t } from './i18n.js';
+import { parkingClient } from './parking_client.js';
+import { filterParams, matchesSlot } from './space_filters.js';
+
+const DB_NAME = 'parking-offline';
+const DB_VERSION = 2;
+const STORE = 'snapshots';
+const VIOLATION_STORE = 'violations';
+const STREET_PARKING_KEY = 'street-parking';
+
+// Statuses that mean "try again later" rather than "the server will never accept this"
+const RETRY_STATUSES = [401, 403, 408, 429];
+
+/**
+ * Register /service-worker.js; a no-op in browsers without service workers
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return null;
+    try {
+        const registration = await navigator.serviceWorker.register('/service-worker.js');
+        console.log('📦 Service worker registered for offline use');
+        return registration;
+    } catch (error) {
+        console.warn('⚠️ Service worker registration failed:', error);
+        return null;
+    }
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            [STORE, VIOLATION_STORE].forEach(name => {
+                if (!request.result.objectStoreNames.contains(name)) {
+                    request.result.createObjectStore(name);
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, action, name = STORE) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(name, mode);
+            const request = action(transaction.objectStore(name));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Remember a street parking response as the last known availability
+ * @param {import('./parking_client.js').LatLng|null} location
+ * @param {import('./parking_client.js').StreetParkingSlot[]} slots
+ */
+export async function saveStreetParking(location, slots) {
+    const snapshot = {
+        location: location ? { lat: location.lat, lng: location.lng } : null,
+        slots,
+        saved_at: Date.now()
+    };
+    await withStore('readwrite', store => store.put(snapshot, STREET_PARKING_KEY));
+}
+
+/**
+ * @returns {Promise<{location: Object|null, slots: Object[], saved_at: number}|null>}
+ */
+export async function loadStreetParking() {
+    return (await withStore('readonly', store => store.get(STREET_PARKING_KEY))) || null;
+}
+
+/**
+ * Street parking from the API, or the last saved copy when the network is
+ * unreachable. Live data hides the stale banner; a saved copy shows it.
+ * Errors from the server itself (a status code) are rethrown, as is a
+ * network failure with nothing saved. The saved copy is narrowed to the
+ * space filters as well as it can be: it only holds what the last request returned.
+ * @param {import('./parking_client.js').LatLng|null} location
+ * @param {import('./space_filters.js').SpaceFilters} [filters]
+ * @returns {Promise<import('./parking_client.js').StreetParkingSlot[]>}
+ */
+export async function getStreetParkingWithFallback(location, filters = null) {
+    try {
+        const slots = await parkingClient.getStreetParking(location, filters ? filterParams(filters) : {});
+        hideStaleBanner();
+        saveStreetParking(location, slots).catch(error =>
+            console.warn('⚠️ Could not save street parking for offline use:', error));
+        return slots;
+    } catch (error) {
+        if (error.status) throw error;
+
+        let snapshot = null;
+        try {
+            snapshot = await loadStreetParking();
+        } catch (storageError) {
+            console.warn('⚠️ Could not read saved street parking:', storageError);
+        }
+        if (!snapshot) throw error;
+
+        console.log(`📴 Offline - showing street parking saved at ${new Date(snapshot.saved_at).toLocaleTimeString()}`);
+        showStaleBanner(snapshot.saved_at);
+        return filters ? snapshot.slots.filter(slot => matchesSlot(slot, filters)) : snapshot.slots;
+    }
+}
+
+/**
+ * Keep a violation on the device until syncViolations() delivers it
+ * @param {{client_id: string, slot_id: string, plate: string, note: string, photo: string|null, observed_at: number}} violation
+ */
+export async function queueViolation(violation) {
+    await withStore('readwrite', store => store.put(violation, violation.client_id), VIOLATION_STORE);
+}
+
+/**
+ * Violations still waiting for the server, oldest first
+ */
+export async function queuedViolations() {
+    const violations = await withStore('readonly', store => store.getAll(), VIOLATION_STORE);
+    return violations.sort((a, b) => a.observed_at - b.observed_at);
+}
+
+let syncing = Promise.resolve();
+
+/**
+ * Send the queued violations, oldest first. Each leaves the queue once the
+ * server has it, or once the server rejects it for good (bad plate, unknown
+ * slot...). Sending stops at the first network failure or at a status worth
+ * retrying, like being signed out, and the rest wait for the next sync.
+ * A call made while a sync runs waits for it, then sends what is still queued.
+ * @returns {Promise<{sent: Object[], rejected: {violation: Object, error: Error}[], remaining: number}>}
+ */
+export function syncViolations() {
+    const run = syncing.then(sendQueuedViolations);
+    syncing = run.catch(() => {});
+    return run;
+}
+
+async function sendQueuedViolations() {
+    const queued = await queuedViolations();
+    const result = { sent: [], rejected: [], remaining: 0 };
+    for (const [index, violation] of queued.entries()) {
+        try {
+            result.sent.push(await parkingClient.logViolation(violation));
+        } catch (error) {
+            if (!error.status || error.status >= 500 || RETRY_STATUSES.includes(error.status)) {
+                result.remaining = queued.length - index;
+                console.warn(`⚠️ Violation sync paused, ${result.remaining} still queued:`, error.message);
+                break;
+            }
+            console.warn(`⚠️ Violation at ${violation.slot_id} rejected:`, error.message);
+            result.rejected.push({ violation, error });
+        }
+        await withStore('readwrite', store => store.delete(violation.client_id), VIOLATION_STORE);
+    }
+    if (result.sent.length) {
+        console.log(`📤 Synced ${result.sent.length} violation(s)`);
+    }
+    return result;
+}
+
+/**
+ * "HH:MM" for a timestamp in milliseconds, with the date if it is not today
+ */
+function formatSavedAt(savedAt) {
+    const time = formatTime(savedAt / 1000);
+    return new Date(savedAt).toDateString() === new Date().toDateString()
+        ? time
+        : `${formatDate(savedAt / 1000, { day: 'numeric', month: 'short' })} ${time}`;
+}
+
+/**
+ * Pin a banner to the top of the page saying the availability shown is old
+ * @param {number} savedAt - Milliseconds since the epoch
+ */
+export function showStaleBanner(savedAt) {
+    let banner = document.getElementById('stale-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'stale-banner';
+        banner.setAttribute('role', 'status');
+        banner.style.cssText = `
+            position: fixed; top: 0; left: 0; right: 0; z-index: 3000;
+            background: #ffc107; color: #333; text-align: center;
+            padding: 8px 12px; font-weight: 600; font-size: 0.9rem;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+        `;
+        document.body.appendChild(banner);
+    }
+    banner.textContent = t('offline.stale', { time: formatSavedAt(savedAt) });
+    banner.hidden = false;
+}
+
+export function hideStaleBanner() {
+    const banner = document.getElementById('stale-banner');
+    if (banner) {
+        banner.hidden = true;
+    }
+}
+
+/**
+ * Call `refresh` when the browser comes back online
+ * @param {Function} refresh
+ */
+export function onReconnect(refresh) {
+    window.addEventListener('online', () => {
+        console.log('🌐 Back online - refreshing');
+        refresh();
+    });
+}
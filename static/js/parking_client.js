@@ -0,0 +1,1353 @@
+/**
+ * Shared Parking Client for the AI-Powered Parking System
+ * One ES module imported by every page: typed access to the Flask API plus
+ * the location, notification and distance helpers the pages have in common.
+ */
+
+import { formatNumber, t } from './i18n.js';
+import { enterRegionAt, outsideRegionsMessage } from './regions.js';
+
+/**
+ * @typedef {Object} LatLng
+ * @property {number} lat
+ * @property {number} lng
+ */
+
+/**
+ * @typedef {Object} StreetParkingSlot
+ * @property {string} id - Slot identifier, e.g. "street_3"
+ * @property {string} name
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string} street
+ * @property {string} zone - Tariff zone, e.g. "central"
+ * @property {boolean} available
+ * @property {boolean} reserved - Held for someone's reservation (never available while true)
+ * @property {boolean} closed - Out of service for maintenance (never available while true)
+ * @property {number[][]|null} polygon - [lat, lng] vertices of the bay as drawn by operators
+ * @property {number} price_per_hour - Current hourly rate in ₹, including any peak surcharge
+ * @property {number} distance - Distance from the requested location in metres
+ * @property {string} type
+ * @property {'sensor'|'simulated'} source - Whether a ground sensor or camera reports the slot
+ * @property {number|null} observed_at - Unix seconds of the device's latest observation
+ * @property {number} version - Bumped on every state change
+ * @property {number} updated_at - Unix seconds of the last change
+ * @property {SlotAmenities} amenities
+ */
+
+/**
+ * @typedef {Object} SlotAmenities
+ * @property {'bike'|'car'|'van'} vehicle_class - Bay size; cars also fit van bays
+ * @property {boolean} accessible - Disabled-accessible bay
+ * @property {'type2'|'ccs2'|'chademo'|'bharat_ac001'|'bharat_dc001'|null} ev_connector
+ * @property {number|null} ev_power_kw
+ * @property {boolean} covered
+ * @property {number|null} max_height_m - Height limit, null where there is none
+ */
+
+/**
+ * @typedef {Object} LotAmenities
+ * @property {('bike'|'car'|'van')[]} vehicle_classes - Bay sizes the lot has
+ * @property {number} accessible_spaces
+ * @property {number} ev_spaces - Spaces with a charger
+ * @property {SlotAmenities['ev_connector']} ev_connector
+ * @property {number|null} ev_power_kw
+ * @property {boolean} covered
+ * @property {number|null} max_height_m
+ */
+
+/**
+ * @typedef {Object} Reservation
+ * @property {string} id
+ * @property {string} slot_id
+ * @property {number} owner - Id of the account that made it; only that account can read, confirm or cancel it
+ * @property {string} slot_name
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} price_per_hour
+ * @property {'held'|'confirmed'|'cancelled'|'expired'} status
+ * @property {number} created_at - Unix seconds
+ * @property {number} expires_at - Unix seconds when the hold lapses
+ * @property {number} seconds_remaining
+ */
+
+/**
+ * @typedef {Object} QuoteLine
+ * @property {number} from - Unix seconds
+ * @property {number} until - Unix seconds
+ * @property {number} hours
+ * @property {number} rate - Hourly rate for this period
+ * @property {boolean} peak
+ * @property {number} tier - 1-based duration tier
+ * @property {number} amount
+ */
+
+/**
+ * @typedef {Object} Quote
+ * @property {string} zone
+ * @property {string} zone_name
+ * @property {'street'|'garage'} kind
+ * @property {string} currency
+ * @property {number} start - Unix seconds
+ * @property {number} end - Unix seconds
+ * @property {number} duration_hours
+ * @property {number} total - Amount payable after the minimum charge and daily cap
+ * @property {boolean} minimum_applied
+ * @property {boolean} cap_applied
+ * @property {QuoteLine[]} breakdown
+ * @property {string} [slot_id]
+ */
+
+/**
+ * @typedef {Object} ForecastPoint
+ * @property {number} hours_ahead
+ * @property {number} timestamp - Unix seconds
+ * @property {number} occupancy - Forecast occupancy, 0..1
+ * @property {number} lower - Lower edge of the 80% band
+ * @property {number} upper - Upper edge of the 80% band
+ * @property {number} samples - Recorded samples behind this hour-of-week
+ */
+
+/**
+ * @typedef {Object} ForecastSeries
+ * @property {'lot'|'street'} kind
+ * @property {string} name
+ * @property {number} current - Occupancy now, 0..1
+ * @property {number} history_samples
+ * @property {ForecastPoint[]} points
+ */
+
+/**
+ * @typedef {Object} Place
+ * @property {string} name
+ * @property {string} kind - e.g. "landmark", "street", "city", "coordinates"
+ * @property {string|null} city
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string} matched - The name or alias the query matched
+ * @property {number} score - 0..1
+ * @property {'exact'|'high'|'low'} confidence - Only exact/high matches are used without asking
+ */
+
+/**
+ * @typedef {Object} RouteStep
+ * @property {string} instruction - e.g. "Turn left onto Janpath"
+ * @property {'depart'|'continue'|'slight-left'|'slight-right'|'left'|'right'|'uturn'|'arrive'} maneuver
+ * @property {string|null} road
+ * @property {number[]} location - [lat, lng] where the step starts
+ * @property {number} distance_m
+ * @property {number} duration_s
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {number} distance_m
+ * @property {number} duration_s
+ * @property {number} eta - Unix seconds of arrival if leaving now
+ * @property {number[][]} geometry - [lat, lng] points along the roads
+ * @property {RouteStep[]} steps
+ * @property {number} origin_offset_m - Distance from the origin to the nearest road
+ * @property {number} destination_offset_m
+ */
+
+/**
+ * @typedef {Object} TrafficJunction
+ * @property {string} id
+ * @property {string} name
+ * @property {number} lat
+ * @property {number} lng
+ * @property {'Low'|'Medium'|'High'} traffic_level
+ * @property {number} signal_timing - Signal cycle length in seconds
+ * @property {number} wait_time - Average queueing delay per vehicle in seconds
+ * @property {number} queue_length - Vehicles waiting on all approaches
+ * @property {number} distance - Metres from the requested location
+ */
+
+/**
+ * @typedef {Object} TrafficSegmentProperties
+ * @property {string} id
+ * @property {string} name - Road name
+ * @property {string} highway - Road class, e.g. "primary"
+ * @property {number} length_m
+ * @property {number} free_speed_kmh
+ * @property {number} speed_kmh
+ * @property {number} travel_time_s
+ * @property {number} signal_delay_s - Delay at the signals the segment leads to
+ * @property {number} volume_capacity - Highest volume/capacity on the segment or its signal approaches
+ * @property {'A'|'B'|'C'|'D'|'E'|'F'} level_of_service
+ * @property {string[]} junctions - Ids of the signalised junctions the segment leads to
+ */
+
+/**
+ * GeoJSON FeatureCollection of LineStrings with TrafficSegmentProperties
+ * @typedef {Object} TrafficSegments
+ * @property {'FeatureCollection'} type
+ * @property {Array<{type: 'Feature', id: string, geometry: Object, properties: TrafficSegmentProperties}>} features
+ * @property {number} minutes_ahead
+ * @property {number} at - Unix time the segments describe
+ * @property {number} generated_at
+ */
+
+/**
+ * @typedef {Object} AISuggestion
+ * @property {string} type - e.g. "Parking Strategy", the same in every language
+ * @property {string} title - The type in the request's language
+ * @property {string} message - In the request's language
+ * @property {number} confidence - 0..1
+ * @property {'High'|'Medium'|'Low'} priority
+ * @property {Recommendation} [recommendation] - The top-ranked parking, on the "Parking Strategy" suggestion
+ */
+
+/**
+ * @typedef {Object} RecommendationFactor
+ * @property {'walking'|'availability'|'forecast'|'price'|'congestion'} factor
+ * @property {string} label
+ * @property {string} detail - What was measured, e.g. "350 m walk (about 6 min)"
+ * @property {number} score - 0..1, higher is better
+ * @property {number} weight - Share of the total score, from the deployment's weights
+ * @property {number} contribution - score x weight
+ */
+
+/**
+ * @typedef {Object} Recommendation
+ * @property {'street'|'lot'} kind
+ * @property {string} id - Street slot id or lot name
+ * @property {string} name
+ * @property {string} area - Street or lot name
+ * @property {string|null} lot_type
+ * @property {number[]} location - [lat, lng]
+ * @property {number} walking_distance_m
+ * @property {number} walking_minutes
+ * @property {number} available_slots - Free spaces on the street or in the lot
+ * @property {number} total_slots
+ * @property {number} price_per_hour
+ * @property {number} current_availability - 0..1
+ * @property {number} predicted_availability_1h
+ * @property {number} predicted_availability_2h
+ * @property {number[]} availability_band_1h - [lower, upper] of the 80% band
+ * @property {number} availability_trend - Change in availability over the next hour
+ * @property {number} score - Sum of the factor contributions, 0..1
+ * @property {number} confidence - 0..1, from the width of the forecast band
+ * @property {RecommendationFactor[]} factors
+ * @property {string[]} reasons - Details of the factors weighing most in its favour
+ * @property {string} message
+ * @property {number} rank
+ */
+
+/**
+ * @typedef {Object} AITrafficSignal
+ * @property {string} id
+ * @property {string} name
+ * @property {number} lat
+ * @property {number} lng
+ * @property {'Red'|'Yellow'|'Green'} current_phase - Signal shown to the main road
+ * @property {number} time_remaining - Seconds until the main road's signal changes
+ * @property {string} active_phase - Approach that currently has right of way
+ * @property {number} timing - Optimized cycle length in seconds
+ * @property {SignalTiming} optimized_timing
+ * @property {SignalTiming} baseline_timing - The junction's fixed-time plan
+ * @property {Object<string, number>} queues - Vehicles waiting per approach
+ * @property {'Low'|'Medium'|'High'} traffic_level
+ * @property {number} average_delay - Seconds per vehicle under the optimizer
+ * @property {number} baseline_delay - Seconds per vehicle under the fixed-time plan
+ * @property {number} efficiency - Percentage of the fixed-time delay saved; negative if worse
+ * @property {string} optimizer
+ * @property {boolean} ai_optimized
+ */
+
+/**
+ * @typedef {Object} SignalTiming
+ * @property {number} cycle - Seconds
+ * @property {Object<string, number>} greens - Green seconds per approach
+ */
+
+/**
+ * @typedef {Object} InventoryZone
+ * @property {string} id - e.g. "central"
+ * @property {string} name
+ * @property {number} street_rate - Hourly base rate on street, before peak surcharges
+ * @property {number} garage_rate - Hourly base rate in lots
+ * @property {number} in_use - Lots and slots priced in the zone
+ */
+
+/**
+ * @typedef {Object} InventoryLot
+ * @property {number} id
+ * @property {string} name
+ * @property {string} zone - Tariff zone id
+ * @property {'business'|'shopping'|'transit'|'leisure'} lot_type
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} capacity
+ * @property {string} city
+ * @property {LotAmenities} amenities
+ * @property {number|null} occupied_slots
+ */
+
+/**
+ * @typedef {Object} InventorySlot
+ * @property {string} id - e.g. "street_12"
+ * @property {string} name
+ * @property {string} street
+ * @property {string} zone - Tariff zone id
+ * @property {'business'|'shopping'|'transit'|'leisure'} demand - Demand profile of the street
+ * @property {number[][]} polygon - [lat, lng] vertices
+ * @property {number} lat - Polygon centroid
+ * @property {number} lng
+ * @property {boolean} closed - Out of service for maintenance
+ * @property {SlotAmenities} amenities
+ * @property {boolean} available
+ * @property {boolean} reserved
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} username
+ * @property {'driver'|'officer'|'admin'} role
+ * @property {('reserve'|'enforce'|'manage')[]} permissions
+ * @property {number} created_at - Unix seconds
+ */
+
+/**
+ * @typedef {Object} Sensor
+ * @property {string} id
+ * @property {'ground'|'camera'|'gate'} kind
+ * @property {(string|number)[]} targets - Slot ids, or the lot id of a gate controller
+ * @property {number} heartbeat_seconds - Silent after twice this long without a request
+ * @property {number} created_at - Unix seconds
+ * @property {number|null} last_seen_at - Unix seconds of the last signed request
+ * @property {'waiting'|'live'|'silent'} status
+ * @property {string} [secret] - Signing secret, only in the response that registers the device
+ */
+
+/**
+ * @typedef {Object} SlotFlag
+ * @property {string} slot_id
+ * @property {string} slot_name
+ * @property {string} street
+ * @property {'wrong_status'|'blocked'|'signage'|'sensor_fault'|'other'} reason
+ * @property {string} reason_label
+ * @property {string} note
+ * @property {string} flagged_by - Officer's username
+ * @property {number} flagged_at - Unix seconds
+ * @property {boolean} recorded_available - What the system showed when the slot was flagged
+ * @property {boolean} recorded_reserved
+ */
+
+/**
+ * @typedef {Object} SlotCheck
+ * @property {StreetParkingSlot} slot
+ * @property {Reservation|null} reservation - The live hold on the slot, if any
+ * @property {SlotFlag|null} flag - The open flag, if any
+ */
+
+/**
+ * @typedef {Object} BeatSlot - A street slot as one stop of a patrol beat
+ * @property {number} stop - 1 for the first slot to walk to
+ * @property {number} walk_m - Walk from the previous stop, or from the officer for the first
+ * @property {{started_at: number, paid_until: number|null}|null} session - The open parking session, if any
+ * @property {number|null} overstay_seconds - How long the session has run past its paid time, past the grace period
+ * @property {SlotFlag|null} flag - The open flag, if any
+ */
+
+/**
+ * @typedef {Object} PatrolBeat
+ * @property {string} zone - Tariff zone of the beat
+ * @property {string|null} street - The one street patrolled, if narrowed
+ * @property {LatLng} start - Where the walking route starts
+ * @property {(StreetParkingSlot & BeatSlot)[]} slots - Open slots in walking order
+ * @property {number} route_m - Length of the whole walk
+ * @property {number} walking_minutes
+ * @property {number} overstays - Slots with an overstay
+ */
+
+/**
+ * @typedef {Object} Violation
+ * @property {number} id
+ * @property {string|null} client_id - Id the officer's device gave it, so a retried sync is not logged twice
+ * @property {string} slot_id
+ * @property {string} slot_name
+ * @property {string} street
+ * @property {string} zone
+ * @property {string} plate - Upper case, without spaces or hyphens
+ * @property {string} note
+ * @property {boolean} has_photo
+ * @property {string} officer - Officer's username
+ * @property {number} observed_at - Unix seconds, when the officer logged it on the device
+ * @property {number} logged_at - Unix seconds, when it reached the server
+ */
+
+/**
+ * @typedef {Object} SavedPlace
+ * @property {number} [id] - Set for places saved on the account
+ * @property {string} label - e.g. "Home", unique per driver
+ * @property {string} name - The place's own name
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} created_at - Unix seconds
+ */
+
+/**
+ * @typedef {Object} ParkingStay
+ * @property {number} [id] - Set for stays kept on the account
+ * @property {'street'|'lot'} kind
+ * @property {string} slot_id
+ * @property {string} name - Slot or lot name
+ * @property {string} zone - Tariff zone id
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} started_at - Unix seconds
+ * @property {number|null} [paid_until] - End of the paid time in Unix seconds, if the driver paid up front
+ * @property {number|null} ended_at - null while the car is still parked
+ * @property {number|null} cost - Priced with the tariff when the stay ends
+ * @property {string|null} currency
+ */
+
+/**
+ * @typedef {Object} DriverProfileData
+ * @property {SavedPlace[]} places
+ * @property {number[]} favourite_lots - Lot ids
+ * @property {ParkingStay[]} history - Newest first
+ */
+
+/**
+ * @typedef {Object} ZoneDayReport
+ * @property {string} zone
+ * @property {string} zone_name
+ * @property {number} spaces - Lot spaces plus street slots in the zone
+ * @property {number} peak_occupancy_rate - 0..1
+ * @property {number|null} peak_at - Unix seconds of the busiest snapshot
+ * @property {number} average_occupancy_rate - 0..1
+ * @property {number} arrivals - Arrivals seen between snapshots (a lower bound)
+ * @property {number} turnover - Arrivals per space
+ * @property {number|null} average_dwell_minutes - null without arrivals
+ * @property {number} revenue - Estimated from the tariff
+ * @property {(number|null)[]} hourly_occupancy - Average occupancy per local hour 0..23, null without samples
+ */
+
+/**
+ * @typedef {Object} DailyReport
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} currency
+ * @property {number} samples - Snapshots the report is built from
+ * @property {number} sample_interval_seconds
+ * @property {ZoneDayReport[]} zones
+ */
+
+/**
+ * Error raised for failed API calls; carries the HTTP status when there is one
+ */
+export class ParkingApiError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'ParkingApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Typed client for the parking JSON API
+ */
+export class ParkingClient {
+    constructor({ baseUrl = '/api' } = {}) {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Fetch an API path and return the parsed JSON body.
+     * Throws ParkingApiError on network failures, non-2xx responses and
+     * `{success: false}` payloads.
+     */
+    async request(path, { params = {}, method = 'GET', body } = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                query.append(key, value);
+            }
+        });
+        const queryString = query.toString();
+        const url = `${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`;
+
+        const options = { method, headers: { 'Accept': 'application/json' } };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            throw new ParkingApiError(t('api.network_error', { path }));
+        }
+
+        let payload = null;
+        try {
+            payload = await response.json();
+        } catch (error) {
+            payload = null;
+        }
+
+        if (!response.ok || (payload && payload.success === false)) {
+            const message = (payload && (payload.error || payload.message)) ||
+                t('api.request_failed', { path, status: response.status });
+            throw new ParkingApiError(message, response.status);
+        }
+
+        return payload;
+    }
+
+    /**
+     * @param {LatLng} location
+     * @param {Object} [filters] - Query parameters from filterParams() in space_filters.js
+     * @returns {Promise<StreetParkingSlot[]>}
+     */
+    async getStreetParking(location, filters = {}) {
+        const payload = await this.request('/street-parking', { params: { ...toParams(location), ...filters } });
+        return payload.data;
+    }
+
+    /**
+     * @param {LatLng} location
+     * @returns {Promise<TrafficJunction[]>}
+     */
+    async getTrafficJunctions(location) {
+        const payload = await this.request('/traffic-junctions', { params: toParams(location) });
+        return payload.data;
+    }
+
+    /**
+     * Congestion on every road segment, now or forecast up to 360 minutes ahead
+     * @param {number} [minutesAhead]
+     * @param {string} [region] - Region id; every region's roads without one
+     * @returns {Promise<TrafficSegments>}
+     */
+    async getTrafficSegments(minutesAhead = 0, region = null) {
+        // Served as plain GeoJSON, without the usual {success, data} envelope
+        return this.request('/traffic-segments', { params: { minutes_ahead: minutesAhead, region } });
+    }
+
+    /**
+     * @param {LatLng} location
+     * @returns {Promise<AISuggestion[]>}
+     */
+    async getAISuggestions(location) {
+        const payload = await this.request('/ai-suggestions', { params: toParams(location) });
+        return payload.data;
+    }
+
+    /**
+     * @param {LatLng} location
+     * @returns {Promise<AITrafficSignal[]>}
+     */
+    async getAITrafficSignals(location) {
+        const payload = await this.request('/ai-traffic-signals', { params: toParams(location) });
+        return payload.data;
+    }
+
+    /**
+     * Hold a free slot; fails with status 409 if someone else got there first
+     * @param {string} slotId
+     * @returns {Promise<Reservation>}
+     */
+    async reserveSlot(slotId) {
+        const payload = await this.request('/reservations', { method: 'POST', body: { slot_id: slotId } });
+        return payload.data;
+    }
+
+    /**
+     * @param {string} reservationId
+     * @returns {Promise<Reservation>}
+     */
+    async getReservation(reservationId) {
+        const payload = await this.request(`/reservations/${encodeURIComponent(reservationId)}`);
+        return payload.data;
+    }
+
+    /**
+     * @param {string} reservationId
+     * @returns {Promise<Reservation>}
+     */
+    async confirmReservation(reservationId) {
+        const payload = await this.request(`/reservations/${encodeURIComponent(reservationId)}/confirm`, { method: 'POST' });
+        return payload.data;
+    }
+
+    /**
+     * @param {string} reservationId
+     * @returns {Promise<Reservation>}
+     */
+    async cancelReservation(reservationId) {
+        const payload = await this.request(`/reservations/${encodeURIComponent(reservationId)}/cancel`, { method: 'POST' });
+        return payload.data;
+    }
+
+    /**
+     * Price a stay at a street slot starting now
+     * @param {string} slotId
+     * @param {number} durationHours
+     * @returns {Promise<Quote>}
+     */
+    async getQuote(slotId, durationHours) {
+        const payload = await this.request('/quote', { params: { slot_id: slotId, duration_hours: durationHours } });
+        return payload.data;
+    }
+
+    /**
+     * Price a stay in a tariff zone from a given start
+     * @param {string} zone
+     * @param {'street'|'garage'} kind
+     * @param {number} durationHours
+     * @param {number} [start] - Unix seconds; now when omitted
+     * @returns {Promise<Quote>}
+     */
+    async getZoneQuote(zone, kind, durationHours, start) {
+        const payload = await this.request('/quote', { params: { zone, kind, duration_hours: durationHours, start } });
+        return payload.data;
+    }
+
+    /**
+     * Occupancy forecast for a street, a lot, or every lot when neither is given
+     * @param {Object} [options]
+     * @param {string} [options.street]
+     * @param {string} [options.lot]
+     * @param {number} [options.hours]
+     * @param {number} [options.step] - Hours between points
+     * @param {string} [options.region] - Region id; without a street or lot, only that region's lots
+     * @returns {Promise<ForecastSeries[]>}
+     */
+    async getForecast({ street, lot, hours = 6, step = 1, region } = {}) {
+        const payload = await this.request('/forecast', { params: { street, lot, hours, step, region } });
+        return payload.data.series;
+    }
+
+    /**
+     * Ranked gazetteer matches for typed place text; empty when nothing matches
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @returns {Promise<Place[]>}
+     */
+    async geocode(query, { limit = 8 } = {}) {
+        const payload = await this.request('/geocode', { params: { q: query, limit } });
+        return payload.data;
+    }
+
+    /**
+     * Road route between two points; fails with status 422 outside the road network
+     * @param {LatLng} from
+     * @param {LatLng} to
+     * @returns {Promise<Route>}
+     */
+    async getRoute(from, to) {
+        const payload = await this.request('/route', {
+            params: { from_lat: from.lat, from_lng: from.lng, to_lat: to.lat, to_lng: to.lng }
+        });
+        return payload.data;
+    }
+
+    /**
+     * Quickest road route to a nearby free street slot
+     * @param {LatLng} location
+     * @param {Object} [filters] - Query parameters from filterParams() in space_filters.js
+     * @returns {Promise<{slot: StreetParkingSlot, route: Route}>}
+     */
+    async getRouteToParking(location, filters = {}) {
+        const payload = await this.request('/route-to-parking', { params: { ...toParams(location), ...filters } });
+        return payload.data;
+    }
+
+    /**
+     * Start a session; fails with status 401 on a wrong username or password
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<User>}
+     */
+    async login(username, password) {
+        const payload = await this.request('/auth/login', { method: 'POST', body: { username, password } });
+        return payload.data.user;
+    }
+
+    /**
+     * Create a driver account and sign in to it
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<User>}
+     */
+    async register(username, password) {
+        const payload = await this.request('/auth/register', { method: 'POST', body: { username, password } });
+        return payload.data.user;
+    }
+
+    async logout() {
+        await this.request('/auth/logout', { method: 'POST' });
+    }
+
+    /**
+     * @returns {Promise<User|null>} null when signed out
+     */
+    async getCurrentUser() {
+        const payload = await this.request('/auth/me');
+        return payload.data;
+    }
+
+    /**
+     * Saved places, favourite lots and recent stays of the signed-in driver
+     * @returns {Promise<DriverProfileData>}
+     */
+    async getProfile() {
+        const payload = await this.request('/me/profile');
+        return payload.data;
+    }
+
+    /**
+     * Fold a signed-out browser's copy into the account; places already on the account win
+     * @param {DriverProfileData} profile
+     * @returns {Promise<DriverProfileData>}
+     */
+    async mergeProfile(profile) {
+        const payload = await this.request('/me/profile/merge', { method: 'POST', body: profile });
+        return payload.data;
+    }
+
+    /**
+     * Save a place under its label, moving any place already saved with that label
+     * @param {{label: string, name: string, lat: number, lng: number}} place
+     * @returns {Promise<SavedPlace>}
+     */
+    async savePlace(place) {
+        const payload = await this.request('/me/places', { method: 'POST', body: place });
+        return payload.data;
+    }
+
+    /**
+     * @param {number} placeId
+     */
+    async deletePlace(placeId) {
+        await this.request(`/me/places/${placeId}`, { method: 'DELETE' });
+    }
+
+    /**
+     * @param {number} lotId
+     * @param {boolean} favourite
+     * @returns {Promise<number[]>} The favourite lot ids afterwards
+     */
+    async setFavouriteLot(lotId, favourite) {
+        const payload = await this.request(`/me/favourite-lots/${lotId}`, { method: favourite ? 'PUT' : 'DELETE' });
+        return payload.data;
+    }
+
+    /**
+     * Start a parking session at a slot or lot
+     * @param {{kind: string, slot_id: string, name: string, zone: string, lat: number, lng: number}} stay
+     * @param {number|null} [paidHours] - Time paid for up front
+     * @returns {Promise<ParkingStay>}
+     */
+    async startStay(stay, paidHours = null) {
+        const payload = await this.request('/me/history', {
+            method: 'POST',
+            body: { ...stay, paid_hours: paidHours }
+        });
+        return payload.data;
+    }
+
+    /**
+     * Pay for more time on an open stay
+     * @param {number} stayId
+     * @param {number} hours
+     * @returns {Promise<ParkingStay>}
+     */
+    async extendStay(stayId, hours) {
+        const payload = await this.request(`/me/history/${stayId}/extend`, { method: 'POST', body: { hours } });
+        return payload.data;
+    }
+
+    /**
+     * Close an open stay; the response carries its cost
+     * @param {number} stayId
+     * @returns {Promise<ParkingStay>}
+     */
+    async endStay(stayId) {
+        const payload = await this.request(`/me/history/${stayId}/end`, { method: 'POST' });
+        return payload.data;
+    }
+
+    /**
+     * Per-zone occupancy, turnover, dwell time and revenue for one day
+     * @param {string} [date] - YYYY-MM-DD; today by default
+     * @returns {Promise<DailyReport>}
+     */
+    async getDailyReport(date) {
+        const payload = await this.request('/reports/daily', { params: { date } });
+        return payload.data;
+    }
+
+    /**
+     * Officers: what the system records for a slot, to compare with the street
+     * @param {string} slotId
+     * @returns {Promise<SlotCheck>}
+     */
+    async checkSlot(slotId) {
+        const payload = await this.request(`/enforcement/slots/${encodeURIComponent(slotId)}`);
+        return payload.data;
+    }
+
+    /**
+     * Officers: flag a slot, replacing any open flag on it
+     * @param {string} slotId
+     * @param {SlotFlag['reason']} reason
+     * @param {string} [note]
+     * @returns {Promise<SlotFlag>}
+     */
+    async flagSlot(slotId, reason, note = '') {
+        const payload = await this.request(`/enforcement/slots/${encodeURIComponent(slotId)}/flag`, {
+            method: 'POST', body: { reason, note }
+        });
+        return payload.data;
+    }
+
+    /**
+     * @param {string} slotId
+     */
+    async clearSlotFlag(slotId) {
+        await this.request(`/enforcement/slots/${encodeURIComponent(slotId)}/flag`, { method: 'DELETE' });
+    }
+
+    /**
+     * Officers: open flags, newest first, with the reasons an officer can pick
+     * @returns {Promise<{flags: SlotFlag[], reasons: Object<string, string>}>}
+     */
+    async getSlotFlags() {
+        const payload = await this.request('/enforcement/flags');
+        return { flags: payload.data, reasons: payload.reasons };
+    }
+
+    /**
+     * Officers: the slots of a beat in walking order from a location, with overstays and flags
+     * @param {LatLng|null} location - Where the officer stands; the region's centre without one
+     * @param {Object} [options]
+     * @param {string} [options.zone] - Tariff zone; the zone of the nearest slot by default
+     * @param {string} [options.street] - Patrol only this street
+     * @returns {Promise<PatrolBeat>}
+     */
+    async getPatrolBeat(location, { zone, street } = {}) {
+        const payload = await this.request('/enforcement/beat', { params: { ...toParams(location), zone, street } });
+        return payload.data;
+    }
+
+    /**
+     * Officers: log a violation. Sending the same client_id again returns the first copy.
+     * @param {{client_id: string, slot_id: string, plate: string, note?: string, photo?: string|null, observed_at: number}} violation
+     *     photo is a base64 data URL; observed_at is Unix seconds
+     * @returns {Promise<Violation>}
+     */
+    async logViolation(violation) {
+        const payload = await this.request('/enforcement/violations', { method: 'POST', body: violation });
+        return payload.data;
+    }
+
+    /**
+     * Officers: the latest violations, newest first
+     * @param {number} [limit]
+     * @returns {Promise<Violation[]>}
+     */
+    async getViolations(limit) {
+        const payload = await this.request('/enforcement/violations', { params: { limit } });
+        return payload.data;
+    }
+
+    /**
+     * Every zone, lot and slot with the lot types the console offers
+     * @returns {Promise<{zones: InventoryZone[], lots: InventoryLot[], slots: InventorySlot[], lot_types: string[]}>}
+     */
+    async getInventory() {
+        const payload = await this.request('/admin/inventory');
+        return payload.data;
+    }
+
+    /**
+     * Create a zone (create=true) or update the fields given
+     * @param {Partial<InventoryZone>} zone - Must include id
+     * @param {boolean} [create]
+     * @returns {Promise<InventoryZone>}
+     */
+    async saveZone(zone, create = false) {
+        const payload = create
+            ? await this.request('/admin/zones', { method: 'POST', body: zone })
+            : await this.request(`/admin/zones/${encodeURIComponent(zone.id)}`, { method: 'PUT', body: zone });
+        return payload.data;
+    }
+
+    /**
+     * Fails with status 409 while lots or slots are still priced in the zone
+     * @param {string} zoneId
+     */
+    async deleteZone(zoneId) {
+        await this.request(`/admin/zones/${encodeURIComponent(zoneId)}`, { method: 'DELETE' });
+    }
+
+    /**
+     * Create a lot (no id) or update the fields given
+     * @param {Partial<InventoryLot>} lot
+     * @returns {Promise<InventoryLot>}
+     */
+    async saveLot(lot) {
+        const payload = lot.id === undefined || lot.id === null
+            ? await this.request('/admin/lots', { method: 'POST', body: lot })
+            : await this.request(`/admin/lots/${lot.id}`, { method: 'PUT', body: lot });
+        return payload.data;
+    }
+
+    /**
+     * @param {number} lotId
+     */
+    async deleteLot(lotId) {
+        await this.request(`/admin/lots/${lotId}`, { method: 'DELETE' });
+    }
+
+    /**
+     * Create a slot (no id) or update the fields given; `closed` takes it out for maintenance
+     * @param {Partial<InventorySlot>} slot
+     * @returns {Promise<InventorySlot>}
+     */
+    async saveSlot(slot) {
+        const payload = slot.id
+            ? await this.request(`/admin/slots/${encodeURIComponent(slot.id)}`, { method: 'PUT', body: slot })
+            : await this.request('/admin/slots', { method: 'POST', body: slot });
+        return payload.data;
+    }
+
+    /**
+     * Fails with status 409 while the slot is held for a reservation
+     * @param {string} slotId
+     */
+    async deleteSlot(slotId) {
+        await this.request(`/admin/slots/${encodeURIComponent(slotId)}`, { method: 'DELETE' });
+    }
+
+    /**
+     * @returns {Promise<{users: User[], roles: string[]}>}
+     */
+    async getUsers() {
+        const payload = await this.request('/admin/users');
+        return { users: payload.data, roles: payload.roles };
+    }
+
+    /**
+     * Create an account of any role, e.g. an enforcement officer
+     * @param {{username: string, password: string, role: User['role']}} user
+     * @returns {Promise<User>}
+     */
+    async createUser(user) {
+        const payload = await this.request('/admin/users', { method: 'POST', body: user });
+        return payload.data;
+    }
+
+    /**
+     * Fails with status 409 when it would leave no admin
+     * @param {number} userId
+     * @param {User['role']} role
+     * @returns {Promise<User>}
+     */
+    async setUserRole(userId, role) {
+        const payload = await this.request(`/admin/users/${userId}`, { method: 'PUT', body: { role } });
+        return payload.data;
+    }
+
+    /**
+     * @returns {Promise<{sensors: Sensor[], kinds: string[]}>}
+     */
+    async getSensors() {
+        const payload = await this.request('/admin/sensors');
+        return { sensors: payload.data, kinds: payload.kinds };
+    }
+
+    /**
+     * Register a device; the result carries its signing secret, which is not shown again
+     * @param {{id: string, kind: Sensor['kind'], targets: (string|number)[], heartbeat_seconds?: number}} sensor
+     * @returns {Promise<Sensor>}
+     */
+    async createSensor(sensor) {
+        const payload = await this.request('/admin/sensors', { method: 'POST', body: sensor });
+        return payload.data;
+    }
+
+    /**
+     * What the device covered goes back to the simulation
+     * @param {string} sensorId
+     */
+    async deleteSensor(sensorId) {
+        await this.request(`/admin/sensors/${encodeURIComponent(sensorId)}`, { method: 'DELETE' });
+    }
+}
+
+function toParams(location) {
+    return location ? { lat: location.lat, lng: location.lng } : {};
+}
+
+// Default client instance for pages that don't need a custom base URL
+export const parkingClient = new ParkingClient();
+
+/**
+ * Turn a GeolocationPositionError into a message for the user
+ */
+export function geolocationErrorMessage(error) {
+    switch (error && error.code) {
+        case 1: // PERMISSION_DENIED
+            return t('gps.denied');
+        case 2: // POSITION_UNAVAILABLE
+            return t('gps.unavailable');
+        case 3: // TIMEOUT
+            return t('gps.timeout');
+        default:
+            return t('gps.error');
+    }
+}
+
+/**
+ * Promise wrapper around navigator.geolocation.getCurrentPosition.
+ * Rejects with an Error whose message is ready to show to the user.
+ * @returns {Promise<LatLng & {accuracy: number}>}
+ */
+export function getCurrentPosition(options = {}) {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error(t('gps.unsupported')));
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                resolve({
+                    lat: position.coords.latitude,
+                    lng: position.coords.longitude,
+                    accuracy: position.coords.accuracy
+                });
+            },
+            (error) => {
+                console.error('❌ GPS Error:', error);
+                const wrapped = new Error(geolocationErrorMessage(error));
+                wrapped.code = error.code;
+                reject(wrapped);
+            },
+            {
+                enableHighAccuracy: true,
+                timeout: 20000,
+                maximumAge: 60000,
+                ...options
+            }
+        );
+    });
+}
+
+/**
+ * The "set location" box of the map pages: the suggestion picked, else the
+ * typed text geocoded, with the page moved into the place's region.
+ * Problems are shown as notifications and give null.
+ * @param {L.Map} map
+ * @param {HTMLInputElement} input
+ * @param {Place|null} [selected] - A suggestion picked from the autocomplete
+ * @param {Object} [options]
+ * @param {string} [options.emptyMessage] - Shown when nothing was typed
+ * @param {function(LatLng): *} [options.enterRegion] - Moves the page to a location's region; falsy outside every region
+ * @returns {Promise<Place|null>}
+ */
+export async function locationFromInput(map, input, selected = null, {
+    emptyMessage = t('dashboard.enter_location'),
+    enterRegion = location => enterRegionAt(map, location)
+} = {}) {
+    const text = input.value.trim();
+    if (!selected && !text) {
+        showNotification(emptyMessage, 'error');
+        return null;
+    }
+
+    let location = selected;
+    if (!location) {
+        // Loaded on use: location_search.js depends on this module through driver_profile.js
+        const { geocodeLocation, locationNotFoundMessage } = await import('./location_search.js');
+        try {
+            const { place, suggestions } = await geocodeLocation(text);
+            if (!place) {
+                showNotification(locationNotFoundMessage(text, suggestions), 'error');
+                return null;
+            }
+            location = place;
+        } catch (error) {
+            showNotification(t('dashboard.search_failed', { error: error.message }), 'error');
+            return null;
+        }
+    }
+
+    if (!enterRegion(location)) {
+        showNotification(outsideRegionsMessage(location.name), 'error');
+        return null;
+    }
+    return location;
+}
+
+/**
+ * The "use my location" button: disabled with a spinner while the fix is
+ * taken, then put back as it was. Errors are shown as notifications and give null.
+ * @param {HTMLButtonElement} button
+ * @param {PositionOptions} [options]
+ * @returns {Promise<(LatLng & {accuracy: number})|null>}
+ */
+export async function positionFromButton(button, options = {}) {
+    const label = button.innerHTML;
+    button.disabled = true;
+    button.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${escapeHtml(t('demo.getting_gps'))}`;
+    try {
+        return await getCurrentPosition(options);
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return null;
+    } finally {
+        button.disabled = false;
+        button.innerHTML = label;
+    }
+}
+
+/**
+ * Check whether a location lies inside {southwest, northeast} bounds
+ * @param {LatLng} location
+ */
+export function isWithinBounds(location, bounds) {
+    return location.lat >= bounds.southwest[0] &&
+           location.lat <= bounds.northeast[0] &&
+           location.lng >= bounds.southwest[1] &&
+           location.lng <= bounds.northeast[1];
+}
+
+/**
+ * Calculate the great-circle distance between two locations (in km)
+ * @param {LatLng} from
+ * @param {LatLng} to
+ */
+export function calculateDistance(from, to) {
+    const R = 6371; // Earth's radius in km
+    const dLat = (to.lat - from.lat) * Math.PI / 180;
+    const dLng = (to.lng - from.lng) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Format a distance in km as "350 m" or "1.2 km", in the page's language
+ */
+export function formatDistance(km) {
+    return km < 1
+        ? t('unit.metres', { value: formatNumber(Math.round(km * 1000)) })
+        : t('unit.kilometres', { value: formatNumber(km, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+}
+
+// White text on these keeps 4.5:1 contrast
+const NOTIFICATION_COLORS = {
+    success: '#2e7d32',
+    error: '#c62828',
+    info: '#1565c0',
+    warning: '#b45309'
+};
+
+const NOTIFICATION_ICONS = {
+    success: '✅',
+    error: '❌',
+    info: 'ℹ️',
+    warning: '⚠️'
+};
+
+// Errors and warnings stay until dismissed; others stay longer the more there is to read
+const PERSISTENT_NOTIFICATIONS = ['error', 'warning'];
+const READING_MS_PER_CHARACTER = 60;
+
+/**
+ * Show a dismissible toast notification.
+ * The message is rendered as text unless `html: true` is passed.
+ *
+ * Toasts are announced: errors interrupt as alerts, the rest are read politely.
+ * Errors and warnings stay until dismissed. Other toasts stay at least `duration` ms,
+ * and their timer pauses while the pointer or keyboard focus is on them. Escape
+ * dismisses the toast that has focus.
+ */
+export function showNotification(message, type = 'info', { duration = 5000, html = false } = {}) {
+    if (!document.getElementById('notification-styles')) {
+        const style = document.createElement('style');
+        style.id = 'notification-styles';
+        style.textContent = `
+            @keyframes slideIn {
+                from { transform: translateX(100%); opacity: 0; }
+                to { transform: translateX(0); opacity: 1; }
+            }
+            .parking-notification-stack {
+                position: fixed;
+                top: 100px;
+                right: 20px;
+                z-index: 10000;
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                max-width: 350px;
+            }
+            .parking-notification {
+                color: white;
+                padding: 15px 20px;
+                border-radius: 10px;
+                font-size: 0.9rem;
+                box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+                animation: slideIn 0.3s ease-out;
+            }
+            .parking-notification button {
+                background: rgba(255,255,255,0.2);
+                color: white;
+                border: 1px solid rgba(255,255,255,0.3);
+                padding: 5px 10px;
+                border-radius: 5px;
+                cursor: pointer;
+                margin-top: 10px;
+                font-size: 0.8rem;
+            }
+            .parking-notification button:focus-visible {
+                outline: 3px solid white;
+                outline-offset: 2px;
+            }
+            @media (prefers-reduced-motion: reduce) {
+                .parking-notification {
+                    animation: none !important;
+                }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    let stack = document.querySelector('.parking-notification-stack');
+    if (!stack) {
+        stack = document.createElement('div');
+        stack.className = 'parking-notification-stack';
+        stack.setAttribute('role', 'region');
+        stack.setAttribute('aria-label', t('notification.region'));
+        document.body.appendChild(stack);
+    }
+
+    const notification = document.createElement('div');
+    notification.className = `parking-notification ${type}`;
+    notification.style.background = NOTIFICATION_COLORS[type] || NOTIFICATION_COLORS.info;
+
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 10px;';
+    const icon = document.createElement('span');
+    icon.style.fontSize = '1.2rem';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = NOTIFICATION_ICONS[type] || NOTIFICATION_ICONS.info;
+    const text = document.createElement('span');
+    // Alerts are spoken at once, status messages when the screen reader is idle
+    text.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    const fill = () => {
+        if (html) {
+            text.innerHTML = message;
+        } else {
+            text.textContent = message;
+        }
+    };
+    row.append(icon, text);
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.textContent = t('notification.dismiss');
+    dismiss.addEventListener('click', () => notification.remove());
+
+    notification.append(row, dismiss);
+    notification.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+            notification.remove();
+        }
+    });
+    stack.appendChild(notification);
+    if (type === 'error') {
+        fill();
+    } else {
+        // A status region is read when its text changes, not when it appears, so it is filled just after
+        setTimeout(fill, 100);
+    }
+
+    if (!PERSISTENT_NOTIFICATIONS.includes(type)) {
+        let remaining = Math.max(duration, String(message).length * READING_MS_PER_CHARACTER);
+        let startedAt = 0;
+        let timer = null;
+        const start = () => {
+            startedAt = Date.now();
+            timer = setTimeout(() => {
+                if (notification.parentElement) {
+                    notification.style.animation = 'slideIn 0.3s ease-out reverse';
+                    setTimeout(() => notification.remove(), 300);
+                }
+            }, remaining);
+        };
+        const pause = () => {
+            if (!timer) return;
+            clearTimeout(timer);
+            timer = null;
+            remaining -= Date.now() - startedAt;
+        };
+        const resume = () => {
+            if (!timer && !notification.matches(':hover') && !notification.contains(document.activeElement)) {
+                start();
+            }
+        };
+        notification.addEventListener('mouseenter', pause);
+        notification.addEventListener('focusin', pause);
+        notification.addEventListener('mouseleave', resume);
+        notification.addEventListener('focusout', () => setTimeout(resume));
+        start();
+    }
+
+    console.log(`📢 Notification: ${message}`);
+    return notification;
+}
+
+/**
+ * Display status of a street slot: free, held for someone's reservation, or taken.
+ * The colours keep 4.5:1 contrast with white, and the pattern (see accessibility.js)
+ * tells the statuses apart without colour.
+ * @param {StreetParkingSlot} slot
+ */
+export function slotStatus(slot) {
+    if (slot.available) {
+        return { key: 'available', label: t('slot.status.available'), color: '#1e7e34', pattern: 'open' };
+    }
+    if (slot.reserved) {
+        return { key: 'reserved', label: t('slot.status.reserved'), color: '#b45309', pattern: 'held' };
+    }
+    return { key: 'occupied', label: t('slot.status.occupied'), color: '#c82333', pattern: 'closed' };
+}
+
+/**
+ * Display status of a parking lot by how full it is, in the colours and patterns of slotStatus
+ * @param {{occupancy_rate: number, available_slots: number}} lot
+ */
+export function lotStatus(lot) {
+    if (lot.available_slots === 0) {
+        return { key: 'full', label: t('lot.status.full'), color: '#c82333', pattern: 'closed' };
+    }
+    if (lot.occupancy_rate > 0.8) {
+        return { key: 'nearly_full', label: t('lot.status.nearly_full'), color: '#c82333', pattern: 'closed' };
+    }
+    if (lot.occupancy_rate > 0.6) {
+        return { key: 'busy', label: t('lot.status.busy'), color: '#b45309', pattern: 'held' };
+    }
+    return { key: 'open', label: t('lot.status.open'), color: '#1e7e34', pattern: 'open' };
+}
+
+/**
+ * Escape text for interpolation into HTML template strings
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
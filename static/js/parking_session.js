@@ -0,0 +1,379 @@
+/**
+ * Active parking session shared by the map pages.
+ * The driver starts a session on the slot or lot they parked in. A floating
+ * panel shows how long the car has been parked, the cost so far under the
+ * tariff and the paid time left. It warns before the paid time runs out, in
+ * the page and with a browser notification, and "find my car" routes back
+ * to the car from the driver's GPS position.
+ *
+ * Reminders come from the open page, not a push server: with every page of
+ * the app closed, no notification arrives.
+ */
+
+import { formatCurrency, formatNumber, formatTime, t } from './i18n.js';
+import { parkingClient, getCurrentPosition, showNotification, escapeHtml } from './parking_client.js';
+import { driverProfile } from './driver_profile.js';
+
+const DEFAULT_PAID_HOURS = 1;
+const EXTEND_HOURS = 0.5;
+const REMINDER_MINUTES = 10;
+const COST_REFRESH_MS = 60000;
+const MAX_QUOTE_HOURS = 72;
+const REMINDED_KEY = 'parking.sessionReminders';
+const NOTIFICATION_TAG = 'parking-session';
+
+export class ParkingSessionPanel {
+    /**
+     * @param {Object} [options]
+     * @param {import('./parking_client.js').ParkingClient} [options.client]
+     * @param {import('./driver_profile.js').DriverProfile} [options.profile]
+     * @param {Function|null} [options.onFindCar] - Called with (stay, position) to draw the route back to the car
+     */
+    constructor({ client = parkingClient, profile = driverProfile, onFindCar = null } = {}) {
+        this.client = client;
+        this.profile = profile;
+        this.onFindCar = onFindCar;
+        this.stay = null;
+        this.cost = null;
+        this.costUpdatedAt = 0;
+        this.timer = null;
+        this.element = null;
+    }
+
+    /**
+     * Show the session left running on an earlier visit and follow later changes
+     */
+    async init() {
+        this.profile.addEventListener('change', () => this.sync());
+        if ('serviceWorker' in navigator) {
+            // "Extend" tapped on a notification (see static/service-worker.js)
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'parking-session' && event.data.action === 'extend') {
+                    this.extend();
+                }
+            });
+        }
+        try {
+            await this.profile.load();
+        } catch (error) {
+            // Already logged by the profile; the panel stays hidden
+            return;
+        }
+        // The profile may have loaded before this panel listened
+        this.sync();
+    }
+
+    /**
+     * Start a session where the driver parked
+     * @param {{kind: 'street'|'lot', slot_id: string, name: string, zone: string, lat: number, lng: number}} target
+     * @param {number} [paidHours]
+     */
+    async start(target, paidHours = DEFAULT_PAID_HOURS) {
+        if (this.stay) {
+            showNotification(t('session.already_running', { place: this.stay.name }), 'warning');
+            return null;
+        }
+        requestNotificationPermission();
+        try {
+            const stay = await this.profile.startStay(target, paidHours);
+            showNotification(t('session.started', { place: stay.name, paid: formatHours(paidHours) }), 'success');
+            console.log(`⏱️ Parking session started at ${stay.slot_id}`);
+            return stay;
+        } catch (error) {
+            showNotification(t('session.start_failed', { error: error.message }), 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Pay for more time
+     * @param {number} [hours]
+     */
+    async extend(hours = EXTEND_HOURS) {
+        if (!this.stay) return;
+        try {
+            const stay = await this.profile.extendStay(this.stay, hours);
+            showNotification(t('session.paid_until', { time: formatTime(stay.paid_until) }), 'success');
+        } catch (error) {
+            showNotification(t('session.extend_failed', { error: error.message }), 'error');
+        }
+    }
+
+    /**
+     * The driver has left: close the stay and show what it cost
+     */
+    async end() {
+        if (!this.stay) return;
+        try {
+            const stay = await this.profile.endStay(this.stay);
+            showNotification(stay.cost !== null
+                ? t('session.ended_cost', { place: stay.name, cost: formatCost(stay.cost, stay.currency) })
+                : t('session.ended', { place: stay.name }), 'success');
+        } catch (error) {
+            showNotification(t('session.end_failed', { error: error.message }), 'error');
+        }
+    }
+
+    /**
+     * Route from the driver's GPS position back to the parked car
+     */
+    async findCar() {
+        if (!this.stay || !this.onFindCar) return;
+        const stay = this.stay;
+        try {
+            const position = await getCurrentPosition({ maximumAge: 0 });
+            this.onFindCar(stay, position);
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Follow the profile's active stay: show, update or hide the panel
+     */
+    sync() {
+        const stay = this.profile.activeStay;
+        if (!stay) {
+            this.hide();
+            return;
+        }
+
+        const changed = !this.stay || this.stay.slot_id !== stay.slot_id || this.stay.started_at !== stay.started_at;
+        this.stay = stay;
+        if (changed) {
+            this.cost = null;
+            this.costUpdatedAt = 0;
+        }
+        this.render();
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), 1000);
+        }
+        this.tick();
+    }
+
+    hide() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.stay = null;
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    tick() {
+        const stay = this.stay;
+        if (!stay || !this.element) return;
+        const now = Date.now() / 1000;
+
+        this.element.querySelector('.session-elapsed').textContent = formatDuration(now - stay.started_at);
+        const paid = this.element.querySelector('.session-paid');
+        if (stay.paid_until) {
+            const remaining = stay.paid_until - now;
+            paid.textContent = remaining > 0
+                ? t('session.time_left', { duration: formatDuration(remaining), time: formatTime(stay.paid_until) })
+                : t('session.expired_ago', { duration: formatDuration(-remaining) });
+            paid.classList.toggle('urgent', remaining <= REMINDER_MINUTES * 60);
+            this.checkReminders(remaining);
+        } else {
+            paid.textContent = t('session.pay_as_you_go');
+            paid.classList.remove('urgent');
+        }
+
+        if (Date.now() - this.costUpdatedAt >= COST_REFRESH_MS) {
+            this.costUpdatedAt = Date.now();
+            this.refreshCost();
+        }
+    }
+
+    /**
+     * Price the time parked so far with the tariff of the stay's zone
+     */
+    async refreshCost() {
+        const stay = this.stay;
+        const hours = Math.max((Date.now() / 1000 - stay.started_at) / 3600, 1 / 60);
+        try {
+            const quote = await this.client.getZoneQuote(
+                stay.zone, stay.kind === 'lot' ? 'garage' : 'street', Math.min(hours, MAX_QUOTE_HOURS), stay.started_at);
+            if (!this.stay || this.stay.started_at !== stay.started_at) return;
+            this.cost = formatCost(quote.total, quote.currency);
+        } catch (error) {
+            this.cost = null;
+        }
+        const cost = this.element && this.element.querySelector('.session-cost');
+        if (cost) {
+            cost.textContent = this.cost || '—';
+        }
+    }
+
+    checkReminders(remaining) {
+        const stay = this.stay;
+        const key = `${stay.slot_id}|${stay.started_at}|${stay.paid_until}`;
+        if (remaining <= 0) {
+            this.remind(`${key}|expired`, t('session.reminder.expired_title'),
+                t('session.reminder.expired_body', { place: stay.name }));
+        } else if (remaining <= REMINDER_MINUTES * 60) {
+            this.remind(`${key}|soon`, t('session.reminder.soon_title', { minutes: Math.ceil(remaining / 60) }),
+                t('session.reminder.soon_body', { place: stay.name, time: formatTime(stay.paid_until) }));
+        }
+    }
+
+    /**
+     * Warn once per paid period, across page loads and open tabs
+     */
+    remind(key, title, body) {
+        const reminded = readReminded();
+        if (reminded.includes(key)) return;
+        localStorage.setItem(REMINDED_KEY, JSON.stringify([...reminded, key].slice(-20)));
+
+        showNotification(`${title}. ${body}`, 'warning');
+        showBrowserNotification(title, body).catch(error =>
+            console.warn('⚠️ Could not show a browser notification:', error));
+        console.log(`⏰ ${title}`);
+    }
+
+    render() {
+        ensureStyles();
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'session-panel';
+            this.element.setAttribute('role', 'region');
+            this.element.setAttribute('aria-label', t('session.label'));
+            document.body.appendChild(this.element);
+        }
+
+        const stay = this.stay;
+        this.element.innerHTML = `
+            <div class="session-title">${stay.kind === 'lot' ? '🏢' : '🅿️'} ${escapeHtml(t('session.parked_at', { place: stay.name }))}</div>
+            <div class="session-body">
+                <div>${escapeHtml(t('session.parked_for'))} <span class="session-elapsed"></span> · ${escapeHtml(t('session.so_far'))} <span class="session-cost">${this.cost || '…'}</span></div>
+                <div class="session-paid"></div>
+            </div>
+            <div class="session-actions">
+                <button type="button" class="session-extend">➕ ${formatHours(EXTEND_HOURS)}</button>
+                ${this.onFindCar ? `<button type="button" class="session-find">🚗 ${escapeHtml(t('session.find_car'))}</button>` : ''}
+                <button type="button" class="session-end">🏁 ${escapeHtml(t('session.end'))}</button>
+            </div>
+        `;
+        this.element.querySelector('.session-extend').addEventListener('click', () => this.extend());
+        this.element.querySelector('.session-end').addEventListener('click', () => this.end());
+        if (this.onFindCar) {
+            this.element.querySelector('.session-find').addEventListener('click', () => this.findCar());
+        }
+    }
+}
+
+/**
+ * Ask once, while the driver is starting a session, so the prompt has a reason
+ */
+function requestNotificationPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission().catch(() => {});
+    }
+}
+
+async function showBrowserNotification(title, body) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    const options = { body, tag: NOTIFICATION_TAG, renotify: true, icon: '/static/icons/icon.svg' };
+    if (registration) {
+        // Only service worker notifications can carry action buttons
+        await registration.showNotification(title, {
+            ...options,
+            actions: [{ action: 'extend', title: t('session.extend_by', { duration: formatHours(EXTEND_HOURS) }) }]
+        });
+    } else {
+        new Notification(title, options);
+    }
+}
+
+function readReminded() {
+    try {
+        return JSON.parse(localStorage.getItem(REMINDED_KEY) || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function formatHours(hours) {
+    return hours < 1
+        ? t('session.minutes_short', { count: Math.round(hours * 60) })
+        : t('session.hours_short', { count: formatNumber(hours) });
+}
+
+function formatCost(amount, currency) {
+    return formatCurrency(amount, currency, { decimals: 2 });
+}
+
+function ensureStyles() {
+    if (document.getElementById('session-panel-styles')) {
+        return;
+    }
+    const style = document.createElement('style');
+    style.id = 'session-panel-styles';
+    style.textContent = `
+        .session-panel {
+            position: fixed;
+            right: 20px;
+            bottom: 20px;
+            z-index: 10000;
+            background: white;
+            border-left: 5px solid #28a745;
+            border-radius: 10px;
+            padding: 15px 20px;
+            box-shadow: 0 5px 20px rgba(0, 0, 0, 0.25);
+            max-width: 340px;
+            font-size: 0.9rem;
+        }
+        .session-title {
+            font-weight: 600;
+            color: #333;
+            margin-bottom: 5px;
+        }
+        .session-body {
+            color: #555;
+            font-variant-numeric: tabular-nums;
+        }
+        .session-elapsed,
+        .session-cost {
+            font-weight: bold;
+            color: #333;
+        }
+        .session-paid.urgent {
+            color: #dc3545;
+            font-weight: bold;
+        }
+        .session-actions {
+            display: flex;
+            gap: 8px;
+            margin-top: 10px;
+        }
+        .session-actions button {
+            flex: 1;
+            border: none;
+            border-radius: 5px;
+            padding: 8px;
+            cursor: pointer;
+            font-size: 0.85rem;
+            color: white;
+        }
+        .session-extend {
+            background: #007bff;
+        }
+        .session-find {
+            background: #fd7e14;
+        }
+        .session-end {
+            background: #6c757d;
+        }
+    `;
+    document.head.appendChild(style);
+}
@@ -0,0 +1,45 @@
+/**
+ * Explaining recommendation rankings from /api/recommendations and the
+ * "Parking Strategy" suggestion of /api/ai-suggestions.
+ * Shared by the dashboard and the map pages so the factor breakdown reads
+ * the same everywhere.
+ */
+
+import { formatPercent, t } from './i18n.js';
+import { escapeHtml } from './parking_client.js';
+
+/**
+ * "high", "medium" or "low" for a 0..1 forecast confidence
+ * @param {number} confidence
+ * @returns {'high'|'medium'|'low'}
+ */
+export function confidenceLevel(confidence) {
+    return confidence >= 0.7 ? 'high' : confidence >= 0.5 ? 'medium' : 'low';
+}
+
+/**
+ * One bar per factor: its 0..1 score, weight and what it measured
+ * @param {import('./parking_client.js').Recommendation} recommendation
+ * @returns {string}
+ */
+export function recommendationFactorsHtml(recommendation) {
+    const rows = recommendation.factors.map(factor => `
+        <div class="recommendation-factor" style="margin-top: 0.25rem;"
+             title="${escapeHtml(t('recommendation.factor_weight', {
+                 label: factor.label,
+                 score: formatPercent(factor.score),
+                 weight: formatPercent(factor.weight)
+             }))}">
+            <div style="display: flex; justify-content: space-between; font-size: 0.75rem;">
+                <span>${escapeHtml(factor.label)}</span>
+                <span>+${Math.round(factor.contribution * 100)}</span>
+            </div>
+            <div style="height: 4px; border-radius: 2px; background: rgba(127, 127, 127, 0.3);">
+                <div style="height: 100%; width: ${Math.round(factor.score * 100)}%; border-radius: 2px; background: #28a745;"></div>
+            </div>
+            <small style="opacity: 0.8;">${escapeHtml(factor.detail)}</small>
+        </div>
+    `).join('');
+
+    return `<div class="recommendation-factors">${rows}</div>`;
+}
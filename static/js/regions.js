@@ -0,0 +1,119 @@
+/**
+ * The cities the service runs in (see parking/regions.py), read from the
+ * page's data-regions attribute. Pages open on the region the user last
+ * looked at and switch to whichever region a GPS fix or a chosen place
+ * falls in; API calls that are not about one location pass `region`.
+ */
+
+import { t } from './i18n.js';
+import { isWithinBounds } from './parking_client.js';
+
+const STORAGE_KEY = 'parking.region';
+
+/**
+ * @typedef {Object} Region
+ * @property {string} id
+ * @property {string} name
+ * @property {[number, number]} southwest - [lat, lng]
+ * @property {[number, number]} northeast - [lat, lng]
+ * @property {[number, number]} center - [lat, lng]
+ * @property {string} timezone - IANA name, e.g. Asia/Kolkata
+ * @property {string} currency - ISO 4217 code
+ */
+
+/** @type {Region[]} The first one is the default */
+export const REGIONS = JSON.parse(document.body.dataset.regions || '[]');
+
+/**
+ * @param {string} id
+ * @returns {Region|null}
+ */
+export function regionById(id) {
+    return REGIONS.find(region => region.id === id) || null;
+}
+
+/**
+ * The region a location lies in (the smallest, where boxes overlap), or null outside them all
+ * @param {{lat: number, lng: number}} location
+ * @returns {Region|null}
+ */
+export function regionAt(location) {
+    const area = region => (region.northeast[0] - region.southwest[0]) * (region.northeast[1] - region.southwest[1]);
+    return REGIONS.filter(region => isWithinBounds(location, region))
+        .sort((a, b) => area(a) - area(b))[0] || null;
+}
+
+/**
+ * The region the user last looked at, or the default
+ * @returns {Region}
+ */
+export function currentRegion() {
+    try {
+        return regionById(localStorage.getItem(STORAGE_KEY)) || REGIONS[0];
+    } catch (error) {
+        return REGIONS[0];
+    }
+}
+
+/**
+ * @param {Region} region
+ */
+export function setCurrentRegion(region) {
+    localStorage.setItem(STORAGE_KEY, region.id);
+}
+
+/**
+ * @param {Region} region
+ * @returns {[[number, number], [number, number]]} Leaflet bounds
+ */
+export function regionBounds(region) {
+    return [region.southwest, region.northeast];
+}
+
+/**
+ * Keep a map inside a region and centre it there
+ * @param {L.Map} map
+ * @param {Region} region
+ * @param {number} [zoom]
+ */
+export function showRegion(map, region, zoom = 13) {
+    map.setMaxBounds(regionBounds(region));
+    map.setView(region.center, zoom);
+}
+
+/**
+ * Put the region's name into every [data-region-name] element of the page;
+ * one that names a message key gets that message with the name as its {city}
+ * @param {Region} region
+ */
+export function labelRegion(region) {
+    document.querySelectorAll('[data-region-name]').forEach(element => {
+        const key = element.dataset.regionName;
+        element.textContent = key ? t(key, { city: region.name }) : region.name;
+    });
+}
+
+/**
+ * @param {string} [what] - What is outside, e.g. a place name; "Your location" by default
+ */
+export function outsideRegionsMessage(what = t('regions.your_location')) {
+    return t('regions.outside', { what, regions: REGIONS.map(region => region.name).join(', ') });
+}
+
+/**
+ * Move a page to the region a location lies in: remembered for the next visit,
+ * the map kept inside it and the page's region labels renamed
+ * @param {L.Map} map
+ * @param {{lat: number, lng: number}} location
+ * @returns {Region|null} The region, or null when the location is outside every region
+ */
+export function enterRegionAt(map, location) {
+    const region = regionAt(location);
+    if (region) {
+        setCurrentRegion(region);
+        // Before the map moves to the location, or the old bounds would pull it back
+        map.setMaxBounds(regionBounds(region));
+        labelRegion(region);
+    }
+    return region;
+}
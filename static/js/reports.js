@@ -0,0 +1,247 @@
+/**
+ * Daily report page: per-zone figures for one day from /api/reports/daily,
+ * drawn as a table and Chart.js charts, plus links to the CSV and GeoJSON
+ * exports for a date range.
+ */
+
+import { formatCurrency, formatNumber, formatTime, t } from './i18n.js';
+import { escapeHtml, parkingClient, showNotification } from './parking_client.js';
+
+const ZONE_COLORS = ['#667eea', '#28a745', '#fd7e14', '#dc3545', '#17a2b8', '#6f42c1', '#ffc107', '#20c997'];
+const DEFAULT_EXPORT_DAYS = 7;
+
+const charts = {
+    peak: null,
+    revenue: null,
+    hourly: null
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const today = isoDay(new Date());
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - (DEFAULT_EXPORT_DAYS - 1));
+
+    const dateInput = document.getElementById('report-date');
+    dateInput.value = today;
+    dateInput.max = today;
+    dateInput.addEventListener('change', () => dateInput.value && loadReport(dateInput.value));
+
+    document.getElementById('export-from').value = isoDay(weekAgo);
+    document.getElementById('export-to').value = today;
+    document.getElementById('export-form').addEventListener('change', updateExportLinks);
+    document.getElementById('print-report').addEventListener('click', () => window.print());
+
+    initializeCharts();
+    updateExportLinks();
+    loadReport(today);
+});
+
+/**
+ * YYYY-MM-DD of a date in local time
+ */
+function isoDay(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+async function loadReport(date) {
+    try {
+        const report = await parkingClient.getDailyReport(date);
+        renderSummary(report);
+        renderZones(report);
+        renderCharts(report);
+        fillZoneSelect(report.zones);
+        console.log(`📊 Report for ${report.date}: ${report.samples} snapshots, ${report.zones.length} zones`);
+    } catch (error) {
+        console.error('Error loading report:', error);
+        showNotification(t('report.load_failed', { error: error.message }), 'error');
+    }
+}
+
+function formatMoney(amount, currency) {
+    return formatCurrency(amount, currency, { decimals: 0 });
+}
+
+function percent(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
+
+function renderSummary(report) {
+    const revenue = report.zones.reduce((sum, zone) => sum + zone.revenue, 0);
+    const arrivals = report.zones.reduce((sum, zone) => sum + zone.arrivals, 0);
+    const busiest = report.zones.reduce((best, zone) =>
+        !best || zone.peak_occupancy_rate > best.peak_occupancy_rate ? zone : best, null);
+
+    document.getElementById('summary-revenue').textContent = formatMoney(revenue, report.currency);
+    document.getElementById('summary-arrivals').textContent = formatNumber(arrivals);
+    document.getElementById('summary-peak').textContent = busiest
+        ? `${busiest.zone_name} ${percent(busiest.peak_occupancy_rate)}`
+        : '—';
+    document.getElementById('summary-samples').textContent = report.samples;
+    document.getElementById('sample-note').textContent =
+        t('report.note', { minutes: Math.round(report.sample_interval_seconds / 60) });
+}
+
+function renderZones(report) {
+    const rows = document.getElementById('zone-rows');
+    if (report.zones.length === 0) {
+        rows.innerHTML = `<tr><td colspan="8" class="text-muted">${escapeHtml(t('report.no_data'))}</td></tr>`;
+        return;
+    }
+
+    rows.innerHTML = report.zones.map(zone => {
+        const peakAt = zone.peak_at
+            ? ` <small class="text-muted">${escapeHtml(t('report.peak_at', { time: formatTime(zone.peak_at) }))}</small>`
+            : '';
+        const turnover = formatNumber(zone.turnover, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const dwell = zone.average_dwell_minutes !== null
+            ? t('report.minutes', { minutes: Math.round(zone.average_dwell_minutes) })
+            : '—';
+        return `
+        <tr>
+            <td><strong>${escapeHtml(zone.zone_name)}</strong></td>
+            <td class="text-end">${zone.spaces}</td>
+            <td class="text-end">${percent(zone.peak_occupancy_rate)}${peakAt}</td>
+            <td class="text-end">${percent(zone.average_occupancy_rate)}</td>
+            <td class="text-end">${zone.arrivals}</td>
+            <td class="text-end">${escapeHtml(t('report.per_space', { turnover }))}</td>
+            <td class="text-end">${escapeHtml(dwell)}</td>
+            <td class="text-end">${formatMoney(zone.revenue, report.currency)}</td>
+        </tr>
+    `;
+    }).join('');
+}
+
+function initializeCharts() {
+    const common = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: {
+            duration: 1000,
+            easing: 'easeInOutQuart'
+        }
+    };
+
+    charts.peak = new Chart(document.getElementById('peakChart').getContext('2d'), {
+        type: 'bar',
+        data: { labels: [], datasets: [] },
+        options: {
+            ...common,
+            plugins: { title: { display: true, text: t('report.chart.occupancy') } },
+            scales: {
+                y: { beginAtZero: true, max: 100, title: { display: true, text: t('report.chart.occupancy_axis') } }
+            }
+        }
+    });
+
+    charts.revenue = new Chart(document.getElementById('revenueChart').getContext('2d'), {
+        type: 'bar',
+        data: { labels: [], datasets: [] },
+        options: {
+            ...common,
+            plugins: { title: { display: true, text: t('report.chart.revenue') } },
+            scales: {
+                y: { beginAtZero: true, position: 'left', title: { display: true, text: t('report.revenue') } },
+                turnover: {
+                    beginAtZero: true,
+                    position: 'right',
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: t('report.chart.arrivals_per_space') }
+                }
+            }
+        }
+    });
+
+    charts.hourly = new Chart(document.getElementById('hourlyChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`),
+            datasets: []
+        },
+        options: {
+            ...common,
+            spanGaps: false,
+            plugins: { title: { display: true, text: t('report.chart.hourly') } },
+            scales: {
+                y: { beginAtZero: true, max: 100, title: { display: true, text: t('report.chart.occupancy_axis') } },
+                x: { title: { display: true, text: t('report.chart.hour') } }
+            }
+        }
+    });
+}
+
+function renderCharts(report) {
+    const labels = report.zones.map(zone => zone.zone_name);
+    const toPercent = rate => rate === null ? null : Math.round(rate * 1000) / 10;
+
+    charts.peak.data.labels = labels;
+    charts.peak.data.datasets = [
+        {
+            label: t('report.chart.peak'),
+            data: report.zones.map(zone => toPercent(zone.peak_occupancy_rate)),
+            backgroundColor: '#dc3545'
+        },
+        {
+            label: t('report.chart.average'),
+            data: report.zones.map(zone => toPercent(zone.average_occupancy_rate)),
+            backgroundColor: '#667eea'
+        }
+    ];
+    charts.peak.update();
+
+    charts.revenue.data.labels = labels;
+    charts.revenue.data.datasets = [
+        {
+            label: t('report.revenue_currency', { currency: report.currency }),
+            data: report.zones.map(zone => zone.revenue),
+            backgroundColor: '#28a745'
+        },
+        {
+            label: t('report.turnover'),
+            type: 'line',
+            yAxisID: 'turnover',
+            data: report.zones.map(zone => zone.turnover),
+            borderColor: '#fd7e14',
+            backgroundColor: '#fd7e14'
+        }
+    ];
+    charts.revenue.update();
+
+    charts.hourly.data.datasets = report.zones.map((zone, index) => ({
+        label: zone.zone_name,
+        data: zone.hourly_occupancy.map(toPercent),
+        borderColor: ZONE_COLORS[index % ZONE_COLORS.length],
+        backgroundColor: ZONE_COLORS[index % ZONE_COLORS.length],
+        tension: 0.3,
+        fill: false
+    }));
+    charts.hourly.update();
+}
+
+function fillZoneSelect(zones) {
+    const select = document.getElementById('export-zone');
+    const selected = select.value;
+    select.innerHTML = `<option value="">${escapeHtml(t('report.all_zones'))}</option>` + zones.map(zone =>
+        `<option value="${escapeHtml(zone.zone)}">${escapeHtml(zone.zone_name)}</option>`).join('');
+    select.value = zones.some(zone => zone.zone === selected) ? selected : '';
+    updateExportLinks();
+}
+
+/**
+ * Point the export links at the chosen range and zone
+ */
+function updateExportLinks() {
+    const params = {
+        from: document.getElementById('export-from').value,
+        to: document.getElementById('export-to').value,
+        zone: document.getElementById('export-zone').value
+    };
+    const query = extra => {
+        const search = new URLSearchParams(extra);
+        Object.entries(params).forEach(([key, value]) => value && search.set(key, value));
+        return search.toString();
+    };
+
+    document.getElementById('export-daily').href = `/api/export/daily-reports.csv?${query({})}`;
+    document.getElementById('export-lots-csv').href = `/api/export/occupancy.csv?${query({ kind: 'lot' })}`;
+    document.getElementById('export-slots-csv').href = `/api/export/occupancy.csv?${query({ kind: 'slot' })}`;
+}
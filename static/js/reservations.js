@@ -0,0 +1,258 @@
+/**
+ * Reservation flow shared by the map pages.
+ * A slot is held from its popup, a floating panel counts the hold down, and
+ * the driver confirms (parked) or releases it. The active reservation id is
+ * kept in localStorage so a page reload does not lose the hold.
+ */
+
+import { formatCurrency, t } from './i18n.js';
+import { parkingClient, showNotification, escapeHtml } from './parking_client.js';
+import { driverProfile } from './driver_profile.js';
+
+const STORAGE_KEY = 'parking.activeReservation';
+
+export class ReservationPanel {
+    /**
+     * @param {Object} [options]
+     * @param {import('./parking_client.js').ParkingClient} [options.client]
+     * @param {Function|null} [options.onChange] - Called with the reservation (or null) whenever it changes
+     */
+    constructor({ client = parkingClient, onChange = null } = {}) {
+        this.client = client;
+        this.onChange = onChange;
+        this.reservation = null;
+        this.deadline = 0;
+        this.timer = null;
+        this.element = null;
+    }
+
+    /**
+     * Slot id of the hold currently shown, if any
+     */
+    get activeSlotId() {
+        return this.reservation ? this.reservation.slot_id : null;
+    }
+
+    /**
+     * Pick up a hold left over from a previous page load
+     */
+    async restore() {
+        const reservationId = localStorage.getItem(STORAGE_KEY);
+        if (!reservationId) {
+            return;
+        }
+        try {
+            const reservation = await this.client.getReservation(reservationId);
+            if (reservation.status === 'held') {
+                this.show(reservation);
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Hold a slot for the driver
+     * @param {{id: string, name: string}} slot
+     */
+    async reserve(slot) {
+        if (this.reservation) {
+            const message = this.reservation.slot_id === slot.id
+                ? t('reservation.already_holding')
+                : t('reservation.release_first', { slot: this.reservation.slot_name });
+            showNotification(message, 'warning');
+            return null;
+        }
+
+        try {
+            const reservation = await this.client.reserveSlot(slot.id);
+            this.show(reservation);
+            showNotification(t('reservation.held', { slot: slot.name, minutes: Math.round(reservation.seconds_remaining / 60) }), 'success');
+            console.log(`🅿️ Reserved ${slot.id} (${reservation.id})`);
+            return reservation;
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * The driver has parked in the held slot
+     */
+    async confirm() {
+        if (!this.reservation) return;
+        try {
+            const reservation = await this.client.confirmReservation(this.reservation.id);
+            this.finish(reservation, t('reservation.confirmed', { slot: reservation.slot_name }), 'success');
+            // The confirmed hold is now a stay in the driver's history
+            driverProfile.refresh().catch(() => {});
+        } catch (error) {
+            this.handleFailure(error);
+        }
+    }
+
+    /**
+     * Give the held slot back
+     */
+    async release() {
+        if (!this.reservation) return;
+        try {
+            const reservation = await this.client.cancelReservation(this.reservation.id);
+            this.finish(reservation, t('reservation.released', { slot: reservation.slot_name }), 'info');
+        } catch (error) {
+            this.handleFailure(error);
+        }
+    }
+
+    show(reservation) {
+        this.reservation = reservation;
+        // Count down against the local clock so client/server clock skew does not matter
+        this.deadline = Date.now() + reservation.seconds_remaining * 1000;
+        localStorage.setItem(STORAGE_KEY, reservation.id);
+
+        this.render();
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.tick(), 1000);
+        this.tick();
+        this.notifyChange();
+    }
+
+    async tick() {
+        const remaining = Math.max(0, Math.ceil((this.deadline - Date.now()) / 1000));
+        const countdown = this.element && this.element.querySelector('.reservation-countdown');
+        if (countdown) {
+            countdown.textContent = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+            countdown.classList.toggle('urgent', remaining <= 60);
+        }
+
+        if (remaining === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            // The server owns expiry; ask it for the final state
+            try {
+                const reservation = await this.client.getReservation(this.reservation.id);
+                if (reservation.status === 'held') {
+                    this.show(reservation);
+                } else {
+                    this.finish(reservation, t('reservation.expired', { slot: reservation.slot_name }), 'warning');
+                }
+            } catch (error) {
+                this.finish(null, t('reservation.expired_unknown'), 'warning');
+            }
+        }
+    }
+
+    finish(reservation, message, type) {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.reservation = null;
+        localStorage.removeItem(STORAGE_KEY);
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        showNotification(message, type);
+        this.notifyChange(reservation);
+    }
+
+    handleFailure(error) {
+        // 404/409 mean the hold is gone (expired or finished elsewhere)
+        if (error.status === 404 || error.status === 409) {
+            this.finish(null, error.message, 'warning');
+        } else {
+            showNotification(error.message, 'error');
+        }
+    }
+
+    notifyChange(finished = null) {
+        if (this.onChange) {
+            this.onChange(this.reservation || finished);
+        }
+    }
+
+    render() {
+        ensureStyles();
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'reservation-panel';
+            this.element.setAttribute('role', 'status');
+            document.body.appendChild(this.element);
+        }
+
+        const reservation = this.reservation;
+        this.element.innerHTML = `
+            <div class="reservation-title">🅿️ ${escapeHtml(t('reservation.title', { slot: reservation.slot_name }))}</div>
+            <div class="reservation-body">
+                ${escapeHtml(t('reservation.expires_in'))} <span class="reservation-countdown"></span> · ${escapeHtml(t('slot.per_hour', { price: formatCurrency(reservation.price_per_hour) }))}
+            </div>
+            <div class="reservation-actions">
+                <button type="button" class="reservation-confirm">✅ ${escapeHtml(t('reservation.parked'))}</button>
+                <button type="button" class="reservation-release">✖ ${escapeHtml(t('reservation.release'))}</button>
+            </div>
+        `;
+        this.element.querySelector('.reservation-confirm').addEventListener('click', () => this.confirm());
+        this.element.querySelector('.reservation-release').addEventListener('click', () => this.release());
+    }
+}
+
+function ensureStyles() {
+    if (document.getElementById('reservation-panel-styles')) {
+        return;
+    }
+    const style = document.createElement('style');
+    style.id = 'reservation-panel-styles';
+    style.textContent = `
+        .reservation-panel {
+            position: fixed;
+            left: 20px;
+            bottom: 20px;
+            z-index: 10000;
+            background: white;
+            border-left: 5px solid #fd7e14;
+            border-radius: 10px;
+            padding: 15px 20px;
+            box-shadow: 0 5px 20px rgba(0, 0, 0, 0.25);
+            max-width: 340px;
+            font-size: 0.9rem;
+        }
+        .reservation-title {
+            font-weight: 600;
+            color: #333;
+            margin-bottom: 5px;
+        }
+        .reservation-body {
+            color: #555;
+        }
+        .reservation-countdown {
+            font-weight: bold;
+            font-variant-numeric: tabular-nums;
+            color: #fd7e14;
+        }
+        .reservation-countdown.urgent {
+            color: #dc3545;
+        }
+        .reservation-actions {
+            display: flex;
+            gap: 8px;
+            margin-top: 10px;
+        }
+        .reservation-actions button {
+            flex: 1;
+            border: none;
+            border-radius: 5px;
+            padding: 8px;
+            cursor: pointer;
+            font-size: 0.85rem;
+            color: white;
+        }
+        .reservation-confirm {
+            background: #28a745;
+        }
+        .reservation-release {
+            background: #6c757d;
+        }
+    `;
+    document.head.appendChild(style);
+}
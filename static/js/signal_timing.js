@@ -0,0 +1,83 @@
+/**
+ * Describing signal-controller state from /api/ai-traffic-signals.
+ * Shared by the map pages so optimized timings and their comparison with
+ * the fixed-time baseline read the same everywhere.
+ */
+
+import { escapeHtml } from './parking_client.js';
+import { patternedMarkerStyle } from './accessibility.js';
+import { t } from './i18n.js';
+
+// Same patterns as parking: solid for go, dashed for about to change, hollow for stop
+const SIGNAL_PHASES = {
+    green: { color: '#1e7e34', pattern: 'open' },
+    yellow: { color: '#ffc107', pattern: 'held' },
+    red: { color: '#c82333', pattern: 'closed' }
+};
+
+/**
+ * Delay saved against the fixed-time plan, e.g. "32% less delay than fixed-time"
+ * @param {import('./parking_client.js').AITrafficSignal} signal
+ * @returns {string}
+ */
+export function formatSignalEfficiency(signal) {
+    if (Math.abs(signal.efficiency) < 1) {
+        return t('signal.efficiency.same');
+    }
+    return signal.efficiency > 0
+        ? t('signal.efficiency.less', { percent: Math.round(signal.efficiency) })
+        : t('signal.efficiency.more', { percent: Math.round(-signal.efficiency) });
+}
+
+/**
+ * Green split per approach, optimized vs fixed-time, with current queues
+ * @param {import('./parking_client.js').AITrafficSignal} signal
+ * @returns {string}
+ */
+export function signalPlanHtml(signal) {
+    const rows = Object.entries(signal.optimized_timing.greens).map(([approach, green]) => `
+        <tr${approach === signal.active_phase ? ' style="font-weight: bold;"' : ''}>
+            <td>${escapeHtml(approach)}</td>
+            <td>${escapeHtml(t('junction.seconds', { seconds: green }))}</td>
+            <td>${escapeHtml(t('junction.seconds', { seconds: signal.baseline_timing.greens[approach] }))}</td>
+            <td>${Math.round(signal.queues[approach])}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <table class="signal-plan" style="width: 100%; font-size: 0.8rem; margin-top: 0.25rem;">
+            <thead><tr>
+                <th>${escapeHtml(t('signal.plan.approach'))}</th>
+                <th>${escapeHtml(t('signal.plan.green'))}</th>
+                <th>${escapeHtml(t('signal.plan.fixed'))}</th>
+                <th>${escapeHtml(t('signal.plan.queue'))}</th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <small>${escapeHtml(t('signal.plan.summary', {
+            delay: Math.round(signal.average_delay),
+            baseline: Math.round(signal.baseline_delay),
+            cycle: signal.timing,
+            baseline_cycle: signal.baseline_timing.cycle
+        }))}</small>
+    `;
+}
+
+/**
+ * Colour, pattern and name of a signal phase, e.g. for a marker and its legend
+ * @param {string} phase - green, yellow or red, in any case
+ * @returns {{color: string, pattern: string, label: string}}
+ */
+export function signalPhase(phase) {
+    const key = phase.toLowerCase();
+    return { ...(SIGNAL_PHASES[key] || SIGNAL_PHASES.red), label: t(`signal.phase.${key}`) };
+}
+
+/**
+ * Circle marker options for a signal in its phase's colour and pattern
+ * @param {string} phase
+ */
+export function signalMarkerStyle(phase) {
+    const { color, pattern } = signalPhase(phase);
+    return patternedMarkerStyle(color, pattern);
+}
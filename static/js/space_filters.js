@@ -0,0 +1,420 @@
+/**
+ * Vehicle, accessibility, EV-charging, cover and height filters shared by the map pages.
+ * The driver's choice is kept in localStorage, so every page starts out with it.
+ * `filterParams` turns it into the query parameters the API reads (see
+ * parking/amenities.py), and `matchesSlot` / `matchesLot` repeat the server's
+ * matching for data the page already holds: pushed lot updates and the
+ * offline copy of street parking.
+ */
+
+import { formatNumber, t } from './i18n.js';
+import { escapeHtml } from './parking_client.js';
+
+export const VEHICLE_CLASSES = ['bike', 'car', 'van'];
+
+export const EV_CONNECTORS = {
+    type2: 'Type 2',
+    ccs2: 'CCS2',
+    chademo: 'CHAdeMO',
+    bharat_ac001: 'Bharat AC-001',
+    bharat_dc001: 'Bharat DC-001'
+};
+
+// Bays a vehicle fits: cars also fit van bays; bikes have bays of their own
+const FITS = {
+    bike: ['bike'],
+    car: ['car', 'van'],
+    van: ['van']
+};
+
+const DEFAULT_SLOT_AMENITIES = {
+    vehicle_class: 'car',
+    accessible: false,
+    ev_connector: null,
+    ev_power_kw: null,
+    covered: false,
+    max_height_m: null
+};
+
+const STORAGE_KEY = 'parking.spaceFilters';
+
+/**
+ * @typedef {Object} SpaceFilters
+ * @property {''|'bike'|'car'|'van'} vehicle
+ * @property {boolean} accessible
+ * @property {boolean} ev
+ * @property {string} connector - One of EV_CONNECTORS, or '' for any
+ * @property {number|null} min_power_kw
+ * @property {boolean} covered
+ * @property {number|null} vehicle_height_m
+ */
+
+/** @type {SpaceFilters} */
+const NO_FILTERS = {
+    vehicle: '',
+    accessible: false,
+    ev: false,
+    connector: '',
+    min_power_kw: null,
+    covered: false,
+    vehicle_height_m: null
+};
+
+/**
+ * @returns {SpaceFilters}
+ */
+export function loadSpaceFilters() {
+    try {
+        return { ...NO_FILTERS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch (error) {
+        return { ...NO_FILTERS };
+    }
+}
+
+/**
+ * @param {SpaceFilters} filters
+ */
+export function saveSpaceFilters(filters) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(filters));
+}
+
+/**
+ * How many filters are switched on
+ * @param {SpaceFilters} filters
+ */
+export function activeFilterCount(filters) {
+    return [filters.vehicle, filters.accessible, filters.ev || filters.connector || filters.min_power_kw,
+        filters.covered, filters.vehicle_height_m].filter(Boolean).length;
+}
+
+/**
+ * Query parameters for the filters that are switched on
+ * @param {SpaceFilters} filters
+ * @returns {Object<string, string|number>}
+ */
+export function filterParams(filters) {
+    const params = {};
+    if (filters.vehicle) params.vehicle = filters.vehicle;
+    if (filters.accessible) params.accessible = 1;
+    if (filters.ev) params.ev = 1;
+    if (filters.ev && filters.connector) params.connector = filters.connector;
+    if (filters.ev && filters.min_power_kw) params.min_power_kw = filters.min_power_kw;
+    if (filters.covered) params.covered = 1;
+    if (filters.vehicle_height_m) params.vehicle_height_m = filters.vehicle_height_m;
+    return params;
+}
+
+/**
+ * @param {string} path - e.g. "/api/parking-status"
+ * @param {SpaceFilters} filters
+ * @param {Object} [extra] - Further query parameters
+ */
+export function filteredUrl(path, filters, extra = {}) {
+    const query = new URLSearchParams({ ...extra, ...filterParams(filters) }).toString();
+    return query ? `${path}?${query}` : path;
+}
+
+/**
+ * @param {import('./parking_client.js').StreetParkingSlot} slot
+ * @param {SpaceFilters} filters
+ */
+export function matchesSlot(slot, filters) {
+    // Copies saved before slots had amenities are plain car bays
+    const amenities = slot.amenities || DEFAULT_SLOT_AMENITIES;
+    if (filters.vehicle && !FITS[filters.vehicle].includes(amenities.vehicle_class)) return false;
+    if (filters.accessible && !amenities.accessible) return false;
+    if (filters.ev && !chargerFits(amenities, filters)) return false;
+    return shelterFits(amenities, filters);
+}
+
+/**
+ * @param {{amenities: import('./parking_client.js').LotAmenities}} lot - A lot status from /api/parking-status
+ * @param {SpaceFilters} filters
+ */
+export function matchesLot(lot, filters) {
+    const amenities = lot.amenities;
+    if (!amenities) return activeFilterCount(filters) === 0;
+    if (filters.vehicle && !amenities.vehicle_classes.some(vehicle => FITS[filters.vehicle].includes(vehicle))) {
+        return false;
+    }
+    if (filters.accessible && !amenities.accessible_spaces) return false;
+    if (filters.ev && !(amenities.ev_spaces && chargerFits(amenities, filters))) return false;
+    return shelterFits(amenities, filters);
+}
+
+/**
+ * The lots of a name -> status map that match
+ * @param {Object<string, Object>} lots
+ * @param {SpaceFilters} filters
+ */
+export function matchingLots(lots, filters) {
+    return Object.fromEntries(Object.entries(lots).filter(([, lot]) => matchesLot(lot, filters)));
+}
+
+function chargerFits(amenities, filters) {
+    if (!amenities.ev_connector) return false;
+    if (filters.connector && amenities.ev_connector !== filters.connector) return false;
+    return !filters.min_power_kw || amenities.ev_power_kw >= filters.min_power_kw;
+}
+
+function shelterFits(amenities, filters) {
+    if (filters.covered && !amenities.covered) return false;
+    return !(filters.vehicle_height_m && amenities.max_height_m !== null &&
+        filters.vehicle_height_m > amenities.max_height_m);
+}
+
+function chargerText(amenities) {
+    return `${EV_CONNECTORS[amenities.ev_connector] || amenities.ev_connector} ${amenities.ev_power_kw} kW`;
+}
+
+/**
+ * Badges for a slot's or lot's amenities, for popups and list items
+ * @param {import('./parking_client.js').SlotAmenities|import('./parking_client.js').LotAmenities} amenities
+ */
+export function amenityBadgesHtml(amenities) {
+    if (!amenities) return '';
+    const badges = [];
+    if ('vehicle_class' in amenities) {
+        if (amenities.vehicle_class !== 'car') badges.push(t(`filters.vehicle.${amenities.vehicle_class}`));
+        if (amenities.accessible) badges.push(t('filters.badge.accessible'));
+        if (amenities.ev_connector) badges.push(`⚡ ${chargerText(amenities)}`);
+    } else {
+        if (amenities.vehicle_classes.includes('bike')) badges.push(t('filters.badge.bikes'));
+        if (amenities.vehicle_classes.includes('van')) badges.push(t('filters.badge.vans'));
+        if (amenities.accessible_spaces) badges.push(t('filters.badge.accessible_spaces', { count: amenities.accessible_spaces }));
+        if (amenities.ev_spaces) badges.push(t('filters.badge.ev_spaces', { count: amenities.ev_spaces, charger: chargerText(amenities) }));
+    }
+    if (amenities.covered) badges.push(t('filters.badge.covered'));
+    if (amenities.max_height_m !== null) {
+        badges.push(t('filters.badge.max_height', { height: t('unit.metres', { value: formatNumber(amenities.max_height_m) }) }));
+    }
+    if (badges.length === 0) return '';
+    return `<div class="amenity-badges">${badges.map(badge =>
+        `<span class="amenity-badge">${escapeHtml(badge)}</span>`).join('')}</div>`;
+}
+
+/**
+ * Floating "Filters" button and form; emits 'change' with the new filters as `detail`
+ */
+export class SpaceFilterControl extends EventTarget {
+    constructor() {
+        super();
+        this.filters = loadSpaceFilters();
+        this.element = null;
+    }
+
+    /**
+     * Add the control to the page: floating in the bottom-left corner, or
+     * inside `container` (a page's own control bar) with the form opening
+     * above or below it
+     * @param {HTMLElement} [container]
+     * @param {{opens?: 'up'|'down'}} [options]
+     */
+    mount(container = null, { opens = 'up' } = {}) {
+        ensureStyles();
+        this.element = document.createElement('div');
+        this.element.className = container
+            ? `space-filter-control embedded opens-${opens}` : 'space-filter-control floating';
+        this.element.innerHTML = `
+            <button type="button" class="space-filter-toggle" aria-expanded="false" aria-controls="space-filter-form"></button>
+            <form id="space-filter-form" class="space-filter-form" hidden>
+                <label>${escapeHtml(t('filters.vehicle'))}
+                    <select name="vehicle">
+                        <option value="">${escapeHtml(t('filters.any'))}</option>
+                        ${VEHICLE_CLASSES.map(value =>
+                            `<option value="${value}">${escapeHtml(t(`filters.vehicle.${value}`))}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="space-filter-check"><input type="checkbox" name="accessible"> ${escapeHtml(t('filters.accessible'))}</label>
+                <label class="space-filter-check"><input type="checkbox" name="ev"> ${escapeHtml(t('filters.ev'))}</label>
+                <div class="space-filter-ev">
+                    <label>${escapeHtml(t('filters.connector'))}
+                        <select name="connector">
+                            <option value="">${escapeHtml(t('filters.any'))}</option>
+                            ${Object.entries(EV_CONNECTORS).map(([value, label]) =>
+                                `<option value="${value}">${escapeHtml(label)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>${escapeHtml(t('filters.min_power'))}
+                        <input type="number" name="min_power_kw" min="1" max="350" step="0.1" placeholder="${escapeHtml(t('filters.any'))}">
+                    </label>
+                </div>
+                <label class="space-filter-check"><input type="checkbox" name="covered"> ${escapeHtml(t('filters.covered'))}</label>
+                <label>${escapeHtml(t('filters.height'))}
+                    <input type="number" name="vehicle_height_m" min="0.5" max="6" step="0.05" placeholder="${escapeHtml(t('filters.any'))}">
+                </label>
+                <button type="button" class="space-filter-clear">${escapeHtml(t('filters.clear'))}</button>
+            </form>
+        `;
+        (container || document.body).appendChild(this.element);
+
+        const toggle = this.element.querySelector('.space-filter-toggle');
+        const form = this.element.querySelector('form');
+        toggle.addEventListener('click', () => {
+            form.hidden = !form.hidden;
+            toggle.setAttribute('aria-expanded', String(!form.hidden));
+        });
+        form.addEventListener('change', () => this.update(this.readForm(form)));
+        form.addEventListener('submit', event => event.preventDefault());
+        this.element.querySelector('.space-filter-clear').addEventListener('click', () => this.update({ ...NO_FILTERS }));
+        this.render();
+        return this;
+    }
+
+    readForm(form) {
+        const number = name => {
+            const value = parseFloat(form.elements[name].value);
+            return Number.isFinite(value) && value > 0 ? value : null;
+        };
+        return {
+            vehicle: form.elements.vehicle.value,
+            accessible: form.elements.accessible.checked,
+            ev: form.elements.ev.checked,
+            connector: form.elements.connector.value,
+            min_power_kw: number('min_power_kw'),
+            covered: form.elements.covered.checked,
+            vehicle_height_m: number('vehicle_height_m')
+        };
+    }
+
+    /**
+     * @param {SpaceFilters} filters
+     */
+    update(filters) {
+        this.filters = filters;
+        saveSpaceFilters(filters);
+        this.render();
+        console.log(`🔎 Space filters: ${JSON.stringify(filterParams(filters))}`);
+        this.dispatchEvent(new CustomEvent('change', { detail: filters }));
+    }
+
+    render() {
+        const form = this.element.querySelector('form');
+        const filters = this.filters;
+        form.elements.vehicle.value = filters.vehicle;
+        form.elements.accessible.checked = filters.accessible;
+        form.elements.ev.checked = filters.ev;
+        form.elements.connector.value = filters.connector;
+        form.elements.min_power_kw.value = filters.min_power_kw ?? '';
+        form.elements.covered.checked = filters.covered;
+        form.elements.vehicle_height_m.value = filters.vehicle_height_m ?? '';
+        form.querySelector('.space-filter-ev').hidden = !filters.ev;
+
+        const count = activeFilterCount(filters);
+        const toggle = this.element.querySelector('.space-filter-toggle');
+        toggle.textContent = count ? t('filters.toggle_count', { count }) : t('filters.toggle');
+        toggle.classList.toggle('active', count > 0);
+    }
+}
+
+function ensureStyles() {
+    if (document.getElementById('space-filter-styles')) {
+        return;
+    }
+    const style = document.createElement('style');
+    style.id = 'space-filter-styles';
+    style.textContent = `
+        .space-filter-control {
+            font-size: 0.9rem;
+        }
+        .space-filter-control.floating {
+            position: fixed;
+            left: 20px;
+            bottom: 20px;
+            z-index: 10000;
+            max-width: 280px;
+            display: flex;
+            flex-direction: column-reverse;
+            align-items: flex-start;
+        }
+        .space-filter-control.embedded {
+            position: relative;
+        }
+        .space-filter-control.embedded .space-filter-form {
+            position: absolute;
+            left: 0;
+            width: 260px;
+            z-index: 10000;
+        }
+        .space-filter-control.opens-up .space-filter-form {
+            bottom: 100%;
+        }
+        .space-filter-control.opens-down .space-filter-form {
+            top: 100%;
+            margin: 10px 0 0;
+        }
+        .space-filter-toggle {
+            background: white;
+            color: #333;
+            border: 2px solid #667eea;
+            border-radius: 20px;
+            padding: 8px 16px;
+            cursor: pointer;
+            box-shadow: 0 5px 20px rgba(0, 0, 0, 0.25);
+            font-weight: 600;
+        }
+        .space-filter-toggle.active {
+            background: #667eea;
+            color: white;
+        }
+        .space-filter-form {
+            background: white;
+            border-radius: 10px;
+            padding: 15px;
+            margin-bottom: 10px;
+            box-shadow: 0 5px 20px rgba(0, 0, 0, 0.25);
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+        .space-filter-form[hidden],
+        .space-filter-ev[hidden] {
+            display: none;
+        }
+        .space-filter-form label {
+            display: flex;
+            flex-direction: column;
+            gap: 2px;
+            color: #333;
+        }
+        .space-filter-form .space-filter-check {
+            flex-direction: row;
+            align-items: center;
+            gap: 6px;
+        }
+        .space-filter-form select,
+        .space-filter-form input[type="number"] {
+            padding: 4px 6px;
+            border: 1px solid #ccc;
+            border-radius: 5px;
+        }
+        .space-filter-ev {
+            display: flex;
+            gap: 8px;
+            padding-left: 22px;
+        }
+        .space-filter-clear {
+            border: none;
+            background: #6c757d;
+            color: white;
+            border-radius: 5px;
+            padding: 6px;
+            cursor: pointer;
+        }
+        .amenity-badges {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            margin: 6px 0;
+        }
+        .amenity-badge {
+            background: #eef0fb;
+            color: #3b4a9c;
+            border-radius: 10px;
+            padding: 2px 8px;
+            font-size: 11px;
+            white-space: nowrap;
+        }
+    `;
+    document.head.appendChild(style);
+}
@@ -0,0 +1,184 @@
+/**
+ * Road congestion layer from /api/traffic-segments (see parking/traffic.py).
+ * Each road segment is drawn in the colour of its level of service, next
+ * to a legend and a slider that steps through the forecast in 15-minute
+ * steps up to six hours ahead.
+ */
+
+import { formatTime, t } from './i18n.js';
+import { escapeHtml, parkingClient } from './parking_client.js';
+import { formatRouteDuration } from './navigation.js';
+
+export const LEVELS_OF_SERVICE = {
+    A: { color: '#1a9850', label: t('traffic.los.A') },
+    B: { color: '#91cf60', label: t('traffic.los.B') },
+    C: { color: '#f6c342', label: t('traffic.los.C') },
+    D: { color: '#fc8d59', label: t('traffic.los.D') },
+    E: { color: '#e34a33', label: t('traffic.los.E') },
+    F: { color: '#8b0000', label: t('traffic.los.F') }
+};
+
+const ROAD_WEIGHTS = {
+    trunk: 7,
+    primary: 6,
+    secondary: 5
+};
+
+const STEP_MINUTES = 15;
+const MAX_MINUTES_AHEAD = 360;
+
+// Live junction updates refresh the layer at most this often
+const REFRESH_INTERVAL_MS = 30000;
+
+/**
+ * @param {number} minutesAhead
+ * @param {number} [at] - Unix time the forecast is for
+ */
+function timeLabel(minutesAhead, at) {
+    if (minutesAhead === 0) {
+        return t('traffic.now');
+    }
+    const clock = formatTime(at || Date.now() / 1000 + minutesAhead * 60);
+    return `+${formatRouteDuration(minutesAhead * 60)} (${clock})`;
+}
+
+/**
+ * @param {import('./parking_client.js').TrafficSegmentProperties} segment
+ */
+function segmentPopupHtml(segment) {
+    const level = LEVELS_OF_SERVICE[segment.level_of_service];
+    return `
+        <strong>${escapeHtml(segment.name)}</strong><br>
+        <span style="color: ${level.color}; font-weight: bold;">${escapeHtml(t('traffic.level_of_service', { level: segment.level_of_service, label: level.label }))}</span><br>
+        ${escapeHtml(t('traffic.speed', { speed: segment.speed_kmh, free: segment.free_speed_kmh }))}<br>
+        ${escapeHtml(t('traffic.travel_time', {
+            duration: formatRouteDuration(segment.travel_time_s),
+            length: t('unit.metres', { value: segment.length_m })
+        }))}
+        ${segment.signal_delay_s > 0 ? `<br>${escapeHtml(t('traffic.signal_delay', { seconds: segment.signal_delay_s }))}` : ''}
+    `;
+}
+
+/**
+ * The congestion layer with its legend and time slider
+ */
+export class TrafficLayer {
+    /**
+     * @param {L.Map} map
+     * @param {Object} [options]
+     * @param {import('./regions.js').Region} [options.region] - Only this region's roads; all of them without one
+     */
+    constructor(map, { region = null } = {}) {
+        this.map = map;
+        this.region = region;
+        this.minutesAhead = 0;
+        this.visible = false;
+        this.lastRefresh = 0;
+        this.request = 0;
+        this.layer = L.geoJSON(null, {
+            style: feature => ({
+                color: LEVELS_OF_SERVICE[feature.properties.level_of_service].color,
+                weight: ROAD_WEIGHTS[feature.properties.highway] || 4,
+                opacity: 0.85,
+                lineCap: 'round'
+            }),
+            onEachFeature: (feature, line) => line.bindPopup(() => segmentPopupHtml(feature.properties))
+        });
+        this.control = this.createControl();
+    }
+
+    createControl() {
+        const control = L.control({ position: 'topleft' });
+        control.onAdd = () => {
+            const container = L.DomUtil.create('div', 'traffic-control');
+            container.style.cssText = 'background: white; padding: 8px 10px; border-radius: 8px; ' +
+                'box-shadow: 0 2px 10px rgba(0,0,0,0.2); font-size: 12px; min-width: 190px;';
+            container.innerHTML = `
+                <strong>${escapeHtml(t('traffic.title'))}</strong>
+                <div style="margin: 6px 0;">
+                    ${Object.entries(LEVELS_OF_SERVICE).map(([level, { color, label }]) => `
+                        <div style="display: flex; align-items: center; gap: 6px;">
+                            <span style="display: inline-block; width: 18px; height: 5px; border-radius: 2px; background: ${color};"></span>
+                            <span>${level} · ${escapeHtml(label)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <label style="display: block;">
+                    <span class="traffic-time">${escapeHtml(t('traffic.now'))}</span>
+                    <input type="range" class="traffic-slider" min="0" max="${MAX_MINUTES_AHEAD}" step="${STEP_MINUTES}"
+                           value="${this.minutesAhead}" style="width: 100%;" aria-label="${escapeHtml(t('traffic.forecast_time'))}">
+                </label>
+            `;
+            // Dragging the slider must not pan the map
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            const slider = container.querySelector('.traffic-slider');
+            const label = container.querySelector('.traffic-time');
+            slider.addEventListener('input', () => {
+                label.textContent = timeLabel(Number(slider.value));
+            });
+            slider.addEventListener('change', () => {
+                this.minutesAhead = Number(slider.value);
+                this.refresh();
+            });
+            return container;
+        };
+        return control;
+    }
+
+    show() {
+        this.visible = true;
+        this.layer.addTo(this.map);
+        this.control.addTo(this.map);
+        return this.refresh();
+    }
+
+    hide() {
+        this.visible = false;
+        this.map.removeLayer(this.layer);
+        this.control.remove();
+    }
+
+    /**
+     * @param {import('./regions.js').Region} region
+     */
+    setRegion(region) {
+        this.region = region;
+        if (this.visible) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Fetch the segments for the slider's time; a slower earlier request never overwrites a newer one
+     */
+    async refresh() {
+        const request = ++this.request;
+        this.lastRefresh = Date.now();
+        try {
+            const segments = await parkingClient.getTrafficSegments(this.minutesAhead, this.region?.id);
+            if (request !== this.request || !this.visible) {
+                return;
+            }
+            this.layer.clearLayers();
+            this.layer.addData(segments);
+            const label = this.control.getContainer()?.querySelector('.traffic-time');
+            if (label) {
+                label.textContent = timeLabel(segments.minutes_ahead, segments.at);
+            }
+            console.log(`🚦 Traffic layer: ${segments.features.length} segments, ${timeLabel(segments.minutes_ahead, segments.at)}`);
+        } catch (error) {
+            console.error('Error loading traffic segments:', error);
+        }
+    }
+
+    /**
+     * Junction state changed: refresh, at most every REFRESH_INTERVAL_MS
+     */
+    onJunctionsChanged() {
+        if (this.visible && Date.now() - this.lastRefresh >= REFRESH_INTERVAL_MS) {
+            this.refresh();
+        }
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * Service worker for offline use.
+ * Served from /service-worker.js so its scope covers every page.
+ *
+ * - Pages and /static files: network first, falling back to the cached copy
+ * - Pinned CDN assets (Leaflet, Bootstrap, Font Awesome): cache first
+ * - OpenStreetMap tiles: cache first, keeping the areas a driver has viewed
+ * - /api: never cached here; pages keep their own copy of the last street
+ *   parking response in IndexedDB (see static/js/offline.js) so they can say
+ *   how old it is
+ * - Parking session reminders: tapping one focuses a page that shows the
+ *   session, passing on "extend" (see static/js/parking_session.js)
+ */
+
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `parking-shell-${CACHE_VERSION}`;
+const CDN_CACHE = `parking-cdn-${CACHE_VERSION}`;
+const TILE_CACHE = `parking-tiles-${CACHE_VERSION}`;
+
+// Roughly a city's worth of tiles at street zoom levels
+const MAX_TILES = 1500;
+
+const SHELL_URLS = [
+    '/',
+    '/dashboard',
+    '/street-parking-demo',
+    '/nearbyparkings-ai',
+    '/odisha-map',
+    '/reports',
+    '/offline',
+    '/static/manifest.json',
+    '/static/icons/icon.svg',
+    '/static/js/accessibility.js',
+    '/static/js/auth.js',
+    '/static/js/cost_estimate.js',
+    '/static/js/dashboard.js',
+    '/static/js/driver_profile.js',
+    '/static/js/enforcement.js',
+    '/static/js/i18n.js',
+    '/static/js/live_updates.js',
+    '/static/js/location_search.js',
+    '/static/js/navigation.js',
+    '/static/js/offline.js',
+    '/static/js/parking_client.js',
+    '/static/js/parking_session.js',
+    '/static/js/recommendation_factors.js',
+    '/static/js/regions.js',
+    '/static/js/reports.js',
+    '/static/js/reservations.js',
+    '/static/js/signal_timing.js',
+    '/static/js/space_filters.js',
+    '/static/js/traffic_layer.js'
+];
+
+const CDN_URLS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet@1.7.1/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.7.1/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/js/bootstrap.bundle.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css'
+];
+
+// Pages that show the parking session panel
+const SESSION_PAGES = ['/street-parking-demo', '/odisha-map', '/dashboard'];
+
+const CDN_HOSTS = ['unpkg.com', 'cdn.jsdelivr.net', 'cdnjs.cloudflare.com'];
+const TILE_HOST = /(^|\.)tile\.openstreetmap\.org$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        precache(SHELL_CACHE, SHELL_URLS, url => new Request(url, { credentials: 'same-origin' })),
+        precache(CDN_CACHE, CDN_URLS, corsRequest)
+    ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, CDN_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('parking-') && !current.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/') || url.pathname === '/service-worker.js') return;
+        event.respondWith(networkFirst(request));
+    } else if (TILE_HOST.test(url.hostname)) {
+        event.respondWith(cacheFirst(TILE_CACHE, request, MAX_TILES));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(CDN_CACHE, request));
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const page = windows.find(client => SESSION_PAGES.includes(new URL(client.url).pathname));
+        if (!page) {
+            return self.clients.openWindow(SESSION_PAGES[0]);
+        }
+        page.postMessage({ type: 'parking-session', action: event.action || 'open' });
+        return page.focus();
+    }));
+});
+
+/**
+ * Cache every URL that can be fetched now; one missing asset must not stop the install
+ */
+async function precache(cacheName, urls, toRequest) {
+    const cache = await caches.open(cacheName);
+    await Promise.all(urls.map(async (url) => {
+        try {
+            const response = await fetch(toRequest(url));
+            if (response.ok) {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not precache ${url}`, error);
+        }
+    }));
+}
+
+/**
+ * Fetch cross-origin assets with CORS so the cached copy is readable and
+ * satisfies both plain and crossorigin/integrity requests
+ */
+function corsRequest(url) {
+    return new Request(url, { mode: 'cors', credentials: 'omit' });
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        // Only plain successes: redirects (e.g. to sign in) would replay for every visitor
+        if (response.ok && response.type === 'basic' && !response.redirected) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            return (await cache.match('/')) || offlineResponse(cache);
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(cacheName, request, maxEntries = null) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+
+    const response = await fetch(corsRequest(request.url));
+    if (response.ok) {
+        await cache.put(request.url, response.clone());
+        if (maxEntries) {
+            trimCache(cache, maxEntries);
+        }
+    }
+    return response;
+}
+
+/**
+ * Drop the oldest entries (cache keys keep insertion order) beyond the limit
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * The precached /offline page, in the language the worker was installed in,
+ * as a 503; the browser's own error page when even that is missing
+ */
+async function offlineResponse(cache) {
+    const page = await cache.match('/offline');
+    if (!page) return Response.error();
+    return new Response(page.body, { status: 503, headers: page.headers });
+}